@@ -0,0 +1,54 @@
+/**
+ * @file Unattended book generation configuration constants
+ * @module batchConfig
+ * @requires none
+ * @exports {DEFAULT_BATCH_RULES}
+ *
+ * @description This module defines the default auto-accept rules used when a
+ * whole book is generated without supervision. Each book can override them in
+ * the `batchConfig` section of its book-state.json.
+ *
+ * @functions
+ * - None
+ *
+ * @constants
+ * - DEFAULT_BATCH_RULES: Default rules for the unattended generation pipeline
+ *
+ * @flow
+ * 1. Define text acceptance rules
+ * 2. Define image generation and acceptance rules
+ * 3. Define error behaviour
+ *
+ * @error Handling
+ * - None, this is a static data module
+ */
+
+/**
+ * @constant {Object}
+ * @type {Object}
+ * @description Default rules for the unattended generation pipeline
+ * @property {boolean} autoAcceptText - Accept text that passes the checks below
+ * @property {number} minWords - Minimum word count for accepted text
+ * @property {number} maxWords - Maximum word count for accepted text
+ * @property {string[]} bannedPhrases - Phrases that send a chapter back for review (case-insensitive)
+ * @property {boolean} generateImages - Generate an illustration for accepted chapters
+ * @property {boolean} generateCharacterSheets - Draw missing character reference sheets before the first image
+ * @property {boolean} useSceneSelection - Let the chat model pick the scene to illustrate
+ * @property {boolean} autoAcceptImages - Accept generated images without review
+ * @property {string|null} style - Visual style forced on every chapter (null = the art direction)
+ * @property {string|null} preset - Scene composition preset forced on every chapter (null = the art direction)
+ * @property {boolean} stopOnError - Stop the whole run at the first failed chapter
+ */
+export const DEFAULT_BATCH_RULES = {
+  autoAcceptText: true,
+  minWords: 150, // chapters shorter than this are sent back for review
+  maxWords: 2500, // chapters longer than this are sent back for review
+  bannedPhrases: ["As an AI", "I'm sorry, but", "I cannot"],
+  generateImages: true,
+  generateCharacterSheets: true,
+  useSceneSelection: true,
+  autoAcceptImages: true,
+  style: null,
+  preset: null,
+  stopOnError: false,
+};
@@ -0,0 +1,54 @@
+/**
+ * @file Book budget configuration constants
+ * @module budgetConfig
+ * @requires none
+ * @exports {DEFAULT_BUDGET, ESTIMATED_TOKENS}
+ *
+ * @description This module defines the default spend ceiling and attempt
+ * limits of a book, and the token counts used to estimate a call before any
+ * usage has been recorded. Each book can override the budget in the `budget`
+ * section of its book-state.json.
+ *
+ * @functions
+ * - None
+ *
+ * @constants
+ * - DEFAULT_BUDGET: Default spend ceiling and attempt limits
+ * - ESTIMATED_TOKENS: Token estimates per chat step
+ *
+ * @flow
+ * 1. Define budget defaults
+ * 2. Define fallback estimates
+ *
+ * @error Handling
+ * - None, this is a static data module
+ */
+
+/**
+ * @constant {Object}
+ * @type {Object}
+ * @description Default budget of a book (null = no limit)
+ * @property {number|null} limit - Spend ceiling in PRICING_CURRENCY
+ * @property {number} warnAt - Share of the limit (0-1) after which every call warns
+ * @property {number|null} maxTextAttempts - Text generations per chapter
+ * @property {number|null} maxImageAttempts - Image generations per chapter
+ */
+export const DEFAULT_BUDGET = {
+  limit: null,
+  warnAt: 0.8,
+  maxTextAttempts: null,
+  maxImageAttempts: null,
+};
+
+/**
+ * @constant {Object<string, {prompt: number, completion: number}>}
+ * @description Prompt and completion tokens assumed for a chat step until
+ * the book has recorded usage for it
+ */
+export const ESTIMATED_TOKENS = {
+  generation: { prompt: 400, completion: 1000 },
+  personalization: { prompt: 1600, completion: 1200 },
+  "scene-selection": { prompt: 1400, completion: 200 },
+  "story-summary": { prompt: 1500, completion: 250 },
+  "character-look": { prompt: 150, completion: 80 },
+};
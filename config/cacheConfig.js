@@ -0,0 +1,50 @@
+/**
+ * @file Response cache configuration constants
+ * @module cacheConfig
+ * @requires none
+ * @exports {CACHE_DIR_NAME, CACHE_TTL_HOURS, CACHE_ENV, CACHE_TTL_ENV}
+ *
+ * @description This module defines where cached chat completions and images
+ * are stored and how long they stay valid. The cache is shared by all books
+ * and is only used when enabled with --cache or BOOK_CLI_CACHE.
+ *
+ * @functions
+ * - None
+ *
+ * @constants
+ * - CACHE_DIR_NAME: Folder in the project root holding cached responses
+ * - CACHE_TTL_HOURS: Default time a cached response stays valid
+ * - CACHE_ENV: Environment variable enabling the cache
+ * - CACHE_TTL_ENV: Environment variable overriding the time to live
+ *
+ * @flow
+ * 1. Define storage location
+ * 2. Define expiry and environment variables
+ *
+ * @error Handling
+ * - None, this is a static data module
+ */
+
+/**
+ * @constant {string}
+ * @description Folder in the project root holding cached responses
+ */
+export const CACHE_DIR_NAME = ".response-cache";
+
+/**
+ * @constant {number}
+ * @description Default time a cached response stays valid, in hours
+ */
+export const CACHE_TTL_HOURS = 168; // one week
+
+/**
+ * @constant {string}
+ * @description Environment variable enabling the cache when set to 1 or true
+ */
+export const CACHE_ENV = "BOOK_CLI_CACHE";
+
+/**
+ * @constant {string}
+ * @description Environment variable overriding CACHE_TTL_HOURS
+ */
+export const CACHE_TTL_ENV = "BOOK_CLI_CACHE_TTL_HOURS";
@@ -0,0 +1,57 @@
+/**
+ * @file Record/replay cassette configuration constants
+ * @module cassetteConfig
+ * @requires none
+ * @exports {CASSETTE_MODES, CASSETTE_DIR, CASSETTE_ENV}
+ *
+ * @description This module defines how model calls are recorded and
+ * replayed. Recordings live in each book's folder so a book can be shared
+ * together with the exact model outputs that produced it.
+ *
+ * @functions
+ * - None
+ *
+ * @constants
+ * - CASSETTE_MODES: Available cassette modes
+ * - CASSETTE_DIR: Folder inside the book directory holding recordings
+ * - CASSETTE_ENV: Environment variable selecting the cassette mode
+ *
+ * @flow
+ * 1. Define cassette modes
+ * 2. Define storage location and environment variable
+ *
+ * @error Handling
+ * - None, this is a static data module
+ */
+
+/**
+ * @constant {Array<Object>}
+ * @type {Array}
+ * @description Available cassette modes
+ * @property {string} name - Human-readable mode name with description
+ * @property {string} value - Mode identifier
+ */
+export const CASSETTE_MODES = [
+  { name: "Off (Call the providers, record nothing)", value: "off" },
+  {
+    name: "Record (Call the providers and store every response)",
+    value: "record",
+  },
+  {
+    name: "Replay (Serve stored responses, never call a provider)",
+    value: "replay",
+  },
+];
+
+/**
+ * @constant {string}
+ * @description Folder inside the book directory holding recordings
+ */
+export const CASSETTE_DIR = "cassettes";
+
+/**
+ * @constant {string}
+ * @description Environment variable selecting the cassette mode when
+ * --cassette is not given
+ */
+export const CASSETTE_ENV = "BOOK_CLI_CASSETTE";
@@ -5,7 +5,10 @@
  *
  * @description This example file shows how to structure educational content
  * for a children's book. You can use this as a template to create your own
- * educational content on any subject.
+ * educational content on any subject. Copy it to config/chapters.js (the
+ * "default" curriculum) or to config/curricula/<id>.js to add another
+ * curriculum; an optional `CURRICULUM` export ({ title, description }) names
+ * it in the curriculum menu.
  *
  * @functions
  *
@@ -35,6 +38,9 @@
  *     - title: display name for the topic
  *     - example: child-friendly illustrative scenario
  *     - summary: short explanation of the concept
+ *     - featuring (optional): secondary characters (friends, siblings, pet),
+ *       places and interests of the story variables the chapter features;
+ *       a group left out features all of its entries
  */
 
 export const BOOK_CONTENT = [
@@ -49,6 +55,7 @@ export const BOOK_CONTENT = [
         example:
           "The main character encounters a situation where they need to understand this concept. Through a simple story, they learn its basic principles and how to apply them.",
         summary: "A simple, clear explanation of the concept's fundamentals.",
+        featuring: { characters: ["friends"], places: ["schoolName"] },
       },
       {
         key: "secondConcept",
@@ -0,0 +1,56 @@
+/**
+ * @file Character reference sheet configuration constants
+ * @module characterSheetConfig
+ * @requires none
+ * @exports {CHARACTER_SHEETS_DIR, MAIN_CHARACTER_ROLES, MAX_REFERENCE_IMAGES, LOOK_MAX_TOKENS}
+ *
+ * @description This module defines which characters get a reference sheet,
+ * where the sheets are stored and how many of them a chapter illustration
+ * may use. A reference sheet shows one character of the character bible in
+ * the book's style; image providers that support reference images draw the
+ * character from it, the others get its written look.
+ *
+ * @functions
+ * - None
+ *
+ * @constants
+ * - CHARACTER_SHEETS_DIR: Folder of the sheets, relative to the book
+ * - MAIN_CHARACTER_ROLES: Bible roles that get a sheet
+ * - MAX_REFERENCE_IMAGES: Sheets passed with one chapter illustration
+ * - LOOK_MAX_TOKENS: Longest written look the model may write
+ *
+ * @flow
+ * 1. Define where sheets are stored
+ * 2. Define which characters get one
+ * 3. Define how many a chapter illustration uses
+ *
+ * @error Handling
+ * - None, this is a static data module
+ */
+
+/**
+ * @constant {string}
+ * @description Folder of the reference sheets, relative to the book folder
+ */
+export const CHARACTER_SHEETS_DIR = "images/characters";
+
+/**
+ * @constant {string[]}
+ * @description Character bible roles that get a reference sheet. Parents,
+ * grandparents, the teacher and characters added by hand only appear now and
+ * then; a sheet can still be drawn for them from the book menu.
+ */
+export const MAIN_CHARACTER_ROLES = ["protagonist", "friend", "sibling", "pet"];
+
+/**
+ * @constant {number}
+ * @description Most reference sheets passed with one chapter illustration;
+ * characters beyond this are described in words only
+ */
+export const MAX_REFERENCE_IMAGES = 4;
+
+/**
+ * @constant {number}
+ * @description Maximum completion tokens of a character's written look
+ */
+export const LOOK_MAX_TOKENS = 150;
@@ -0,0 +1,120 @@
+/**
+ * @file Chat provider configuration constants
+ * @module chatProviderConfig
+ * @requires none
+ * @exports {CHAT_PROVIDERS, LOCAL_CHAT_SERVERS, OPENAI_COMPATIBLE_DEFAULTS, OPENAI_COMPATIBLE_API_KEY_ENV, MOCK_CHAT_CONFIG, DEFAULT_CHAT_CONFIG}
+ *
+ * @description This module defines the providers available for text
+ * generation. Besides the OpenAI API, any server that implements the OpenAI
+ * chat completions endpoint (Ollama, llama.cpp server, LM Studio) can be used
+ * through the "openai-compatible" provider. The "mock" provider answers with
+ * templated text for tests and onboarding.
+ *
+ * @functions
+ * - None
+ *
+ * @constants
+ * - CHAT_PROVIDERS: Available chat providers
+ * - LOCAL_CHAT_SERVERS: Known OpenAI-compatible servers and their default URLs
+ * - OPENAI_COMPATIBLE_DEFAULTS: Default settings of the OpenAI-compatible provider
+ * - OPENAI_COMPATIBLE_API_KEY_ENV: Environment variable holding an optional API key
+ * - MOCK_CHAT_CONFIG: Chat configuration of books using the mock provider
+ * - DEFAULT_CHAT_CONFIG: Chat configuration used when none is given
+ *
+ * @flow
+ * 1. Define available chat providers
+ * 2. Define known local servers
+ * 3. Define OpenAI-compatible defaults
+ *
+ * @error Handling
+ * - None, this is a static data module
+ */
+
+/**
+ * @constant {Array<Object>}
+ * @type {Array}
+ * @description Available chat providers
+ * @property {string} name - Human-readable provider name with description
+ * @property {string} value - Provider identifier
+ */
+export const CHAT_PROVIDERS = [
+  {
+    name: "OpenAI (GPT models, requires OPENAI_API_KEY)",
+    value: "openai",
+  },
+  {
+    name: "OpenAI-compatible server (Ollama, llama.cpp, LM Studio, offline)",
+    value: "openai-compatible",
+  },
+  {
+    name: "Mock (Templated text without a model, for testing)",
+    value: "mock",
+  },
+];
+
+/**
+ * @constant {Array<Object>}
+ * @type {Array}
+ * @description Known OpenAI-compatible servers and the base URL they listen
+ * on by default
+ * @property {string} name - Human-readable server name
+ * @property {string} value - Base URL of the server's OpenAI-compatible API
+ */
+export const LOCAL_CHAT_SERVERS = [
+  { name: "Ollama", value: "http://localhost:11434/v1" },
+  { name: "llama.cpp server", value: "http://localhost:8080/v1" },
+  { name: "LM Studio", value: "http://localhost:1234/v1" },
+];
+
+/**
+ * @constant {Object}
+ * @type {Object}
+ * @description Default settings of the OpenAI-compatible provider
+ * @property {string} baseUrl - Base URL of the server (Ollama by default)
+ * @property {number} timeout - Request timeout in milliseconds
+ * @property {Object} defaults - Default generation parameters
+ */
+export const OPENAI_COMPATIBLE_DEFAULTS = {
+  baseUrl: "http://localhost:11434/v1",
+  timeout: 600000, // local models on a laptop can take minutes per chapter
+  defaults: {
+    temperature: 0.7,
+    top_p: 1.0,
+    frequency_penalty: 0,
+    presence_penalty: 0,
+  },
+};
+
+/**
+ * @constant {string}
+ * @description Environment variable with the API key for OpenAI-compatible
+ * servers that require one (e.g. llama.cpp started with --api-key)
+ */
+export const OPENAI_COMPATIBLE_API_KEY_ENV = "OPENAI_COMPATIBLE_API_KEY";
+
+/**
+ * @constant {Object}
+ * @type {Object}
+ * @description Chat configuration of books using the mock provider. The mock
+ * ignores generation parameters; they are kept so the book state has the
+ * same shape as with a real model.
+ */
+export const MOCK_CHAT_CONFIG = {
+  provider: "mock",
+  chatModel: "mock",
+  temperature: 0.7,
+  top_p: 1.0,
+  frequency_penalty: 0,
+  presence_penalty: 0,
+};
+
+/**
+ * @constant {Object}
+ * @type {Object}
+ * @description Chat configuration used when none is given
+ */
+export const DEFAULT_CHAT_CONFIG = {
+  provider: "openai",
+  chatModel: "gpt-4",
+  temperature: 0.7,
+};
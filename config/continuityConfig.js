@@ -0,0 +1,38 @@
+/**
+ * @file Story continuity configuration constants
+ * @module continuityConfig
+ * @requires none
+ * @exports {STORY_CONTEXT_TOKENS, SUMMARY_MAX_TOKENS}
+ *
+ * @description This module defines how much of the story so far is passed
+ * to each chapter prompt. Every accepted chapter gets a short summary and
+ * character list; a chapter prompt includes the summaries of the accepted
+ * chapters before it, newest first, until the token budget is used up.
+ *
+ * @functions
+ * - None
+ *
+ * @constants
+ * - STORY_CONTEXT_TOKENS: Token budget for previous chapters in a prompt
+ * - SUMMARY_MAX_TOKENS: Longest summary the model may write
+ *
+ * @flow
+ * 1. Define the prompt window
+ * 2. Define the summary length
+ *
+ * @error Handling
+ * - None, this is a static data module
+ */
+
+/**
+ * @constant {number}
+ * @description Estimated tokens of previous chapter summaries included in a
+ * chapter prompt. The nearest earlier chapter is always included.
+ */
+export const STORY_CONTEXT_TOKENS = 800;
+
+/**
+ * @constant {number}
+ * @description Maximum completion tokens of a chapter summary request
+ */
+export const SUMMARY_MAX_TOKENS = 300;
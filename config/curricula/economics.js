@@ -1,14 +1,16 @@
 /**
  * @file Economics book content
- * @module chapters
- * @exports BOOK_CONTENT
+ * @module curricula/economics
+ * @exports {CURRICULUM, BOOK_CONTENT}
  *
  * @description This module defines the structured economics content
- * used to generate the educational book.
+ * used to generate the educational book. It is registered as the
+ * "economics" curriculum (the file name is its id).
  *
  * @functions
  *
  * @constants
+ * - CURRICULUM: Title and description shown when choosing a curriculum
  * - BOOK_CONTENT: Array of chapter categories with topics
  *
  * @flow
@@ -20,6 +22,16 @@
  * - None, this is a static data module
  */
 
+/**
+ * @constant {{title: string, description: string}}
+ * @description Title and description shown when choosing a curriculum
+ */
+export const CURRICULUM = {
+  title: "Economics",
+  description:
+    "Businesses, money, saving, trade and the basic economic ideas children meet every day",
+};
+
 /**
  * @constant {Array<Object>}
  * @type {Array}
@@ -34,10 +46,11 @@
  *     - title: display name for the topic
  *     - example: child-friendly illustrative scenario
  *     - summary: short explanation of the concept
+ *     - featuring (optional): secondary characters (friends, siblings, pet),
+ *       places and interests of the story variables the chapter features;
+ *       a group left out features all of its entries
  */
 
-// TODO - create a config/chapters/ folder where store multiple chapters
-
 export const BOOK_CONTENT = [
   {
     id: "basicConcepts",
@@ -0,0 +1,47 @@
+/**
+ * @file Curriculum registry configuration constants
+ * @module curriculumConfig
+ * @requires none
+ * @exports {CURRICULA_DIR, DEFAULT_CURRICULUM_FILE, DEFAULT_CURRICULUM_ID}
+ *
+ * @description This module defines where curricula are discovered. Every
+ * `.js` file in the curricula folder is a curriculum named after the file;
+ * the global config/chapters.js, when present, is the "default" curriculum.
+ * Each file exports BOOK_CONTENT (see config/schemas/chapters.schema.json)
+ * and optionally CURRICULUM ({ title, description }).
+ *
+ * @functions
+ * - None
+ *
+ * @constants
+ * - CURRICULA_DIR: Folder (inside config/) holding curriculum files
+ * - DEFAULT_CURRICULUM_FILE: Global curriculum file (inside config/)
+ * - DEFAULT_CURRICULUM_ID: Id of the global curriculum
+ *
+ * @flow
+ * 1. Define the curricula folder
+ * 2. Define the global curriculum file and its id
+ *
+ * @error Handling
+ * - None, this is a static data module
+ */
+
+/**
+ * @constant {string}
+ * @description Folder inside config/ holding one file per curriculum
+ */
+export const CURRICULA_DIR = "curricula";
+
+/**
+ * @constant {string}
+ * @description Global curriculum file inside config/ (created by
+ * `npm run cp:config`)
+ */
+export const DEFAULT_CURRICULUM_FILE = "chapters.js";
+
+/**
+ * @constant {string}
+ * @description Id of the curriculum in DEFAULT_CURRICULUM_FILE, used when a
+ * book does not choose one
+ */
+export const DEFAULT_CURRICULUM_ID = "default";
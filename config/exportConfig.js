@@ -0,0 +1,233 @@
+/**
+ * @file Book export configuration constants
+ * @module exportConfig
+ * @requires none
+ * @exports {PDF_TRIM_SIZES, PDF_FONTS, DEFAULT_PDF_OPTIONS, EPUB_LAYOUTS, DEFAULT_EPUB_OPTIONS, HTML_THEMES, HTML_STYLE_THEMES, DEFAULT_HTML_OPTIONS}
+ *
+ * @description This module defines the page sizes, fonts and layout defaults
+ * used when exporting a book to print-ready formats. Each book can override
+ * the layout in the `exportConfig` section of its book-state.json.
+ *
+ * @functions
+ * - None
+ *
+ * @constants
+ * - PDF_TRIM_SIZES: Available PDF trim sizes in points
+ * - PDF_FONTS: Built-in PDF fonts used for each text role
+ * - DEFAULT_PDF_OPTIONS: Default PDF layout options
+ * - EPUB_LAYOUTS: Available EPUB rendition layouts
+ * - DEFAULT_EPUB_OPTIONS: Default EPUB options
+ * - HTML_THEMES: Color and font themes for the HTML site
+ * - HTML_STYLE_THEMES: Theme used for each illustration style
+ * - DEFAULT_HTML_OPTIONS: Default HTML site options
+ *
+ * @flow
+ * 1. Define available trim sizes
+ * 2. Define fonts
+ * 3. Define default PDF layout options
+ * 4. Define EPUB layouts and defaults
+ * 5. Define HTML site themes and defaults
+ *
+ * @error Handling
+ * - None, this is a static data module
+ */
+
+/**
+ * @constant {Object}
+ * @type {Object<string, {name: string, width: number, height: number}>}
+ * @description Available PDF trim sizes, in points (72 points = 1 inch)
+ * @property {string} name - Human-readable size name
+ * @property {number} width - Page width in points
+ * @property {number} height - Page height in points
+ */
+export const PDF_TRIM_SIZES = {
+  "8x8": { name: '8" x 8" (Square picture book)', width: 576, height: 576 },
+  "8.5x8.5": {
+    name: '8.5" x 8.5" (Large square picture book)',
+    width: 612,
+    height: 612,
+  },
+  "8x10": { name: '8" x 10" (Portrait picture book)', width: 576, height: 720 },
+  "10x8": {
+    name: '10" x 8" (Landscape picture book)',
+    width: 720,
+    height: 576,
+  },
+  "6x9": { name: '6" x 9" (Chapter book)', width: 432, height: 648 },
+  letter: { name: "US Letter (Home printing)", width: 612, height: 792 },
+  a4: { name: "A4 (Home printing)", width: 595.28, height: 841.89 },
+};
+
+/**
+ * @constant {Object}
+ * @type {Object<string, string>}
+ * @description Built-in PDF fonts used for each text role
+ */
+export const PDF_FONTS = {
+  title: "Helvetica-Bold",
+  heading: "Helvetica-Bold",
+  body: "Times-Roman",
+  caption: "Helvetica",
+};
+
+/**
+ * @constant {Object}
+ * @type {Object}
+ * @description Default PDF layout options
+ * @property {string} trimSize - Key of PDF_TRIM_SIZES
+ * @property {number} margin - Page margin in inches
+ * @property {number} fontSize - Body text size in points
+ * @property {number} imageMaxHeight - Maximum share of the content height an illustration may use [0.0-1.0]
+ */
+export const DEFAULT_PDF_OPTIONS = {
+  trimSize: "8.5x8.5",
+  margin: 0.5, // inches, most print services require at least 0.5"
+  fontSize: 14, // large enough for early readers
+  imageMaxHeight: 0.6,
+};
+
+/**
+ * @constant {Array<Object>}
+ * @type {Array}
+ * @description Available EPUB rendition layouts
+ * @property {string} name - Human-readable layout name with description
+ * @property {string} value - Layout identifier
+ */
+export const EPUB_LAYOUTS = [
+  {
+    name: "Reflowable (Text adapts to any screen, best for e-readers)",
+    value: "reflowable",
+  },
+  {
+    name: "Fixed layout (Picture-book pages, best for tablets)",
+    value: "fixed",
+  },
+];
+
+/**
+ * @constant {Object}
+ * @type {Object}
+ * @description Default EPUB options
+ * @property {string} layout - Value of EPUB_LAYOUTS
+ * @property {string} language - BCP 47 language tag of the book
+ * @property {string} author - Author shown by reading apps (empty = omitted)
+ * @property {{width: number, height: number}} viewport - Fixed-layout page size in CSS pixels
+ * @property {number} wordsPerPage - Fixed-layout words per text page
+ */
+export const DEFAULT_EPUB_OPTIONS = {
+  layout: "reflowable",
+  language: "en",
+  author: "",
+  viewport: { width: 1024, height: 1024 },
+  wordsPerPage: 120, // keeps large print inside the fixed page
+};
+
+/**
+ * @constant {Object}
+ * @type {Object<string, Object>}
+ * @description Color and font themes for the HTML site. Fonts are system
+ * font stacks so the site works offline.
+ * @property {string} background - Page background color
+ * @property {string} text - Body text color
+ * @property {string} accent - Headings, links and buttons
+ * @property {string} headingFont - CSS font stack for headings
+ * @property {string} bodyFont - CSS font stack for the story text
+ */
+export const HTML_THEMES = {
+  classic: {
+    background: "#fffaf0",
+    text: "#2d2a26",
+    accent: "#e07a5f",
+    headingFont: "'Trebuchet MS', 'Gill Sans', sans-serif",
+    bodyFont: "Georgia, 'Times New Roman', serif",
+  },
+  soft: {
+    background: "#f7f4ef",
+    text: "#3b3a36",
+    accent: "#5b8db8",
+    headingFont: "Georgia, 'Times New Roman', serif",
+    bodyFont: "Georgia, 'Times New Roman', serif",
+  },
+  bold: {
+    background: "#ffffff",
+    text: "#1d1d1f",
+    accent: "#ff6b35",
+    headingFont: "'Arial Rounded MT Bold', 'Trebuchet MS', sans-serif",
+    bodyFont: "'Trebuchet MS', Verdana, sans-serif",
+  },
+  retro: {
+    background: "#f3e9d2",
+    text: "#4a3f35",
+    accent: "#c8553d",
+    headingFont: "'Palatino Linotype', Palatino, serif",
+    bodyFont: "'Palatino Linotype', Palatino, serif",
+  },
+  dark: {
+    background: "#1f2a2c",
+    text: "#f1f1ec",
+    accent: "#f2c14e",
+    headingFont: "'Chalkboard SE', 'Comic Sans MS', sans-serif",
+    bodyFont: "Verdana, sans-serif",
+  },
+  pixel: {
+    background: "#101820",
+    text: "#fefefe",
+    accent: "#7cfc00",
+    headingFont: "'Courier New', monospace",
+    bodyFont: "Verdana, sans-serif",
+  },
+};
+
+/**
+ * @constant {Object}
+ * @type {Object<string, string>}
+ * @description Theme used for each illustration style (see imageStyles.js).
+ * Styles not listed use the "classic" theme.
+ */
+export const HTML_STYLE_THEMES = {
+  storybook: "classic",
+  ghibli: "soft",
+  watercolor: "soft",
+  "colored-pencil": "soft",
+  "ink-and-wash": "soft",
+  painting: "soft",
+  fantasy: "soft",
+  "art-nouveau": "soft",
+  "traditional-japan": "soft",
+  clay: "bold",
+  "flat-vector": "bold",
+  cutout: "bold",
+  "gouache-poster": "bold",
+  "whimsical-doodle": "bold",
+  "linocut-print": "bold",
+  "mixed-media": "bold",
+  "fuzzy-felt": "bold",
+  vector: "bold",
+  cartoon: "bold",
+  comic: "bold",
+  "3d": "bold",
+  "low-poly": "bold",
+  origami: "bold",
+  "digital-art": "bold",
+  "vintage-storybook": "retro",
+  vintage: "retro",
+  "70s-vibe": "retro",
+  chalkboard: "dark",
+  dark: "dark",
+  cyberpunk: "dark",
+  surreal: "dark",
+  pixelart: "pixel",
+  "pixel-art": "pixel",
+};
+
+/**
+ * @constant {Object}
+ * @type {Object}
+ * @description Default HTML site options
+ * @property {string} language - BCP 47 language tag of the book
+ * @property {string|null} style - Illustration style for the theme (null = the book's imageStyle)
+ */
+export const DEFAULT_HTML_OPTIONS = {
+  language: "en",
+  style: null,
+};
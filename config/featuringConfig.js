@@ -0,0 +1,57 @@
+/**
+ * @file Chapter featuring configuration constants
+ * @module featuringConfig
+ * @requires none
+ * @exports {FEATURED_CHARACTERS, FEATURED_SECTIONS, ALWAYS_FEATURED}
+ *
+ * @description This module defines which story variables a chapter (or a
+ * curriculum topic) can feature or leave out through its `featuring`
+ * setting. Secondary characters are chosen by role; places and interests
+ * are chosen one by one. Everything else in the story variables (the
+ * protagonist, family, circumstances) is part of every chapter.
+ *
+ * @functions
+ * - None
+ *
+ * @constants
+ * - FEATURED_CHARACTERS: Secondary character roles and their story variables
+ * - FEATURED_SECTIONS: Story variable sections whose entries are chosen one by one
+ * - ALWAYS_FEATURED: Entries of those sections every chapter keeps
+ *
+ * @flow
+ * 1. Define the character roles
+ * 2. Define the sections chosen entry by entry
+ * 3. Define the entries that are never left out
+ *
+ * @error Handling
+ * - None, this is a static data module
+ */
+
+/**
+ * @constant {Object<string, {label: string, variables: string[]}>}
+ * @description Secondary character roles, with the keys of
+ * `storyVariables.characters` that describe them
+ */
+export const FEATURED_CHARACTERS = {
+  friends: { label: "Friends", variables: ["friendsNames"] },
+  siblings: { label: "Siblings", variables: ["siblingsNamesAges"] },
+  pet: { label: "Pet", variables: ["petName", "petType"] },
+};
+
+/**
+ * @constant {Object<string, string>}
+ * @description Story variable sections whose entries a chapter features one
+ * by one, with their labels
+ */
+export const FEATURED_SECTIONS = {
+  places: "Places",
+  interests: "Interests",
+};
+
+/**
+ * @constant {Object<string, string[]>}
+ * @description Entries of the featured sections that every chapter keeps
+ */
+export const ALWAYS_FEATURED = {
+  places: ["cityName"],
+};
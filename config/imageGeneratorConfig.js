@@ -2,7 +2,7 @@
  * @file Image generation configuration constants
  * @module imageGeneratorConfig
  * @requires none
- * @exports {IMAGE_PROVIDERS, OPENAI_CHAT_MODELS, OPENAI_IMAGE_MODELS, IMAGE_SIZES, MYSTIC_MODELS, MYSTIC_ENGINES}
+ * @exports {IMAGE_PROVIDERS, OPENAI_CHAT_MODELS, OPENAI_IMAGE_MODELS, IMAGE_SIZES, MYSTIC_MODELS, MYSTIC_ENGINES, MOCK_IMAGE_SIZE}
  *
  * @description This module defines the available image generation providers and their configurations
  * used for generating book illustrations.
@@ -17,11 +17,13 @@
  * - IMAGE_SIZES: Available image sizes for each OpenAI model with aspect ratios
  * - MYSTIC_MODELS: Available Freepik Mystic models
  * - MYSTIC_ENGINES: Available Freepik Mystic engines
+ * - MOCK_IMAGE_SIZE: Size of the mock provider's placeholder images
  *
  * @flow
  * 1. Define available image generation providers
  * 2. Define OpenAI-specific configurations
  * 3. Define Mystic-specific configurations
+ * 4. Define mock provider settings
  *
  * @error Handling
  * - None, this is a static data module
@@ -36,13 +38,17 @@
  */
 export const IMAGE_PROVIDERS = [
   {
-    name: "OpenAI DALL-E (Traditional illustration styles)",
+    name: "OpenAI DALL-E and GPT Image (Traditional illustration styles)",
     value: "openai",
   },
   {
     name: "Freepik Mystic (Modern and artistic styles)",
     value: "mystic",
   },
+  {
+    name: "Mock (Offline placeholder images, for testing)",
+    value: "mock",
+  },
 ];
 
 /**
@@ -93,6 +99,10 @@ export const OPENAI_CHAT_MODELS = [
  * @property {string} name - Human-readable model name with description
  * @property {string} value - API model identifier
  * @property {string} defaultSize - Default image size for this model
+ * @property {string} [quality] - Quality requested from the API (priced in
+ * pricingConfig.js)
+ * @property {boolean} [supportsReferences] - Whether the model can draw from
+ * reference images, such as character reference sheets
  */
 export const OPENAI_IMAGE_MODELS = [
   {
@@ -100,6 +110,13 @@ export const OPENAI_IMAGE_MODELS = [
     value: "dall-e-3",
     defaultSize: "1024x1024",
   },
+  {
+    name: "GPT Image 1 (Draws characters from their reference sheets)",
+    value: "gpt-image-1",
+    defaultSize: "1024x1024",
+    quality: "medium",
+    supportsReferences: true,
+  },
   {
     name: "DALL-E 2 (Faster, less expensive)",
     value: "dall-e-2",
@@ -122,6 +139,11 @@ export const IMAGE_SIZES = {
     { name: "1792x1024 (Landscape)", value: "1792x1024", aspect: "landscape" },
     { name: "1024x1792 (Portrait)", value: "1024x1792", aspect: "portrait" },
   ],
+  "gpt-image-1": [
+    { name: "1024x1024 (Square)", value: "1024x1024", aspect: "square" },
+    { name: "1536x1024 (Landscape)", value: "1536x1024", aspect: "landscape" },
+    { name: "1024x1536 (Portrait)", value: "1024x1536", aspect: "portrait" },
+  ],
   "dall-e-2": [
     { name: "256x256 (Small)", value: "256x256", aspect: "square" },
     { name: "512x512 (Medium)", value: "512x512", aspect: "square" },
@@ -192,3 +214,9 @@ export const MYSTIC_ENGINES = [
       "Good for realistic images. A middle ground between Illusio and Sharpy.",
   },
 ];
+
+/**
+ * @constant {number}
+ * @description Width and height in pixels of the mock provider's placeholder images
+ */
+export const MOCK_IMAGE_SIZE = 512;
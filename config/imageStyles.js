@@ -2,26 +2,32 @@
  * @file Image style configuration and prompt generation
  * @module imageStyles
  * @requires none
- * @exports {DEFAULT_IMAGE_STYLE_PROMPT, IMAGE_STYLE_PRESETS, getIllustrationPrompt}
+ * @exports {DEFAULT_IMAGE_STYLE_PROMPT, IMAGE_STYLE_PRESETS, COLOR_PALETTES, LINE_QUALITIES, DEFAULT_CHAPTER_PRESETS, getIllustrationPrompt}
  *
  * @description This module defines the available illustration styles, scene composition
- * presets, and helper functions for generating image prompts.
+ * presets, the palettes and line qualities of a book's art direction, and helper
+ * functions for generating image prompts.
  *
  * @functions
- * - getIllustrationPrompt: Assembles a full prompt using base style, scene preset and description
+ * - getIllustrationPrompt: Assembles a full prompt using base style, palette, line quality,
+ *   scene preset and description
  *
  * @constants
  * - DEFAULT_IMAGE_STYLE_PROMPT: Named default visual styles for illustration prompts
  * - IMAGE_STYLE_PRESETS: Recommended scene composition presets to guide illustration style
+ * - COLOR_PALETTES: Color palettes a book's illustrations can be held to
+ * - LINE_QUALITIES: Line qualities a book's illustrations can be held to
+ * - DEFAULT_CHAPTER_PRESETS: Scene composition used for each chapter type
  *
  * @flow
  * 1. Define base visual styles
  * 2. Define scene composition presets
- * 3. Provide helper function to combine styles and presets into prompts
+ * 3. Define the palettes, line qualities and per-chapter-type presets of an art direction
+ * 4. Provide helper function to combine styles and presets into prompts
  *
  * @error Handling
  * - Fallback to first style if requested style not found
- * - Fallback to empty string if preset not found
+ * - Fallback to empty string if preset, palette or line quality not found
  */
 
 /**
@@ -206,11 +212,6 @@ export const DEFAULT_IMAGE_STYLE_PROMPT = [
     prompt:
       "1970s-inspired illustration style: warm earthy tones (orange, brown, yellow), groovy patterns, vintage typography aesthetics, and nostalgic retro fashion. Evokes disco, hippie, and boho vibes. No text.",
   },
-  {
-    name: "watercolor",
-    prompt:
-      "Soft watercolor illustration style: visible light brushstrokes, beautifully blended transparent colors creating soft gradients, fluid delicate edges, sometimes with fine ink outlines for definition. Evokes warmth, nostalgia, and gentle emotions. Dreamy and ethereal quality. No text.",
-  },
   {
     name: "art-nouveau",
     prompt:
@@ -374,13 +375,105 @@ export const IMAGE_STYLE_PRESETS = {
   },
 };
 
+/**
+ * @constant {Object}
+ * @type {Object}
+ * @description Color palettes a book's illustrations can be held to. The
+ * "style" palette adds nothing and keeps the colors the style prompt asks for.
+ * @property {Object} palette - Each palette configuration
+ * @property {string} palette.name - Human-readable name of the palette
+ * @property {string} palette.promptAddon - Text appended to the base style prompt
+ */
+export const COLOR_PALETTES = {
+  style: {
+    name: "Style's own colors",
+    promptAddon: "",
+  },
+  warm: {
+    name: "Warm colors",
+    promptAddon:
+      "Color palette: warm golden yellows, soft oranges and rosy reds, cozy lighting.",
+  },
+  cool: {
+    name: "Cool colors",
+    promptAddon:
+      "Color palette: calm blues, teals and soft greens, gentle daylight.",
+  },
+  pastel: {
+    name: "Pastel colors",
+    promptAddon:
+      "Color palette: light pastel pinks, mint, lavender and butter yellow, low contrast.",
+  },
+  vibrant: {
+    name: "Vibrant colors",
+    promptAddon:
+      "Color palette: bold saturated primary colors with strong contrast.",
+  },
+  earthy: {
+    name: "Earthy colors",
+    promptAddon:
+      "Color palette: muted earth tones, ochre, olive, terracotta and warm browns.",
+  },
+};
+
+/**
+ * @constant {Object}
+ * @type {Object}
+ * @description Line qualities a book's illustrations can be held to. The
+ * "style" line quality adds nothing and keeps the lines the style prompt asks for.
+ * @property {Object} lineQuality - Each line quality configuration
+ * @property {string} lineQuality.name - Human-readable name of the line quality
+ * @property {string} lineQuality.promptAddon - Text appended to the base style prompt
+ */
+export const LINE_QUALITIES = {
+  style: {
+    name: "Style's own lines",
+    promptAddon: "",
+  },
+  clean: {
+    name: "Clean lines",
+    promptAddon: "Line work: clean, even outlines of constant width.",
+  },
+  sketchy: {
+    name: "Sketchy lines",
+    promptAddon:
+      "Line work: loose, sketchy pencil lines with visible construction strokes.",
+  },
+  bold: {
+    name: "Bold outlines",
+    promptAddon: "Line work: thick, bold outlines around every shape.",
+  },
+  soft: {
+    name: "Soft, no outlines",
+    promptAddon:
+      "Line work: no outlines, shapes defined by soft color and shading.",
+  },
+};
+
+/**
+ * @constant {Object}
+ * @type {Object}
+ * @description Scene composition (IMAGE_STYLE_PRESETS key) used for each
+ * chapter type when the book's art direction does not choose one. Chapters
+ * with the id "introduction" or "conclusion" have that type; every other
+ * chapter has the type "chapter".
+ */
+export const DEFAULT_CHAPTER_PRESETS = {
+  introduction: "characterIntroduction",
+  chapter: "emotionalCloseUp",
+  conclusion: "celebrationScene",
+};
+
 /**
  * @function getIllustrationPrompt
- * @description Assembles a full prompt using base style, scene preset and description
+ * @description Assembles a full prompt using base style, palette, line quality,
+ * scene preset and description
  * @param {Object} options - Generation options
  * @param {string} options.description - The specific scene or visual to illustrate
  * @param {string} [options.style='storybook'] - One of DEFAULT_IMAGE_STYLE_PROMPT names
- * @param {string} [options.preset='emotionalCloseUp'] - One of IMAGE_STYLE_PRESETS keys
+ * @param {string|null} [options.preset='emotionalCloseUp'] - One of IMAGE_STYLE_PRESETS keys, or null for no composition
+ * @param {string} [options.palette='style'] - One of COLOR_PALETTES keys
+ * @param {string} [options.lineQuality='style'] - One of LINE_QUALITIES keys
  * @returns {string} Full prompt to be used with OpenAI image API
  * @throws {Error} If description is not provided
  * @example
@@ -394,6 +487,8 @@ export function getIllustrationPrompt({
   description,
   style = "storybook",
   preset = "emotionalCloseUp",
+  palette = "style",
+  lineQuality = "style",
 }) {
   if (!description) {
     throw new Error("Description is required for illustration prompt");
@@ -402,7 +497,17 @@ export function getIllustrationPrompt({
   const baseStyle =
     DEFAULT_IMAGE_STYLE_PROMPT.find((s) => s.name === style)?.prompt ||
     DEFAULT_IMAGE_STYLE_PROMPT[0].prompt;
+  const paletteAddon = COLOR_PALETTES[palette]?.promptAddon || "";
+  const lineAddon = LINE_QUALITIES[lineQuality]?.promptAddon || "";
   const presetAddon = IMAGE_STYLE_PRESETS[preset]?.promptAddon || "";
 
-  return `${baseStyle} ${presetAddon} Scene: ${description}`;
+  return [
+    baseStyle,
+    paletteAddon,
+    lineAddon,
+    presetAddon,
+    `Scene: ${description}`,
+  ]
+    .filter(Boolean)
+    .join(" ");
 }
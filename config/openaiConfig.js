@@ -72,6 +72,10 @@ export const OPENAI_CHAT_MODELS = [
  * @property {string} name - Human-readable model name with description
  * @property {string} value - API model identifier
  * @property {string} defaultSize - Default image size for this model
+ * @property {string} [quality] - Quality requested from the API (priced in
+ * pricingConfig.js)
+ * @property {boolean} [supportsReferences] - Whether the model can draw from
+ * reference images, such as character reference sheets
  */
 export const OPENAI_IMAGE_MODELS = [
   {
@@ -79,6 +83,13 @@ export const OPENAI_IMAGE_MODELS = [
     value: "dall-e-3",
     defaultSize: "1024x1024",
   },
+  {
+    name: "GPT Image 1 (Draws characters from their reference sheets)",
+    value: "gpt-image-1",
+    defaultSize: "1024x1024",
+    quality: "medium",
+    supportsReferences: true,
+  },
   {
     name: "DALL-E 2 (Faster, less expensive)",
     value: "dall-e-2",
@@ -101,6 +112,11 @@ export const IMAGE_SIZES = {
     { name: "1792x1024 (Landscape)", value: "1792x1024", aspect: "landscape" },
     { name: "1024x1792 (Portrait)", value: "1024x1792", aspect: "portrait" },
   ],
+  "gpt-image-1": [
+    { name: "1024x1024 (Square)", value: "1024x1024", aspect: "square" },
+    { name: "1536x1024 (Landscape)", value: "1536x1024", aspect: "landscape" },
+    { name: "1024x1536 (Portrait)", value: "1024x1536", aspect: "portrait" },
+  ],
   "dall-e-2": [
     { name: "256x256 (Small)", value: "256x256", aspect: "square" },
     { name: "512x512 (Medium)", value: "512x512", aspect: "square" },
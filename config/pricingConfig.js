@@ -0,0 +1,70 @@
+/**
+ * @file Provider price table for usage accounting
+ * @module pricingConfig
+ * @requires none
+ * @exports {PRICING_CURRENCY, CHAT_PRICING, IMAGE_PRICING}
+ *
+ * @description This module defines what each chat and image call costs, so
+ * the usage recorded in book-state.json can be priced per chapter and per
+ * book. Prices change; check your provider's pricing page and update the
+ * table (or add the models you use). Calls to models that are not listed
+ * are recorded without a cost and reported as unpriced.
+ *
+ * @functions
+ * - None
+ *
+ * @constants
+ * - PRICING_CURRENCY: Currency of all prices
+ * - CHAT_PRICING: Price per million tokens by provider and model
+ * - IMAGE_PRICING: Price per image by provider, model and size
+ *
+ * @flow
+ * 1. Define currency
+ * 2. Define chat and image price tables
+ *
+ * @error Handling
+ * - None, this is a static data module
+ */
+
+/**
+ * @constant {string}
+ * @description Currency of all prices (ISO 4217 code)
+ */
+export const PRICING_CURRENCY = "USD";
+
+/**
+ * @constant {Object<string, Object<string, {prompt: number, completion: number}>>}
+ * @description Price per million prompt and completion tokens, by provider
+ * and model. "*" matches any model of the provider.
+ */
+export const CHAT_PRICING = {
+  openai: {
+    "gpt-4": { prompt: 30, completion: 60 },
+    "gpt-4-turbo-preview": { prompt: 10, completion: 30 },
+    "gpt-3.5-turbo": { prompt: 0.5, completion: 1.5 },
+  },
+  // Local models cost nothing per call
+  "openai-compatible": { "*": { prompt: 0, completion: 0 } },
+  mock: { "*": { prompt: 0, completion: 0 } },
+};
+
+/**
+ * @constant {Object<string, Object<string, Object<string, number>>>}
+ * @description Price per image by provider, model and size (resolution for
+ * Mystic). "*" matches any model or size. Mystic rates are approximate
+ * Freepik API pay-per-use prices; replace them with your plan's rate.
+ */
+export const IMAGE_PRICING = {
+  openai: {
+    "dall-e-3": { "1024x1024": 0.04, "1792x1024": 0.08, "1024x1792": 0.08 },
+    "dall-e-2": { "256x256": 0.016, "512x512": 0.018, "1024x1024": 0.02 },
+    // Medium quality; reference images add input tokens that are not priced here
+    "gpt-image-1": {
+      "1024x1024": 0.042,
+      "1536x1024": 0.063,
+      "1024x1536": 0.063,
+    },
+  },
+  mystic: { "*": { "1k": 0.1, "2k": 0.15, "4k": 0.3, "*": 0.15 } },
+  mock: { "*": { "*": 0 } },
+};
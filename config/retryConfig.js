@@ -0,0 +1,89 @@
+/**
+ * @file Provider retry and rate-limit configuration constants
+ * @module retryConfig
+ * @requires none
+ * @exports {RETRY_POLICY, PROVIDER_CONCURRENCY, RETRYABLE_STATUS_CODES, RETRYABLE_NETWORK_CODES, CREATE_REQUEST_RETRY}
+ *
+ * @description This module defines how chat and image requests are retried
+ * when a provider is rate limited or briefly unreachable, and how many
+ * requests may be in flight per provider at once.
+ *
+ * @functions
+ * - None
+ *
+ * @constants
+ * - RETRY_POLICY: Attempts and backoff delays
+ * - PROVIDER_CONCURRENCY: Requests in flight per provider
+ * - RETRYABLE_STATUS_CODES: HTTP statuses worth retrying
+ * - RETRYABLE_NETWORK_CODES: Network error codes worth retrying
+ * - CREATE_REQUEST_RETRY: Failures worth retrying for requests that start paid work
+ *
+ * @flow
+ * 1. Define backoff policy
+ * 2. Define per-provider concurrency limits
+ * 3. Define which failures are transient
+ * 4. Define which of them cannot have started paid work
+ *
+ * @error Handling
+ * - None, this is a static data module
+ */
+
+/**
+ * @constant {Object}
+ * @type {Object}
+ * @description Attempts and backoff delays for provider requests
+ * @property {number} maxAttempts - Attempts per request, including the first
+ * @property {number} baseDelayMs - Delay before the first retry (doubled per retry)
+ * @property {number} maxDelayMs - Upper bound for a computed backoff delay
+ * @property {number} maxRetryAfterMs - Longest Retry-After that is waited for;
+ * longer waits (exhausted daily quotas) fail instead
+ */
+export const RETRY_POLICY = {
+  maxAttempts: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxRetryAfterMs: 120000,
+};
+
+/**
+ * @constant {Object<string, number>}
+ * @description Requests in flight at once per provider. Local servers
+ * usually run one model at a time.
+ */
+export const PROVIDER_CONCURRENCY = {
+  openai: 2,
+  "openai-compatible": 1,
+  mystic: 2,
+};
+
+/**
+ * @constant {number[]}
+ * @description HTTP statuses that indicate a transient failure
+ */
+export const RETRYABLE_STATUS_CODES = [408, 409, 425, 429, 500, 502, 503, 504];
+
+/**
+ * @constant {string[]}
+ * @description Network error codes that indicate a transient failure
+ */
+export const RETRYABLE_NETWORK_CODES = [
+  "ECONNRESET",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+];
+
+/**
+ * @constant {{statusCodes: number[], networkCodes: string[]}}
+ * @description Failures retried for requests that start paid work, such as
+ * creating a Mystic task. Only failures where the server cannot have
+ * accepted the request are retried: a timeout or a 5xx may come after the
+ * task was created, and repeating the request would pay for a second one.
+ */
+export const CREATE_REQUEST_RETRY = {
+  statusCodes: [429],
+  networkCodes: ["ECONNREFUSED"],
+};
@@ -36,7 +36,7 @@ export const STORY_VARIABLES = {
   characters: {
     protagonistName: "Bart Simpson",
     protagonistAge: "10",
-    protagonistGender: "boy",
+    protagonistGender: "male",
     friendsNames: ["Milhouse Van Houten", "Nelson Muntz", "Martin Prince"],
     siblingsNamesAges: [
       ["Lisa", "8"],
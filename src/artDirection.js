@@ -0,0 +1,202 @@
+/**
+ * @file Book-wide art direction of illustrations
+ * @module artDirection
+ * @requires ../config/imageStyles - For the styles, palettes, line qualities and presets
+ * @exports {getChapterType, resolveArtDirection, resolveChapterArt, describeArtDirection}
+ *
+ * @description A book's art direction keeps its illustrations looking like
+ * one book: a single style from DEFAULT_IMAGE_STYLE_PROMPT, a color palette
+ * and a line quality used by every illustration and reference sheet, and a
+ * scene composition preset for each chapter type. It is stored flat in the
+ * book's `imageConfig` (`imageStyle`, `palette`, `lineQuality`,
+ * `chapterPresets`). A chapter may override the style and preset with its
+ * `artOverride`; a run may force both with the `--style`/`--preset` flags or
+ * the batch rules.
+ *
+ * @functions
+ * - getChapterType: Chapter type used to choose the preset
+ * - resolveArtDirection: The book's art direction, with defaults filled in
+ * - resolveChapterArt: Style, preset, palette and line quality of one chapter
+ * - describeArtDirection: One-line summary for menus and messages
+ *
+ * @flow
+ * 1. Read the book's art direction from its image configuration
+ * 2. Fill in the defaults for anything missing or unknown
+ * 3. Apply the chapter's override, then any style or preset forced by the run
+ *
+ * @error Handling
+ * - Unknown styles, palettes, line qualities and presets fall back to the defaults
+ */
+
+import {
+  DEFAULT_IMAGE_STYLE_PROMPT,
+  IMAGE_STYLE_PRESETS,
+  COLOR_PALETTES,
+  LINE_QUALITIES,
+  DEFAULT_CHAPTER_PRESETS,
+} from "../config/imageStyles.js";
+
+/**
+ * @function getChapterType
+ * @description Returns the chapter type that chooses the default preset
+ *
+ * @param {Object} chapter - Chapter object
+ *
+ * @returns {"introduction"|"chapter"|"conclusion"} Chapter type
+ *
+ * @example
+ * getChapterType({ id: "conclusion" });
+ * // Returns: "conclusion"
+ */
+function getChapterType(chapter) {
+  return chapter.id === "introduction" || chapter.id === "conclusion"
+    ? chapter.id
+    : "chapter";
+}
+
+/**
+ * @function pick
+ * @private
+ * @description Returns the value if it is one of the known keys, else the fallback
+ *
+ * @param {string|undefined} value - Stored value
+ * @param {Function} isKnown - Returns true for known values
+ * @param {string} fallback - Default value
+ *
+ * @returns {string} Known value or fallback
+ *
+ * @example
+ * pick("neon", (key) => key in COLOR_PALETTES, "style");
+ * // Returns: "style"
+ */
+function pick(value, isKnown, fallback) {
+  return value && isKnown(value) ? value : fallback;
+}
+
+// Known style names and preset keys
+const isStyle = (name) =>
+  DEFAULT_IMAGE_STYLE_PROMPT.some((s) => s.name === name);
+const isPreset = (key) => Boolean(IMAGE_STYLE_PRESETS[key]);
+
+/**
+ * @function resolveArtDirection
+ * @description Returns a book's art direction with defaults filled in for
+ * anything missing or unknown, so books made before the art direction
+ * existed keep working
+ *
+ * @param {Object|null} imageConfig - The book's image configuration
+ *
+ * @returns {{style: string, palette: string, lineQuality: string, chapterPresets: Object}}
+ * Art direction
+ *
+ * @example
+ * resolveArtDirection({ provider: "mock", imageStyle: "watercolor" });
+ * // Returns: { style: "watercolor", palette: "style", lineQuality: "style",
+ * //   chapterPresets: { introduction: "characterIntroduction", chapter: "emotionalCloseUp", conclusion: "celebrationScene" } }
+ */
+function resolveArtDirection(imageConfig) {
+  const presets = imageConfig?.chapterPresets ?? {};
+  return {
+    style: pick(
+      imageConfig?.imageStyle,
+      isStyle,
+      DEFAULT_IMAGE_STYLE_PROMPT[0].name
+    ),
+    palette: pick(
+      imageConfig?.palette,
+      (key) => Boolean(COLOR_PALETTES[key]),
+      "style"
+    ),
+    lineQuality: pick(
+      imageConfig?.lineQuality,
+      (key) => Boolean(LINE_QUALITIES[key]),
+      "style"
+    ),
+    chapterPresets: Object.fromEntries(
+      Object.entries(DEFAULT_CHAPTER_PRESETS).map(([type, preset]) => [
+        type,
+        pick(presets[type], isPreset, preset),
+      ])
+    ),
+  };
+}
+
+/**
+ * @function resolveChapterArt
+ * @description Returns the style, preset, palette and line quality of a
+ * chapter's illustration. The style and preset come from the run when it
+ * forces them, then from the chapter's override, then from the book's art
+ * direction; the palette and line quality always come from the book.
+ *
+ * @param {Object} chapter - Chapter to illustrate
+ * @param {Object} bookState - The current book state
+ * @param {Object} [forced={}] - Style and preset forced by the run
+ * @param {string|null} [forced.style] - Style name
+ * @param {string|null} [forced.preset] - Preset key
+ *
+ * @returns {{style: string, preset: string, palette: string, lineQuality: string, source: string}}
+ * Chapter art, with the source of its style and preset ('book', 'chapter' or 'run')
+ *
+ * @example
+ * resolveChapterArt({ id: "introduction" }, bookState);
+ * // Returns: { style: "storybook", preset: "characterIntroduction", palette: "warm", lineQuality: "style", source: "book" }
+ */
+function resolveChapterArt(chapter, bookState, forced = {}) {
+  const book = resolveArtDirection(bookState.imageConfig);
+  const override = chapter.artOverride ?? {};
+  const bookPreset = book.chapterPresets[getChapterType(chapter)];
+
+  const chapterStyle = pick(override.style, isStyle, book.style);
+  const chapterPreset = pick(override.preset, isPreset, bookPreset);
+  const style = pick(forced.style, isStyle, chapterStyle);
+  const preset = pick(forced.preset, isPreset, chapterPreset);
+
+  let source = "book";
+  if (chapterStyle !== book.style || chapterPreset !== bookPreset) {
+    source = "chapter";
+  }
+  if (style !== chapterStyle || preset !== chapterPreset) source = "run";
+
+  return {
+    style,
+    preset,
+    palette: book.palette,
+    lineQuality: book.lineQuality,
+    source,
+  };
+}
+
+/**
+ * @function describeArtDirection
+ * @description Formats a style, palette, line quality and optional preset
+ * on one line
+ *
+ * @param {Object} art - Art direction or chapter art
+ * @param {string} art.style - Style name
+ * @param {string} art.palette - Palette key
+ * @param {string} art.lineQuality - Line quality key
+ * @param {string} [art.preset] - Preset key
+ *
+ * @returns {string} Summary
+ *
+ * @example
+ * describeArtDirection({ style: "watercolor", palette: "pastel", lineQuality: "style", preset: "nightScene" });
+ * // Returns: "watercolor, Pastel colors, Style's own lines, Night Scene"
+ */
+function describeArtDirection({ style, palette, lineQuality, preset }) {
+  return [
+    style,
+    COLOR_PALETTES[palette]?.name ?? palette,
+    LINE_QUALITIES[lineQuality]?.name ?? lineQuality,
+    preset ? (IMAGE_STYLE_PRESETS[preset]?.name ?? preset) : null,
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+export {
+  getChapterType,
+  resolveArtDirection,
+  resolveChapterArt,
+  describeArtDirection,
+};
@@ -0,0 +1,348 @@
+/**
+ * @file Character bible for consistent illustrations
+ * @module characterBible
+ * @requires none
+ * @exports {buildCharacterBible, syncCharacterBible, getCharacterBible, detectSceneCharacters, describeCharacter, describeSceneCharacters}
+ *
+ * @description This module keeps a book's characters looking the same in
+ * every illustration. The character bible lists each character of the story
+ * variables (and any character added by hand) with a name, role, age,
+ * appearance, clothing and signature props. Image prompts only describe the
+ * characters found in the illustrated scene.
+ *
+ * @functions
+ * - storyCharacters: Lists the characters of the story variables
+ * - buildCharacterBible: Creates a bible from the story variables
+ * - sameName: Compares two names, ignoring case and spacing
+ * - syncCharacterBible: Follows changed story variables, keeping descriptions
+ * - getCharacterBible: Returns a book's bible, or one built from its variables
+ * - characterNames: Names a character can be mentioned by
+ * - detectSceneCharacters: Finds the characters mentioned in a scene
+ * - describeCharacter: Formats one character's visual description
+ * - describeSceneCharacters: Formats the characters of a scene for an image prompt
+ *
+ * @constants
+ * - HONORIFICS: Titles that are not used as a first name
+ *
+ * @flow
+ * 1. The bible is built from the story variables when a book is created
+ * 2. The user fills in appearance, clothing and props
+ * 3. When the story variables change, each character keeps its entry and id
+ *    (and with it its reference sheet), found by name within its role
+ * 4. Each image prompt describes the characters mentioned in its scene
+ *
+ * @error Handling
+ * - Missing story variables: Characters without a name are left out
+ * - Scenes naming nobody: The protagonist is described
+ */
+
+/**
+ * @constant
+ * @type {string[]}
+ * @description Titles that are not used as a first name when matching
+ * characters in a scene ("Mrs. Krabappel" is not matched by "Mrs")
+ * @readonly
+ */
+const HONORIFICS = ["mr", "mrs", "ms", "miss", "mx", "dr"];
+
+/**
+ * @function storyCharacters
+ * @private
+ * @description Lists the characters of the story variables with ids made
+ * of their role and position. These are the ids of a new bible; later
+ * changes keep the ids already given (see syncCharacterBible).
+ *
+ * @param {Object} [storyVariables={}] - The book's story variables
+ *
+ * @returns {Array<{id: string, name: string, role: string, age: string|null}>}
+ * Characters in story variable order
+ *
+ * @example
+ * storyCharacters(storyVariables)[1];
+ * // Returns: { id: "friend-1", name: "Milhouse Van Houten", role: "friend", age: null }
+ */
+function storyCharacters(storyVariables = {}) {
+  const characters = storyVariables.characters ?? {};
+  const family = storyVariables.familyAndEmotions ?? {};
+  const list = (role, names) =>
+    (names ?? []).map((entry, index) => {
+      const [name, age] = Array.isArray(entry) ? entry : [entry, null];
+      return { id: `${role}-${index + 1}`, name, role, age: age ?? null };
+    });
+
+  return [
+    {
+      id: "protagonist",
+      name: characters.protagonistName,
+      role: "protagonist",
+      age: characters.protagonistAge ?? null,
+    },
+    ...list("friend", characters.friendsNames),
+    ...list("sibling", characters.siblingsNamesAges),
+    { id: "pet", name: characters.petName, role: "pet", age: null },
+    ...list("parent", family.parentsNames),
+    ...list("grandparent", family.grandparentsNames),
+    {
+      id: "teacher",
+      name: family.favoriteTeacherName,
+      role: "teacher",
+      age: null,
+    },
+  ].filter((character) => character.name);
+}
+
+/**
+ * @function buildCharacterBible
+ * @description Creates a character bible from the story variables. Known
+ * visual details are filled in: the protagonist's favorite clothing and the
+ * pet's type, whose last word ("dog") also finds the pet in a scene.
+ *
+ * @param {Object} [storyVariables={}] - The book's story variables
+ *
+ * @returns {Array<Object>} Bible entries ({id, name, role, age, appearance,
+ * clothing, props, aliases})
+ *
+ * @example
+ * bookState.characterBible = buildCharacterBible(storyVariables);
+ */
+function buildCharacterBible(storyVariables = {}) {
+  return storyCharacters(storyVariables).map((character) => ({
+    ...character,
+    appearance:
+      character.role === "pet"
+        ? (storyVariables.characters?.petType ?? "")
+        : "",
+    clothing:
+      character.role === "protagonist"
+        ? (storyVariables.circumstantialDetails?.favoriteClothing ?? "")
+        : "",
+    props: [],
+    aliases:
+      character.role === "pet" && storyVariables.characters?.petType
+        ? [storyVariables.characters.petType.trim().split(/\s+/).at(-1)]
+        : [],
+  }));
+}
+
+/**
+ * @function sameName
+ * @private
+ * @description Compares two character names, ignoring case and spacing
+ *
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ *
+ * @returns {boolean} True if both name the same character
+ *
+ * @example
+ * sameName("Milhouse  van Houten", "Milhouse Van Houten");
+ * // Returns: true
+ */
+function sameName(a, b) {
+  const normalize = (name) => name.trim().replace(/\s+/g, " ").toLowerCase();
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * @function syncCharacterBible
+ * @description Updates a bible after the story variables changed. Each
+ * character of the story variables is matched with an existing entry of the
+ * same role by name, so reordering, adding or removing friends or siblings
+ * leaves everyone's appearance, clothing, props, aliases and reference sheet
+ * (keyed by id) with the right person. A character whose name is not found
+ * takes the unmatched entry at the same position in its role, which is a
+ * renamed character; anyone else is a new entry with an unused id. Names and
+ * ages follow the story variables. Characters added by hand are kept.
+ *
+ * @param {Array<Object>} bible - Current bible entries
+ * @param {Object} storyVariables - The new story variables
+ * @param {string[]} [takenIds=[]] - Ids new entries must not get, such as
+ * those of the sheets of characters who left the story
+ *
+ * @returns {Array<Object>} Updated bible entries
+ *
+ * @example
+ * bookState.characterBible = syncCharacterBible(
+ *   bookState.characterBible,
+ *   updatedVariables,
+ *   Object.keys(bookState.characterSheets ?? {})
+ * );
+ */
+function syncCharacterBible(bible, storyVariables, takenIds = []) {
+  const entries = (bible ?? []).filter(
+    (entry) => !entry.id.startsWith("custom-")
+  );
+  const fresh = buildCharacterBible(storyVariables);
+  const inRole = (list, role) => list.filter((entry) => entry.role === role);
+  const previous = new Map();
+
+  // Same role and name first, then the same position for renamed characters
+  const unclaimed = (old) => ![...previous.values()].includes(old);
+  fresh.forEach((entry) => {
+    const old = inRole(entries, entry.role).find(
+      (candidate) =>
+        unclaimed(candidate) && sameName(candidate.name, entry.name)
+    );
+    if (old) previous.set(entry, old);
+  });
+  fresh.forEach((entry) => {
+    if (previous.has(entry)) return;
+    const position = inRole(fresh, entry.role).indexOf(entry);
+    const old = inRole(entries, entry.role)[position];
+    if (old && unclaimed(old)) previous.set(entry, old);
+  });
+
+  const usedIds = new Set([...takenIds, ...entries.map((entry) => entry.id)]);
+  const newId = (role) => {
+    let number = 1;
+    while (usedIds.has(`${role}-${number}`)) number++;
+    usedIds.add(`${role}-${number}`);
+    return `${role}-${number}`;
+  };
+
+  return [
+    ...fresh.map((entry) => {
+      const old = previous.get(entry);
+      if (old) {
+        return { ...old, name: entry.name, role: entry.role, age: entry.age };
+      }
+      if (usedIds.has(entry.id)) return { ...entry, id: newId(entry.role) };
+      usedIds.add(entry.id);
+      return entry;
+    }),
+    ...(bible ?? []).filter((entry) => entry.id.startsWith("custom-")),
+  ];
+}
+
+/**
+ * @function getCharacterBible
+ * @description Returns the book's character bible. Books created before
+ * character bibles get one built from their story variables.
+ *
+ * @param {Object} bookState - The current book state
+ *
+ * @returns {Array<Object>} Bible entries
+ *
+ * @example
+ * const bible = getCharacterBible(bookState);
+ */
+function getCharacterBible(bookState) {
+  return (
+    bookState.characterBible ??
+    buildCharacterBible(bookState.storyVariables ?? {})
+  );
+}
+
+/**
+ * @function characterNames
+ * @private
+ * @description Lists the names a character can be mentioned by: the full
+ * name, the first name (unless it is a title), a quoted nickname and the
+ * aliases from the bible
+ *
+ * @param {Object} entry - Bible entry
+ *
+ * @returns {string[]} Names to look for
+ *
+ * @example
+ * characterNames({ name: "Abraham 'Grampa' Simpson", aliases: [] });
+ * // Returns: ["Abraham 'Grampa' Simpson", "Abraham", "Grampa"]
+ */
+function characterNames(entry) {
+  const names = [entry.name];
+  const firstName = entry.name.split(/\s+/)[0];
+  if (
+    firstName !== entry.name &&
+    !HONORIFICS.includes(firstName.replace(/\.$/, "").toLowerCase())
+  ) {
+    names.push(firstName);
+  }
+  const nickname = entry.name.match(/['"]([^'"]+)['"]/)?.[1];
+  if (nickname) names.push(nickname);
+  return [...names, ...(entry.aliases ?? [])].filter(Boolean);
+}
+
+/**
+ * @function detectSceneCharacters
+ * @description Finds the bible characters a scene mentions by name or
+ * alias. A scene that names nobody is about the protagonist.
+ *
+ * @param {string} sceneText - Scene description or chapter text
+ * @param {Array<Object>} bible - Bible entries
+ *
+ * @returns {Array<Object>} Entries of the characters in the scene, in bible order
+ *
+ * @example
+ * detectSceneCharacters("Bart and Lisa count coins while Santa's Little Helper sleeps.", bible);
+ * // Returns the entries of Bart, Lisa and Santa's Little Helper
+ */
+function detectSceneCharacters(sceneText, bible) {
+  const text = sceneText ?? "";
+  const mentions = (name) =>
+    new RegExp(
+      `(^|[^\\p{L}])${name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}($|[^\\p{L}])`,
+      "iu"
+    ).test(text);
+
+  const present = bible.filter((entry) => characterNames(entry).some(mentions));
+  if (present.length > 0) return present;
+  return bible.filter((entry) => entry.role === "protagonist");
+}
+
+/**
+ * @function describeCharacter
+ * @description Formats one character's visual description. A look (the
+ * sentence written for the character's reference sheet) replaces the
+ * appearance, clothing and props.
+ *
+ * @param {Object} entry - Bible entry
+ * @param {string} [look] - The character's look
+ *
+ * @returns {string} Description sentence
+ *
+ * @example
+ * describeCharacter({ name: "Bart Simpson", role: "protagonist", age: "10", appearance: "spiky hair", clothing: "orange t-shirt", props: ["skateboard"] });
+ * // Returns: "Bart Simpson, the 10-year-old protagonist: spiky hair; wearing orange t-shirt; with skateboard."
+ */
+function describeCharacter(entry, look) {
+  const details = look
+    ? [look.replace(/[.!?]$/, "")]
+    : [
+        entry.appearance,
+        entry.clothing && `wearing ${entry.clothing}`,
+        entry.props?.length > 0 && `with ${entry.props.join(", ")}`,
+      ].filter(Boolean);
+  const who = `${entry.name}, the ${entry.age ? `${entry.age}-year-old ` : ""}${entry.role}`;
+  return details.length > 0 ? `${who}: ${details.join("; ")}.` : `${who}.`;
+}
+
+/**
+ * @function describeSceneCharacters
+ * @description Formats the characters of a scene for an image prompt, so
+ * they look the same in every illustration
+ *
+ * @param {Array<Object>} entries - Bible entries of the characters in the scene
+ * @param {Object<string, string>} [looks={}] - Looks by character id, used
+ * instead of the bible notes
+ *
+ * @returns {string} Character descriptions, empty without characters
+ *
+ * @example
+ * describeSceneCharacters(detectSceneCharacters(scene.summary, bible));
+ * // Returns: "Characters in this scene: Bart Simpson, the 10-year-old protagonist: ..."
+ */
+function describeSceneCharacters(entries, looks = {}) {
+  if (entries.length === 0) return "";
+  return `Characters in this scene: ${entries
+    .map((entry) => describeCharacter(entry, looks[entry.id]))
+    .join(" ")}`;
+}
+
+export {
+  buildCharacterBible,
+  syncCharacterBible,
+  getCharacterBible,
+  detectSceneCharacters,
+  describeCharacter,
+  describeSceneCharacters,
+};
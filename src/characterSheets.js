@@ -0,0 +1,396 @@
+/**
+ * @file Character reference sheets for consistent illustrations
+ * @module characterSheets
+ * @requires fs/promises - For checking that sheet files exist
+ * @requires path - For sheet file paths
+ * @requires ./chatGenerator - Chat provider registry
+ * @requires ./imageGenerator - For drawing the sheets
+ * @requires ./characterBible - For the characters' visual descriptions
+ * @requires ./utils/logger - For request/response logging
+ * @requires ./utils/usage - For usage records of the sheets
+ * @requires ../config/chatProviderConfig - For the default chat configuration
+ * @requires ./artDirection - For the book's art direction
+ * @requires ../config/imageStyles - For the sheet prompt
+ * @requires ../config/characterSheetConfig - For the sheet folder, roles and limits
+ * @exports {listMainCharacters, getCharacterSheet, isSheetOutdated, distillCharacterLook, buildCharacterSheetPrompt, generateCharacterSheet, describeSheetCharacters, findSheetReferences}
+ *
+ * @description This module draws a reference sheet for each main character
+ * of the character bible: the character from the front, side and back with a
+ * few expressions, in the book's art direction. Before a sheet is drawn
+ * the book's chat model condenses the bible entry into one sentence (the
+ * character's "look"), and the sheet is drawn from that sentence, so the
+ * picture and the words agree. Chapter illustrations then use the sheets:
+ * providers that support reference images get the sheet files, the others
+ * get the look in the prompt instead of the bible notes.
+ *
+ * Sheets are stored in the book's `images/characters/` folder and recorded
+ * in `bookState.characterSheets`, keyed by character id, with their usage.
+ *
+ * @functions
+ * - listMainCharacters: Bible entries that get a sheet by default
+ * - getCharacterSheet: Returns a character's sheet record
+ * - isSheetOutdated: Whether the bible entry or art direction changed since the sheet was drawn
+ * - distillCharacterLook: Condenses a bible entry into one sentence
+ * - buildCharacterSheetPrompt: Builds the image prompt of a sheet
+ * - generateCharacterSheet: Draws (or redraws) a character's sheet
+ * - describeSheetCharacters: Describes a scene's characters for an image prompt
+ * - findSheetReferences: Sheet files to pass with a chapter illustration
+ *
+ * @flow
+ * 1. The look of each main character is condensed from the bible
+ * 2. A sheet is drawn from the look and stored in images/characters/
+ * 3. Chapter illustrations pass the sheets of the characters in the scene,
+ *    or describe them with their look
+ *
+ * @error Handling
+ * - API errors: Passed through to caller after the registry's retries
+ * - Missing sheet files: Left out of the references
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { generateChatCompletion } from "./chatGenerator.js";
+import { generateImage, supportsImageReferences } from "./imageGenerator.js";
+import {
+  describeCharacter,
+  describeSceneCharacters,
+} from "./characterBible.js";
+import { logRequest, logResponse, logError } from "./utils/logger.js";
+import { trackUsage } from "./utils/usage.js";
+import { resolveArtDirection } from "./artDirection.js";
+import { DEFAULT_CHAT_CONFIG } from "../config/chatProviderConfig.js";
+import { getIllustrationPrompt } from "../config/imageStyles.js";
+import {
+  CHARACTER_SHEETS_DIR,
+  MAIN_CHARACTER_ROLES,
+  MAX_REFERENCE_IMAGES,
+  LOOK_MAX_TOKENS,
+} from "../config/characterSheetConfig.js";
+
+/**
+ * @function listMainCharacters
+ * @description Lists the bible entries that get a reference sheet by default
+ *
+ * @param {Array<Object>} bible - Bible entries
+ *
+ * @returns {Array<Object>} Entries whose role is in MAIN_CHARACTER_ROLES
+ *
+ * @example
+ * listMainCharacters(getCharacterBible(bookState)).map((entry) => entry.id);
+ * // Returns: ["protagonist", "friend-1", "sibling-1", "pet"]
+ */
+function listMainCharacters(bible) {
+  return bible.filter((entry) => MAIN_CHARACTER_ROLES.includes(entry.role));
+}
+
+/**
+ * @function getCharacterSheet
+ * @description Returns the reference sheet record of a character
+ *
+ * @param {Object} bookState - The current book state
+ * @param {string} characterId - Bible entry id
+ *
+ * @returns {Object|null} Sheet record ({path, look, notes, prompt, style,
+ * palette, lineQuality, attempts, timestamp, usage}), or null before a sheet
+ * is drawn
+ *
+ * @example
+ * getCharacterSheet(bookState, "protagonist")?.path;
+ * // Returns: "images/characters/protagonist.png"
+ */
+function getCharacterSheet(bookState, characterId) {
+  const sheet = bookState.characterSheets?.[characterId];
+  return sheet?.path ? sheet : null;
+}
+
+/**
+ * @function isSheetOutdated
+ * @description Tells whether a character's bible entry or the book's art
+ * direction changed since their sheet was drawn
+ *
+ * @param {Object} sheet - Sheet record
+ * @param {Object} entry - Current bible entry
+ * @param {Object} [imageConfig] - The book's image configuration; without
+ * it only the bible entry is compared
+ *
+ * @returns {boolean} True if the sheet was drawn from other notes or in
+ * another style, palette or line quality
+ *
+ * @example
+ * if (isSheetOutdated(sheet, entry, bookState.imageConfig)) display.warning(`${entry.name}'s sheet is outdated`);
+ */
+function isSheetOutdated(sheet, entry, imageConfig) {
+  if (sheet.notes !== describeCharacter(entry)) return true;
+  if (!imageConfig) return false;
+  const art = resolveArtDirection(imageConfig);
+  return (
+    sheet.style !== art.style ||
+    (sheet.palette ?? "style") !== art.palette ||
+    (sheet.lineQuality ?? "style") !== art.lineQuality
+  );
+}
+
+/**
+ * @function distillCharacterLook
+ * @async
+ * @description Asks the book's chat model to condense a bible entry into one
+ * sentence of concrete visual details. Details the bible leaves out are
+ * invented once here, so every illustration uses the same ones.
+ *
+ * @param {Object} entry - Bible entry
+ * @param {Object} [chatConfig=DEFAULT_CHAT_CONFIG] - Book chat configuration
+ * @param {Object} [options={}] - Call options
+ * @param {Function} [options.onUsage] - Receives the tokens used (see usage.trackUsage)
+ *
+ * @returns {Promise<string>} The character's look
+ * @throws {Error} If the API call fails
+ *
+ * @example
+ * await distillCharacterLook(entry, bookState.chatConfig);
+ * // Returns: "A slim 10-year-old boy with spiky yellow hair, ..."
+ */
+async function distillCharacterLook(
+  entry,
+  chatConfig = DEFAULT_CHAT_CONFIG,
+  options = {}
+) {
+  const messages = [
+    {
+      role: "system",
+      content:
+        "You are an art director keeping the characters of a children's picture book consistent across every illustration.",
+    },
+    {
+      role: "user",
+      content: `Condense the look of "${entry.name}" into one sentence an illustrator can follow in every picture: build, hair, face, skin or fur, clothing and props, with concrete colors. Keep everything the notes say and invent plain, child-friendly details for anything they leave out. Answer with the sentence only.
+
+Character notes:
+${describeCharacter(entry)}`,
+    },
+  ];
+
+  const requestDetails = {
+    provider: chatConfig.provider || "openai",
+    model: chatConfig.chatModel,
+    messages,
+    temperature: 0.3,
+    max_tokens: LOOK_MAX_TOKENS,
+  };
+
+  try {
+    logRequest("character-look", requestDetails);
+
+    const response = await generateChatCompletion(
+      chatConfig,
+      {
+        messages,
+        temperature: requestDetails.temperature,
+        max_tokens: requestDetails.max_tokens,
+      },
+      { kind: "character-look", onUsage: options.onUsage }
+    );
+
+    const look = response.content.trim().replace(/^["']|["']$/g, "");
+
+    logResponse("character-look", {
+      provider: requestDetails.provider,
+      model: requestDetails.model,
+      temperature: requestDetails.temperature,
+      content: look,
+      usage: response.usage,
+    });
+
+    return look;
+  } catch (error) {
+    logError("character-look", error, requestDetails);
+    throw error;
+  }
+}
+
+/**
+ * @function buildCharacterSheetPrompt
+ * @description Builds the image prompt of a character's reference sheet
+ *
+ * @param {Object} entry - Bible entry
+ * @param {string} look - The character's look (see distillCharacterLook)
+ * @param {Object} art - The book's art direction (see resolveArtDirection)
+ *
+ * @returns {string} Image prompt
+ *
+ * @example
+ * buildCharacterSheetPrompt(entry, look, resolveArtDirection(bookState.imageConfig));
+ * // Returns: "Soft watercolor ... Scene: Character reference sheet of Bart Simpson: ..."
+ */
+function buildCharacterSheetPrompt(
+  entry,
+  look,
+  { style, palette, lineQuality }
+) {
+  return getIllustrationPrompt({
+    description: `Character reference sheet of ${entry.name}: ${look}${/[.!?]$/.test(look) ? "" : "."} Show the same character full-body from the front, the side and the back, with three facial expressions (happy, surprised, thoughtful), evenly lit on a plain white background. No text or labels.`,
+    style,
+    preset: null,
+    palette,
+    lineQuality,
+  });
+}
+
+/**
+ * @function generateCharacterSheet
+ * @async
+ * @description Draws a character's reference sheet in the book's art direction,
+ * replacing any earlier sheet, and records it in `bookState.characterSheets`.
+ * The caller is responsible for saving the book state.
+ *
+ * @param {Object} entry - Bible entry
+ * @param {Object} bookState - The current book state
+ * @param {string} bookPath - Path to the book directory
+ *
+ * @returns {Promise<Object>} The sheet record
+ * @throws {Error} If the look or the image cannot be generated
+ *
+ * @example
+ * const sheet = await generateCharacterSheet(entry, bookState, bookPath);
+ * // sheet.path: "images/characters/protagonist.png"
+ */
+async function generateCharacterSheet(entry, bookState, bookPath) {
+  bookState.characterSheets ??= {};
+  const sheet = (bookState.characterSheets[entry.id] ??= {
+    attempts: 0,
+    usage: [],
+  });
+  const attempt = (sheet.attempts || 0) + 1;
+  sheet.attempts = attempt;
+
+  const look = await distillCharacterLook(
+    entry,
+    bookState.chatConfig ?? undefined,
+    { onUsage: trackUsage(sheet, "character-look", attempt) }
+  );
+
+  const art = resolveArtDirection(bookState.imageConfig);
+  const prompt = buildCharacterSheetPrompt(entry, look, art);
+  const sheetPath = path.posix.join(CHARACTER_SHEETS_DIR, `${entry.id}.png`);
+  await generateImage(
+    bookState.imageConfig,
+    prompt,
+    path.join(bookPath, sheetPath),
+    {
+      chapterId: entry.id,
+      style: art.style,
+      onUsage: trackUsage(sheet, "character-sheet", attempt),
+    }
+  );
+
+  Object.assign(sheet, {
+    name: entry.name,
+    path: sheetPath,
+    look,
+    notes: describeCharacter(entry),
+    prompt,
+    style: art.style,
+    palette: art.palette,
+    lineQuality: art.lineQuality,
+    timestamp: new Date().toISOString(),
+  });
+  return sheet;
+}
+
+/**
+ * @function describeSheetCharacters
+ * @description Describes the characters of a scene for an image prompt.
+ * When the book's image provider supports reference images, the characters
+ * whose sheet is attached (see findSheetReferences) are drawn from it;
+ * otherwise the look of characters with a sheet replaces the bible notes,
+ * so every illustration uses the same words.
+ *
+ * @param {Object} bookState - The current book state
+ * @param {Array<Object>} entries - Bible entries of the characters in the scene
+ * @param {Array<{characterId: string, path: string}>} [references=[]] -
+ * Sheets attached to the illustration
+ *
+ * @returns {string} Character descriptions, empty without characters
+ *
+ * @example
+ * const entries = detectSceneCharacters(scene.summary, bible);
+ * describeSheetCharacters(bookState, entries, await findSheetReferences(bookState, bookPath, entries));
+ * // Returns: "Characters in this scene: ... Draw Bart Simpson exactly as in the attached reference sheet."
+ */
+function describeSheetCharacters(bookState, entries, references = []) {
+  const withSheets = entries.filter((entry) =>
+    getCharacterSheet(bookState, entry.id)
+  );
+
+  if (!supportsImageReferences(bookState.imageConfig)) {
+    return describeSceneCharacters(
+      entries,
+      Object.fromEntries(
+        withSheets.map((entry) => [
+          entry.id,
+          getCharacterSheet(bookState, entry.id).look,
+        ])
+      )
+    );
+  }
+
+  const description = describeSceneCharacters(entries);
+  const referenced = entries.filter((entry) =>
+    references.some((reference) => reference.characterId === entry.id)
+  );
+  if (referenced.length === 0) return description;
+  const names = referenced.map((entry) => entry.name);
+  const list =
+    names.length > 1
+      ? `${names.slice(0, -1).join(", ")} and ${names.at(-1)}`
+      : names[0];
+  return `${description} Draw ${list} exactly as in the attached reference sheet${names.length > 1 ? "s" : ""}.`;
+}
+
+/**
+ * @function findSheetReferences
+ * @async
+ * @description Lists the sheet files to pass with a chapter illustration:
+ * the sheets of the scene's characters, in bible order, up to
+ * MAX_REFERENCE_IMAGES. Empty when the book's image provider does not
+ * support reference images. The same list is given to
+ * describeSheetCharacters, so the prompt only names attached sheets.
+ *
+ * @param {Object} bookState - The current book state
+ * @param {string} bookPath - Path to the book directory
+ * @param {Array<Object>} entries - Bible entries of the characters in the scene
+ *
+ * @returns {Promise<Array<{characterId: string, path: string}>>} Sheets whose files exist
+ *
+ * @example
+ * const references = await findSheetReferences(bookState, bookPath, entries);
+ * // Returns: [{ characterId: "protagonist", path: "books/my-book/images/characters/protagonist.png" }]
+ */
+async function findSheetReferences(bookState, bookPath, entries) {
+  if (!supportsImageReferences(bookState.imageConfig)) return [];
+
+  const references = [];
+  for (const entry of entries) {
+    const sheet = getCharacterSheet(bookState, entry.id);
+    if (!sheet) continue;
+    const sheetPath = path.join(bookPath, sheet.path);
+    try {
+      await fs.access(sheetPath);
+    } catch {
+      continue;
+    }
+    references.push({ characterId: entry.id, path: sheetPath });
+    if (references.length === MAX_REFERENCE_IMAGES) break;
+  }
+  return references;
+}
+
+export {
+  listMainCharacters,
+  getCharacterSheet,
+  isSheetOutdated,
+  distillCharacterLook,
+  buildCharacterSheetPrompt,
+  generateCharacterSheet,
+  describeSheetCharacters,
+  findSheetReferences,
+};
@@ -0,0 +1,282 @@
+/**
+ * @file Multi-provider chat completion service implementation
+ * @module chatGenerator
+ * @requires axios - For HTTP requests to OpenAI-compatible servers
+ * @requires openai - OpenAI API client
+ * @requires ./utils/cassette - For recording and replaying calls
+ * @requires ./utils/responseCache - For reusing earlier responses
+ * @requires ./utils/retry - For retries and concurrency limits
+ * @requires ./utils/mockChat - For the mock provider's answers
+ * @exports {generateChatCompletion, listCompatibleModels}
+ *
+ * @description
+ * This module provides a unified interface for chat completions across
+ * providers. Currently supports the OpenAI API and any server implementing
+ * the OpenAI chat completions endpoint (Ollama, llama.cpp server, LM Studio),
+ * so chapters can be drafted offline with local models. A mock provider
+ * returns templated text for the kind of request the caller names, for
+ * tests and onboarding without API keys or network. Every call goes through the record/replay
+ * cassette and the (opt-in) response cache; requests to real providers are
+ * retried on rate limits and network errors.
+ *
+ * @functions
+ * - generateChatCompletion: Main entry point for chat completions
+ * - completeWithOpenAI: OpenAI API implementation
+ * - completeWithCompatible: OpenAI-compatible HTTP implementation
+ * - listCompatibleModels: Lists the models served by a compatible server
+ *
+ * @flow
+ * 1. Validate provider configuration
+ * 2. Replay a recorded response, if the cassette is in replay mode
+ * 3. Reuse a cached response, if requested and the cache is enabled
+ * 4. Route request to appropriate provider
+ * 5. Submit chat completion request, retrying transient failures
+ * 6. Report token usage as soon as the provider answered, so a response
+ *    that cannot be read still counts
+ * 7. Cache, record and return content and usage
+ *
+ * @error Handling
+ * - Configuration: Unknown providers are rejected before any request
+ * - API: Provider errors are re-thrown with the provider name
+ * - Network: Unreachable local servers are reported with their URL
+ * - Transient: 429s, 5xx and network blips are retried with backoff
+ */
+
+import axios from "axios";
+import OpenAI from "openai";
+import {
+  OPENAI_COMPATIBLE_DEFAULTS,
+  OPENAI_COMPATIBLE_API_KEY_ENV,
+} from "../config/chatProviderConfig.js";
+import { withCassette } from "./utils/cassette.js";
+import { withResponseCache } from "./utils/responseCache.js";
+import { withRetry } from "./utils/retry.js";
+import { completeWithMock } from "./utils/mockChat.js";
+
+/**
+ * @function generateChatCompletion
+ * @async
+ * @description Main entry point for chat completions through any supported
+ * provider. Routes the request based on the book's chat configuration.
+ * Configurations without a provider (books created before providers existed)
+ * use OpenAI.
+ *
+ * @param {Object} chatConfig - Chat configuration from the book state
+ * @param {string} [chatConfig.provider="openai"] - Provider ('openai', 'openai-compatible' or 'mock')
+ * @param {string} chatConfig.chatModel - Model identifier
+ * @param {string} [chatConfig.baseUrl] - Server URL for 'openai-compatible'
+ * @param {Object} request - Completion request
+ * @param {Array<{role: string, content: string}>} request.messages - Chat messages
+ * @param {number} request.max_tokens - Maximum tokens to generate
+ * @param {number} request.temperature - Sampling temperature
+ * @param {Object} [options={}] - Call options
+ * @param {string} [options.kind="generation"] - What is asked: 'generation',
+ * 'personalization', 'scene-selection', 'story-summary' or 'character-look'.
+ * Only the mock provider uses it, to answer with the right template.
+ * @param {boolean} [options.reuseCached=false] - Reuse a cached response for the same request
+ * @param {Function} [options.onUsage] - Receives the tokens of each real
+ * provider call (not of cached or replayed responses), once the provider
+ * answered, even if its answer cannot be used
+ *
+ * @returns {Promise<{content: string, usage: Object|null}>} Generated text and token usage
+ * @throws {Error} If the provider is unknown or the request fails
+ *
+ * @example
+ * const { content } = await generateChatCompletion(
+ *   { provider: 'openai-compatible', chatModel: 'llama3.1', baseUrl: 'http://localhost:11434/v1' },
+ *   { messages, max_tokens: 4000, temperature: 0.7 }
+ * );
+ */
+export async function generateChatCompletion(
+  chatConfig,
+  request,
+  options = {}
+) {
+  const provider = chatConfig?.provider || "openai";
+  const body = { model: chatConfig.chatModel, ...request };
+
+  // Called by the providers once the paid request was answered
+  const onBilled = (usage) =>
+    options.onUsage?.({
+      provider,
+      model: body.model,
+      promptTokens: usage?.prompt_tokens ?? 0,
+      completionTokens: usage?.completion_tokens ?? 0,
+    });
+
+  let perform;
+  switch (provider) {
+    case "openai":
+      perform = () => completeWithOpenAI(body, onBilled);
+      break;
+    case "openai-compatible":
+      perform = () =>
+        completeWithCompatible(chatConfig.baseUrl, body, onBilled);
+      break;
+    case "mock":
+      perform = async () => {
+        const response = await completeWithMock(body, options.kind);
+        onBilled(response.usage);
+        return response;
+      };
+      break;
+    default:
+      throw new Error(`Unknown chat provider: ${provider}`);
+  }
+
+  const cacheRequest = {
+    provider,
+    ...(provider === "openai-compatible" && {
+      baseUrl: trimBaseUrl(chatConfig.baseUrl),
+    }),
+    ...body,
+  };
+  return withCassette("chat", cacheRequest, () =>
+    withResponseCache("chat", cacheRequest, perform, {
+      reuse: options.reuseCached,
+    })
+  );
+}
+
+/**
+ * @function completeWithOpenAI
+ * @async
+ * @private
+ * @description Sends a chat completion request to the OpenAI API. The client
+ * is created per request so the API key is only needed when OpenAI is used.
+ * The SDK's own retries are disabled in favour of the shared retry layer.
+ *
+ * @param {Object} body - Request body (model, messages, max_tokens, temperature)
+ * @param {Function} [onBilled] - Receives the token usage once the API answered
+ *
+ * @returns {Promise<{content: string, usage: Object|null}>} Generated text and token usage
+ * @throws {Error} If the API call fails
+ *
+ * @example
+ * await completeWithOpenAI({ model: 'gpt-4', messages, max_tokens: 1000, temperature: 0.7 });
+ */
+async function completeWithOpenAI(body, onBilled) {
+  const openai = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+    maxRetries: 0,
+  });
+
+  const response = await withRetry(
+    "openai",
+    () => openai.chat.completions.create(body),
+    { label: "chat completion" }
+  );
+  onBilled?.(response.usage);
+  return {
+    content: response.choices[0].message.content,
+    usage: response.usage ?? null,
+  };
+}
+
+/**
+ * @function completeWithCompatible
+ * @async
+ * @private
+ * @description Sends a chat completion request to an OpenAI-compatible
+ * server such as Ollama, llama.cpp server or LM Studio
+ *
+ * @param {string} [baseUrl] - Server URL (defaults to Ollama's)
+ * @param {Object} body - Request body (model, messages, max_tokens, temperature)
+ * @param {Function} [onBilled] - Receives the token usage once the server answered
+ *
+ * @returns {Promise<{content: string, usage: Object|null}>} Generated text and token usage
+ * @throws {Error} If the server is unreachable or returns no content
+ *
+ * @example
+ * await completeWithCompatible('http://localhost:1234/v1', { model: 'qwen2.5-7b-instruct', messages });
+ */
+async function completeWithCompatible(baseUrl, body, onBilled) {
+  const url = `${trimBaseUrl(baseUrl)}/chat/completions`;
+
+  try {
+    const response = await withRetry(
+      "openai-compatible",
+      () =>
+        axios.post(url, body, {
+          headers: buildCompatibleHeaders(),
+          timeout: OPENAI_COMPATIBLE_DEFAULTS.timeout,
+        }),
+      { label: "chat completion" }
+    );
+    onBilled?.(response.data?.usage);
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (typeof content !== "string") {
+      throw new Error("No message content in response");
+    }
+    return { content, usage: response.data.usage ?? null };
+  } catch (error) {
+    const detail =
+      error.response?.data?.error?.message ??
+      error.response?.data?.error ??
+      error.message;
+    throw new Error(`Chat request to ${url} failed: ${detail}`);
+  }
+}
+
+/**
+ * @function listCompatibleModels
+ * @async
+ * @description Lists the models served by an OpenAI-compatible server, so
+ * they can be offered when configuring a book
+ *
+ * @param {string} [baseUrl] - Server URL (defaults to Ollama's)
+ *
+ * @returns {Promise<string[]>} Model identifiers, empty if the server cannot be reached
+ *
+ * @example
+ * await listCompatibleModels('http://localhost:11434/v1');
+ * // Returns: ['llama3.1:8b', 'mistral:7b']
+ */
+export async function listCompatibleModels(baseUrl) {
+  try {
+    const response = await axios.get(`${trimBaseUrl(baseUrl)}/models`, {
+      headers: buildCompatibleHeaders(),
+      timeout: 5000,
+    });
+    return (response.data?.data ?? []).map((model) => model.id);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @function trimBaseUrl
+ * @private
+ * @description Normalizes a server URL, falling back to the default
+ *
+ * @param {string} [baseUrl] - Server URL
+ *
+ * @returns {string} URL without trailing slashes
+ *
+ * @example
+ * trimBaseUrl('http://localhost:8080/v1/');
+ * // Returns: 'http://localhost:8080/v1'
+ */
+function trimBaseUrl(baseUrl) {
+  return (baseUrl || OPENAI_COMPATIBLE_DEFAULTS.baseUrl).replace(/\/+$/, "");
+}
+
+/**
+ * @function buildCompatibleHeaders
+ * @private
+ * @description Builds request headers, adding a bearer token when the
+ * OpenAI-compatible API key variable is set
+ *
+ * @returns {Object} HTTP headers
+ *
+ * @example
+ * buildCompatibleHeaders();
+ * // Returns: { 'Content-Type': 'application/json' }
+ */
+function buildCompatibleHeaders() {
+  const headers = { "Content-Type": "application/json" };
+  const apiKey = process.env[OPENAI_COMPATIBLE_API_KEY_ENV];
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  return headers;
+}
@@ -0,0 +1,252 @@
+/**
+ * @file Character reference sheet command
+ * @module characterSheetsCommand
+ * @requires fs/promises - For checking that sheet files exist
+ * @requires path - For sheet file paths
+ * @requires inquirer
+ * @requires ../utils/display - For consistent CLI output formatting
+ * @requires ../utils/bookState - For book state persistence
+ * @requires ../../characterBible - For the book's character bible
+ * @requires ../../characterSheets - For drawing the sheets
+ * @requires ../../imageGenerator - For the provider's reference image support
+ * @requires ../../utils/budget - For budget checks before each sheet
+ * @exports {describeSheetStatus, generateCharacterSheets, handleCharacterSheets}
+ *
+ * @description
+ * Draws the reference sheets of a book's characters: the book-level step
+ * that runs before chapter illustrations so every illustration can draw the
+ * characters from the same pictures. Without a selection, every main
+ * character whose sheet is missing or was drawn from older bible notes or
+ * another art direction gets one. Used by the book menu, the `sheets` subcommand and unattended
+ * whole-book generation.
+ *
+ * @functions
+ * - describeSheetStatus: Whether a character's sheet is missing, outdated or ready
+ * - generateCharacterSheets: Draws the selected (or missing) sheets
+ * - handleCharacterSheets: Lets the user choose the sheets to draw
+ *
+ * @flow
+ * 1. Select characters (chosen ones, or main characters without a current sheet)
+ * 2. Check the budget before each sheet
+ * 3. Draw the sheet and save the book state
+ * 4. Report the result of each character
+ *
+ * @error Handling
+ * - Unknown character ids: Throws before anything is drawn
+ * - Failed sheets: Reported per character; the others are still drawn
+ * - Budget: Sheets past the budget are skipped unless the budget is ignored
+ *   or the caller confirms them
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import inquirer from "inquirer";
+import display from "../utils/display.js";
+import { saveBookState } from "../utils/bookState.js";
+import { getCharacterBible } from "../../characterBible.js";
+import {
+  listMainCharacters,
+  getCharacterSheet,
+  isSheetOutdated,
+  generateCharacterSheet,
+} from "../../characterSheets.js";
+import { supportsImageReferences } from "../../imageGenerator.js";
+import { checkBudget } from "../../utils/budget.js";
+
+/**
+ * @function describeSheetStatus
+ * @async
+ * @description Tells whether a character's reference sheet is missing,
+ * outdated (drawn from other bible notes or in another art direction) or ready
+ *
+ * @param {Object} bookState - The current book state
+ * @param {string} bookPath - Path to the book directory
+ * @param {Object} entry - Bible entry
+ *
+ * @returns {Promise<"missing"|"outdated"|"ready">} Sheet status
+ *
+ * @example
+ * await describeSheetStatus(bookState, bookPath, entry);
+ * // Returns: "ready"
+ */
+export async function describeSheetStatus(bookState, bookPath, entry) {
+  const sheet = getCharacterSheet(bookState, entry.id);
+  if (!sheet) return "missing";
+  try {
+    await fs.access(path.join(bookPath, sheet.path));
+  } catch {
+    return "missing";
+  }
+  return isSheetOutdated(sheet, entry, bookState.imageConfig)
+    ? "outdated"
+    : "ready";
+}
+
+/**
+ * @function generateCharacterSheets
+ * @async
+ * @description Draws character reference sheets, saving the book state
+ * after each one. Characters chosen by id are always drawn (again); without
+ * a choice, the main characters whose sheet is missing or outdated are.
+ *
+ * @param {Object} bookState - The current book state
+ * @param {string} bookPath - Path to the book directory
+ * @param {Object} [options={}] - Run options
+ * @param {string[]} [options.characterIds] - Bible ids of the characters to draw
+ * @param {boolean} [options.ignoreBudget=false] - Continue past the book's budget
+ * @param {Function} [options.confirmOverBudget] - Receives the budget's
+ * refusal and resolves to true to draw the sheet anyway
+ * @param {Function} [options.shouldStop] - Returns true when the run must stop
+ *
+ * @returns {Promise<Array<{id: string, outcome: string, path?: string, error?: string}>>}
+ * One result per character ('generated', 'skipped' or 'failed')
+ * @throws {Error} If a character id is not in the character bible
+ *
+ * @example
+ * const results = await generateCharacterSheets(bookState, bookPath);
+ * // Returns: [{ id: "protagonist", outcome: "generated", path: "images/characters/protagonist.png" }]
+ */
+export async function generateCharacterSheets(
+  bookState,
+  bookPath,
+  {
+    characterIds,
+    ignoreBudget = false,
+    confirmOverBudget,
+    shouldStop = () => false,
+  } = {}
+) {
+  const bible = getCharacterBible(bookState);
+  let targets;
+  if (characterIds) {
+    const unknown = characterIds.filter(
+      (id) => !bible.some((entry) => entry.id === id)
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown character(s): ${unknown.join(", ")} (expected one of ${bible.map((entry) => entry.id).join(", ")})`
+      );
+    }
+    targets = bible.filter((entry) => characterIds.includes(entry.id));
+  } else {
+    targets = [];
+    for (const entry of listMainCharacters(bible)) {
+      if ((await describeSheetStatus(bookState, bookPath, entry)) !== "ready") {
+        targets.push(entry);
+      }
+    }
+  }
+
+  if (targets.length > 0) {
+    display.info(`${targets.length} character reference sheet(s) to draw`);
+  }
+
+  const results = [];
+  for (const entry of targets) {
+    if (shouldStop()) break;
+
+    const verdict = checkBudget(bookState, null, "sheet");
+    if (verdict.warning) display.warning(verdict.warning);
+    if (!verdict.allowed) {
+      if (ignoreBudget) {
+        display.warning(`${verdict.reason} (continuing, budget ignored)`);
+      } else if (!(await confirmOverBudget?.(verdict.reason))) {
+        display.warning(`[${entry.id}] Skipped: ${verdict.reason}`);
+        results.push({
+          id: entry.id,
+          outcome: "skipped",
+          error: verdict.reason,
+        });
+        continue;
+      }
+    }
+
+    display.progress(
+      `[${entry.id}] Drawing ${entry.name}'s reference sheet...`
+    );
+    try {
+      const sheet = await generateCharacterSheet(entry, bookState, bookPath);
+      await saveBookState(bookPath, bookState);
+      display.success(
+        `[${entry.id}] Reference sheet saved to ${display.path(sheet.path)}`
+      );
+      results.push({ id: entry.id, outcome: "generated", path: sheet.path });
+    } catch (error) {
+      await saveBookState(bookPath, bookState);
+      display.error(`[${entry.id}] Failed: ${error.message}`);
+      results.push({ id: entry.id, outcome: "failed", error: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * @function handleCharacterSheets
+ * @async
+ * @description Lists the characters of the bible with the status of their
+ * reference sheets and draws the ones the user checks. Main characters
+ * without a current sheet are checked by default.
+ *
+ * @param {Object} bookState - The current book state
+ * @param {string} bookPath - Path to the book directory
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await handleCharacterSheets(bookState, '/path/to/book');
+ */
+export async function handleCharacterSheets(bookState, bookPath) {
+  const bible = getCharacterBible(bookState);
+  const main = listMainCharacters(bible);
+  const labels = {
+    missing: "no sheet yet",
+    outdated: "outdated, the bible or art direction changed",
+    ready: "ready",
+  };
+
+  const choices = [];
+  for (const entry of bible) {
+    const status = await describeSheetStatus(bookState, bookPath, entry);
+    choices.push({
+      name: `${entry.name} (${entry.role}) - ${labels[status]}`,
+      value: entry.id,
+      checked: status !== "ready" && main.includes(entry),
+    });
+  }
+
+  const { characterIds } = await inquirer.prompt([
+    {
+      type: "checkbox",
+      name: "characterIds",
+      message: "Draw reference sheets for:",
+      choices,
+      pageSize: 20,
+    },
+  ]);
+  if (characterIds.length === 0) return;
+
+  const results = await generateCharacterSheets(bookState, bookPath, {
+    characterIds,
+    confirmOverBudget: async (reason) => {
+      display.warning(reason);
+      const { overBudget } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "overBudget",
+          message: "Continue anyway?",
+          default: false,
+        },
+      ]);
+      return overBudget;
+    },
+  });
+
+  const generated = results.filter((result) => result.outcome === "generated");
+  if (generated.length > 0) {
+    display.info(
+      supportsImageReferences(bookState.imageConfig)
+        ? "Chapter illustrations now draw these characters from their sheets."
+        : "This image provider cannot use reference images; chapter illustrations describe these characters with the look written for their sheets."
+    );
+  }
+}
@@ -3,32 +3,49 @@
  * @module configureBook
  * @requires inquirer
  * @requires chalk
- * @requires fs/promises
- * @requires path
+ * @requires ../utils/bookState - For loading and saving the book state and
+ * building chapters
+ * @requires ../utils/curricula - For snapshotting the chosen curriculum
+ * @requires ../utils/configCheck - For validating the chosen configuration
+ * @requires ../../characterBible - For the book's first character bible
  * @exports configureNewBook
  *
  * @description This module orchestrates the configuration of a new book,
- * delegating to specialized modules for image generation and story variable configuration.
+ * delegating to specialized modules for curriculum, image generation and
+ * story variable configuration.
+ * Any step can be skipped by passing a preset, which is how the non-interactive
+ * `create` subcommand configures books without prompting.
  *
  * @functions
  * - configureNewBook: Main configuration orchestrator for new books
  *
  * @flow
- * 1. Configure chat model settings
- * 2. Configure image generation settings
- * 3. Configure story variables
- * 4. Save configuration to book state file
+ * 1. Choose the curriculum and build the chapters from it
+ * 2. Configure chat model settings
+ * 3. Configure image generation settings
+ * 4. Configure story variables
+ * 5. Validate the configuration against config/schemas
+ * 6. Save configuration, curriculum snapshot, chapters and the character
+ *    bible built from the story variables to book state file
  *
  * @error Handling
- * - File system errors when saving configuration
+ * - Schema violations in the chosen configuration or curriculum, listed by path
+ * - File system and validation errors when saving configuration
  */
 
-import fs from "fs/promises";
 import display from "../utils/display.js";
-import path from "path";
+import {
+  loadBookState,
+  saveBookState,
+  initializeChaptersFromLessons,
+} from "../utils/bookState.js";
+import { snapshotCurriculum } from "../utils/curricula.js";
+import { checkBookConfig, formatConfigProblem } from "../utils/configCheck.js";
+import { configureCurriculum } from "../utils/configuration/curriculum.js";
 import { configureOpenAI } from "../utils/configuration/openai.js";
 import { configureImageGenerator } from "../utils/configuration/imageGenerator.js";
 import { configureStoryVariables } from "../utils/configuration/storyVariables.js";
+import { buildCharacterBible } from "../../characterBible.js";
 
 /**
  * @function configureNewBook
@@ -36,41 +53,81 @@ import { configureStoryVariables } from "../utils/configuration/storyVariables.j
  * @description Main function to configure a new book with model settings and story variables
  *
  * @param {string} bookPath - Path to the book directory
+ * @param {Object} [presets={}] - Pre-built configuration that skips prompts
+ * @param {Object} [presets.curriculum] - Curriculum (see loadCurriculum)
+ * @param {Object} [presets.chatConfig] - Chat model configuration
+ * @param {Object} [presets.imageConfig] - Image generation configuration
+ * @param {Object} [presets.storyVariables] - Story variables
  *
  * @returns {Promise<boolean>} Whether configuration was successful
  * @throws {Error} If there are issues reading or writing state files
  *
  * @example
  * const success = await configureNewBook('/path/to/book');
+ *
+ * @example
+ * // Fully preset, no prompts
+ * await configureNewBook('/path/to/book', { curriculum, chatConfig, imageConfig, storyVariables });
  */
-export async function configureNewBook(bookPath) {
+export async function configureNewBook(bookPath, presets = {}) {
   display.header("Let's configure your new book!");
 
   try {
-    // Step 1: Configure chat model settings
-    display.title("First, let's set up the chat model configuration:");
-    const chatConfig = await configureOpenAI();
+    // Step 1: Choose the curriculum; a snapshot is stored with the book
+    let curriculum = presets.curriculum;
+    if (!curriculum) {
+      curriculum = await configureCurriculum();
+    }
+    const chapters = initializeChaptersFromLessons(
+      curriculum.content,
+      curriculum.file
+    );
+    display.info(
+      `Curriculum: ${curriculum.title} (${chapters.length} chapters)`
+    );
 
-    // Step 2: Configure image generation settings
-    display.title("Now, let's set up the image generation configuration:");
-    const imageConfig = await configureImageGenerator();
+    // Step 2: Configure chat model settings
+    let chatConfig = presets.chatConfig;
+    if (!chatConfig) {
+      display.title("First, let's set up the chat model configuration:");
+      chatConfig = await configureOpenAI();
+    }
 
-    // Step 3: Configure story variables
-    display.title("Finally, let's set up the story variables:");
-    const storyVariables = await configureStoryVariables();
+    // Step 3: Configure image generation settings
+    let imageConfig = presets.imageConfig;
+    if (!imageConfig) {
+      display.title("Now, let's set up the image generation configuration:");
+      imageConfig = await configureImageGenerator();
+    }
 
-    // Step 4: Update book-state.json with the configurations
-    const statePath = path.join(bookPath, "book-state.json");
-    const currentState = JSON.parse(await fs.readFile(statePath, "utf8"));
+    // Step 4: Configure story variables
+    let storyVariables = presets.storyVariables;
+    if (!storyVariables) {
+      display.title("Finally, let's set up the story variables:");
+      storyVariables = await configureStoryVariables();
+    }
 
-    const updatedState = {
+    // Step 5: Validate the configuration
+    const problems = checkBookConfig({ storyVariables, imageConfig });
+    if (problems.length > 0) {
+      throw new Error(
+        `Invalid book configuration:\n${problems
+          .map((problem) => `  - ${formatConfigProblem(problem)}`)
+          .join("\n")}`
+      );
+    }
+
+    // Step 6: Update book-state.json with the configurations
+    const currentState = await loadBookState(bookPath);
+    await saveBookState(bookPath, {
       ...currentState,
+      curriculum: snapshotCurriculum(curriculum),
+      chapters,
       chatConfig,
       imageConfig,
       storyVariables,
-    };
-
-    await fs.writeFile(statePath, JSON.stringify(updatedState, null, 2));
+      characterBible: buildCharacterBible(storyVariables),
+    });
 
     display.success("Book configuration completed successfully!");
     return true;
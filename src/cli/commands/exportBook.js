@@ -0,0 +1,161 @@
+/**
+ * @file Book export command
+ * @module exportBook
+ * @requires fs/promises - For filesystem operations
+ * @requires path - For path manipulation
+ * @requires ../utils/bookState - For rendering the markdown from the book state
+ * @requires ../../exporters/pdfExporter - For PDF export
+ * @requires ../../exporters/epubExporter - For EPUB export
+ * @requires ../../exporters/htmlExporter - For HTML site export
+ * @exports {EXPORT_FORMATS, exportBook}
+ *
+ * @description
+ * Exports a book into a distributable format. Routes the request to the
+ * format-specific exporter and returns the path of the written output.
+ *
+ * @functions
+ * - getDefaultOutputPath: Default location for an export
+ * - exportMarkdown: Markdown exporter
+ * - exportBook: Main export entry point
+ *
+ * @constants
+ * - EXPORT_FORMATS: string[] - Supported export formats
+ *
+ * @flow
+ * 1. Validate the requested format
+ * 2. Resolve the output path
+ * 3. Delegate to the format exporter
+ * 4. Return the output path
+ *
+ * @error Handling
+ * - Unknown format: Throws with the list of supported formats
+ * - File system errors: Propagated to the caller
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { buildContentMarkdown } from "../utils/bookState.js";
+import { exportPdf } from "../../exporters/pdfExporter.js";
+import { exportEpub } from "../../exporters/epubExporter.js";
+import { exportHtml } from "../../exporters/htmlExporter.js";
+
+/**
+ * @constant
+ * @type {string[]}
+ * @description Supported export formats
+ * @readonly
+ */
+export const EXPORT_FORMATS = ["md", "pdf", "epub", "html"];
+
+/**
+ * @function getDefaultOutputPath
+ * @private
+ * @description Builds the default output path inside the book's exports folder.
+ * The HTML site is a folder rather than a single file.
+ *
+ * @param {string} bookPath - Path to the book directory
+ * @param {string} format - Export format (used as file extension)
+ *
+ * @returns {string} Output path
+ *
+ * @example
+ * getDefaultOutputPath('/books/my-book', 'md');
+ * // Returns: '/books/my-book/exports/my-book.md'
+ *
+ * @example
+ * getDefaultOutputPath('/books/my-book', 'html');
+ * // Returns: '/books/my-book/exports/my-book-html'
+ */
+function getDefaultOutputPath(bookPath, format) {
+  if (format === "html") {
+    return path.join(bookPath, "exports", `${path.basename(bookPath)}-html`);
+  }
+  return path.join(bookPath, "exports", `${path.basename(bookPath)}.${format}`);
+}
+
+/**
+ * @function exportMarkdown
+ * @async
+ * @private
+ * @description Writes the book's accepted content as a markdown file, with
+ * image links pointing to the book's images folder from the output location
+ *
+ * @param {string} bookPath - Path to the book directory
+ * @param {Object} bookState - Current book state
+ * @param {string} outputPath - Destination file
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If the output cannot be written
+ *
+ * @example
+ * await exportMarkdown('/books/my-book', bookState, '/tmp/my-book.md');
+ */
+async function exportMarkdown(bookPath, bookState, outputPath) {
+  const imageBase = path
+    .relative(path.dirname(outputPath), path.join(bookPath, "images"))
+    .split(path.sep)
+    .join("/");
+  await fs.writeFile(
+    outputPath,
+    buildContentMarkdown(bookState, { imageBase: imageBase || "." })
+  );
+}
+
+/**
+ * @function exportBook
+ * @async
+ * @description Exports a book in the requested format
+ *
+ * @param {string} bookPath - Path to the book directory
+ * @param {Object} bookState - Current book state
+ * @param {Object} [options={}] - Export options
+ * @param {string} [options.format="md"] - One of EXPORT_FORMATS
+ * @param {string} [options.output] - Output path (defaults to `<book>/exports/<book>.<format>`)
+ * @param {Object} [options.pdf] - PDF layout options (trimSize, margin in inches)
+ * @param {Object} [options.epub] - EPUB options (layout, language, author)
+ * @param {Object} [options.html] - HTML site options (language)
+ *
+ * @returns {Promise<string>} Path of the exported file (folder for html)
+ * @throws {Error} If the format is unsupported or writing fails
+ *
+ * @example
+ * const outputPath = await exportBook('/books/my-book', bookState, { format: 'md' });
+ * // Returns: '/books/my-book/exports/my-book.md'
+ *
+ * @example
+ * await exportBook('/books/my-book', bookState, {
+ *   format: 'pdf',
+ *   pdf: { trimSize: '8x10', margin: 0.75 }
+ * });
+ * // Returns: '/books/my-book/exports/my-book.pdf'
+ */
+export async function exportBook(bookPath, bookState, options = {}) {
+  const format = options.format || "md";
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown export format: ${format} (supported: ${EXPORT_FORMATS.join(", ")})`
+    );
+  }
+
+  const outputPath = path.resolve(
+    options.output || getDefaultOutputPath(bookPath, format)
+  );
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+
+  switch (format) {
+    case "md":
+      await exportMarkdown(bookPath, bookState, outputPath);
+      break;
+    case "pdf":
+      await exportPdf(bookPath, bookState, outputPath, options.pdf);
+      break;
+    case "epub":
+      await exportEpub(bookPath, bookState, outputPath, options.epub);
+      break;
+    case "html":
+      await exportHtml(bookPath, bookState, outputPath, options.html);
+      break;
+  }
+
+  return outputPath;
+}
@@ -0,0 +1,455 @@
+/**
+ * @file Unattended whole-book generation pipeline
+ * @module generateBook
+ * @requires ../utils/display - For consistent CLI output formatting
+ * @requires ../utils/bookState - For book state persistence
+ * @requires ./generateChapter - For the shared chapter generation steps
+ * @requires ./characterSheets - For drawing missing character reference sheets
+ * @requires ../../artDirection - For the style and preset of each chapter
+ * @requires ../../sceneSelector - For scene selection
+ * @requires ../../utils/usage - For recording scene selection usage
+ * @requires ../../utils/budget - For budget checks before each attempt
+ * @requires ../../utils/revisions - For the text status of revisions
+ * @requires ../../../config/batchConfig - For default auto-accept rules
+ * @exports {resolveBatchRules, evaluateTextRules, generateWholeBook}
+ *
+ * @description
+ * Runs every chapter that is not yet accepted through prompt building, draft
+ * generation, personalization, scene selection and image generation without
+ * asking any questions. Acceptance is decided by configurable rules. Accepted
+ * chapters are summarized so the prompts of later chapters continue the story.
+ * When images are generated, missing character reference sheets are drawn
+ * first, so every chapter image can use them.
+ *
+ * After every step the chapter's progress is checkpointed in
+ * `chapter.pipeline` inside book-state.json, so a crash or Ctrl-C resumes the
+ * chapter at the step where it stopped instead of starting it over.
+ *
+ * @functions
+ * - resolveBatchRules: Merges default, book and run-specific rules
+ * - evaluateTextRules: Checks generated text against the acceptance rules
+ * - runChapterPipeline: Runs (or resumes) the pipeline for one chapter
+ * - generateWholeBook: Runs the pipeline for all pending chapters
+ *
+ * @constants
+ * - PIPELINE_STEPS: string[] - Checkpoint names in execution order
+ *
+ * @flow
+ * 1. Resolve the rules for this run and draw missing reference sheets
+ * 2. Collect chapters that are not accepted or have an unfinished pipeline
+ * 3. For each chapter, run the remaining steps, saving after each one
+ * 4. Stop gracefully on Ctrl-C after the current step
+ * 5. Return a per-chapter result summary
+ *
+ * @error Handling
+ * - Step failures: Recorded in chapter.pipeline.error; the chapter resumes at
+ *   the failed step on the next run
+ * - stopOnError: Stops the run at the first failure
+ * - Budget: A text or image attempt past the book's budget or attempt limits
+ *   fails the chapter before any call, unless the budget is ignored
+ * - SIGINT: First press stops after the current step, second press exits
+ */
+
+import display from "../utils/display.js";
+import { saveBookState } from "../utils/bookState.js";
+import {
+  buildInitialPrompt,
+  draftChapter,
+  personalizeChapter,
+  recordGeneratedText,
+  acceptChapterText,
+  recordStorySummary,
+  updateStorySummaries,
+  findImageReferences,
+  buildImagePrompt,
+  renderChapterImage,
+  acceptChapterImage,
+} from "./generateChapter.js";
+import { generateCharacterSheets } from "./characterSheets.js";
+import { resolveChapterArt } from "../../artDirection.js";
+import { selectSceneForImage } from "../../sceneSelector.js";
+import { trackUsage } from "../../utils/usage.js";
+import { checkBudget } from "../../utils/budget.js";
+import { setTextStatus } from "../../utils/revisions.js";
+import { DEFAULT_BATCH_RULES } from "../../../config/batchConfig.js";
+
+/**
+ * @constant
+ * @type {string[]}
+ * @description Checkpoint names in execution order. `chapter.pipeline.step`
+ * holds the last completed step.
+ * @readonly
+ */
+const PIPELINE_STEPS = [
+  "prompt",
+  "draft",
+  "personalized",
+  "text_accepted",
+  "scene",
+  "image",
+  "done",
+];
+
+/**
+ * @function resolveBatchRules
+ * @description Merges the default rules with the book's batchConfig and any
+ * run-specific overrides (later sources win). A null style or preset leaves
+ * each chapter to the book's art direction.
+ *
+ * @param {Object} bookState - The current book state
+ * @param {Object} [overrides={}] - Rules for this run only
+ *
+ * @returns {Object} Effective rules (see DEFAULT_BATCH_RULES)
+ *
+ * @example
+ * const rules = resolveBatchRules(bookState, { generateImages: false });
+ */
+export function resolveBatchRules(bookState, overrides = {}) {
+  const rules = {
+    ...DEFAULT_BATCH_RULES,
+    ...(bookState.batchConfig || {}),
+    ...overrides,
+  };
+  return rules;
+}
+
+/**
+ * @function evaluateTextRules
+ * @description Checks generated chapter text against the acceptance rules
+ *
+ * @param {string} text - Generated chapter text
+ * @param {Object} rules - Effective batch rules
+ *
+ * @returns {{accepted: boolean, reasons: string[]}} Verdict and the reasons
+ * for rejection (empty when accepted)
+ *
+ * @example
+ * evaluateTextRules("Too short.", { autoAcceptText: true, minWords: 150, maxWords: 2500, bannedPhrases: [] });
+ * // Returns: { accepted: false, reasons: ["2 words, below the minimum of 150"] }
+ */
+export function evaluateTextRules(text, rules) {
+  const reasons = [];
+
+  if (!rules.autoAcceptText) {
+    reasons.push("automatic text acceptance is disabled");
+  }
+
+  const words = (text || "").split(/\s+/).filter(Boolean).length;
+  if (words < rules.minWords) {
+    reasons.push(`${words} words, below the minimum of ${rules.minWords}`);
+  }
+  if (words > rules.maxWords) {
+    reasons.push(`${words} words, above the maximum of ${rules.maxWords}`);
+  }
+
+  const lowerText = (text || "").toLowerCase();
+  for (const phrase of rules.bannedPhrases || []) {
+    if (lowerText.includes(phrase.toLowerCase())) {
+      reasons.push(`contains "${phrase}"`);
+    }
+  }
+
+  return { accepted: reasons.length === 0, reasons };
+}
+
+/**
+ * @function runChapterPipeline
+ * @async
+ * @private
+ * @description Runs the remaining pipeline steps for one chapter, saving the
+ * book state after every step. Resumes from `chapter.pipeline.step` if a
+ * previous run was interrupted.
+ *
+ * @param {Object} chapter - The chapter to process
+ * @param {Object} bookState - The current book state
+ * @param {string} bookPath - Path to the book directory
+ * @param {Object} rules - Effective batch rules
+ * @param {Function} shouldStop - Returns true when the run must stop
+ * @param {Object} [options={}] - Run options
+ * @param {boolean} [options.ignoreBudget=false] - Continue past the book's budget
+ *
+ * @returns {Promise<"completed"|"needs_review"|"interrupted">} Chapter outcome
+ * @throws {Error} If a step fails or is over budget (the failure is checkpointed first)
+ *
+ * @example
+ * const outcome = await runChapterPipeline(chapter, bookState, bookPath, rules, () => false);
+ */
+async function runChapterPipeline(
+  chapter,
+  bookState,
+  bookPath,
+  rules,
+  shouldStop,
+  { ignoreBudget = false } = {}
+) {
+  if (!chapter.pipeline) {
+    chapter.pipeline = { step: null, startedAt: new Date().toISOString() };
+  }
+  const pipeline = chapter.pipeline;
+
+  const checkpoint = async (step, data = {}) => {
+    Object.assign(pipeline, data, {
+      step,
+      error: null,
+      updatedAt: new Date().toISOString(),
+    });
+    await saveBookState(bookPath, bookState);
+  };
+
+  const ensureBudget = (kind) => {
+    const verdict = checkBudget(bookState, chapter, kind);
+    if (verdict.warning) display.warning(`[${chapter.id}] ${verdict.warning}`);
+    if (verdict.allowed) return;
+    if (!ignoreBudget) {
+      throw new Error(`${verdict.reason}; use --ignore-budget to continue`);
+    }
+    display.warning(
+      `[${chapter.id}] ${verdict.reason} (continuing, budget ignored)`
+    );
+  };
+
+  if (pipeline.step) {
+    display.info(`Resuming ${chapter.id} after step "${pipeline.step}"`);
+  }
+
+  try {
+    while (pipeline.step !== "done") {
+      if (shouldStop()) return "interrupted";
+
+      switch (pipeline.step) {
+        case null:
+        case undefined:
+          await updateStorySummaries(chapter, bookState, {
+            interactive: false,
+            ignoreBudget,
+          });
+          await checkpoint("prompt", {
+            prompt: buildInitialPrompt(chapter, bookState),
+          });
+          break;
+
+        case "prompt":
+          ensureBudget("text");
+          display.progress(`[${chapter.id}] Generating content...`);
+          await checkpoint("draft", {
+            draft: await draftChapter(chapter, bookState, pipeline.prompt),
+          });
+          break;
+
+        case "draft": {
+          display.progress(`[${chapter.id}] Personalizing content...`);
+          const { personalizationPrompt, content } = await personalizeChapter(
+            chapter,
+            bookState,
+            pipeline.draft
+          );
+          recordGeneratedText(chapter, bookState, {
+            initialPrompt: pipeline.prompt,
+            personalizationPrompt,
+            content,
+          });
+          await checkpoint("personalized");
+          break;
+        }
+
+        case "personalized": {
+          const verdict = evaluateTextRules(chapter.text, rules);
+          if (!verdict.accepted) {
+            display.warning(
+              `[${chapter.id}] Left for review: ${verdict.reasons.join("; ")}`
+            );
+            setTextStatus(chapter, "wip");
+            delete chapter.pipeline;
+            await saveBookState(bookPath, bookState);
+            return "needs_review";
+          }
+
+          acceptChapterText(chapter);
+          display.success(`[${chapter.id}] Text accepted`);
+          await recordStorySummary(chapter, bookState);
+          await checkpoint(rules.generateImages ? "text_accepted" : "done");
+          break;
+        }
+
+        case "text_accepted": {
+          ensureBudget("image");
+          let scene = null;
+          if (rules.useSceneSelection) {
+            display.progress(`[${chapter.id}] Selecting a scene...`);
+            scene = await selectSceneForImage(
+              chapter.text,
+              chapter.topic,
+              bookState.chatConfig,
+              {
+                onUsage: trackUsage(
+                  chapter,
+                  "scene-selection",
+                  (chapter.image?.attempts || 0) + 1
+                ),
+              }
+            );
+          }
+          await checkpoint("scene", { scene });
+          break;
+        }
+
+        case "scene": {
+          const sceneSummary = pipeline.scene?.summary || null;
+          const { style, preset } = resolveChapterArt(
+            chapter,
+            bookState,
+            rules
+          );
+          const sceneText = pipeline.scene?.scene || null;
+          const references = await findImageReferences(
+            chapter,
+            bookState,
+            bookPath,
+            { sceneSummary, sceneText }
+          );
+          const imagePrompt = buildImagePrompt(chapter, bookState, {
+            style,
+            preset,
+            sceneSummary,
+            sceneText,
+            references,
+          });
+          display.progress(`[${chapter.id}] Generating image...`);
+          await renderChapterImage(chapter, bookState, bookPath, imagePrompt, {
+            style,
+            preset,
+            sceneSummary,
+            references,
+          });
+          await checkpoint("image", { imagePrompt });
+          break;
+        }
+
+        case "image":
+          if (rules.autoAcceptImages) {
+            await acceptChapterImage(chapter, bookPath);
+            display.success(`[${chapter.id}] Image accepted`);
+          } else {
+            chapter.image.status = "wip";
+          }
+          await checkpoint("done");
+          break;
+
+        default:
+          throw new Error(
+            `Unknown pipeline step "${pipeline.step}" (expected one of ${PIPELINE_STEPS.join(", ")})`
+          );
+      }
+    }
+  } catch (error) {
+    pipeline.error = error.message;
+    pipeline.updatedAt = new Date().toISOString();
+    await saveBookState(bookPath, bookState);
+    throw error;
+  }
+
+  delete chapter.pipeline;
+  await saveBookState(bookPath, bookState);
+  return "completed";
+}
+
+/**
+ * @function generateWholeBook
+ * @async
+ * @description Generates every chapter that is not yet accepted (or whose
+ * pipeline was interrupted) without user interaction
+ *
+ * @param {Object} bookState - The current book state
+ * @param {string} bookPath - Path to the book directory
+ * @param {Object} [overrides={}] - Rule overrides for this run (see DEFAULT_BATCH_RULES)
+ * @param {Object} [options={}] - Run options
+ * @param {boolean} [options.ignoreBudget=false] - Continue past the book's budget
+ *
+ * @returns {Promise<{
+ *   interrupted: boolean,
+ *   characterSheets: Array<{id: string, outcome: string, path?: string, error?: string}>,
+ *   results: Array<{id: string, outcome: string, status: string, imageStatus: string|null, error?: string}>
+ * }>} Summary of the run
+ *
+ * @example
+ * const { results } = await generateWholeBook(bookState, '/books/my-book');
+ * // results: [{ id: 'introduction', outcome: 'completed', status: 'accepted', imageStatus: 'accepted' }, ...]
+ *
+ * @example
+ * // Text only, leave images for later
+ * await generateWholeBook(bookState, bookPath, { generateImages: false });
+ */
+export async function generateWholeBook(
+  bookState,
+  bookPath,
+  overrides = {},
+  options = {}
+) {
+  const rules = resolveBatchRules(bookState, overrides);
+  const pending = bookState.chapters.filter(
+    (chapter) => chapter.status !== "accepted" || chapter.pipeline
+  );
+  const results = [];
+
+  let stopRequested = false;
+  const onInterrupt = () => {
+    if (stopRequested) process.exit(130);
+    stopRequested = true;
+    display.warning(
+      "Stopping after the current step (press Ctrl-C again to quit now)..."
+    );
+  };
+  process.on("SIGINT", onInterrupt);
+
+  display.info(`${pending.length} chapter(s) to generate`);
+
+  let characterSheets = [];
+  try {
+    if (
+      rules.generateImages &&
+      rules.generateCharacterSheets &&
+      pending.length > 0
+    ) {
+      characterSheets = await generateCharacterSheets(bookState, bookPath, {
+        ignoreBudget: options.ignoreBudget,
+        shouldStop: () => stopRequested,
+      });
+    }
+
+    for (const chapter of pending) {
+      if (stopRequested) break;
+
+      display.title(`\nChapter: ${chapter.topic}`);
+      let outcome;
+      let error;
+      try {
+        outcome = await runChapterPipeline(
+          chapter,
+          bookState,
+          bookPath,
+          rules,
+          () => stopRequested,
+          options
+        );
+      } catch (err) {
+        outcome = "failed";
+        error = err.message;
+        display.error(`[${chapter.id}] Failed: ${err.message}`);
+      }
+
+      results.push({
+        id: chapter.id,
+        outcome,
+        status: chapter.status,
+        imageStatus: chapter.image?.status || null,
+        ...(error ? { error } : {}),
+      });
+
+      if (outcome === "failed" && rules.stopOnError) break;
+    }
+  } finally {
+    process.removeListener("SIGINT", onInterrupt);
+  }
+
+  return { interrupted: stopRequested, characterSheets, results };
+}
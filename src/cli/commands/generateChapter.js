@@ -8,35 +8,64 @@
  * @requires ../../generatorChapter
  * @requires ../../generatorImage
  * @requires ../../promptBuilder
+ * @requires ../../storyContinuity
+ * @requires ../../characterBible
+ * @requires ../../characterSheets
+ * @requires ../../artDirection
  * @requires ../utils/bookState
- * @exports generateChapterContent
+ * @requires ../utils/prompts
+ * @requires ../../utils/responseCache
+ * @requires ../../utils/usage
+ * @requires ../../utils/budget
+ * @requires ../../utils/revisions
+ * @requires ../../utils/imageAttempts
+ * @requires ../utils/imageGallery
+ * @exports {generateChapterContent, buildInitialPrompt, draftChapter, personalizeChapter, recordGeneratedText, acceptChapterText, recordStorySummary, updateStorySummaries, findImageReferences, buildImagePrompt, renderChapterImage, acceptChapterImage, browseImageAttempts}
  *
  * @description This module handles the chapter generation workflow,
  * including prompt review/modification, content generation,
- * and image generation.
+ * and image generation. Every decision point accepts an optional automation
+ * object so the workflow can also run non-interactively.
  *
  * @functions
  * - reviewPrompt: Allows review and modification of generation prompts
  * - reviewContent: Handles review of generated content
+ * - guardBudget: Checks the budget before an attempt and asks for an override
+ * - buildInitialPrompt: Builds the first-phase prompt for a chapter
+ * - draftChapter: Generates the first-phase draft
+ * - personalizeChapter: Personalizes a draft with story details
+ * - recordGeneratedText: Stores generated text on the chapter as a new revision
+ * - acceptChapterText: Marks chapter text (and its revision) as accepted
+ * - recordStorySummary: Summarizes an accepted chapter for later prompts
+ * - updateStorySummaries: Summarizes earlier chapters that lack a current summary
+ * - sceneCharacters: Bible entries of the characters in the illustrated scene
+ * - findImageReferences: Reference sheets to attach to an illustration
+ * - buildImagePrompt: Builds the illustration prompt
+ * - renderChapterImage: Generates an image attempt
+ * - acceptChapterImage: Accepts the current image attempt
+ * - describeImageAttempt: Formats an image attempt for a menu
+ * - browseImageAttempts: Lets the user view and accept any image attempt
  * - handleImageGeneration: Manages the image generation process
  * - generateChapterContent: Main chapter generation function
  *
  * @constants
+ * - REUSE_CACHED_CHOICE: Prompt menu choice that reuses a cached result
  *
  * @flow
- * 1. Build initial prompt from chapter details
+ * 1. Build initial prompt from chapter details and the story so far
  * 2. Review/modify prompt
  * 3. Generate chapter content
- * 4. Review generated content
- * 5. Generate accompanying image
+ * 4. Review generated content; accepted text is summarized for later chapters
+ * 5. Generate accompanying image in the book's art direction
  * 6. Save results to book state
  *
  * @error Handling
- * - Generation API errors: Caught and displayed to user
+ * - Generation API errors: Caught and displayed to user, re-thrown when automated
+ * - Budget: Attempts past the budget are confirmed interactively, or refused
+ *   when automated unless `automation.ignoreBudget` is set
  * - File system errors: Caught when saving content
  */
 
-import inquirer from "inquirer";
 import path from "path";
 import display from "../utils/display.js";
 import fs from "fs/promises";
@@ -45,64 +74,119 @@ import { generateImage } from "../../imageGenerator.js";
 import {
   buildChapterPrompt,
   personalizeChapterContent,
+  characterRelevance,
 } from "../../promptBuilder.js";
 import {
   buildIntroductionPrompt,
   personalizeIntroductionContent,
 } from "../../promptBuilderExtras.js";
 import { saveBookState } from "../utils/bookState.js";
+import { isResponseCacheEnabled } from "../../utils/responseCache.js";
+import { trackUsage } from "../../utils/usage.js";
+import { checkBudget } from "../../utils/budget.js";
+import {
+  getRevisions,
+  recordRevision,
+  setTextStatus,
+} from "../../utils/revisions.js";
+import {
+  IMAGE_ATTEMPTS_DIR,
+  getImageAttempts,
+  resolveImageAttemptPath,
+  recordImageAttempt,
+  selectImageAttempt,
+} from "../../utils/imageAttempts.js";
+import {
+  listImageAttempts,
+  writeContactSheet,
+  openInViewer,
+} from "../utils/imageGallery.js";
 import { editPrompt } from "../utils/promptEditor.js";
+import { ask } from "../utils/prompts.js";
 import { selectSceneForImage } from "../../sceneSelector.js";
 import {
-  getIllustrationPrompt,
-  DEFAULT_IMAGE_STYLE_PROMPT,
-  IMAGE_STYLE_PRESETS,
-} from "../../../config/imageStyles.js";
+  getCharacterBible,
+  detectSceneCharacters,
+} from "../../characterBible.js";
+import {
+  describeSheetCharacters,
+  findSheetReferences,
+} from "../../characterSheets.js";
+import {
+  resolveArtDirection,
+  resolveChapterArt,
+  describeArtDirection,
+} from "../../artDirection.js";
+import {
+  summarizeChapterForContinuity,
+  selectPreviousChapters,
+  buildStorySoFar,
+} from "../../storyContinuity.js";
+import { getIllustrationPrompt } from "../../../config/imageStyles.js";
 import fetch from "node-fetch";
 
+/**
+ * @constant {Object}
+ * @description Prompt menu choice that reuses the cached result of the same
+ * prompt instead of calling the provider. Only offered when the response
+ * cache is enabled.
+ * @private
+ */
+const REUSE_CACHED_CHOICE = {
+  name: "Use this prompt and reuse the cached result",
+  value: "cached",
+};
+
 /**
  * @function reviewPrompt
  * @async
  * @description Displays a prompt and allows user to use, modify, or cancel
  *
  * @param {string} prompt - The generation prompt to review
+ * @param {Object} [automation] - Preset answers for non-interactive runs
  *
- * @returns {Promise<string|null>} The accepted or modified prompt, or null if cancelled
+ * @returns {Promise<{prompt: string, reuseCached: boolean}|null>} The accepted
+ * or modified prompt and whether to reuse a cached result, or null if cancelled
  *
  * @example
- * const finalPrompt = await reviewPrompt(initialPrompt);
+ * const review = await reviewPrompt(initialPrompt);
  */
-async function reviewPrompt(prompt) {
+async function reviewPrompt(prompt, automation) {
   display.title("Generated Prompt:");
-  console.log(prompt);
+  display.text(prompt);
 
-  const { action } = await inquirer.prompt([
-    {
-      type: "list",
-      name: "action",
-      message: "Would you like to:",
-      choices: [
-        {
-          name: "Use this prompt",
-          value: "use",
-        },
-        {
-          name: "Modify the prompt",
-          value: "modify",
-        },
-        {
-          name: "Cancel generation",
-          value: "cancel",
-        },
-      ],
-    },
-  ]);
+  const { promptAction } = await ask(
+    [
+      {
+        type: "list",
+        name: "promptAction",
+        message: "Would you like to:",
+        choices: [
+          {
+            name: "Use this prompt",
+            value: "use",
+          },
+          ...(isResponseCacheEnabled() ? [REUSE_CACHED_CHOICE] : []),
+          {
+            name: "Modify the prompt",
+            value: "modify",
+          },
+          {
+            name: "Cancel generation",
+            value: "cancel",
+          },
+        ],
+      },
+    ],
+    automation
+  );
 
-  if (action === "modify") {
-    return await editPrompt(prompt);
+  if (promptAction === "modify") {
+    return { prompt: await editPrompt(prompt), reuseCached: false };
   }
+  if (promptAction === "cancel") return null;
 
-  return action === "use" ? prompt : null;
+  return { prompt, reuseCached: promptAction === "cached" };
 }
 
 /**
@@ -111,253 +195,953 @@ async function reviewPrompt(prompt) {
  * @description Displays generated content and lets user review and decide actions
  *
  * @param {string} content - The generated content to review
+ * @param {Object} [automation] - Preset answers for non-interactive runs
  *
  * @returns {Promise<string>} User's action choice ('accept', 'regenerate', 'modify', 'wip')
  *
  * @example
  * const action = await reviewContent(generatedText);
  */
-async function reviewContent(content) {
+async function reviewContent(content, automation) {
   display.title("Generated Content:");
-  console.log(content);
+  display.text(content);
+
+  const { contentAction } = await ask(
+    [
+      {
+        type: "list",
+        name: "contentAction",
+        message: "What would you like to do with this content?",
+        choices: [
+          {
+            name: "Accept and proceed to image generation",
+            value: "accept",
+          },
+          {
+            name: "Regenerate with same prompt",
+            value: "regenerate",
+          },
+          {
+            name: "Modify prompt and regenerate",
+            value: "modify",
+          },
+          {
+            name: "Mark as work in progress and return",
+            value: "wip",
+          },
+        ],
+      },
+    ],
+    automation
+  );
+
+  return contentAction;
+}
+
+/**
+ * @function guardBudget
+ * @async
+ * @description Checks a text or image attempt against the book's budget and
+ * attempt limits before any call is made. Warns when the budget is nearly
+ * used; past the limits, asks whether to continue anyway (interactive) or
+ * refuses (automated, unless the budget is explicitly ignored).
+ *
+ * @param {Object} chapter - Chapter the attempt is for
+ * @param {Object} bookState - The current book state
+ * @param {string} kind - 'text', 'image' or 'summary'
+ * @param {Object} [automation] - Preset answers for non-interactive runs
+ * @param {boolean} [automation.ignoreBudget] - Continue past the budget
+ *
+ * @returns {Promise<boolean>} Whether the attempt may run
+ * @throws {Error} If automated and the attempt is over budget
+ *
+ * @example
+ * if (!(await guardBudget(chapter, bookState, "image", automation))) return null;
+ */
+async function guardBudget(chapter, bookState, kind, automation) {
+  const verdict = checkBudget(bookState, chapter, kind);
+  if (verdict.warning) display.warning(verdict.warning);
+  if (verdict.allowed) return true;
+
+  if (automation?.ignoreBudget) {
+    display.warning(`${verdict.reason} (continuing, budget ignored)`);
+    return true;
+  }
+  if (automation?.interactive === false) {
+    throw new Error(`${verdict.reason}; use --ignore-budget to continue`);
+  }
+
+  display.warning(verdict.reason);
+  const { overBudget } = await ask(
+    [
+      {
+        type: "confirm",
+        name: "overBudget",
+        message: "Continue anyway?",
+        default: false,
+      },
+    ],
+    automation
+  );
+  return overBudget;
+}
+
+/**
+ * @function buildInitialPrompt
+ * @description Builds the first-phase generation prompt for a chapter. The
+ * introduction only receives minimal character details; other chapters name
+ * the secondary characters they feature.
+ *
+ * @param {Object} chapter - The chapter to build the prompt for
+ * @param {Object} bookState - The current book state
+ *
+ * @returns {string} Initial generation prompt
+ *
+ * @example
+ * const prompt = buildInitialPrompt(chapter, bookState);
+ */
+export function buildInitialPrompt(chapter, bookState) {
+  if (chapter.id === "introduction") {
+    // For introduction, only pass minimal character details initially
+    const minimalVariables = {
+      characters: {
+        protagonistName: bookState.storyVariables.characters.protagonistName,
+        protagonistAge: bookState.storyVariables.characters.protagonistAge,
+      },
+    };
+    return buildIntroductionPrompt(
+      minimalVariables,
+      bookState.curriculum?.content
+    );
+  }
+
+  return buildChapterPrompt(
+    chapter.topic,
+    chapter.lessonContext ? [chapter.lessonContext.summary] : [],
+    bookState.storyVariables,
+    selectPreviousChapters(bookState.chapters, chapter.id),
+    characterRelevance(chapter.featuring)
+  );
+}
+
+/**
+ * @function draftChapter
+ * @async
+ * @description Generates the first-phase draft of a chapter from the
+ * (reviewed) initial prompt. Each draft starts a new text attempt; its token
+ * usage is recorded on the chapter.
+ *
+ * @param {Object} chapter - The chapter to draft
+ * @param {Object} bookState - The current book state
+ * @param {string} prompt - Initial prompt, as built by buildInitialPrompt and
+ * possibly edited by the user
+ * @param {Object} [options={}] - Call options
+ * @param {boolean} [options.reuseCached=false] - Reuse a cached draft for the same prompt
+ *
+ * @returns {Promise<string>} Draft content
+ * @throws {Error} If the chat API call fails
+ *
+ * @example
+ * const draft = await draftChapter(chapter, bookState, buildInitialPrompt(chapter, bookState));
+ */
+export async function draftChapter(chapter, bookState, prompt, options = {}) {
+  const isIntroduction = chapter.id === "introduction";
+  chapter.textAttempts = (chapter.textAttempts || 0) + 1;
+
+  return generateChapter(
+    isIntroduction ? "Introduction" : chapter.topic,
+    isIntroduction
+      ? []
+      : chapter.lessonContext
+        ? [chapter.lessonContext.summary]
+        : [],
+    {
+      characters: {
+        protagonistName: bookState.storyVariables.characters.protagonistName,
+        protagonistAge: bookState.storyVariables.characters.protagonistAge,
+      },
+    },
+    "",
+    bookState.chatConfig,
+    {
+      ...options,
+      prompt,
+      onUsage: trackUsage(chapter, "generation", chapter.textAttempts),
+    }
+  );
+}
+
+/**
+ * @function personalizeChapter
+ * @async
+ * @description Runs the second-phase personalization of a draft. Token
+ * usage is recorded on the chapter under the current text attempt.
+ *
+ * @param {Object} chapter - The chapter being generated
+ * @param {Object} bookState - The current book state
+ * @param {string} draft - First-phase draft content
+ * @param {Object} [options={}] - Call options
+ * @param {boolean} [options.reuseCached=false] - Reuse a cached result for the same prompt
+ *
+ * @returns {Promise<{personalizationPrompt: string, content: string}>} The
+ * prompt used and the personalized content
+ * @throws {Error} If the chat API call fails
+ *
+ * @example
+ * const { content } = await personalizeChapter(chapter, bookState, draft);
+ */
+export async function personalizeChapter(
+  chapter,
+  bookState,
+  draft,
+  options = {}
+) {
+  // Build personalization prompt based on content type
+  const personalizationPrompt =
+    chapter.id === "introduction"
+      ? personalizeIntroductionContent(draft, bookState.storyVariables)
+      : personalizeChapterContent(
+          draft,
+          bookState.storyVariables,
+          chapter.featuring
+        );
+
+  const content = await generateChapter(
+    "Content Personalization",
+    [],
+    bookState.storyVariables,
+    personalizationPrompt,
+    bookState.chatConfig,
+    {
+      ...options,
+      onUsage: trackUsage(
+        chapter,
+        "personalization",
+        chapter.textAttempts || 1
+      ),
+    }
+  );
+
+  return { personalizationPrompt, content };
+}
+
+/**
+ * @function recordGeneratedText
+ * @description Stores generated text and its generation settings on the
+ * chapter, and appends them to the chapter's revisions so earlier texts are
+ * kept
+ *
+ * @param {Object} chapter - The chapter to update
+ * @param {Object} bookState - The current book state
+ * @param {Object} generation - Generation details
+ * @param {string} generation.initialPrompt - First-phase prompt
+ * @param {string} generation.personalizationPrompt - Second-phase prompt
+ * @param {string} generation.content - Personalized content
+ *
+ * @returns {void}
+ *
+ * @example
+ * recordGeneratedText(chapter, bookState, { initialPrompt, personalizationPrompt, content });
+ */
+export function recordGeneratedText(
+  chapter,
+  bookState,
+  { initialPrompt, personalizationPrompt, content }
+) {
+  // Records text from before revisions were kept before it is replaced
+  getRevisions(chapter);
+  chapter.text = content;
+  chapter.status = "generated";
+  chapter.generationConfig = {
+    initialPrompt,
+    personalizationPrompt,
+    provider: bookState.chatConfig.provider || "openai",
+    model: bookState.chatConfig.chatModel,
+    temperature: bookState.chatConfig.temperature,
+    timestamp: new Date().toISOString(),
+  };
+  recordRevision(chapter, {
+    text: content,
+    ...chapter.generationConfig,
+    status: chapter.status,
+  });
+}
+
+/**
+ * @function acceptChapterText
+ * @description Marks a chapter and its current revision as accepted.
+ * content.md is rebuilt from the book state when the caller saves it.
+ *
+ * @param {Object} chapter - The chapter to accept
+ *
+ * @returns {void}
+ *
+ * @example
+ * acceptChapterText(chapter);
+ * await saveBookState(bookPath, bookState);
+ */
+export function acceptChapterText(chapter) {
+  setTextStatus(chapter, "accepted");
+}
+
+/**
+ * @function recordStorySummary
+ * @async
+ * @description Summarizes an accepted chapter and lists its characters for
+ * the prompts of later chapters, and refreshes the book's story so far
+ * (currentContext). A failed summary only warns: it is retried before the
+ * next chapter is generated.
+ *
+ * @param {Object} chapter - The accepted chapter
+ * @param {Object} bookState - The current book state
+ *
+ * @returns {Promise<boolean>} Whether a summary was stored
+ *
+ * @example
+ * acceptChapterText(chapter);
+ * await recordStorySummary(chapter, bookState);
+ * await saveBookState(bookPath, bookState);
+ */
+export async function recordStorySummary(chapter, bookState) {
+  if (!chapter.text) return false;
+  try {
+    const { summary, characters } = await summarizeChapterForContinuity(
+      chapter.text,
+      chapter.topic,
+      bookState.chatConfig,
+      {
+        onUsage: trackUsage(
+          chapter,
+          "story-summary",
+          chapter.textAttempts || 1
+        ),
+      }
+    );
+    chapter.storySummary = {
+      summary,
+      characters,
+      revision: chapter.currentRevision ?? null,
+      timestamp: new Date().toISOString(),
+    };
+    bookState.currentContext = buildStorySoFar(bookState.chapters);
+    return true;
+  } catch (error) {
+    display.warning(
+      `Could not summarize "${chapter.topic}" for story continuity (retried before the next chapter): ${error.message}`
+    );
+    return false;
+  }
+}
+
+/**
+ * @function updateStorySummaries
+ * @async
+ * @description Summarizes the accepted chapters before a chapter that have
+ * no summary yet, or whose text changed since it was summarized (a restored
+ * revision, a merge or split, or a chapter accepted from the chapter menu).
+ * Each summary is checked against the book's budget first; a summary that
+ * is not allowed stops the catch-up, and the chapter is generated with the
+ * story so far that is known.
+ *
+ * @param {Object} chapter - The chapter about to be generated
+ * @param {Object} bookState - The current book state
+ * @param {Object} [automation] - Preset answers for non-interactive runs
+ * @param {boolean} [automation.ignoreBudget] - Continue past the budget
+ *
+ * @returns {Promise<number>} Number of summaries written
+ * @throws {Error} If automated and a summary is over budget
+ *
+ * @example
+ * if (await updateStorySummaries(chapter, bookState, automation)) await saveBookState(bookPath, bookState);
+ */
+export async function updateStorySummaries(chapter, bookState, automation) {
+  const index = bookState.chapters.indexOf(chapter);
+  const stale = bookState.chapters
+    .slice(0, index === -1 ? bookState.chapters.length : index)
+    .filter(
+      (candidate) =>
+        candidate.status === "accepted" &&
+        candidate.text &&
+        (!candidate.storySummary ||
+          candidate.storySummary.revision !==
+            (candidate.currentRevision ?? null))
+    );
+
+  let written = 0;
+  for (const candidate of stale) {
+    if (!(await guardBudget(candidate, bookState, "summary", automation))) {
+      break;
+    }
+    display.progress(
+      `Summarizing "${candidate.topic}" for story continuity...`
+    );
+    if (await recordStorySummary(candidate, bookState)) written++;
+  }
+  return written;
+}
+
+/**
+ * @function sceneCharacters
+ * @private
+ * @description Finds the characters of the character bible in the scene
+ * (its text and summary) or, without a scene, in the chapter text
+ *
+ * @param {Object} chapter - The chapter to illustrate
+ * @param {Object} bookState - The current book state
+ * @param {string|null} sceneSummary - Selected scene summary
+ * @param {string|null} sceneText - Full text of the selected scene
+ *
+ * @returns {Array<Object>} Bible entries, in bible order
+ *
+ * @example
+ * sceneCharacters(chapter, bookState, scene.summary, scene.scene);
+ */
+function sceneCharacters(chapter, bookState, sceneSummary, sceneText) {
+  return detectSceneCharacters(
+    sceneSummary
+      ? [sceneText, sceneSummary].filter(Boolean).join("\n")
+      : chapter.text || chapter.topic,
+    getCharacterBible(bookState)
+  );
+}
+
+/**
+ * @function findImageReferences
+ * @async
+ * @description Lists the reference sheets to attach to a chapter
+ * illustration: those of the characters in the scene. Pass the same list to
+ * buildImagePrompt and renderChapterImage, so the prompt only asks to follow
+ * sheets that are attached.
+ *
+ * @param {Object} chapter - The chapter to illustrate
+ * @param {Object} bookState - The current book state
+ * @param {string} bookPath - Path to the book directory
+ * @param {Object} [scene={}] - Illustrated scene
+ * @param {string|null} [scene.sceneSummary] - Selected scene summary
+ * @param {string|null} [scene.sceneText] - Full text of the selected scene
+ *
+ * @returns {Promise<Array<{characterId: string, path: string}>>} Sheet references
+ *
+ * @example
+ * const references = await findImageReferences(chapter, bookState, bookPath, { sceneSummary });
+ */
+export async function findImageReferences(
+  chapter,
+  bookState,
+  bookPath,
+  { sceneSummary = null, sceneText = null } = {}
+) {
+  return findSheetReferences(
+    bookState,
+    bookPath,
+    sceneCharacters(chapter, bookState, sceneSummary, sceneText)
+  );
+}
+
+/**
+ * @function buildImagePrompt
+ * @description Builds the full illustration prompt for a chapter. The
+ * characters of the character bible found in the scene (or, without a
+ * scene, in the chapter text) are described so they look the same in every
+ * illustration; characters whose reference sheet is attached are drawn from
+ * it, and characters with a sheet are described with its look when the
+ * provider cannot use reference images. The palette and line quality always
+ * follow the book's art direction.
+ *
+ * @param {Object} chapter - The chapter to illustrate
+ * @param {Object} bookState - The current book state
+ * @param {Object} options - Prompt options
+ * @param {string} options.style - Visual style name
+ * @param {string} options.preset - Scene composition preset key
+ * @param {string|null} [options.sceneSummary] - Selected scene summary, or
+ * null to use the chapter's full context
+ * @param {string|null} [options.sceneText] - Full text of the selected scene,
+ * searched together with the summary for the characters to describe
+ * @param {Array<{characterId: string, path: string}>} [options.references=[]] -
+ * Reference sheets attached to the illustration (see findImageReferences)
+ *
+ * @returns {string} Image generation prompt
+ *
+ * @example
+ * const prompt = buildImagePrompt(chapter, bookState, {
+ *   style: "watercolor",
+ *   preset: "groupInteraction",
+ *   sceneSummary: scene.summary,
+ *   references
+ * });
+ */
+export function buildImagePrompt(
+  chapter,
+  bookState,
+  { style, preset, sceneSummary = null, sceneText = null, references = [] }
+) {
+  // Build scene description
+  const sceneDescription =
+    sceneSummary ||
+    `${chapter.topic}: ${chapter.text ? chapter.text.slice(0, 200) + "..." : chapter.lessonContext?.summary || ""}`;
+
+  // Describe the characters that appear in the scene
+  const characterDescription = describeSheetCharacters(
+    bookState,
+    sceneCharacters(chapter, bookState, sceneSummary, sceneText),
+    references
+  );
+
+  // Build the full prompt using imageStyles utility
+  const { palette, lineQuality } = resolveArtDirection(bookState.imageConfig);
+  return getIllustrationPrompt({
+    description: characterDescription
+      ? `${sceneDescription}${/[.!?]$/.test(sceneDescription) ? "" : "."} ${characterDescription}`
+      : sceneDescription,
+    style,
+    preset,
+    palette,
+    lineQuality,
+  });
+}
 
-  const { action } = await inquirer.prompt([
+/**
+ * @function renderChapterImage
+ * @async
+ * @description Generates an image attempt into the book's images/attempts/
+ * folder, adds it to the
+ * chapter's image gallery and makes it the current "generated" image. The
+ * caller is responsible for saving the book state.
+ *
+ * @param {Object} chapter - The chapter to illustrate
+ * @param {Object} bookState - The current book state
+ * @param {string} bookPath - Path to the book directory
+ * @param {string} prompt - Final image prompt
+ * @param {Object} options - Attempt details
+ * @param {string} options.style - Visual style name
+ * @param {string} options.preset - Scene composition preset key
+ * @param {string|null} [options.sceneSummary] - Illustrated scene, kept as
+ * the image description (e.g. alt text in exports)
+ * @param {Array<{characterId: string, path: string}>} [options.references=[]] -
+ * Character reference sheets to draw from (see findSheetReferences)
+ * @param {boolean} [options.reuseCached=false] - Reuse a cached image for the same prompt
+ *
+ * @returns {Promise<string>} Absolute path to the generated image
+ * @throws {Error} If image generation fails
+ *
+ * @example
+ * const imagePath = await renderChapterImage(chapter, bookState, bookPath, prompt, { style, preset });
+ */
+export async function renderChapterImage(
+  chapter,
+  bookState,
+  bookPath,
+  prompt,
+  { style, preset, sceneSummary = null, references = [], reuseCached = false }
+) {
+  // Get attempt number from chapter state or start at 1
+  const attemptNumber = (chapter.image?.attempts || 0) + 1;
+
+  // Unique attempt file, stored relative to the book
+  const attemptPath = path.posix.join(
+    IMAGE_ATTEMPTS_DIR,
+    `${chapter.id}_attempt${attemptNumber}_${Date.now()}.png`
+  );
+
+  // Generate image with configured parameters
+  const outputPath = await generateImage(
+    bookState.imageConfig,
+    prompt,
+    path.join(bookPath, attemptPath),
+    {
+      chapterId: chapter.id,
+      style,
+      references: references.map((reference) => reference.path),
+      reuseCached,
+      onUsage: trackUsage(chapter, "image", attemptNumber),
+    }
+  );
+
+  // Keep the attempt in the gallery and make it the current image
+  recordImageAttempt(chapter, {
+    number: attemptNumber,
+    path: attemptPath,
+    prompt,
+    style,
+    preset,
+    sceneSummary,
+    ...(references.length > 0 && {
+      references: references.map((reference) => reference.characterId),
+    }),
+    timestamp: new Date().toISOString(),
+  });
+
+  return outputPath;
+}
+
+/**
+ * @function acceptChapterImage
+ * @async
+ * @description Copies the chapter's current image attempt into the book's
+ * images folder and marks it as accepted. The caller is responsible for
+ * saving the book state.
+ *
+ * @param {Object} chapter - The chapter whose image is accepted
+ * @param {string} bookPath - Path to the book directory
+ *
+ * @returns {Promise<string>} Final image path
+ * @throws {Error} If the attempt image cannot be copied
+ *
+ * @example
+ * const finalPath = await acceptChapterImage(chapter, bookPath);
+ */
+export async function acceptChapterImage(chapter, bookPath) {
+  // Ensure images directory exists
+  const imagesDir = path.join(bookPath, "images");
+  await fs.mkdir(imagesDir, { recursive: true });
+
+  // Copy the attempt to its final location
+  const finalFileName = `chapter_${chapter.id}_image.png`;
+  const finalPath = path.join(imagesDir, finalFileName);
+  await fs.copyFile(
+    resolveImageAttemptPath(bookPath, chapter.image.tempPath),
+    finalPath
+  );
+
+  chapter.image.status = "accepted";
+  chapter.image.localPath = finalPath;
+  return finalPath;
+}
+
+/**
+ * @function describeImageAttempt
+ * @private
+ * @description Formats an image attempt as a one-line menu entry
+ *
+ * @param {Object} attempt - Image attempt
+ * @param {Object} chapter - The chapter it belongs to
+ *
+ * @returns {string} Attempt summary
+ *
+ * @example
+ * describeImageAttempt(attempt, chapter);
+ * // Returns: "#3 (accepted) watercolor / groupInteraction, 2024-05-01 14:02"
+ */
+function describeImageAttempt(attempt, chapter) {
+  const current = chapter.image?.attempt === attempt.number;
+  const badge = current
+    ? chapter.image.status === "accepted"
+      ? " (accepted)"
+      : " (current)"
+    : "";
+  const details = [attempt.style, attempt.preset].filter(Boolean).join(" / ");
+  const date = attempt.timestamp
+    ? `, ${attempt.timestamp.slice(0, 16).replace("T", " ")}`
+    : "";
+  return `#${attempt.number}${badge} ${details}${date}`;
+}
+
+/**
+ * @function browseImageAttempts
+ * @async
+ * @description Lists every image generated for the chapter, newest first.
+ * Any attempt whose file still exists can be opened in the system viewer or
+ * accepted, and an HTML contact sheet shows all of them side by side.
+ *
+ * @param {Object} chapter - The chapter
+ * @param {Object} bookState - The current book state
+ * @param {string} bookPath - Path to the book directory
+ *
+ * @returns {Promise<boolean>} Whether an attempt was accepted
+ * @throws {Error} If the accepted image cannot be copied or the state saved
+ *
+ * @example
+ * const accepted = await browseImageAttempts(chapter, bookState, '/path/to/book');
+ */
+export async function browseImageAttempts(chapter, bookState, bookPath) {
+  const attempts = await listImageAttempts(chapter, bookPath);
+
+  const { choice } = await ask([
+    {
+      type: "list",
+      name: "choice",
+      message: "Image attempts (newest first):",
+      choices: [
+        { name: "Open contact sheet of all attempts", value: "sheet" },
+        ...[...attempts].reverse().map(({ attempt, file }) => ({
+          name: describeImageAttempt(attempt, chapter),
+          value: attempt.number,
+          disabled: file ? false : "File no longer exists",
+        })),
+        { name: "Back", value: "back" },
+      ],
+    },
+  ]);
+  if (choice === "back") return false;
+
+  if (choice === "sheet") {
+    const sheetPath = await writeContactSheet(chapter, bookState, bookPath);
+    display.text(display.label("Contact sheet:"), display.path(sheetPath));
+    try {
+      await openInViewer(sheetPath);
+    } catch (error) {
+      display.warning(error.message);
+    }
+    return browseImageAttempts(chapter, bookState, bookPath);
+  }
+
+  const { attempt, file } = attempts.find(
+    (entry) => entry.attempt.number === choice
+  );
+  display.title(`Attempt #${attempt.number}:`);
+  display.text(display.label("File:"), display.path(file));
+  if (attempt.sceneSummary) {
+    display.text(display.label("Scene:"), attempt.sceneSummary);
+  }
+  display.text(display.label("Prompt:"), attempt.prompt);
+
+  const isAccepted =
+    chapter.image?.attempt === attempt.number &&
+    chapter.image.status === "accepted";
+  const { attemptAction } = await ask([
     {
       type: "list",
-      name: "action",
-      message: "What would you like to do with this content?",
+      name: "attemptAction",
+      message: "What would you like to do with this attempt?",
       choices: [
+        { name: "Open in image viewer", value: "open" },
         {
-          name: "Accept and proceed to image generation",
+          name: "Accept this image",
           value: "accept",
+          disabled: isAccepted ? "Already accepted" : false,
         },
-        {
-          name: "Regenerate with same prompt",
-          value: "regenerate",
-        },
-        {
-          name: "Modify prompt and regenerate",
-          value: "modify",
-        },
-        {
-          name: "Mark as work in progress and return",
-          value: "wip",
-        },
+        { name: "Back to attempts", value: "back" },
       ],
     },
   ]);
 
-  return action;
+  if (attemptAction === "open") {
+    try {
+      await openInViewer(file);
+    } catch (error) {
+      display.warning(error.message);
+    }
+  } else if (attemptAction === "accept") {
+    selectImageAttempt(chapter, attempt.number);
+    await acceptChapterImage(chapter, bookPath);
+    await saveBookState(bookPath, bookState);
+    display.success(`Image attempt #${attempt.number} accepted.`);
+    return true;
+  }
+  return browseImageAttempts(chapter, bookState, bookPath);
 }
 
 /**
  * @function handleImageGeneration
  * @async
- * @description Manages the image generation workflow for a chapter
+ * @description Manages the image generation workflow for a chapter. The
+ * style and scene composition come from the book's art direction, or the
+ * chapter's override of it, without asking.
  *
  * @param {Object} chapter - The chapter object to generate an image for
  * @param {Object} bookState - The current book state
  * @param {string} bookPath - Path to the book directory
+ * @param {Object} [automation] - Preset answers for non-interactive runs
+ * @param {Object} [automation.answers] - Answers for sceneAction,
+ * imagePromptAction and imageAction, plus an optional style and preset that
+ * replace the art direction for this run
+ * @param {boolean} [automation.ignoreBudget] - Continue past the book's budget
  *
  * @returns {Promise<boolean|null>} Whether image generation was successful or skipped
+ * @throws {Error} Only when automated, so the caller can report the failure
  *
  * @example
  * const success = await handleImageGeneration(currentChapter, bookState, '/path/to/book');
  */
-async function handleImageGeneration(chapter, bookState, bookPath) {
+async function handleImageGeneration(chapter, bookState, bookPath, automation) {
   try {
-    // Ensure tmp directory exists
-    await fs.mkdir("tmp", { recursive: true });
-
-    // Get attempt number from chapter state or start at 1
-    const attemptNumber = (chapter.image?.attempts || 0) + 1;
-
-    // Select visual style
-    const { style } = await inquirer.prompt([
-      {
-        type: "list",
-        name: "style",
-        message: "Choose a visual style:",
-        choices: DEFAULT_IMAGE_STYLE_PROMPT.map((s) => ({
-          name: s.name,
-          value: s.name,
-        })),
-      },
-    ]);
+    if (!(await guardBudget(chapter, bookState, "image", automation))) {
+      return null;
+    }
 
-    // Select scene composition preset
-    const { preset } = await inquirer.prompt([
-      {
-        type: "list",
-        name: "preset",
-        message: "Choose a scene composition:",
-        choices: Object.entries(IMAGE_STYLE_PRESETS).map(([key, value]) => ({
-          name: `${value.name}: ${value.description}`,
-          value: key,
-        })),
-      },
-    ]);
+    // Use the book's art direction (or the chapter's override of it)
+    const { style, preset, palette, lineQuality, source } = resolveChapterArt(
+      chapter,
+      bookState,
+      automation?.answers
+    );
+    display.info(
+      `Art direction: ${describeArtDirection({ style, palette, lineQuality, preset })}${source === "book" ? "" : ` (${source} override)`}`
+    );
 
     // Select a scene from the chapter text
     display.progress("Analyzing chapter to select a scene...");
     const selectedScene = await selectSceneForImage(
       chapter.text,
       chapter.topic,
+      bookState.chatConfig,
       {
-        model: bookState.chatConfig.chatModel,
-        temperature: bookState.chatConfig.temperature,
+        onUsage: trackUsage(
+          chapter,
+          "scene-selection",
+          (chapter.image?.attempts || 0) + 1
+        ),
       }
     );
 
     display.title("Selected Scene:");
-    console.log(selectedScene.scene);
-    console.log("\nSummary for Image Generation:");
-    console.log(selectedScene.summary);
+    display.text(selectedScene.scene);
+    display.text("\nSummary for Image Generation:");
+    display.text(selectedScene.summary);
 
-    const { sceneAction } = await inquirer.prompt([
-      {
-        type: "list",
-        name: "sceneAction",
-        message: "Would you like to use this scene?",
-        choices: [
-          { name: "Use this scene", value: "use" },
-          { name: "Skip scene selection and use full context", value: "skip" },
-        ],
-      },
-    ]);
-
-    // Build scene description
-    const sceneDescription =
-      sceneAction === "use" && selectedScene
-        ? selectedScene.summary
-        : `${chapter.topic}: ${chapter.text ? chapter.text.slice(0, 200) + "..." : chapter.lessonContext?.summary || ""}`;
-
-    // Get character description if available
-    const mainCharacter = Object.values(bookState.storyVariables.characters)[0];
-    const characterDescription = mainCharacter?.visualDescription || "";
-
-    // Build the full prompt using imageStyles utility
-    const imagePrompt = getIllustrationPrompt({
-      description: characterDescription
-        ? `${characterDescription} ${sceneDescription}`
-        : sceneDescription,
+    const { sceneAction } = await ask(
+      [
+        {
+          type: "list",
+          name: "sceneAction",
+          message: "Would you like to use this scene?",
+          choices: [
+            { name: "Use this scene", value: "use" },
+            {
+              name: "Skip scene selection and use full context",
+              value: "skip",
+            },
+          ],
+        },
+      ],
+      automation
+    );
+
+    const useScene = sceneAction === "use" && selectedScene;
+    const sceneSummary = useScene ? selectedScene.summary : null;
+    const sceneText = useScene ? selectedScene.scene : null;
+    const references = await findImageReferences(chapter, bookState, bookPath, {
+      sceneSummary,
+      sceneText,
+    });
+    const imagePrompt = buildImagePrompt(chapter, bookState, {
       style,
       preset,
+      sceneSummary,
+      sceneText,
+      references,
     });
 
     display.title("Generated Image Prompt:");
-    console.log(imagePrompt);
+    display.text(imagePrompt);
 
-    const { action } = await inquirer.prompt([
-      {
-        type: "list",
-        name: "action",
-        message: "Would you like to:",
-        choices: [
-          {
-            name: "Use this prompt",
-            value: "use",
-          },
-          {
-            name: "Modify the prompt",
-            value: "modify",
-          },
-          {
-            name: "Skip image generation",
-            value: "skip",
-          },
-        ],
-      },
-    ]);
+    const { imagePromptAction } = await ask(
+      [
+        {
+          type: "list",
+          name: "imagePromptAction",
+          message: "Would you like to:",
+          choices: [
+            {
+              name: "Use this prompt",
+              value: "use",
+            },
+            ...(isResponseCacheEnabled() ? [REUSE_CACHED_CHOICE] : []),
+            {
+              name: "Modify the prompt",
+              value: "modify",
+            },
+            {
+              name: "Skip image generation",
+              value: "skip",
+            },
+          ],
+        },
+      ],
+      automation
+    );
 
-    if (action === "skip") return null;
+    if (imagePromptAction === "skip") return null;
 
     let finalPrompt = imagePrompt;
-    if (action === "modify") {
+    if (imagePromptAction === "modify") {
       finalPrompt = await editPrompt(imagePrompt);
     }
 
-    display.progress("Generating image...");
+    if (references.length > 0) {
+      display.info(
+        `Using the reference sheets of: ${references.map((reference) => reference.characterId).join(", ")}`
+      );
+    }
 
-    // Generate unique temp filename
-    const tempFileName = `${bookState.title.replace(/[^a-z0-9]/gi, "_")}_${
-      chapter.id
-    }_attempt${attemptNumber}_${Date.now()}.png`;
-    const tempPath = path.join("tmp", tempFileName);
+    const reuseCached = imagePromptAction === "cached";
+    display.progress(
+      reuseCached ? "Looking up cached image..." : "Generating image..."
+    );
 
-    // Generate image with configured parameters
-    const outputPath = await generateImage(
-      bookState.imageConfig,
+    const outputPath = await renderChapterImage(
+      chapter,
+      bookState,
+      bookPath,
       finalPrompt,
-      tempPath
+      { style, preset, sceneSummary, references, reuseCached }
     );
 
-    // Update chapter state
-    chapter.image = {
-      status: "generated",
-      prompt: finalPrompt,
-      tempPath: outputPath,
-      attempts: attemptNumber,
-      style,
-      preset,
-      timestamp: new Date().toISOString(),
-    };
-
     await saveBookState(bookPath, bookState);
 
     display.success("Image generated and saved!");
-    console.log(display.label("Temp Path:"), outputPath);
+    display.text(display.label("Image Path:"), outputPath);
 
-    const { imageAction } = await inquirer.prompt([
-      {
-        type: "list",
-        name: "imageAction",
-        message: "What would you like to do with this image?",
-        choices: [
-          {
-            name: "Accept image",
-            value: "accept",
-          },
-          {
-            name: "Regenerate with same prompt",
-            value: "regenerate",
-          },
-          {
-            name: "Modify prompt and regenerate",
-            value: "modify",
-          },
-          {
-            name: "Skip image for now",
-            value: "skip",
-          },
-        ],
-      },
-    ]);
+    const { imageAction } = await ask(
+      [
+        {
+          type: "list",
+          name: "imageAction",
+          message: "What would you like to do with this image?",
+          choices: [
+            {
+              name: "Accept image",
+              value: "accept",
+            },
+            {
+              name: "Regenerate with same prompt",
+              value: "regenerate",
+            },
+            {
+              name: "Modify prompt and regenerate",
+              value: "modify",
+            },
+            ...(getImageAttempts(chapter).length > 1
+              ? [{ name: "Choose from all attempts", value: "browse" }]
+              : []),
+            {
+              name: "Skip image for now",
+              value: "skip",
+            },
+          ],
+        },
+      ],
+      automation
+    );
 
     if (imageAction === "accept") {
-      // Ensure images directory exists
-      const imagesDir = path.join(bookPath, "images");
-      await fs.mkdir(imagesDir, { recursive: true });
-
-      // Copy from temp to final location
-      const finalFileName = `chapter_${chapter.id}_image.png`;
-      const finalPath = path.join(imagesDir, finalFileName);
-      await fs.copyFile(outputPath, finalPath);
-
-      chapter.image.status = "accepted";
-      chapter.image.localPath = finalPath;
+      await acceptChapterImage(chapter, bookPath);
       await saveBookState(bookPath, bookState);
       return true;
-    } else if (imageAction === "skip") {
+    } else if (
+      imageAction === "browse" &&
+      (await browseImageAttempts(chapter, bookState, bookPath))
+    ) {
+      return true;
+    } else if (imageAction === "skip" || imageAction === "browse") {
+      // Attempts stay in the gallery and can be accepted later
       chapter.image.status = "wip";
       await saveBookState(bookPath, bookState);
       return false;
     }
 
     // For regenerate or modify, recursively call this function
-    return await handleImageGeneration(chapter, bookState, bookPath);
+    return await handleImageGeneration(
+      chapter,
+      bookState,
+      bookPath,
+      automation
+    );
   } catch (error) {
+    // Keep the usage of calls paid for before the failure
+    await saveBookState(bookPath, bookState);
     display.error("Error in image generation:", error);
+    if (automation) throw error;
     return false;
   }
 }
@@ -370,131 +1154,120 @@ async function handleImageGeneration(chapter, bookState, bookPath) {
  * @param {Object} chapter - The chapter object to generate content for
  * @param {Object} bookState - The current book state
  * @param {string} bookPath - Path to the book directory
+ * @param {Object} [automation] - Preset answers for non-interactive runs
+ * @param {Object} [automation.answers] - Answers keyed by question name
+ * (promptAction, contentAction, style, preset, sceneAction, imagePromptAction,
+ * imageAction)
+ * @param {boolean} [automation.interactive] - False to forbid prompting
+ * @param {boolean} [automation.ignoreBudget] - Continue past the book's budget
  *
  * @returns {Promise<boolean>} Whether generation was successful
- * @throws {Error} If there are issues with content generation
+ * @throws {Error} Only when automated, so the caller can set an exit code
  *
  * @example
  * const success = await generateChapterContent(chapter, bookState, '/path/to/book');
+ *
+ * @example
+ * // Non-interactive: accept text, skip the image
+ * await generateChapterContent(chapter, bookState, bookPath, {
+ *   interactive: false,
+ *   answers: { promptAction: "use", contentAction: "accept", imagePromptAction: "skip" }
+ * });
  */
-export async function generateChapterContent(chapter, bookState, bookPath) {
+export async function generateChapterContent(
+  chapter,
+  bookState,
+  bookPath,
+  automation
+) {
   try {
-    // Build initial prompt
-    let prompt;
-    let isIntroduction = chapter.id === "introduction";
-
-    if (isIntroduction) {
-      // For introduction, only pass minimal character details initially
-      const minimalVariables = {
-        characters: {
-          protagonistName: bookState.storyVariables.characters.protagonistName,
-          protagonistAge: bookState.storyVariables.characters.protagonistAge,
-        },
-      };
-      prompt = buildIntroductionPrompt(minimalVariables);
-    } else {
-      prompt = buildChapterPrompt(
-        chapter.topic,
-        chapter.lessonContext ? [chapter.lessonContext.summary] : [],
-        bookState.storyVariables
-      );
+    // Summaries of earlier chapters feed the prompt's story so far
+    if (await updateStorySummaries(chapter, bookState, automation)) {
+      await saveBookState(bookPath, bookState);
     }
 
+    // Build initial prompt
+    let prompt = buildInitialPrompt(chapter, bookState);
+
     while (true) {
       // Review/modify prompt
-      prompt = await reviewPrompt(prompt);
-      if (!prompt) return false;
+      const review = await reviewPrompt(prompt, automation);
+      if (!review) return false;
+      prompt = review.prompt;
+      const callOptions = { reuseCached: review.reuseCached };
 
-      display.progress("Generating content...");
+      if (!(await guardBudget(chapter, bookState, "text", automation))) {
+        return false;
+      }
 
-      // Generate initial content
-      const initialContent = await generateChapter(
-        isIntroduction ? "Introduction" : chapter.topic,
-        isIntroduction
-          ? []
-          : chapter.lessonContext
-            ? [chapter.lessonContext.summary]
-            : [],
-        {
-          characters: {
-            protagonistName:
-              bookState.storyVariables.characters.protagonistName,
-            protagonistAge: bookState.storyVariables.characters.protagonistAge,
-          },
-        },
-        bookState.currentContext,
-        bookState.chatConfig.chatModel,
-        bookState.chatConfig.temperature
+      display.progress(
+        review.reuseCached
+          ? "Looking up cached content..."
+          : "Generating content..."
       );
 
-      // Build personalization prompt based on content type
-      const personalizationPrompt = isIntroduction
-        ? personalizeIntroductionContent(
-            initialContent,
-            bookState.storyVariables
-          )
-        : personalizeChapterContent(initialContent, bookState.storyVariables);
+      // Generate initial content
+      const initialContent = await draftChapter(
+        chapter,
+        bookState,
+        prompt,
+        callOptions
+      );
 
       // Personalize the content
       display.progress("Personalizing content with story details...");
-      const personalizedContent = await generateChapter(
-        "Content Personalization",
-        [],
-        bookState.storyVariables,
-        personalizationPrompt,
-        bookState.chatConfig.chatModel,
-        bookState.chatConfig.temperature
-      );
+      const { personalizationPrompt, content: personalizedContent } =
+        await personalizeChapter(
+          chapter,
+          bookState,
+          initialContent,
+          callOptions
+        );
 
       // Update chapter with generated content
-      chapter.text = personalizedContent;
-      chapter.status = "generated";
-      chapter.generationConfig = {
+      recordGeneratedText(chapter, bookState, {
         initialPrompt: prompt,
         personalizationPrompt,
-        model: bookState.chatConfig.chatModel,
-        temperature: bookState.chatConfig.temperature,
-        timestamp: new Date().toISOString(),
-      };
+        content: personalizedContent,
+      });
 
       await saveBookState(bookPath, bookState);
 
       // Review content
-      const action = await reviewContent(personalizedContent);
+      const action = await reviewContent(personalizedContent, automation);
 
       switch (action) {
         case "accept":
-          chapter.status = "accepted";
-          // Update content.md
-          const contentPath = path.join(bookPath, "content.md");
-          await fs.appendFile(
-            contentPath,
-            `\n\n## ${chapter.topic}\n\n${personalizedContent}\n`
-          );
+          acceptChapterText(chapter);
+          display.progress("Summarizing the chapter for story continuity...");
+          await recordStorySummary(chapter, bookState);
           await saveBookState(bookPath, bookState);
 
           // Proceed to image generation
-          await handleImageGeneration(chapter, bookState, bookPath);
+          await handleImageGeneration(chapter, bookState, bookPath, automation);
           return true;
 
         case "regenerate":
-          chapter.status = "wip";
+          setTextStatus(chapter, "wip");
           await saveBookState(bookPath, bookState);
           continue;
 
         case "modify":
-          chapter.status = "wip";
+          setTextStatus(chapter, "wip");
           await saveBookState(bookPath, bookState);
           break;
 
         case "wip":
-          chapter.status = "wip";
+          setTextStatus(chapter, "wip");
           await saveBookState(bookPath, bookState);
           return false;
       }
     }
   } catch (error) {
+    // Keep the usage of calls paid for before the failure
+    await saveBookState(bookPath, bookState);
     display.error("Error generating chapter:", error);
+    if (automation) throw error;
     return false;
   }
 }
@@ -5,10 +5,28 @@
  * @requires path - For path manipulation
  * @requires ../utils/display - For consistent CLI output formatting
  * @requires ../utils/bookState - For book state management
- * @requires ./generateChapter - For chapter content generation
+ * @requires ../utils/bookLock - For locking the book while it is open
+ * @requires ../../utils/cassette - For recording and replaying model calls
+ * @requires ../../utils/usage - For formatting costs
+ * @requires ./generateChapter - For chapter content generation and image attempts
+ * @requires ./manageChapters - For editing the chapter list
+ * @requires ./generateBook - For unattended whole-book generation
+ * @requires ./exportBook - For book export
+ * @requires ./characterSheets - For drawing character reference sheets
  * @requires ../utils/configuration/openai - For OpenAI configuration
  * @requires ../utils/configuration/storyVariables - For story variables management
- * @exports manageBook
+ * @requires ../utils/configuration/batch - For unattended generation rules
+ * @requires ../utils/configuration/budget - For the spend ceiling and attempt limits
+ * @requires ../utils/configuration/featuring - For the characters, places and interests of a chapter
+ * @requires ../utils/configuration/characterBible - For the characters' visual descriptions
+ * @requires ../utils/configuration/artDirection - For the book's and a chapter's art direction
+ * @requires ../../artDirection - For the art direction of a chapter
+ * @requires ../../characterBible - For the book's character bible
+ * @requires ../../utils/budget - For the effective budget
+ * @requires ../../utils/revisions - For chapter revision history
+ * @requires ../../utils/imageAttempts - For the chapter's image attempts
+ * @requires ../utils/configuration/export - For export layout options
+ * @exports {manageBook, displayBookStatus, getNextChapter}
  *
  * @description
  * This module provides comprehensive book management functionality through a CLI interface.
@@ -16,9 +34,18 @@
  *
  * @functions
  * - getNextChapter: Finds next unaccepted chapter
- * - displayBookStatus: Shows detailed book completion status
+ * - formatUsage: Formats token, image and cost totals
+ * - displayBookStatus: Shows detailed book completion status and usage
  * - selectChapter: Provides chapter selection interface
+ * - describeRevision: Formats a revision for lists
+ * - selectRevision: Provides revision selection interface
+ * - displayRevisions: Lists a chapter's revisions
+ * - handleRevisionDiff: Shows a word-level diff of two revisions
+ * - handleRevisionRestore: Restores an earlier revision
  * - handleChapter: Manages individual chapter operations
+ * - handleWholeBookGeneration: Runs the unattended pipeline from the menu
+ * - handleExport: Exports the book from the menu
+ * - runBookMenu: Shows the book management menu
  * - manageBook: Main command entry point
  *
  * @constants
@@ -42,10 +69,57 @@
 import inquirer from "inquirer";
 import path from "path";
 import display from "../utils/display.js";
-import { loadBookState, saveBookState } from "../utils/bookState.js";
-import { generateChapterContent } from "./generateChapter.js";
+import { withBookLock } from "../utils/bookLock.js";
+import { setCassetteBook, getCassetteMode } from "../../utils/cassette.js";
+import { CASSETTE_DIR } from "../../../config/cassetteConfig.js";
+import { formatCost } from "../../utils/usage.js";
+import {
+  loadBookState,
+  saveBookState,
+  summarizeBookState,
+} from "../utils/bookState.js";
+import {
+  generateChapterContent,
+  browseImageAttempts,
+  recordStorySummary,
+} from "./generateChapter.js";
+import { manageChapters } from "./manageChapters.js";
+import { generateWholeBook, resolveBatchRules } from "./generateBook.js";
+import { EXPORT_FORMATS, exportBook } from "./exportBook.js";
+import { handleCharacterSheets } from "./characterSheets.js";
+import { resolvePdfOptions } from "../../exporters/pdfExporter.js";
+import { resolveEpubOptions } from "../../exporters/epubExporter.js";
 import { configureOpenAI } from "../utils/configuration/openai.js";
 import { configureStoryVariables } from "../utils/configuration/storyVariables.js";
+import { configureBatchRules } from "../utils/configuration/batch.js";
+import { configureBudget } from "../utils/configuration/budget.js";
+import {
+  describeFeaturing,
+  configureFeaturing,
+} from "../utils/configuration/featuring.js";
+import { configureCharacterBible } from "../utils/configuration/characterBible.js";
+import {
+  configureArtDirection,
+  configureChapterArt,
+} from "../utils/configuration/artDirection.js";
+import {
+  resolveArtDirection,
+  resolveChapterArt,
+  describeArtDirection,
+} from "../../artDirection.js";
+import { getCharacterBible, syncCharacterBible } from "../../characterBible.js";
+import { resolveBudget } from "../../utils/budget.js";
+import {
+  getRevisions,
+  restoreRevision,
+  setTextStatus,
+  diffWords,
+} from "../../utils/revisions.js";
+import { getImageAttempts } from "../../utils/imageAttempts.js";
+import {
+  configurePdfExport,
+  configureEpubExport,
+} from "../utils/configuration/export.js";
 
 /**
  * @constant
@@ -63,16 +137,44 @@ const BOOK_MENU_CHOICES = [
     name: "Select Specific Chapter to Review",
     value: "select_chapter",
   },
+  {
+    name: "Manage Chapters (Insert, Remove, Reorder, Sync)",
+    value: "manage_chapters",
+  },
+  {
+    name: "Generate Whole Book (Unattended)",
+    value: "whole_book",
+  },
   {
     name: "View Book Status",
     value: "status",
   },
+  {
+    name: "Export Book",
+    value: "export",
+  },
   {
     name: "Modify Story Variables",
     value: "modify_variables",
   },
   {
-    name: "Update OpenAI Configuration",
+    name: "Edit Character Bible (How Characters Look)",
+    value: "character_bible",
+  },
+  {
+    name: "Set Art Direction (Style, Palette, Lines, Compositions)",
+    value: "art_direction",
+  },
+  {
+    name: "Draw Character Reference Sheets",
+    value: "character_sheets",
+  },
+  {
+    name: "Set Budget and Attempt Limits",
+    value: "budget",
+  },
+  {
+    name: "Update Chat Model Configuration",
     value: "update_config",
   },
   {
@@ -101,15 +203,43 @@ const BOOK_MENU_CHOICES = [
  * const nextChapter = getNextChapter(chapters);
  * // Returns: { id: '2', topic: 'Chapter 1', status: 'not_generated' }
  */
-function getNextChapter(chapters) {
+export function getNextChapter(chapters) {
   return chapters.find((chapter) => chapter.status !== "accepted");
 }
 
+/**
+ * @function formatUsage
+ * @private
+ * @description Formats usage totals as one line
+ *
+ * @param {Object} usage - Totals from summarizeUsage
+ *
+ * @returns {string} Tokens, images and cost
+ *
+ * @example
+ * formatUsage(summary.usage);
+ * // Returns: "5,400 prompt + 3,200 completion tokens, 2 images, $0.43"
+ */
+function formatUsage(usage) {
+  const parts = [
+    `${usage.promptTokens.toLocaleString("en-US")} prompt + ${usage.completionTokens.toLocaleString("en-US")} completion tokens`,
+  ];
+  if (usage.images) {
+    parts.push(`${usage.images} image${usage.images === 1 ? "" : "s"}`);
+  }
+  parts.push(formatCost(usage.cost));
+  if (usage.unpricedCalls) {
+    parts.push(`${usage.unpricedCalls} unpriced call(s) not included`);
+  }
+  return parts.join(", ");
+}
+
 /**
  * @function displayBookStatus
  * @async
  * @description Displays detailed information about the book's current state including
- * title, creation date, chapter status, and overall completion progress.
+ * title, creation date, chapter status, overall completion progress, and the
+ * tokens, images and cost spent per chapter and model.
  *
  * @param {Object} bookState - The current state of the book
  * @param {string} bookState.title - Book title
@@ -119,6 +249,8 @@ function getNextChapter(chapters) {
  * @param {string} bookState.chapters[].status - Chapter status
  * @param {Object} [bookState.chapters[].image] - Chapter image info (optional)
  * @param {string} [bookState.chapters[].image.status] - Image status
+ * @param {Object} [options={}] - Display options
+ * @param {boolean} [options.wait=true] - Wait for Enter before returning
  *
  * @returns {Promise<void>}
  * @throws {Error} If display operations fail
@@ -135,7 +267,7 @@ function getNextChapter(chapters) {
  * };
  * await displayBookStatus(bookState);
  */
-async function displayBookStatus(bookState) {
+export async function displayBookStatus(bookState, { wait = true } = {}) {
   display.header("Book Status");
   display.info(`${display.label("Title:")} ${bookState.title}`);
   display.info(
@@ -143,24 +275,38 @@ async function displayBookStatus(bookState) {
   );
   display.title("\nChapters:");
 
-  bookState.chapters.forEach((chapter) => {
+  // Calculate progress and usage
+  const { chapters, progress, acceptedChapters, totalChapters, usage } =
+    summarizeBookState(bookState);
+
+  bookState.chapters.forEach((chapter, index) => {
     display.info(display.formatChapter(chapter.topic, chapter.status));
     if (chapter.image) {
       display.info(`  Image: ${display.statusTag(chapter.image.status)}`);
     }
+    if (chapter.usage?.length) {
+      display.info(`  Usage: ${formatUsage(chapters[index].usage)}`);
+    }
   });
 
-  // Calculate progress
-  const totalChapters = bookState.chapters.length;
-  const acceptedChapters = bookState.chapters.filter(
-    (ch) => ch.status === "accepted"
-  ).length;
-  const progress = ((acceptedChapters / totalChapters) * 100).toFixed(1);
-
   display.title(
-    `\nProgress: ${progress}% (${acceptedChapters}/${totalChapters} chapters completed)`
+    `\nProgress: ${progress.toFixed(1)}% (${acceptedChapters}/${totalChapters} chapters completed)`
   );
 
+  display.title("\nUsage:");
+  display.info(`${display.label("Total:")} ${formatUsage(usage)}`);
+  const { limit } = resolveBudget(bookState);
+  if (limit != null) {
+    display.info(
+      `${display.label("Budget:")} ${formatCost(usage.cost)} of ${formatCost(limit)} (${Math.round((usage.cost / limit) * 100)}%)`
+    );
+  }
+  Object.entries(usage.byModel).forEach(([model, totals]) => {
+    display.listItem(`${model}: ${formatUsage(totals)}`);
+  });
+
+  if (!wait) return;
+
   // Wait for user acknowledgment
   await inquirer.prompt([
     {
@@ -211,11 +357,187 @@ async function selectChapter(chapters) {
   return chapters.find((ch) => ch.id === chapterId);
 }
 
+/**
+ * @function describeRevision
+ * @private
+ * @description Formats a revision as one line for lists and menus
+ *
+ * @param {Object} revision - Revision from getRevisions
+ * @param {Object} chapter - The chapter it belongs to
+ *
+ * @returns {string} Number, status, date, model and length
+ *
+ * @example
+ * describeRevision(revision, chapter);
+ * // Returns: "#3 (current) accepted 2025-05-02 10:14 openai/gpt-4 at 0.7, 812 words"
+ */
+function describeRevision(revision, chapter) {
+  const parts = [
+    `#${revision.number}${revision.number === chapter.currentRevision ? " (current)" : ""}`,
+    display.statusTag(revision.status),
+    revision.timestamp
+      ? revision.timestamp.slice(0, 16).replace("T", " ")
+      : "unknown date",
+  ];
+  if (revision.model) {
+    parts.push(
+      `${revision.provider || "openai"}/${revision.model}` +
+        (revision.temperature != null ? ` at ${revision.temperature}` : "")
+    );
+  }
+  const words = revision.text.split(/\s+/).filter(Boolean).length;
+  const origin = revision.restoredFrom
+    ? `, restored from #${revision.restoredFrom}`
+    : revision.note
+      ? `, ${revision.note}`
+      : "";
+  return `${parts.join(" ")}, ${words} words${origin}`;
+}
+
+/**
+ * @function selectRevision
+ * @async
+ * @private
+ * @description Lets the user pick one of a chapter's revisions
+ *
+ * @param {Object} chapter - The chapter
+ * @param {string} message - Question to show
+ * @param {number} [defaultNumber] - Revision selected by default
+ *
+ * @returns {Promise<number>} Selected revision number
+ *
+ * @example
+ * const number = await selectRevision(chapter, "Restore which revision?");
+ */
+async function selectRevision(chapter, message, defaultNumber) {
+  const { number } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "number",
+      message,
+      choices: getRevisions(chapter)
+        .map((revision) => ({
+          name: describeRevision(revision, chapter),
+          value: revision.number,
+        }))
+        .reverse(),
+      default: defaultNumber,
+    },
+  ]);
+  return number;
+}
+
+/**
+ * @function displayRevisions
+ * @private
+ * @description Lists a chapter's revisions, newest first
+ *
+ * @param {Object} chapter - The chapter
+ *
+ * @returns {void}
+ *
+ * @example
+ * displayRevisions(chapter);
+ */
+function displayRevisions(chapter) {
+  display.title("Revisions:");
+  [...getRevisions(chapter)]
+    .reverse()
+    .forEach((revision) =>
+      display.listItem(describeRevision(revision, chapter))
+    );
+}
+
+/**
+ * @function handleRevisionDiff
+ * @async
+ * @private
+ * @description Asks for two revisions (by default the previous and the
+ * current one) and shows the words removed and added between them
+ *
+ * @param {Object} chapter - The chapter
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await handleRevisionDiff(chapter);
+ */
+async function handleRevisionDiff(chapter) {
+  const current = chapter.currentRevision;
+  const older = await selectRevision(
+    chapter,
+    "Compare from revision:",
+    current > 1 ? current - 1 : undefined
+  );
+  const newer = await selectRevision(chapter, "To revision:", current);
+  const revisions = getRevisions(chapter);
+  const find = (number) => revisions.find((r) => r.number === number);
+
+  const parts = diffWords(find(older).text, find(newer).text);
+  const count = (type) =>
+    parts
+      .filter((part) => part.type === type)
+      .reduce(
+        (sum, part) => sum + part.value.split(/\s+/).filter(Boolean).length,
+        0
+      );
+
+  display.title(`Changes from #${older} to #${newer}:`);
+  display.diff(parts);
+  display.blank();
+  display.info(
+    `${count("added")} words added, ${count("removed")} words removed`
+  );
+}
+
+/**
+ * @function handleRevisionRestore
+ * @async
+ * @private
+ * @description Restores an earlier revision as the chapter's text after
+ * confirmation. The restored text is left as work in progress.
+ *
+ * @param {Object} chapter - The chapter
+ * @param {Object} bookState - Current book state
+ * @param {string} bookPath - Path to book directory
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If the book state cannot be saved
+ *
+ * @example
+ * await handleRevisionRestore(chapter, bookState, '/path/to/book');
+ */
+async function handleRevisionRestore(chapter, bookState, bookPath) {
+  const number = await selectRevision(chapter, "Restore which revision?");
+  if (number === chapter.currentRevision) {
+    display.info(`Revision #${number} is already the current text.`);
+    return;
+  }
+
+  const { confirmRestore } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "confirmRestore",
+      message: `Replace the current text with revision #${number}? The current text stays in the history.`,
+      default: true,
+    },
+  ]);
+  if (!confirmRestore) return;
+
+  const restored = restoreRevision(chapter, number);
+  await saveBookState(bookPath, bookState);
+  display.success(
+    `Revision #${number} restored as #${restored.number} (work in progress). Mark the chapter as accepted to use it in the book.`
+  );
+}
+
 /**
  * @function handleChapter
  * @async
  * @description Manages all operations available for a specific chapter including
- * content generation, review, status updates, and image management.
+ * content generation, review, status updates, revision history, image
+ * attempts, the characters, places and interests it features, and its
+ * override of the book's art direction.
  *
  * @param {Object} chapter - The chapter to handle
  * @param {string} chapter.id - Unique chapter identifier
@@ -225,6 +547,8 @@ async function selectChapter(chapters) {
  * @param {Object} [chapter.lessonContext] - Educational context
  * @param {string} [chapter.lessonContext.example] - Context example
  * @param {string} [chapter.lessonContext.summary] - Context summary
+ * @param {Object} [chapter.featuring] - Characters, places and interests it features
+ * @param {Object} [chapter.artOverride] - Style and composition replacing the book's
  * @param {Object} [chapter.image] - Chapter image if exists
  * @param {string} [chapter.image.url] - Image URL
  *
@@ -259,7 +583,18 @@ async function handleChapter(chapter, bookState, bookPath) {
       `${display.label("Summary:")} ${chapter.lessonContext.summary}`
     );
   }
+  if (chapter.id !== "introduction") {
+    display.info(
+      `${display.label("Featuring:")} ${describeFeaturing(chapter.featuring)}`
+    );
+  }
+  const art = resolveChapterArt(chapter, bookState);
+  display.info(
+    `${display.label("Illustration:")} ${describeArtDirection(art)}${art.source === "chapter" ? " (chapter override)" : ""}`
+  );
 
+  const revisionCount = getRevisions(chapter).length;
+  const imageAttemptCount = getImageAttempts(chapter).length;
   const { action } = await inquirer.prompt([
     {
       type: "list",
@@ -276,6 +611,38 @@ async function handleChapter(chapter, bookState, bookPath) {
           disabled:
             chapter.status === "not_generated" ? "No content yet" : false,
         },
+        {
+          name: "View Revision History",
+          value: "revisions",
+          disabled: revisionCount === 0 ? "No revisions yet" : false,
+        },
+        {
+          name: "Compare Revisions",
+          value: "diff",
+          disabled: revisionCount < 2 ? "Needs two revisions" : false,
+        },
+        {
+          name: "Restore a Revision",
+          value: "restore",
+          disabled: revisionCount < 2 ? "Needs two revisions" : false,
+        },
+        {
+          name: "Browse Image Attempts",
+          value: "images",
+          disabled: imageAttemptCount === 0 ? "No images yet" : false,
+        },
+        {
+          name: "Choose Featured Characters, Places and Interests",
+          value: "featuring",
+          disabled:
+            chapter.id === "introduction"
+              ? "The introduction presents everyone"
+              : false,
+        },
+        {
+          name: "Override the Book's Illustration Style and Composition",
+          value: "art_override",
+        },
         {
           name: "Mark as Work in Progress",
           value: "mark_wip",
@@ -313,14 +680,62 @@ async function handleChapter(chapter, bookState, bookPath) {
       }
       break;
 
+    case "revisions":
+      displayRevisions(chapter);
+      break;
+
+    case "diff":
+      await handleRevisionDiff(chapter);
+      break;
+
+    case "restore":
+      await handleRevisionRestore(chapter, bookState, bookPath);
+      break;
+
+    case "images":
+      await browseImageAttempts(chapter, bookState, bookPath);
+      break;
+
+    case "featuring":
+      chapter.featuring = await configureFeaturing(
+        bookState.storyVariables,
+        chapter.featuring
+      );
+      await saveBookState(bookPath, bookState);
+      display.success(
+        `Featuring: ${describeFeaturing(chapter.featuring)}.${
+          chapter.text ? " Regenerate the chapter to apply it." : ""
+        }`
+      );
+      break;
+
+    case "art_override": {
+      const override = await configureChapterArt(
+        chapter,
+        bookState.imageConfig
+      );
+      if (override) {
+        chapter.artOverride = override;
+      } else {
+        delete chapter.artOverride;
+      }
+      await saveBookState(bookPath, bookState);
+      display.success(
+        `Illustrations of this chapter: ${describeArtDirection(resolveChapterArt(chapter, bookState))}${override ? "" : " (book's art direction)"}.`
+      );
+      break;
+    }
+
     case "mark_wip":
-      chapter.status = "wip";
+      setTextStatus(chapter, "wip");
       await saveBookState(bookPath, bookState);
       display.success("Chapter marked as work in progress.");
       break;
 
     case "mark_accepted":
-      chapter.status = "accepted";
+      setTextStatus(chapter, "accepted");
+      display.progress("Summarizing the chapter for story continuity...");
+      await recordStorySummary(chapter, bookState);
       await saveBookState(bookPath, bookState);
       display.success("Chapter marked as accepted.");
       return; // Return immediately after marking as accepted
@@ -335,16 +750,241 @@ async function handleChapter(chapter, bookState, bookPath) {
   }
 }
 
+/**
+ * @function handleWholeBookGeneration
+ * @async
+ * @description Confirms the auto-accept rules, stores them in the book's
+ * batchConfig and runs the unattended pipeline for all pending chapters
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} bookPath - Path to book directory
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If the book state cannot be saved
+ *
+ * @example
+ * await handleWholeBookGeneration(bookState, '/path/to/book');
+ */
+async function handleWholeBookGeneration(bookState, bookPath) {
+  const rules = await configureBatchRules(resolveBatchRules(bookState));
+  bookState.batchConfig = rules;
+  await saveBookState(bookPath, bookState);
+
+  const { start } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "start",
+      message:
+        "Start unattended generation? Progress is saved after every step (Ctrl-C to stop).",
+      default: true,
+    },
+  ]);
+  if (!start) return;
+
+  const { interrupted, results } = await generateWholeBook(bookState, bookPath);
+
+  display.title("\nUnattended generation summary:");
+  results.forEach((result) =>
+    display.listItem(
+      `${result.id}: ${result.outcome}${result.error ? ` (${result.error})` : ""}`
+    )
+  );
+  if (interrupted) {
+    display.warning("Stopped early. Run it again to resume where it stopped.");
+  }
+}
+
+/**
+ * @function handleExport
+ * @async
+ * @description Asks for the export format (and its options for PDF and
+ * EPUB), remembers the options in the book's exportConfig and writes the
+ * export
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} bookPath - Path to book directory
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If the book state cannot be saved
+ *
+ * @example
+ * await handleExport(bookState, '/path/to/book');
+ */
+async function handleExport(bookState, bookPath) {
+  const { format } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "format",
+      message: "Choose an export format:",
+      choices: EXPORT_FORMATS,
+    },
+  ]);
+
+  if (format === "pdf") {
+    const layout = await configurePdfExport(resolvePdfOptions(bookState));
+    bookState.exportConfig = { ...bookState.exportConfig, pdf: layout };
+    await saveBookState(bookPath, bookState);
+  }
+
+  if (format === "epub") {
+    const epubOptions = await configureEpubExport(
+      resolveEpubOptions(bookState)
+    );
+    bookState.exportConfig = { ...bookState.exportConfig, epub: epubOptions };
+    await saveBookState(bookPath, bookState);
+  }
+
+  try {
+    display.progress(`Exporting ${format}...`);
+    const outputPath = await exportBook(bookPath, bookState, { format });
+    display.success(`Exported to ${display.path(outputPath)}`);
+  } catch (error) {
+    display.error("Export failed:", error.message);
+  }
+}
+
+/**
+ * @function runBookMenu
+ * @async
+ * @private
+ * @description Shows the book management menu until the user leaves it
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} bookPath - Absolute path to the book directory
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If book state cannot be saved or operations fail
+ *
+ * @example
+ * await runBookMenu(bookState, '/path/to/book');
+ */
+async function runBookMenu(bookState, bookPath) {
+  while (true) {
+    const { action } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "action",
+        message: "Book Management Menu:",
+        choices: BOOK_MENU_CHOICES,
+      },
+    ]);
+
+    switch (action) {
+      case "next_chapter": {
+        const nextChapter = getNextChapter(bookState.chapters);
+        if (nextChapter) {
+          await handleChapter(nextChapter, bookState, bookPath);
+        } else {
+          display.success("All chapters are completed!");
+        }
+        break;
+      }
+
+      case "select_chapter": {
+        const chapter = await selectChapter(bookState.chapters);
+        await handleChapter(chapter, bookState, bookPath);
+        break;
+      }
+
+      case "manage_chapters":
+        await manageChapters(bookState, bookPath);
+        break;
+
+      case "whole_book":
+        await handleWholeBookGeneration(bookState, bookPath);
+        break;
+
+      case "status":
+        await displayBookStatus(bookState);
+        break;
+
+      case "export":
+        await handleExport(bookState, bookPath);
+        break;
+
+      case "modify_variables": {
+        display.title("Updating story variables:");
+        const updatedVariables = await configureStoryVariables();
+        bookState.storyVariables = updatedVariables;
+        bookState.characterBible = syncCharacterBible(
+          getCharacterBible(bookState),
+          updatedVariables,
+          Object.keys(bookState.characterSheets ?? {})
+        );
+        await saveBookState(bookPath, bookState);
+        display.success("Story variables updated successfully!");
+        break;
+      }
+
+      case "character_bible":
+        bookState.characterBible = await configureCharacterBible(
+          getCharacterBible(bookState)
+        );
+        await saveBookState(bookPath, bookState);
+        display.success("Character bible updated successfully!");
+        break;
+
+      case "art_direction": {
+        display.title("Updating the art direction:");
+        Object.assign(
+          bookState.imageConfig,
+          await configureArtDirection(bookState.imageConfig)
+        );
+        await saveBookState(bookPath, bookState);
+        display.success(
+          `Art direction: ${describeArtDirection(resolveArtDirection(bookState.imageConfig))}.`
+        );
+        if (Object.keys(bookState.characterSheets ?? {}).length > 0) {
+          display.info(
+            "Redraw the character reference sheets that no longer match it."
+          );
+        }
+        break;
+      }
+
+      case "character_sheets":
+        await handleCharacterSheets(bookState, bookPath);
+        break;
+
+      case "budget": {
+        const { usage } = summarizeBookState(bookState);
+        bookState.budget = await configureBudget(
+          resolveBudget(bookState),
+          usage.cost
+        );
+        await saveBookState(bookPath, bookState);
+        display.success("Budget updated successfully!");
+        break;
+      }
+
+      case "update_config": {
+        display.title("Updating chat model configuration:");
+        bookState.chatConfig = await configureOpenAI();
+        await saveBookState(bookPath, bookState);
+        display.success("Chat model configuration updated successfully!");
+        break;
+      }
+
+      case "exit":
+        return;
+    }
+  }
+}
+
 /**
  * @function manageBook
  * @async
  * @description Main command function that provides a complete interface for managing
  * a book's content, configuration, and generation settings through an interactive menu.
+ * The book is locked while the menu is open, so no other session can edit it.
  *
  * @param {string} bookPath - Absolute path to the book directory
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.takeOverStale=false] - Take over a stale lock without asking
  *
  * @returns {Promise<void>}
- * @throws {Error} If book state cannot be loaded/saved or operations fail
+ * @throws {Error} If the book is open in another session, book state cannot be
+ * loaded/saved or operations fail
  *
  * @example
  * // Basic usage
@@ -358,63 +998,22 @@ async function handleChapter(chapter, bookState, bookPath) {
  *   console.error('Book management failed:', error);
  * }
  */
-export async function manageBook(bookPath) {
+export async function manageBook(bookPath, { takeOverStale = false } = {}) {
   try {
-    const bookState = await loadBookState(bookPath);
-
-    while (true) {
-      const { action } = await inquirer.prompt([
-        {
-          type: "list",
-          name: "action",
-          message: "Book Management Menu:",
-          choices: BOOK_MENU_CHOICES,
-        },
-      ]);
-
-      switch (action) {
-        case "next_chapter": {
-          const nextChapter = getNextChapter(bookState.chapters);
-          if (nextChapter) {
-            await handleChapter(nextChapter, bookState, bookPath);
-          } else {
-            display.success("All chapters are completed!");
-          }
-          break;
-        }
-
-        case "select_chapter": {
-          const chapter = await selectChapter(bookState.chapters);
-          await handleChapter(chapter, bookState, bookPath);
-          break;
-        }
-
-        case "status":
-          await displayBookStatus(bookState);
-          break;
-
-        case "modify_variables": {
-          display.title("Updating story variables:");
-          const updatedVariables = await configureStoryVariables();
-          bookState.storyVariables = updatedVariables;
-          await saveBookState(bookPath, bookState);
-          display.success("Story variables updated successfully!");
-          break;
-        }
-
-        case "update_config": {
-          display.title("Updating OpenAI configuration:");
-          const updatedConfig = await configureOpenAI();
-          bookState.openAIConfig = updatedConfig;
-          await saveBookState(bookPath, bookState);
-          display.success("OpenAI configuration updated successfully!");
-          break;
+    await withBookLock(
+      bookPath,
+      async () => {
+        const bookState = await loadBookState(bookPath);
+        setCassetteBook(bookPath);
+        if (getCassetteMode() !== "off") {
+          display.info(
+            `Cassette ${getCassetteMode()} mode: model calls use ${path.join(bookPath, CASSETTE_DIR)}`
+          );
         }
-
-        case "exit":
-          return;
-      }
-    }
+        await runBookMenu(bookState, bookPath);
+      },
+      { takeOverStale }
+    );
   } catch (error) {
     display.error("Error managing book:", error);
     throw error;
@@ -0,0 +1,571 @@
+/**
+ * @file Chapter list management menu
+ * @module manageChapters
+ * @requires inquirer - For interactive CLI prompts
+ * @requires ../utils/display - For consistent CLI output formatting
+ * @requires ../utils/bookState - For saving the book state
+ * @requires ../utils/curricula - For the current version of the book's curriculum
+ * @requires ../utils/chapterList - For the chapter list edits
+ * @exports manageChapters
+ *
+ * @description
+ * Lets the user change a book's chapter list after it was created: insert a
+ * custom chapter, remove, move, merge or split chapters, and sync the list
+ * with an updated version of the book's curriculum. Every change is saved
+ * right away; chapters taken out of the list are archived in the book state.
+ *
+ * @functions
+ * - selectChapterId: Asks for a chapter
+ * - selectPosition: Asks where a chapter goes
+ * - askLessonDetails: Asks for a chapter's topic, summary and example
+ * - handleInsert: Inserts a custom chapter
+ * - handleRemove: Removes a chapter
+ * - handleMove: Moves a chapter
+ * - handleMerge: Merges a chapter with the next one
+ * - handleSplit: Splits a chapter in two
+ * - handleSync: Syncs the chapters with the curriculum file
+ * - manageChapters: Shows the chapter management menu
+ *
+ * @constants
+ * - CHAPTER_MENU_CHOICES: Array<Object> - Menu options configuration
+ *
+ * @flow
+ * 1. Present the chapter management menu
+ * 2. Ask for the chapters and details of the chosen edit
+ * 3. Apply it and save the book state
+ * 4. Return to the menu until the user goes back
+ *
+ * @error Handling
+ * - A curriculum file that cannot be loaded is reported; the book is unchanged
+ * - Save errors propagate to the book menu
+ */
+
+import inquirer from "inquirer";
+import display from "../utils/display.js";
+import { saveBookState } from "../utils/bookState.js";
+import { getCurriculum } from "../utils/curricula.js";
+import {
+  insertChapter,
+  removeChapter,
+  moveChapter,
+  mergeWithNext,
+  splitParagraphs,
+  splitChapter,
+  diffCurriculum,
+  syncCurriculum,
+} from "../utils/chapterList.js";
+
+/**
+ * @constant
+ * @type {Array<{name: string, value: string}>}
+ * @description Options of the chapter management menu
+ * @readonly
+ */
+const CHAPTER_MENU_CHOICES = [
+  { name: "Insert Custom Chapter", value: "insert" },
+  { name: "Remove Chapter", value: "remove" },
+  { name: "Move Chapter", value: "move" },
+  { name: "Merge Chapter with the Next One", value: "merge" },
+  { name: "Split Chapter", value: "split" },
+  { name: "Sync with Updated Curriculum", value: "sync" },
+  { name: "Back", value: "back" },
+];
+
+/**
+ * @function selectChapterId
+ * @async
+ * @private
+ * @description Asks for one of the given chapters
+ *
+ * @param {Array<Object>} chapters - Chapters to choose from
+ * @param {string} message - Question to show
+ *
+ * @returns {Promise<string>} Selected chapter id
+ *
+ * @example
+ * const chapterId = await selectChapterId(bookState.chapters, "Remove which chapter?");
+ */
+async function selectChapterId(chapters, message) {
+  const { chapterId } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "chapterId",
+      message,
+      choices: chapters.map((chapter) => ({
+        name: display.formatChapter(chapter.topic, chapter.status),
+        value: chapter.id,
+      })),
+      pageSize: 15,
+    },
+  ]);
+  return chapterId;
+}
+
+/**
+ * @function selectPosition
+ * @async
+ * @private
+ * @description Asks before which chapter something goes
+ *
+ * @param {Array<Object>} chapters - Chapters it can go before
+ * @param {string} message - Question to show
+ * @param {string|null} [defaultId=null] - Preselected chapter (null: the end)
+ *
+ * @returns {Promise<string|null>} Chapter id to insert before, or null for the end
+ *
+ * @example
+ * const beforeId = await selectPosition(bookState.chapters, "Insert where?", "conclusion");
+ */
+async function selectPosition(chapters, message, defaultId = null) {
+  const defaultIndex = chapters.findIndex(
+    (chapter) => chapter.id === defaultId
+  );
+  const { beforeId } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "beforeId",
+      message,
+      choices: [
+        ...chapters.map((chapter) => ({
+          name: `Before "${chapter.topic}"`,
+          value: chapter.id,
+        })),
+        { name: "At the end", value: null },
+      ],
+      default: defaultIndex === -1 ? chapters.length : defaultIndex,
+      pageSize: 15,
+    },
+  ]);
+  return beforeId;
+}
+
+/**
+ * @function askLessonDetails
+ * @async
+ * @private
+ * @description Asks for the topic, lesson summary and example of a chapter
+ *
+ * @param {Object} [defaults={}] - Prefilled answers
+ *
+ * @returns {Promise<{topic: string, summary: string, example: string}>} Details
+ *
+ * @example
+ * const details = await askLessonDetails({ topic: "Piggy Banks" });
+ */
+async function askLessonDetails(defaults = {}) {
+  const required = (input) => input.trim() !== "" || "Please enter a value";
+  const answers = await inquirer.prompt([
+    {
+      type: "input",
+      name: "topic",
+      message: "Chapter topic:",
+      default: defaults.topic,
+      validate: required,
+    },
+    {
+      type: "input",
+      name: "summary",
+      message: "What should the chapter teach (summary)?",
+      default: defaults.summary,
+      validate: required,
+    },
+    {
+      type: "input",
+      name: "example",
+      message: "Example situation for the story:",
+      default: defaults.example,
+      validate: required,
+    },
+  ]);
+  return {
+    topic: answers.topic.trim(),
+    summary: answers.summary.trim(),
+    example: answers.example.trim(),
+  };
+}
+
+/**
+ * @function handleInsert
+ * @async
+ * @private
+ * @description Inserts a chapter that is not part of the curriculum
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} bookPath - Path to book directory
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await handleInsert(bookState, '/path/to/book');
+ */
+async function handleInsert(bookState, bookPath) {
+  const details = await askLessonDetails();
+  const beforeId = await selectPosition(
+    bookState.chapters,
+    "Insert the chapter where?",
+    "conclusion"
+  );
+
+  const chapter = insertChapter(bookState, details, beforeId);
+  await saveBookState(bookPath, bookState);
+  display.success(`Inserted "${chapter.topic}" (${chapter.id})`);
+}
+
+/**
+ * @function handleRemove
+ * @async
+ * @private
+ * @description Removes a chapter after confirmation
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} bookPath - Path to book directory
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await handleRemove(bookState, '/path/to/book');
+ */
+async function handleRemove(bookState, bookPath) {
+  const chapterId = await selectChapterId(
+    bookState.chapters,
+    "Remove which chapter?"
+  );
+  const chapter = bookState.chapters.find(
+    (candidate) => candidate.id === chapterId
+  );
+
+  const { confirmRemove } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "confirmRemove",
+      message: chapter.text
+        ? `Remove "${chapter.topic}"? Its text (${chapter.status}) leaves the book but stays archived in book-state.json.`
+        : `Remove "${chapter.topic}"?`,
+      default: !chapter.text,
+    },
+  ]);
+  if (!confirmRemove) return;
+
+  removeChapter(bookState, chapterId);
+  await saveBookState(bookPath, bookState);
+  display.success(`Removed "${chapter.topic}"`);
+}
+
+/**
+ * @function handleMove
+ * @async
+ * @private
+ * @description Moves a chapter to another position
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} bookPath - Path to book directory
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await handleMove(bookState, '/path/to/book');
+ */
+async function handleMove(bookState, bookPath) {
+  const chapterId = await selectChapterId(
+    bookState.chapters,
+    "Move which chapter?"
+  );
+  const chapter = bookState.chapters.find(
+    (candidate) => candidate.id === chapterId
+  );
+  const beforeId = await selectPosition(
+    bookState.chapters.filter((candidate) => candidate !== chapter),
+    `Move "${chapter.topic}" where?`
+  );
+
+  moveChapter(bookState, chapterId, beforeId);
+  await saveBookState(bookPath, bookState);
+  display.success(`Moved "${chapter.topic}"`);
+}
+
+/**
+ * @function handleMerge
+ * @async
+ * @private
+ * @description Merges a chapter with the one after it
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} bookPath - Path to book directory
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await handleMerge(bookState, '/path/to/book');
+ */
+async function handleMerge(bookState, bookPath) {
+  const chapterId = await selectChapterId(
+    bookState.chapters.slice(0, -1),
+    "Merge which chapter with the chapter after it?"
+  );
+  const index = bookState.chapters.findIndex(
+    (chapter) => chapter.id === chapterId
+  );
+  const [first, second] = bookState.chapters.slice(index, index + 2);
+
+  const { topic, confirmMerge } = await inquirer.prompt([
+    {
+      type: "input",
+      name: "topic",
+      message: "Topic of the merged chapter:",
+      default: `${first.topic} and ${second.topic}`,
+      validate: (input) => input.trim() !== "" || "Please enter a topic",
+    },
+    {
+      type: "confirm",
+      name: "confirmMerge",
+      message: second.text
+        ? `Merge "${second.topic}" into "${first.topic}"? The texts are joined into a work-in-progress draft.`
+        : `Merge "${second.topic}" into "${first.topic}"?`,
+      default: true,
+    },
+  ]);
+  if (!confirmMerge) return;
+
+  const { chapter } = mergeWithNext(bookState, chapterId, topic.trim());
+  await saveBookState(bookPath, bookState);
+  display.success(`Merged into "${chapter.topic}" (${chapter.id})`);
+}
+
+/**
+ * @function handleSplit
+ * @async
+ * @private
+ * @description Splits a chapter in two, optionally dividing its text at a
+ * paragraph
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} bookPath - Path to book directory
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await handleSplit(bookState, '/path/to/book');
+ */
+async function handleSplit(bookState, bookPath) {
+  const chapterId = await selectChapterId(
+    bookState.chapters,
+    "Split which chapter?"
+  );
+  const chapter = bookState.chapters.find(
+    (candidate) => candidate.id === chapterId
+  );
+
+  const { firstTopic } = await inquirer.prompt([
+    {
+      type: "input",
+      name: "firstTopic",
+      message: "Topic of the first part:",
+      default: chapter.topic,
+      validate: (input) => input.trim() !== "" || "Please enter a topic",
+    },
+  ]);
+  display.title("Second part:");
+  const details = await askLessonDetails({
+    summary: chapter.lessonContext?.summary,
+    example: chapter.lessonContext?.example,
+  });
+
+  let paragraph = null;
+  const paragraphs = splitParagraphs(chapter.text);
+  if (paragraphs.length > 1) {
+    ({ paragraph } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "paragraph",
+        message: "Where should the second part's text start?",
+        choices: [
+          { name: "Keep all text in the first part", value: null },
+          ...paragraphs.slice(1).map((text, offset) => ({
+            name: `Paragraph ${offset + 2}: ${text.slice(0, 60)}${text.length > 60 ? "..." : ""}`,
+            value: offset + 1,
+          })),
+        ],
+        pageSize: 15,
+      },
+    ]));
+  }
+
+  const second = splitChapter(
+    bookState,
+    chapterId,
+    { firstTopic: firstTopic.trim(), ...details },
+    paragraph
+  );
+  await saveBookState(bookPath, bookState);
+  display.success(
+    `Split into "${chapter.topic}" and "${second.topic}" (${second.id})`
+  );
+}
+
+/**
+ * @function handleSync
+ * @async
+ * @private
+ * @description Compares the book's curriculum snapshot with the current
+ * curriculum file, shows the added, removed and changed topics, and applies
+ * them after confirmation
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} bookPath - Path to book directory
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await handleSync(bookState, '/path/to/book');
+ */
+async function handleSync(bookState, bookPath) {
+  let curriculum;
+  try {
+    curriculum = await getCurriculum(bookState.curriculum.id);
+  } catch (error) {
+    display.error("Could not load the curriculum:", error);
+    return;
+  }
+
+  const { added, removed, changed } = diffCurriculum(
+    bookState.curriculum.content,
+    curriculum.content
+  );
+  if (added.length + removed.length + changed.length === 0) {
+    display.info(`The book already matches ${curriculum.file}.`);
+    return;
+  }
+
+  const chapterOf = (topic) =>
+    bookState.chapters.find((chapter) => chapter.id === topic.id);
+  display.header(`Changes in ${curriculum.file}`);
+  if (added.length > 0) {
+    display.title("Added topics:");
+    added.forEach((topic) =>
+      display.listItem(
+        `+ ${topic.topic}${
+          bookState.removedChapters?.some((chapter) => chapter.id === topic.id)
+            ? " (restored from the archive)"
+            : ""
+        }`
+      )
+    );
+  }
+  if (removed.length > 0) {
+    display.title("Removed topics:");
+    removed.forEach((topic) => {
+      const chapter = chapterOf(topic);
+      const note = !chapter
+        ? " (not in this book)"
+        : chapter.text
+          ? ` (has ${chapter.status} text)`
+          : "";
+      display.listItem(`- ${topic.topic}${note}`);
+    });
+  }
+  if (changed.length > 0) {
+    display.title("Changed topics (text and images are kept):");
+    changed.forEach((topic) => {
+      const previous = chapterOf(topic)?.topic ?? topic.topic;
+      display.listItem(
+        previous === topic.topic
+          ? `~ ${topic.topic} (summary or example)`
+          : `~ ${previous} → ${topic.topic}`
+      );
+    });
+  }
+
+  const withText = removed.filter((topic) => chapterOf(topic)?.text).length;
+  const { removeWithText, confirmSync } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "removeWithText",
+      message: `Also remove the ${withText} chapter${withText === 1 ? "" : "s"} of removed topics that already have text? They stay archived in book-state.json.`,
+      default: false,
+      when: withText > 0,
+    },
+    {
+      type: "confirm",
+      name: "confirmSync",
+      message: "Apply these changes to the book?",
+      default: true,
+    },
+  ]);
+  if (!confirmSync) return;
+
+  const result = syncCurriculum(bookState, curriculum, {
+    removeWithText: Boolean(removeWithText),
+  });
+  await saveBookState(bookPath, bookState);
+  display.success(
+    `Synced with ${curriculum.file}: ${result.added.length} added, ${result.removed.length} removed, ${result.updated.length} updated${
+      result.restored.length
+        ? `, ${result.restored.length} restored from the archive`
+        : ""
+    }${
+      result.kept.length ? `, ${result.kept.length} kept with their text` : ""
+    }`
+  );
+}
+
+/**
+ * @function manageChapters
+ * @async
+ * @description Shows the chapter management menu until the user goes back
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} bookPath - Path to book directory
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If the book state cannot be saved
+ *
+ * @example
+ * await manageChapters(bookState, '/path/to/book');
+ */
+export async function manageChapters(bookState, bookPath) {
+  while (true) {
+    const { action } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "action",
+        message: `Manage Chapters (${bookState.chapters.length}):`,
+        choices: CHAPTER_MENU_CHOICES.map((choice) => ({
+          ...choice,
+          disabled:
+            (choice.value === "sync" &&
+              !bookState.curriculum &&
+              "The book has no recorded curriculum") ||
+            (choice.value === "merge" &&
+              bookState.chapters.length < 2 &&
+              "Needs two chapters") ||
+            (["remove", "move", "split"].includes(choice.value) &&
+              bookState.chapters.length === 0 &&
+              "No chapters"),
+        })),
+      },
+    ]);
+
+    switch (action) {
+      case "insert":
+        await handleInsert(bookState, bookPath);
+        break;
+      case "remove":
+        await handleRemove(bookState, bookPath);
+        break;
+      case "move":
+        await handleMove(bookState, bookPath);
+        break;
+      case "merge":
+        await handleMerge(bookState, bookPath);
+        break;
+      case "split":
+        await handleSplit(bookState, bookPath);
+        break;
+      case "sync":
+        await handleSync(bookState, bookPath);
+        break;
+      case "back":
+        return;
+    }
+  }
+}
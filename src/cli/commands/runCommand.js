@@ -0,0 +1,1052 @@
+/**
+ * @file Non-interactive subcommands
+ * @module runCommand
+ * @requires fs/promises - For reading story variable files
+ * @requires path - For the paths reported by `doctor`
+ * @requires ../utils/args - For exit codes and CLI errors
+ * @requires ../utils/books - For book directory helpers
+ * @requires ../utils/bookState - For book state management
+ * @requires ../utils/bookLock - For locking books while they are changed
+ * @requires ../utils/display - For consistent CLI output formatting
+ * @requires ../utils/curricula - For choosing a new book's curriculum
+ * @requires ../utils/configCheck - For the `doctor` subcommand
+ * @requires ../../utils/cassette - For recording and replaying model calls
+ * @requires ../../utils/responseCache - For the `cache` subcommand
+ * @requires ./manageBook - For the interactive book menu and status display
+ * @requires ./generateChapter - For chapter content generation
+ * @requires ./generateBook - For unattended whole-book generation
+ * @requires ./characterSheets - For drawing character reference sheets
+ * @requires ./exportBook - For book export
+ * @exports runCommand
+ *
+ * @description
+ * Implements the `book-cli <command>` subcommands (create, open, generate,
+ * sheets, status, export, rebuild-content, cache, curricula, doctor, delete). Every subcommand except `open` runs without
+ * prompting, prints a JSON result on stdout when `--json` is given, and
+ * returns one of EXIT_CODES so shell scripts and cron can react to failures.
+ *
+ * @functions
+ * - resolveBook: Validates a book argument and returns its path
+ * - lockOptions: Book lock options from flags
+ * - buildChatConfig: Chat configuration from flags
+ * - buildImageConfig: Image configuration from flags
+ * - loadStoryVariables: Story variables from a JSON file or the global config
+ * - resolveCurriculum: Curriculum for a new book from --curriculum
+ * - buildGenerationAutomation: Preset answers for the chapter workflow
+ * - runCreate: `create` subcommand
+ * - runOpen: `open` subcommand
+ * - runGenerate: `generate` subcommand
+ * - runGenerateAll: `generate --all` subcommand
+ * - runSheets: `sheets` subcommand
+ * - runStatus: `status` subcommand
+ * - runExport: `export` subcommand
+ * - runRebuildContent: `rebuild-content` subcommand
+ * - runCache: `cache` subcommand
+ * - runCurricula: `curricula` subcommand
+ * - runDoctor: `doctor` subcommand
+ * - runDelete: `delete` subcommand
+ * - runCommand: Dispatches a parsed command and returns its exit code
+ *
+ * @constants
+ * - COMMANDS: Object - Subcommand handlers keyed by name
+ *
+ * @flow
+ * 1. Enable JSON mode if requested
+ * 2. Dispatch to the subcommand handler
+ * 3. Print the result (JSON or human readable)
+ * 4. Map errors to exit codes
+ *
+ * @error Handling
+ * - CliError: Reported with its own exit code
+ * - Generation errors: Reported with EXIT_CODES.GENERATION_FAILED
+ * - Any other error: Reported with EXIT_CODES.ERROR
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { EXIT_CODES, USAGE, CliError } from "../utils/args.js";
+import {
+  bookExists,
+  createBook,
+  deleteBook,
+  getBookPath,
+  listBooks,
+  toSafeBookName,
+} from "../utils/books.js";
+import {
+  loadBookState,
+  summarizeBookState,
+  rebuildContentFile,
+} from "../utils/bookState.js";
+import display from "../utils/display.js";
+import {
+  discoverCurricula,
+  getCurriculum,
+  listCurricula,
+  loadCurriculum,
+} from "../utils/curricula.js";
+import { withBookLock } from "../utils/bookLock.js";
+import {
+  checkConfigFiles,
+  checkBook,
+  formatConfigProblem,
+} from "../utils/configCheck.js";
+import { setCassetteBook } from "../../utils/cassette.js";
+import {
+  clearResponseCache,
+  getResponseCacheStats,
+} from "../../utils/responseCache.js";
+import { manageBook, displayBookStatus, getNextChapter } from "./manageBook.js";
+import { generateChapterContent } from "./generateChapter.js";
+import { generateWholeBook } from "./generateBook.js";
+import { generateCharacterSheets } from "./characterSheets.js";
+import { exportBook } from "./exportBook.js";
+import {
+  IMAGE_PROVIDERS,
+  OPENAI_CHAT_MODELS,
+  OPENAI_IMAGE_MODELS,
+  MYSTIC_MODELS,
+  MYSTIC_ENGINES,
+} from "../../../config/imageGeneratorConfig.js";
+import {
+  CHAT_PROVIDERS,
+  OPENAI_COMPATIBLE_DEFAULTS,
+  MOCK_CHAT_CONFIG,
+} from "../../../config/chatProviderConfig.js";
+import {
+  DEFAULT_IMAGE_STYLE_PROMPT,
+  IMAGE_STYLE_PRESETS,
+  COLOR_PALETTES,
+  LINE_QUALITIES,
+} from "../../../config/imageStyles.js";
+import { DEFAULT_CURRICULUM_ID } from "../../../config/curriculumConfig.js";
+
+/**
+ * @function resolveBook
+ * @async
+ * @private
+ * @description Validates the book positional argument, resolves its path
+ * and selects the book's record/replay cassette
+ *
+ * @param {string|undefined} name - Book directory name
+ *
+ * @returns {Promise<string>} Absolute path to the book directory
+ * @throws {CliError} USAGE if missing, NOT_FOUND if the book does not exist
+ *
+ * @example
+ * const bookPath = await resolveBook('my-book');
+ */
+async function resolveBook(name) {
+  if (!name) {
+    throw new CliError("A book name is required", EXIT_CODES.USAGE);
+  }
+  if (!(await bookExists(name))) {
+    throw new CliError(`Book not found: ${name}`, EXIT_CODES.NOT_FOUND);
+  }
+  const bookPath = getBookPath(name);
+  setCassetteBook(bookPath);
+  return bookPath;
+}
+
+/**
+ * @function lockOptions
+ * @private
+ * @description Book lock options of a non-interactive subcommand: a stale
+ * lock is only taken over with --take-over-lock
+ *
+ * @param {Object} flags - Parsed flags
+ *
+ * @returns {{interactive: boolean, takeOverStale: boolean}} withBookLock options
+ *
+ * @example
+ * await withBookLock(bookPath, task, lockOptions(flags));
+ */
+function lockOptions(flags) {
+  return {
+    interactive: false,
+    takeOverStale: Boolean(flags["take-over-lock"]),
+  };
+}
+
+/**
+ * @function buildChatConfig
+ * @private
+ * @description Builds the chat configuration from command-line flags,
+ * starting from the selected model's defaults. Models of OpenAI-compatible
+ * servers are not known in advance, so any name is accepted for them. The
+ * mock provider needs no model.
+ *
+ * @param {Object} flags - Parsed flags
+ * @param {string} [flags["chat-provider"]="openai"] - Chat provider identifier
+ * @param {string} [flags["chat-base-url"]] - Server URL of an OpenAI-compatible provider
+ * @param {string} flags["chat-model"] - Chat model identifier
+ * @param {string} [flags.temperature] - Temperature override
+ *
+ * @returns {Object} Chat configuration as produced by configureOpenAI
+ * @throws {CliError} If the provider or model is missing/unknown or temperature is invalid
+ *
+ * @example
+ * buildChatConfig({ "chat-model": "gpt-4", temperature: "0.5" });
+ * // Returns: { provider: "openai", chatModel: "gpt-4", temperature: 0.5, top_p: 1, ... }
+ */
+function buildChatConfig(flags) {
+  const provider = flags["chat-provider"] || "openai";
+  if (!CHAT_PROVIDERS.some((p) => p.value === provider)) {
+    throw new CliError(
+      `--chat-provider must be one of: ${CHAT_PROVIDERS.map((p) => p.value).join(", ")}`,
+      EXIT_CODES.USAGE
+    );
+  }
+
+  const chatModel = flags["chat-model"];
+  let config;
+  if (provider === "mock") {
+    config = { ...MOCK_CHAT_CONFIG };
+  } else if (provider === "openai-compatible") {
+    if (!chatModel) {
+      throw new CliError(
+        "--chat-model is required (the model name on the server)",
+        EXIT_CODES.USAGE
+      );
+    }
+    const baseUrl =
+      flags["chat-base-url"] || OPENAI_COMPATIBLE_DEFAULTS.baseUrl;
+    if (!/^https?:\/\/\S+$/.test(baseUrl)) {
+      throw new CliError(
+        "--chat-base-url must be an http(s) URL",
+        EXIT_CODES.USAGE
+      );
+    }
+    config = {
+      provider,
+      baseUrl,
+      chatModel,
+      ...OPENAI_COMPATIBLE_DEFAULTS.defaults,
+    };
+  } else {
+    const model = OPENAI_CHAT_MODELS.find((m) => m.value === chatModel);
+    if (!model) {
+      throw new CliError(
+        `--chat-model must be one of: ${OPENAI_CHAT_MODELS.map((m) => m.value).join(", ")}`,
+        EXIT_CODES.USAGE
+      );
+    }
+    config = { provider, chatModel, ...model.defaults };
+  }
+
+  if (flags.temperature !== undefined) {
+    const temperature = Number(flags.temperature);
+    if (Number.isNaN(temperature) || temperature < 0 || temperature > 2) {
+      throw new CliError(
+        "--temperature must be between 0 and 2",
+        EXIT_CODES.USAGE
+      );
+    }
+    config.temperature = temperature;
+  }
+  return config;
+}
+
+/**
+ * @function buildImageConfig
+ * @private
+ * @description Builds the image configuration from command-line flags
+ *
+ * @param {Object} flags - Parsed flags
+ * @param {string} flags["image-provider"] - Provider identifier
+ * @param {string} [flags["image-model"]] - Provider model
+ * @param {string} [flags["image-style"]="storybook"] - Illustration style of the book
+ * @param {string} [flags.palette="style"] - Color palette of the book
+ * @param {string} [flags["line-quality"]="style"] - Line quality of the book
+ *
+ * @returns {Object} Image configuration as produced by configureImageGenerator
+ * @throws {CliError} If the provider, model, style, palette or line quality is unknown
+ *
+ * @example
+ * buildImageConfig({ "image-provider": "openai" });
+ * // Returns: { provider: "openai", openai: { model: "dall-e-3", size: "1024x1024" }, imageStyle: "storybook", palette: "style", lineQuality: "style" }
+ */
+function buildImageConfig(flags) {
+  const provider = flags["image-provider"];
+  if (!IMAGE_PROVIDERS.some((p) => p.value === provider)) {
+    throw new CliError(
+      `--image-provider must be one of: ${IMAGE_PROVIDERS.map((p) => p.value).join(", ")}`,
+      EXIT_CODES.USAGE
+    );
+  }
+
+  const imageStyle = flags["image-style"] || "storybook";
+  if (!DEFAULT_IMAGE_STYLE_PROMPT.some((s) => s.name === imageStyle)) {
+    throw new CliError(`Unknown image style: ${imageStyle}`, EXIT_CODES.USAGE);
+  }
+
+  const palette = flags.palette || "style";
+  if (!COLOR_PALETTES[palette]) {
+    throw new CliError(
+      `--palette must be one of: ${Object.keys(COLOR_PALETTES).join(", ")}`,
+      EXIT_CODES.USAGE
+    );
+  }
+
+  const lineQuality = flags["line-quality"] || "style";
+  if (!LINE_QUALITIES[lineQuality]) {
+    throw new CliError(
+      `--line-quality must be one of: ${Object.keys(LINE_QUALITIES).join(", ")}`,
+      EXIT_CODES.USAGE
+    );
+  }
+
+  const config = { provider };
+  const modelFlag = flags["image-model"];
+
+  if (provider === "openai") {
+    const model = modelFlag
+      ? OPENAI_IMAGE_MODELS.find((m) => m.value === modelFlag)
+      : OPENAI_IMAGE_MODELS[0];
+    if (!model) {
+      throw new CliError(
+        `Unknown OpenAI image model: ${modelFlag}`,
+        EXIT_CODES.USAGE
+      );
+    }
+    config.openai = { model: model.value, size: model.defaultSize };
+  } else if (provider === "mystic") {
+    const model = modelFlag
+      ? MYSTIC_MODELS.find((m) => m.value === modelFlag)
+      : MYSTIC_MODELS[0];
+    if (!model) {
+      throw new CliError(
+        `Unknown Mystic model: ${modelFlag}`,
+        EXIT_CODES.USAGE
+      );
+    }
+    config.mystic = {
+      model: model.value,
+      engine: MYSTIC_ENGINES[0].value,
+      resolution: "1k",
+      creative_detailing: 33,
+    };
+  }
+
+  Object.assign(config, { imageStyle, palette, lineQuality });
+  return config;
+}
+
+/**
+ * @function loadStoryVariables
+ * @async
+ * @private
+ * @description Loads story variables from a JSON file, or falls back to the
+ * global config/storyVariables.js
+ *
+ * @param {string} [filePath] - Path to a JSON file with story variables
+ *
+ * @returns {Promise<Object>} Story variables
+ * @throws {CliError} If the file cannot be read or parsed
+ *
+ * @example
+ * const storyVariables = await loadStoryVariables('./bart.json');
+ */
+async function loadStoryVariables(filePath) {
+  if (!filePath) {
+    const { STORY_VARIABLES } =
+      await import("../../../config/storyVariables.js");
+    return structuredClone(STORY_VARIABLES);
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    throw new CliError(
+      `Could not read story variables from ${filePath}: ${error.message}`,
+      EXIT_CODES.USAGE
+    );
+  }
+}
+
+/**
+ * @function resolveCurriculum
+ * @async
+ * @private
+ * @description Loads the curriculum for a new book: the one named by
+ * --curriculum, else the only available one, else config/chapters.js
+ *
+ * @param {string} [id] - Curriculum id from --curriculum
+ *
+ * @returns {Promise<Object>} Curriculum (see loadCurriculum)
+ * @throws {CliError} If the id is unknown, or several curricula exist
+ * without a default and none was named
+ *
+ * @example
+ * const curriculum = await resolveCurriculum("economics");
+ */
+async function resolveCurriculum(id) {
+  const entries = await discoverCurricula();
+  if (id) {
+    try {
+      return await getCurriculum(id);
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.USAGE);
+    }
+  }
+  if (entries.length === 0) {
+    throw new CliError(
+      "No curriculum found: add config/chapters.js (npm run cp:config) or a file in config/curricula/"
+    );
+  }
+  if (entries.length === 1) return loadCurriculum(entries[0]);
+  if (entries.some((entry) => entry.id === DEFAULT_CURRICULUM_ID)) {
+    return getCurriculum(DEFAULT_CURRICULUM_ID);
+  }
+  throw new CliError(
+    `Choose a curriculum with --curriculum <id> (available: ${entries
+      .map((entry) => entry.id)
+      .join(", ")})`,
+    EXIT_CODES.USAGE
+  );
+}
+
+/**
+ * @function buildGenerationAutomation
+ * @private
+ * @description Translates `generate` flags into preset answers for the
+ * chapter workflow. Without acceptance flags, generated text is left as work
+ * in progress and generated images are kept for later review. The style and
+ * preset follow the book's art direction unless given as flags.
+ *
+ * @param {Object} flags - Parsed flags
+ *
+ * @returns {{interactive: boolean, ignoreBudget: boolean, answers: Object}} Automation object
+ * @throws {CliError} If the style or preset is unknown
+ *
+ * @example
+ * buildGenerationAutomation({ accept: true });
+ * // Returns: { interactive: false, answers: { promptAction: "use", contentAction: "accept", ... } }
+ */
+function buildGenerationAutomation(flags) {
+  const { style, preset } = flags;
+  if (style && !DEFAULT_IMAGE_STYLE_PROMPT.some((s) => s.name === style)) {
+    throw new CliError(`Unknown image style: ${style}`, EXIT_CODES.USAGE);
+  }
+  if (preset && !IMAGE_STYLE_PRESETS[preset]) {
+    throw new CliError(`Unknown scene preset: ${preset}`, EXIT_CODES.USAGE);
+  }
+
+  return {
+    interactive: false,
+    ignoreBudget: Boolean(flags["ignore-budget"]),
+    answers: {
+      promptAction: "use",
+      contentAction: flags.accept || flags["accept-text"] ? "accept" : "wip",
+      ...(style ? { style } : {}),
+      ...(preset ? { preset } : {}),
+      sceneAction: flags["full-context"] ? "skip" : "use",
+      imagePromptAction: flags["skip-image"] ? "skip" : "use",
+      imageAction: flags.accept || flags["accept-image"] ? "accept" : "skip",
+    },
+  };
+}
+
+/**
+ * @function runCreate
+ * @async
+ * @private
+ * @description Creates and configures a new book from flags
+ *
+ * @param {string[]} positionals - [name]
+ * @param {Object} flags - Parsed flags
+ *
+ * @returns {Promise<Object>} Result with the book name and path
+ * @throws {CliError} On invalid arguments (including an unknown curriculum)
+ * or if the book already exists
+ *
+ * @example
+ * await runCreate(["My Book"], { curriculum: "economics", "chat-model": "gpt-4", "image-provider": "openai" });
+ */
+async function runCreate([name], flags) {
+  if (!name) {
+    throw new CliError("A book name is required", EXIT_CODES.USAGE);
+  }
+  const safeBookName = toSafeBookName(name);
+  if (!safeBookName) {
+    throw new CliError(
+      "Book name contains no valid characters",
+      EXIT_CODES.USAGE
+    );
+  }
+  if (await bookExists(safeBookName)) {
+    throw new CliError(`Book already exists: ${safeBookName}`);
+  }
+
+  const presets = {
+    curriculum: await resolveCurriculum(flags.curriculum),
+    chatConfig: buildChatConfig(flags),
+    imageConfig: buildImageConfig(flags),
+    storyVariables: await loadStoryVariables(flags["story-variables"]),
+  };
+
+  if (!(await createBook(safeBookName, presets))) {
+    throw new CliError(`Could not create book: ${safeBookName}`);
+  }
+
+  return { book: safeBookName, path: getBookPath(safeBookName) };
+}
+
+/**
+ * @function runOpen
+ * @async
+ * @private
+ * @description Opens a book directly in the interactive book menu
+ *
+ * @param {string[]} positionals - [book]
+ * @param {Object} flags - Parsed flags (take-over-lock)
+ *
+ * @returns {Promise<Object>} Result with the book name
+ *
+ * @example
+ * await runOpen(["my-book"]);
+ */
+async function runOpen([name], flags) {
+  const bookPath = await resolveBook(name);
+  await manageBook(bookPath, {
+    takeOverStale: Boolean(flags["take-over-lock"]),
+  });
+  return { book: name };
+}
+
+/**
+ * @function runGenerateAll
+ * @async
+ * @private
+ * @description Generates every pending chapter with the book's auto-accept
+ * rules. Style, preset and image flags override the rules for this run.
+ *
+ * @param {string} bookPath - Path to the book directory
+ * @param {string} name - Book name
+ * @param {Object} flags - Parsed flags
+ *
+ * @returns {Promise<Object>} Per-chapter results
+ * @throws {CliError} INTERRUPTED on Ctrl-C, GENERATION_FAILED if any chapter failed
+ *
+ * @example
+ * await runGenerateAll('/books/my-book', 'my-book', { "skip-image": true });
+ */
+async function runGenerateAll(bookPath, name, flags) {
+  const bookState = await loadBookState(bookPath);
+
+  const overrides = {};
+  if (flags.style) overrides.style = flags.style;
+  if (flags.preset) overrides.preset = flags.preset;
+  if (flags["skip-image"]) overrides.generateImages = false;
+  if (flags["full-context"]) overrides.useSceneSelection = false;
+  // Validates style and preset the same way as single-chapter runs
+  buildGenerationAutomation(flags);
+
+  const summary = await generateWholeBook(bookState, bookPath, overrides, {
+    ignoreBudget: Boolean(flags["ignore-budget"]),
+  });
+  const result = { book: name, ...summary };
+
+  if (summary.interrupted) {
+    throw Object.assign(
+      new CliError(
+        "Interrupted; run the command again to resume",
+        EXIT_CODES.INTERRUPTED
+      ),
+      { result }
+    );
+  }
+  const failed = summary.results.filter((r) => r.outcome === "failed");
+  if (failed.length > 0) {
+    throw Object.assign(
+      new CliError(
+        `${failed.length} chapter(s) failed: ${failed.map((r) => r.id).join(", ")}`,
+        EXIT_CODES.GENERATION_FAILED
+      ),
+      { result }
+    );
+  }
+  return result;
+}
+
+/**
+ * @function runGenerate
+ * @async
+ * @private
+ * @description Generates the next (or a specific) chapter without prompting
+ *
+ * @param {string[]} positionals - [book]
+ * @param {Object} flags - Parsed flags
+ *
+ * @returns {Promise<Object>} Result with the chapter's resulting status
+ * @throws {CliError} NOT_FOUND for unknown chapters, GENERATION_FAILED on errors
+ *
+ * @example
+ * await runGenerate(["my-book"], { chapter: "introduction", accept: true });
+ */
+async function runGenerate([name], flags) {
+  const bookPath = await resolveBook(name);
+  return withBookLock(
+    bookPath,
+    async () => {
+      if (flags.all) {
+        return runGenerateAll(bookPath, name, flags);
+      }
+
+      const bookState = await loadBookState(bookPath);
+
+      let chapter;
+      if (flags.chapter) {
+        chapter = bookState.chapters.find((ch) => ch.id === flags.chapter);
+        if (!chapter) {
+          throw new CliError(
+            `Chapter not found: ${flags.chapter}`,
+            EXIT_CODES.NOT_FOUND
+          );
+        }
+      } else {
+        chapter = getNextChapter(bookState.chapters);
+        if (!chapter) {
+          display.success("All chapters are completed!");
+          return { book: name, chapter: null };
+        }
+      }
+
+      const automation = buildGenerationAutomation(flags);
+
+      display.header(`Chapter: ${chapter.topic}`);
+      try {
+        await generateChapterContent(chapter, bookState, bookPath, automation);
+      } catch (error) {
+        throw new CliError(
+          `Generation failed for ${chapter.id}: ${error.message}`,
+          EXIT_CODES.GENERATION_FAILED
+        );
+      }
+
+      return {
+        book: name,
+        chapter: {
+          id: chapter.id,
+          topic: chapter.topic,
+          status: chapter.status,
+          imageStatus: chapter.image?.status || null,
+          imagePath:
+            chapter.image?.localPath || chapter.image?.tempPath || null,
+        },
+      };
+    },
+    lockOptions(flags)
+  );
+}
+
+/**
+ * @function runSheets
+ * @async
+ * @private
+ * @description Draws character reference sheets without prompting: the
+ * characters given with --character, or every main character whose sheet
+ * is missing or outdated
+ *
+ * @param {string[]} positionals - [book]
+ * @param {Object} flags - Parsed flags (character, ignore-budget, take-over-lock)
+ *
+ * @returns {Promise<Object>} Result with one entry per character
+ * @throws {CliError} USAGE for unknown characters, GENERATION_FAILED if a sheet failed
+ *
+ * @example
+ * await runSheets(["my-book"], { character: ["protagonist", "pet"] });
+ */
+async function runSheets([name], flags) {
+  const bookPath = await resolveBook(name);
+  return withBookLock(
+    bookPath,
+    async () => {
+      const bookState = await loadBookState(bookPath);
+      if (!bookState.imageConfig?.provider) {
+        throw new CliError(
+          `Book "${name}" has no image provider configured`,
+          EXIT_CODES.USAGE
+        );
+      }
+
+      let sheets;
+      try {
+        sheets = await generateCharacterSheets(bookState, bookPath, {
+          characterIds: flags.character,
+          ignoreBudget: Boolean(flags["ignore-budget"]),
+        });
+      } catch (error) {
+        throw new CliError(error.message, EXIT_CODES.USAGE);
+      }
+      if (sheets.length === 0) {
+        display.success("Every main character has a current reference sheet.");
+      }
+
+      const result = { book: name, sheets };
+      const failed = sheets.filter((sheet) => sheet.outcome === "failed");
+      if (failed.length > 0) {
+        throw Object.assign(
+          new CliError(
+            `${failed.length} sheet(s) failed: ${failed.map((sheet) => sheet.id).join(", ")}`,
+            EXIT_CODES.GENERATION_FAILED
+          ),
+          { result }
+        );
+      }
+      return result;
+    },
+    lockOptions(flags)
+  );
+}
+
+/**
+ * @function runStatus
+ * @async
+ * @private
+ * @description Shows chapter status and progress of a book
+ *
+ * @param {string[]} positionals - [book]
+ *
+ * @returns {Promise<Object>} Book progress summary
+ *
+ * @example
+ * await runStatus(["my-book"]);
+ */
+async function runStatus([name]) {
+  const bookPath = await resolveBook(name);
+  const bookState = await loadBookState(bookPath);
+
+  if (!display.isJsonMode()) {
+    await displayBookStatus(bookState, { wait: false });
+  }
+  return { book: name, ...summarizeBookState(bookState) };
+}
+
+/**
+ * @function runExport
+ * @async
+ * @private
+ * @description Exports a book in the requested format
+ *
+ * @param {string[]} positionals - [book]
+ * @param {Object} flags - Parsed flags (format, output, trim-size, margin,
+ * layout, language, author)
+ *
+ * @returns {Promise<Object>} Result with the output path
+ * @throws {CliError} USAGE for unknown formats or invalid layout options
+ *
+ * @example
+ * await runExport(["my-book"], { format: "md", output: "./my-book.md" });
+ */
+async function runExport([name], flags) {
+  const bookPath = await resolveBook(name);
+  const bookState = await loadBookState(bookPath);
+
+  let output;
+  try {
+    output = await exportBook(bookPath, bookState, {
+      format: flags.format,
+      output: flags.output,
+      pdf: {
+        trimSize: flags["trim-size"],
+        margin: flags.margin,
+      },
+      epub: {
+        layout: flags.layout,
+        language: flags.language,
+        author: flags.author,
+      },
+      html: {
+        language: flags.language,
+      },
+    });
+  } catch (error) {
+    if (
+      error.message.startsWith("Unknown export format") ||
+      error.message.startsWith("Invalid export option")
+    ) {
+      throw new CliError(error.message, EXIT_CODES.USAGE);
+    }
+    throw error;
+  }
+
+  display.success(`Exported ${name} to ${display.path(output)}`);
+  return { book: name, format: flags.format || "md", output };
+}
+
+/**
+ * @function runRebuildContent
+ * @async
+ * @private
+ * @description Rebuilds content.md from the book state, e.g. after
+ * book-state.json was edited by hand
+ *
+ * @param {string[]} positionals - [book]
+ * @param {Object} flags - Parsed flags (take-over-lock)
+ *
+ * @returns {Promise<Object>} Result with the content.md path
+ *
+ * @example
+ * await runRebuildContent(["my-book"]);
+ */
+async function runRebuildContent([name], flags) {
+  const bookPath = await resolveBook(name);
+  const output = await withBookLock(
+    bookPath,
+    async () => rebuildContentFile(bookPath, await loadBookState(bookPath)),
+    lockOptions(flags)
+  );
+
+  display.success(`Rebuilt ${display.path(output)}`);
+  return { book: name, output };
+}
+
+/**
+ * @function runCache
+ * @async
+ * @private
+ * @description Shows or clears the response cache
+ *
+ * @param {string[]} positionals - [action] ('status' or 'clear')
+ * @param {Object} flags - Parsed flags (expired)
+ *
+ * @returns {Promise<Object>} Cache statistics, or the number of removed entries
+ * @throws {CliError} USAGE if the action is missing or unknown
+ *
+ * @example
+ * await runCache(["clear"], { expired: true });
+ */
+async function runCache([action], flags) {
+  if (action === "status") {
+    const stats = await getResponseCacheStats();
+    display.text(display.label("Directory:"), display.path(stats.directory));
+    display.text(
+      display.label("Entries:"),
+      `${stats.entries} (${stats.expired} expired)`
+    );
+    display.text(
+      display.label("Size:"),
+      `${(stats.bytes / 1024 / 1024).toFixed(1)} MB`
+    );
+    return stats;
+  }
+
+  if (action === "clear") {
+    const { removed } = await clearResponseCache({
+      expiredOnly: Boolean(flags.expired),
+    });
+    display.success(
+      `Removed ${removed} ${flags.expired ? "expired " : ""}cache entr${removed === 1 ? "y" : "ies"}`
+    );
+    return { removed };
+  }
+
+  throw new CliError(
+    "Use `cache status` or `cache clear [--expired]`",
+    EXIT_CODES.USAGE
+  );
+}
+
+/**
+ * @function runCurricula
+ * @async
+ * @private
+ * @description Lists the curricula new books can be created from
+ *
+ * @returns {Promise<Object>} Result with each curriculum's id, title, topic
+ * count and file
+ * @throws {Error} If a curriculum file cannot be loaded
+ *
+ * @example
+ * await runCurricula();
+ */
+async function runCurricula() {
+  const curricula = (await listCurricula()).map((curriculum) => ({
+    id: curriculum.id,
+    title: curriculum.title,
+    topics: curriculum.content.reduce(
+      (count, lesson) => count + lesson.topics.length,
+      0
+    ),
+    file: curriculum.file,
+  }));
+
+  if (curricula.length === 0) {
+    display.warning(
+      "No curriculum found: add config/chapters.js (npm run cp:config) or a file in config/curricula/"
+    );
+  }
+  curricula.forEach((curriculum) =>
+    display.info(
+      `${curriculum.id}: ${curriculum.title} (${curriculum.topics} topics, ${curriculum.file})`
+    )
+  );
+  return { curricula };
+}
+
+/**
+ * @function runDoctor
+ * @async
+ * @private
+ * @description Checks the config/ files and the state of one book (or of
+ * every book) against their schemas without changing anything. When every
+ * book is checked, a folder in books/ without a book state is reported as a
+ * problem of that book.
+ *
+ * @param {string[]} positionals - [book] (optional)
+ *
+ * @returns {Promise<Object>} Result with the checked books and no problems
+ * @throws {CliError} NOT_FOUND if the named book does not exist, ERROR
+ * listing the violations if any were found
+ *
+ * @example
+ * await runDoctor([]);
+ */
+async function runDoctor([name]) {
+  const books = name ? [name] : await listBooks();
+  const problems = await checkConfigFiles();
+  for (const book of books) {
+    let bookPath;
+    try {
+      bookPath = await resolveBook(book);
+    } catch (error) {
+      if (name) throw error;
+      problems.push({
+        file: path.relative(
+          process.cwd(),
+          path.join(getBookPath(book), "book-state.json")
+        ),
+        path: "/",
+        message: `cannot be checked (${error.message})`,
+      });
+      continue;
+    }
+    problems.push(...(await checkBook(bookPath)));
+  }
+
+  display.info(
+    `Checked the configuration and ${books.length} book${books.length === 1 ? "" : "s"}`
+  );
+  if (problems.length === 0) {
+    display.success("No problems found");
+    return { books, problems };
+  }
+
+  problems.forEach((problem) => display.error(formatConfigProblem(problem)));
+  throw Object.assign(
+    new CliError(
+      `${problems.length} problem${problems.length === 1 ? "" : "s"} found`
+    ),
+    { result: { books, problems } }
+  );
+}
+
+/**
+ * @function runDelete
+ * @async
+ * @private
+ * @description Deletes a book. Requires --yes since there is no confirmation prompt.
+ *
+ * @param {string[]} positionals - [book]
+ * @param {Object} flags - Parsed flags (yes, take-over-lock)
+ *
+ * @returns {Promise<Object>} Result with the deleted book name
+ * @throws {CliError} USAGE without --yes, ERROR if deletion fails
+ * @throws {Error} If the book is open in another session
+ *
+ * @example
+ * await runDelete(["my-book"], { yes: true });
+ */
+async function runDelete([name], flags) {
+  const bookPath = await resolveBook(name);
+  if (!flags.yes) {
+    throw new CliError(
+      "Refusing to delete without --yes (this cannot be undone)",
+      EXIT_CODES.USAGE
+    );
+  }
+  if (
+    !(await withBookLock(bookPath, () => deleteBook(name), lockOptions(flags)))
+  ) {
+    throw new CliError(`Could not delete book: ${name}`);
+  }
+  return { book: name, deleted: true };
+}
+
+/**
+ * @constant
+ * @type {Object<string, Function>}
+ * @description Subcommand handlers keyed by name
+ * @readonly
+ */
+const COMMANDS = {
+  create: runCreate,
+  open: runOpen,
+  generate: runGenerate,
+  sheets: runSheets,
+  status: runStatus,
+  export: runExport,
+  "rebuild-content": runRebuildContent,
+  cache: runCache,
+  curricula: runCurricula,
+  doctor: runDoctor,
+  delete: runDelete,
+};
+
+/**
+ * @function runCommand
+ * @async
+ * @description Runs a parsed subcommand and reports its result
+ *
+ * @param {Object} parsed - Output of parseCliArgs
+ * @param {string} parsed.command - Subcommand name
+ * @param {string[]} parsed.positionals - Positional arguments
+ * @param {Object} parsed.flags - Flag values
+ *
+ * @returns {Promise<number>} Process exit code (one of EXIT_CODES)
+ *
+ * @example
+ * const exitCode = await runCommand(parseCliArgs(process.argv.slice(2)));
+ * process.exit(exitCode);
+ */
+export async function runCommand({ command, positionals, flags }) {
+  display.setJsonMode(flags.json);
+
+  if (flags.help || command === "help") {
+    display.text(USAGE);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const handler = COMMANDS[command];
+
+  try {
+    if (!handler) {
+      throw new CliError(`Unknown command: ${command}`, EXIT_CODES.USAGE);
+    }
+
+    const result = await handler(positionals, flags);
+    if (flags.json) {
+      display.json({ ok: true, command, ...result });
+    }
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    const exitCode =
+      error instanceof CliError ? error.exitCode : EXIT_CODES.ERROR;
+
+    display.error(error.message);
+    if (exitCode === EXIT_CODES.USAGE) {
+      display.text(`\n${USAGE}`);
+    }
+    if (flags.json) {
+      display.json({
+        ok: false,
+        command,
+        error: error.message,
+        exitCode,
+        ...(error.result || {}),
+      });
+    }
+    return exitCode;
+  }
+}
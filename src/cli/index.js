@@ -4,176 +4,67 @@
  * @module cli/index
  * @requires inquirer
  * @requires chalk
- * @requires fs/promises
- * @requires path
- * @requires url
- * @requires ./commands/configureBook
- * @requires ./utils/bookState
  * @requires ./commands/manageBook
+ * @requires ./commands/runCommand
+ * @requires ./utils/args
+ * @requires ./utils/books
+ * @requires ../utils/cassette
+ * @requires ../utils/responseCache
+ * @requires ./utils/configCheck
+ * @requires ./utils/bookLock
  *
  * @description Main entry point for the CLI application that allows users
- * to create, manage, and delete economics books for children.
+ * to create, manage, and delete economics books for children. Without
+ * arguments the interactive menu is shown; with a subcommand
+ * (e.g. `book-cli generate my-book --accept`) it runs non-interactively.
  *
  * @functions
- * - ensureBooksDirExists: Ensures the books directory exists
- * - listBooks: Lists all existing books
- * - createBook: Creates a new book
- * - deleteBook: Deletes an existing book
  * - mainMenu: Displays and handles the main menu
  * - main: Entry point function
  *
  * @constants
- * - BOOKS_DIR: Path to the books directory
  * - mainMenuChoices: Options for the main menu
  *
  * @flow
  * 1. Setup environment (ensure directories exist)
- * 2. Display main menu
- * 3. Handle user choice (create/open/delete/exit)
- * 4. Perform selected action
- * 5. Return to main menu
+ * 2. Parse command-line arguments, select the cassette mode and cache
+ * 3. Check the config/ files and warn about every violation
+ * 4. Run the subcommand and exit with its code, or
+ * 5. Display main menu
+ * 6. Handle user choice (create/open/delete/exit)
+ * 7. Perform selected action
+ * 8. Return to main menu
  *
  * @error Handling
  * - File system errors: Caught and shown with relevant context
  * - User input validation: Validation rules for book names
+ * - Invalid arguments: Reported with usage help and exit code 2
+ * - Invalid configuration: Reported as warnings; `doctor` lists the same
  * - Fatal errors: Caught and logged before exiting
  */
 import inquirer from "inquirer";
-import fs from "fs/promises";
 import display from "./utils/display.js";
-import path from "path";
-import { fileURLToPath } from "url";
-import { configureNewBook } from "./commands/configureBook.js";
-import { initializeBookState, saveBookState } from "./utils/bookState.js";
 import { manageBook } from "./commands/manageBook.js";
-
-/**
- * @constant {string}
- * @type {string}
- * @description Path to the books directory
- */
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const BOOKS_DIR = path.join(__dirname, "..", "..", "books");
-
-/**
- * @function ensureBooksDirExists
- * @async
- * @description Ensures the books directory exists, creating it if needed
- *
- * @returns {Promise<void>}
- *
- * @example
- * await ensureBooksDirExists();
- */
-async function ensureBooksDirExists() {
-  try {
-    await fs.access(BOOKS_DIR);
-  } catch {
-    await fs.mkdir(BOOKS_DIR, { recursive: true });
-  }
-}
-
-/**
- * @function listBooks
- * @async
- * @description Lists all existing books in the books directory
- *
- * @returns {Promise<string[]>} Array of book directory names
- *
- * @example
- * const books = await listBooks();
- */
-async function listBooks() {
-  try {
-    const books = await fs.readdir(BOOKS_DIR);
-    const filteredBooks = [];
-
-    for (const book of books) {
-      // Skip .DS_Store and hidden files
-      if (book.toLowerCase() === ".ds_store" || book.startsWith(".")) continue;
-
-      const stats = await fs.stat(path.join(BOOKS_DIR, book));
-      if (stats.isDirectory()) {
-        filteredBooks.push(book);
-      }
-    }
-
-    return filteredBooks;
-  } catch (error) {
-    display.error("Error listing books:", error);
-    return [];
-  }
-}
-
-/**
- * @function createBook
- * @async
- * @description Creates a new book with the specified name
- *
- * @param {string} name - Name of the book to create
- *
- * @returns {Promise<boolean>} Whether the book was created successfully
- *
- * @example
- * const success = await createBook('my-economics-book');
- */
-async function createBook(name) {
-  const bookDir = path.join(BOOKS_DIR, name);
-  const imagesDir = path.join(bookDir, "images");
-
-  try {
-    // Create book directory and images subdirectory
-    await fs.mkdir(bookDir);
-    await fs.mkdir(imagesDir);
-
-    // Initialize book state
-    const initialState = initializeBookState(name);
-    await saveBookState(bookDir, initialState);
-
-    // Create empty content.md
-    await fs.writeFile(path.join(bookDir, "content.md"), "");
-
-    display.success(`Created new book: ${name}`);
-
-    // Configure the new book
-    const configured = await configureNewBook(bookDir);
-    if (!configured) {
-      // If configuration failed, clean up the created directory
-      await fs.rm(bookDir, { recursive: true });
-      return false;
-    }
-
-    return true;
-  } catch (error) {
-    display.error(`Error creating book ${name}:`, error);
-    return false;
-  }
-}
-
-/**
- * @function deleteBook
- * @async
- * @description Deletes an existing book
- *
- * @param {string} name - Name of the book to delete
- *
- * @returns {Promise<boolean>} Whether the book was deleted successfully
- *
- * @example
- * const success = await deleteBook('my-economics-book');
- */
-async function deleteBook(name) {
-  const bookDir = path.join(BOOKS_DIR, name);
-  try {
-    await fs.rm(bookDir, { recursive: true });
-    display.success(`Deleted book: ${name}`);
-    return true;
-  } catch (error) {
-    display.error(`Error deleting book ${name}:`, error);
-    return false;
-  }
-}
+import { withBookLock } from "./utils/bookLock.js";
+import { runCommand } from "./commands/runCommand.js";
+import { parseCliArgs, CliError, EXIT_CODES } from "./utils/args.js";
+import {
+  ensureBooksDirExists,
+  listBooks,
+  toSafeBookName,
+  getBookPath,
+  createBook,
+  deleteBook,
+} from "./utils/books.js";
+import { setCassetteMode } from "../utils/cassette.js";
+import { CASSETTE_ENV } from "../../config/cassetteConfig.js";
+import { configureResponseCache } from "../utils/responseCache.js";
+import { checkConfigFiles, formatConfigProblem } from "./utils/configCheck.js";
+import {
+  CACHE_ENV,
+  CACHE_TTL_ENV,
+  CACHE_TTL_HOURS,
+} from "../../config/cacheConfig.js";
 
 /**
  * @constant {Array<Object>}
@@ -234,11 +125,7 @@ async function mainMenu() {
       ]);
 
       // Transform the book name into a safe filename
-      const safeBookName = bookName
-        .toLowerCase() // Convert to lowercase
-        .trim() // Remove leading/trailing spaces
-        .replace(/\s+/g, "-") // Replace spaces with hyphens
-        .replace(/[^a-z0-9-]/g, ""); // Remove any characters that aren't lowercase letters, numbers, or hyphens
+      const safeBookName = toSafeBookName(bookName);
       // TODO: Check if the safeBookName already exists. If it does, add a number to the end of it (e.g., book-1, book-2, etc.)
 
       if (!safeBookName) {
@@ -250,8 +137,7 @@ async function mainMenu() {
       const created = await createBook(safeBookName);
       if (created) {
         // If book was created successfully, manage it directly
-        const bookPath = path.join(BOOKS_DIR, safeBookName);
-        await manageBook(bookPath);
+        await manageBook(getBookPath(safeBookName));
       }
       break;
     }
@@ -272,8 +158,11 @@ async function mainMenu() {
         },
       ]);
 
-      const bookPath = path.join(BOOKS_DIR, selectedBook);
-      await manageBook(bookPath);
+      try {
+        await manageBook(getBookPath(selectedBook));
+      } catch {
+        // Already reported by manageBook (e.g. the book is open elsewhere)
+      }
       break;
     }
 
@@ -284,7 +173,7 @@ async function mainMenu() {
         break;
       }
 
-      const { selectedBook } = await inquirer.prompt([
+      const { selectedBook, confirmDelete } = await inquirer.prompt([
         {
           type: "list",
           name: "selectedBook",
@@ -300,8 +189,14 @@ async function mainMenu() {
         },
       ]);
 
-      if (selectedBook.confirmDelete) {
-        await deleteBook(selectedBook);
+      if (confirmDelete) {
+        try {
+          await withBookLock(getBookPath(selectedBook), () =>
+            deleteBook(selectedBook)
+          );
+        } catch (error) {
+          display.error(error.message);
+        }
       }
       break;
     }
@@ -318,7 +213,8 @@ async function mainMenu() {
 /**
  * @function main
  * @async
- * @description Entry point function for the CLI application
+ * @description Entry point function for the CLI application. Runs a
+ * subcommand when one is given, otherwise starts the interactive menu.
  *
  * @returns {Promise<void>}
  *
@@ -326,13 +222,51 @@ async function mainMenu() {
  * main().catch(handleError);
  */
 async function main() {
-  display.header("📚 Welcome to the Book Generator CLI!");
-
   await ensureBooksDirExists();
+
+  let parsed;
+  try {
+    parsed = parseCliArgs(process.argv.slice(2));
+    // Before anything is printed, so --json keeps stdout for the result
+    display.setJsonMode(parsed.flags.json);
+    try {
+      setCassetteMode(parsed.flags.cassette ?? process.env[CASSETTE_ENV]);
+      configureResponseCache({
+        enabled:
+          parsed.flags.cache ||
+          ["1", "true"].includes(process.env[CACHE_ENV]?.toLowerCase()),
+        ttlHours: process.env[CACHE_TTL_ENV] || CACHE_TTL_HOURS,
+      });
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.USAGE);
+    }
+  } catch (error) {
+    display.error(error.message);
+    process.exit(error instanceof CliError ? error.exitCode : EXIT_CODES.ERROR);
+  }
+
+  // `doctor` reports the same problems itself
+  if (parsed.command !== "doctor" && !parsed.flags.help) {
+    const problems = await checkConfigFiles();
+    problems.forEach((problem) =>
+      display.warning(formatConfigProblem(problem))
+    );
+    if (problems.length > 0) {
+      display.warning(
+        "The configuration has problems; run `book-cli doctor` for a full check"
+      );
+    }
+  }
+
+  if (parsed.command || parsed.flags.help) {
+    process.exit(await runCommand(parsed));
+  }
+
+  display.header("📚 Welcome to the Book Generator CLI!");
   await mainMenu();
 }
 
 main().catch((error) => {
   display.error("Fatal error:", error);
-  process.exit(1);
+  process.exit(EXIT_CODES.ERROR);
 });
@@ -0,0 +1,232 @@
+/**
+ * @file Command-line argument parsing for non-interactive use
+ * @module args
+ * @requires util - Node's built-in parseArgs
+ * @exports {EXIT_CODES, CLI_OPTIONS, USAGE, CliError, parseCliArgs}
+ *
+ * @description
+ * Parses `book-cli` subcommands and flags so books can be produced from shell
+ * scripts and cron jobs. Running without a subcommand keeps the interactive
+ * menu.
+ *
+ * @functions
+ * - parseCliArgs: Parses argv into a command, positionals and flags
+ *
+ * @constants
+ * - EXIT_CODES: Object - Process exit codes returned by subcommands
+ * - CLI_OPTIONS: Object - Flag definitions shared by all subcommands
+ * - USAGE: string - Help text
+ *
+ * @flow
+ * 1. Parse argv with the shared flag definitions
+ * 2. Split the first positional into the subcommand
+ * 3. Return the remaining positionals and flag values
+ *
+ * @error Handling
+ * - Unknown flags or missing flag values: Raised as CliError with USAGE exit code
+ */
+
+import { parseArgs } from "util";
+
+/**
+ * @constant
+ * @type {{SUCCESS: number, ERROR: number, USAGE: number, NOT_FOUND: number, GENERATION_FAILED: number, INTERRUPTED: number}}
+ * @description Exit codes returned by the non-interactive subcommands
+ * @readonly
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  GENERATION_FAILED: 4,
+  INTERRUPTED: 130,
+};
+
+/**
+ * @constant
+ * @type {Object<string, {type: string, short?: string, multiple?: boolean}>}
+ * @description Flag definitions shared by all subcommands
+ * @readonly
+ */
+export const CLI_OPTIONS = {
+  help: { type: "boolean", short: "h" },
+  json: { type: "boolean" },
+  cassette: { type: "string" },
+  cache: { type: "boolean" },
+  expired: { type: "boolean" },
+  yes: { type: "boolean", short: "y" },
+  "take-over-lock": { type: "boolean" },
+  chapter: { type: "string", short: "c" },
+  all: { type: "boolean" },
+  accept: { type: "boolean" },
+  "accept-text": { type: "boolean" },
+  "accept-image": { type: "boolean" },
+  "skip-image": { type: "boolean" },
+  "full-context": { type: "boolean" },
+  "ignore-budget": { type: "boolean" },
+  character: { type: "string", multiple: true },
+  style: { type: "string" },
+  preset: { type: "string" },
+  format: { type: "string", short: "f" },
+  output: { type: "string", short: "o" },
+  "trim-size": { type: "string" },
+  margin: { type: "string" },
+  layout: { type: "string" },
+  language: { type: "string" },
+  author: { type: "string" },
+  "chat-provider": { type: "string" },
+  "chat-base-url": { type: "string" },
+  "chat-model": { type: "string" },
+  temperature: { type: "string" },
+  "image-provider": { type: "string" },
+  "image-model": { type: "string" },
+  "image-style": { type: "string" },
+  palette: { type: "string" },
+  "line-quality": { type: "string" },
+  "story-variables": { type: "string" },
+  curriculum: { type: "string" },
+};
+
+/**
+ * @constant
+ * @type {string}
+ * @description Help text printed by `book-cli --help`
+ * @readonly
+ */
+export const USAGE = `
+Usage: book-cli [command] [options]
+
+Without a command, the interactive menu is started.
+
+Commands:
+  create <name>              Create a new book without prompting
+      --curriculum <id>        Curriculum to teach (see \`curricula\`; default:
+                               config/chapters.js)
+      --chat-provider <id>     Chat provider: openai | openai-compatible |
+                               mock (default: openai)
+      --chat-base-url <url>    Server URL for openai-compatible
+                               (default: Ollama, http://localhost:11434/v1)
+      --chat-model <id>        Chat model (required, except for mock)
+      --temperature <n>        Override the model's default temperature
+      --image-provider <id>    Image provider: openai | mystic | mock
+                               (required)
+      --image-model <id>       Image model for the provider
+      --image-style <name>     Illustration style of the whole book
+                               (default: storybook)
+      --palette <key>          Color palette: style (default), warm, cool,
+                               pastel, vibrant, earthy
+      --line-quality <key>     Line quality: style (default), clean,
+                               sketchy, bold, soft
+      --story-variables <file> JSON file with story variables
+  open <book>                Open a book in the interactive menu
+  generate <book>            Generate the next chapter (or --chapter <id>)
+      --all                    Generate every pending chapter unattended,
+                               using the book's auto-accept rules (resumable)
+      --accept                 Accept both text and image
+      --accept-text            Accept the generated text
+      --accept-image           Accept the generated image
+      --skip-image             Do not generate an image
+      --style <name>           Illustration style for this run (default:
+                               the chapter's or the book's art direction)
+      --preset <key>           Scene composition preset for this run
+      --full-context           Skip scene selection for the image
+      --ignore-budget          Continue past the book's budget and attempt
+                               limits
+  sheets <book>              Draw reference sheets of the main characters
+                             whose sheet is missing or outdated
+      --character <id>         Draw (again) this character's sheet instead;
+                               repeatable (ids: protagonist, friend-1, pet...)
+      --ignore-budget          Continue past the book's budget
+  status <book>              Show chapter status and progress
+  export <book>              Export the book
+      --format <fmt>           Output format: md (default), pdf, epub, html
+      --output <path>          Output file (folder for html)
+      --trim-size <size>       PDF page size: 8x8, 8.5x8.5 (default), 8x10,
+                               10x8, 6x9, letter, a4
+      --margin <inches>        PDF page margin (default 0.5)
+      --layout <layout>        EPUB layout: reflowable (default), fixed
+      --language <tag>         EPUB/HTML language (default en)
+      --author <name>          EPUB author
+  rebuild-content <book>     Rebuild content.md from book-state.json
+  cache status               Show the response cache size
+  cache clear                Remove all cached responses
+      --expired                Only remove entries older than the TTL
+  curricula                  List the curricula new books can use
+  doctor [book]              Check the config files and book states against
+                             their schemas (all books without <book>)
+  delete <book> --yes        Delete a book
+
+Global options:
+  --json                     Print a machine-readable result on stdout
+  --cassette <mode>          Record or replay model calls in the book's
+                             cassettes/ folder: off (default), record, replay
+                             (or set BOOK_CLI_CASSETTE)
+  --cache                    Cache chat and image responses so prompt menus
+                             can reuse them (or set BOOK_CLI_CACHE=1; TTL in
+                             hours: BOOK_CLI_CACHE_TTL_HOURS, default 168)
+  --take-over-lock           Take over a book lock left by a session that is
+                             no longer running (open, generate, sheets,
+                             rebuild-content, delete)
+  -h, --help                 Show this help
+
+Exit codes:
+  0 success, 1 error, 2 usage error, 3 book or chapter not found,
+  4 generation failed, 130 interrupted (resume by running it again)
+`.trim();
+
+/**
+ * @class CliError
+ * @augments Error
+ * @description Error carrying the exit code a subcommand should return
+ *
+ * @property {number} exitCode - One of EXIT_CODES
+ *
+ * @example
+ * throw new CliError(`Book not found: ${name}`, EXIT_CODES.NOT_FOUND);
+ */
+export class CliError extends Error {
+  constructor(message, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.name = "CliError";
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * @function parseCliArgs
+ * @description Parses command-line arguments into a subcommand, its
+ * positional arguments and flag values
+ *
+ * @param {string[]} argv - Arguments without the node binary and script path
+ *
+ * @returns {{command: string|null, positionals: string[], flags: Object}} Parsed arguments
+ * @throws {CliError} If an unknown flag is used or a flag value is missing
+ *
+ * @example
+ * parseCliArgs(["generate", "my-book", "--chapter", "introduction", "--json"]);
+ * // Returns: {
+ * //   command: "generate",
+ * //   positionals: ["my-book"],
+ * //   flags: { chapter: "introduction", json: true }
+ * // }
+ *
+ * @example
+ * parseCliArgs([]);
+ * // Returns: { command: null, positionals: [], flags: {} }
+ */
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: CLI_OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (error) {
+    throw new CliError(error.message, EXIT_CODES.USAGE);
+  }
+
+  const [command = null, ...positionals] = parsed.positionals;
+  return { command, positionals, flags: { ...parsed.values } };
+}
@@ -0,0 +1,397 @@
+/**
+ * @file Advisory book locks
+ * @module bookLock
+ * @requires fs - For releasing locks synchronously on exit
+ * @requires fs/promises - For creating and reading lock files
+ * @requires os - For the host name recorded in the lock
+ * @requires path - For lock file paths
+ * @requires inquirer - For offering to take over a stale lock
+ * @requires ./display - For the takeover notice
+ * @exports {LOCK_FILE, withBookLock}
+ *
+ * @description
+ * Keeps two CLI sessions from editing the same book at once. While a book is
+ * open, its folder holds a lock file naming the process that opened it;
+ * another session that tries to open the book is refused. A lock left by a
+ * process that crashed (same host, process no longer running) is stale and
+ * can be taken over: interactively after confirmation, non-interactively
+ * with `--take-over-lock`. Locks are advisory: they only guard this CLI.
+ *
+ * @functions
+ * - exitOnSignal: Exits through process.exit on Ctrl-C so the lock is removed
+ * - isProcessRunning: Checks whether a process id is alive
+ * - readLock: Reads the lock holder
+ * - readSettledLock: Reads the lock holder, waiting for a lock being written
+ * - sameHolder: Whether two lock reads name the same holder
+ * - describeHolder: Formats a lock holder for messages
+ * - acquireBookLock: Creates the lock file or takes over a stale one
+ * - releaseBookLock: Removes a lock this process holds
+ * - withBookLock: Runs a function while holding a book's lock
+ *
+ * @constants
+ * - LOCK_FILE: Name of the lock file in the book folder
+ * - LOCK_READ_ATTEMPTS: Reads of a lock file before it counts as unreadable
+ *
+ * @flow
+ * 1. Create the lock file exclusively, recording pid, host and command
+ * 2. If it exists, refuse when its holder is alive or unreadable; offer a
+ *    takeover when stale, which moves the stale file aside atomically and
+ *    only succeeds if it still names the same holder
+ * 3. Run the work, then remove the lock (also when the process exits early)
+ *
+ * @error Handling
+ * - Book open elsewhere: Throws with the holder's pid, host and start time
+ * - Stale lock not taken over: Throws, naming --take-over-lock
+ * - Locks of other hosts are never considered stale; the message names the
+ *   file to delete once that session is known to be gone
+ * - Unreadable locks (still being written, or damaged) are never considered
+ *   stale either
+ */
+
+import { unlinkSync } from "fs";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import inquirer from "inquirer";
+import display from "./display.js";
+
+/**
+ * @constant {string}
+ * @description Name of the lock file in the book folder
+ */
+export const LOCK_FILE = ".book.lock";
+
+/**
+ * @constant {number}
+ * @description Reads of a lock file, 50ms apart, before it counts as
+ * unreadable. A session creates its lock file before writing it, so a
+ * reader can briefly see it empty.
+ * @private
+ */
+const LOCK_READ_ATTEMPTS = 10;
+
+/**
+ * @description Lock files held by this process, with their nesting depth
+ * @type {Map<string, number>}
+ * @private
+ */
+const heldLocks = new Map();
+
+// Locks must not outlive the process, even when it exits via process.exit
+process.on("exit", () => {
+  heldLocks.forEach((_, lockPath) => {
+    try {
+      unlinkSync(lockPath);
+    } catch {
+      // Already removed (e.g. the book was deleted)
+    }
+  });
+});
+
+/**
+ * @function exitOnSignal
+ * @private
+ * @description Signal handler installed while a lock is held. Exits like
+ * the default handler would, but through process.exit so the lock is
+ * removed. Commands with their own handler (e.g. the Ctrl-C handling of
+ * unattended generation) keep control.
+ *
+ * @param {string} signal - Received signal
+ *
+ * @returns {void}
+ *
+ * @example
+ * process.on("SIGINT", exitOnSignal);
+ */
+function exitOnSignal(signal) {
+  if (process.listenerCount(signal) === 1) {
+    process.exit(signal === "SIGINT" ? 130 : 143);
+  }
+}
+
+/**
+ * @function isProcessRunning
+ * @private
+ * @description Checks whether a process with the given id is running on
+ * this host
+ *
+ * @param {number} pid - Process id
+ *
+ * @returns {boolean} True if the process exists
+ *
+ * @example
+ * isProcessRunning(process.pid);
+ * // Returns: true
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * @function readLock
+ * @async
+ * @private
+ * @description Reads the holder recorded in a lock file
+ *
+ * @param {string} lockPath - Lock file path
+ *
+ * @returns {Promise<Object|null>} Holder ({pid, hostname, command, acquiredAt}),
+ * or null if the file is gone or unreadable
+ *
+ * @example
+ * await readLock('/books/my-book/.book.lock');
+ * // Returns: { pid: 4711, hostname: 'laptop', command: 'generate my-book --all', acquiredAt: '...' }
+ */
+async function readLock(lockPath) {
+  try {
+    const holder = JSON.parse(await fs.readFile(lockPath, "utf8"));
+    return Number.isInteger(holder?.pid) ? holder : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @function readSettledLock
+ * @async
+ * @private
+ * @description Reads the holder recorded in a lock file, reading again for
+ * a moment while the file is empty or incomplete
+ *
+ * @param {string} lockPath - Lock file path
+ *
+ * @returns {Promise<Object|null>} Holder, or null if the file stays unreadable
+ *
+ * @example
+ * const holder = await readSettledLock('/books/my-book/.book.lock');
+ */
+async function readSettledLock(lockPath) {
+  for (let attempt = 1; ; attempt++) {
+    const holder = await readLock(lockPath);
+    if (holder || attempt === LOCK_READ_ATTEMPTS) return holder;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+/**
+ * @function sameHolder
+ * @private
+ * @description Tells whether two lock reads name the same holder
+ *
+ * @param {Object|null} a - Holder read first
+ * @param {Object|null} b - Holder read later
+ *
+ * @returns {boolean} True if both name the same process and start time
+ *
+ * @example
+ * sameHolder(current, await readLock(lockPath));
+ * // Returns: true
+ */
+function sameHolder(a, b) {
+  return Boolean(
+    a &&
+    b &&
+    a.pid === b.pid &&
+    a.hostname === b.hostname &&
+    a.acquiredAt === b.acquiredAt
+  );
+}
+
+/**
+ * @function describeHolder
+ * @private
+ * @description Formats a lock holder for messages
+ *
+ * @param {Object|null} holder - Lock holder
+ *
+ * @returns {string} Holder description
+ *
+ * @example
+ * describeHolder({ pid: 4711, hostname: 'laptop', command: 'open my-book', acquiredAt: '2024-05-01T10:00:00.000Z' });
+ * // Returns: 'process 4711 on laptop ("open my-book", since 2024-05-01 10:00)'
+ */
+function describeHolder(holder) {
+  if (!holder) return "an unreadable lock file";
+  const since = holder.acquiredAt
+    ? `, since ${holder.acquiredAt.slice(0, 16).replace("T", " ")}`
+    : "";
+  const command = holder.command ? `"${holder.command}"` : "interactive menu";
+  return `process ${holder.pid} on ${holder.hostname} (${command}${since})`;
+}
+
+/**
+ * @function acquireBookLock
+ * @async
+ * @private
+ * @description Creates the book's lock file. A lock already held by this
+ * process is re-entered. A stale lock is taken over when allowed or
+ * confirmed.
+ *
+ * @param {string} bookPath - Path to the book directory
+ * @param {Object} options - Lock options
+ * @param {boolean} options.interactive - Whether the user can be asked
+ * @param {boolean} options.takeOverStale - Take over stale locks without asking
+ *
+ * @returns {Promise<string>} Lock file path
+ * @throws {Error} If the book is open in another session or a stale lock is
+ * not taken over
+ *
+ * @example
+ * const lockPath = await acquireBookLock('/books/my-book', { interactive: true, takeOverStale: false });
+ */
+async function acquireBookLock(bookPath, { interactive, takeOverStale }) {
+  const lockPath = path.join(bookPath, LOCK_FILE);
+  if (heldLocks.has(lockPath)) {
+    heldLocks.set(lockPath, heldLocks.get(lockPath) + 1);
+    return lockPath;
+  }
+
+  const holder = {
+    pid: process.pid,
+    hostname: os.hostname(),
+    command: process.argv.slice(2).join(" "),
+    acquiredAt: new Date().toISOString(),
+  };
+
+  // Two rounds: the second follows the removal of a stale lock
+  for (let round = 0; round < 2; round++) {
+    try {
+      await fs.writeFile(lockPath, JSON.stringify(holder, null, 2), {
+        flag: "wx",
+      });
+      if (heldLocks.size === 0) {
+        process.on("SIGINT", exitOnSignal);
+        process.on("SIGTERM", exitOnSignal);
+      }
+      heldLocks.set(lockPath, 1);
+      return lockPath;
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw new Error(`Could not lock book: ${error.message}`);
+      }
+    }
+
+    const current = await readSettledLock(lockPath);
+    const stale =
+      current !== null &&
+      current.hostname === os.hostname() &&
+      !isProcessRunning(current.pid);
+    if (!stale) {
+      throw new Error(
+        `Book is open in another session: ${describeHolder(current)}. Close it first, or delete ${lockPath} if that session is no longer running.`
+      );
+    }
+
+    let takeOver = takeOverStale;
+    if (!takeOver && interactive) {
+      ({ takeOver } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "takeOver",
+          message: `This book was left locked by ${describeHolder(current)}, which is no longer running. Take over the lock?`,
+          default: true,
+        },
+      ]));
+    }
+    if (!takeOver) {
+      throw new Error(
+        `Book is locked by ${describeHolder(current)}, which is no longer running. Run again with --take-over-lock to take it over.`
+      );
+    }
+
+    // The confirmation can take a while: only move the lock aside if it is
+    // still the stale one, and check what was moved, since another session
+    // may have taken over in between
+    const asidePath = `${lockPath}.${process.pid}.stale`;
+    if (!sameHolder(current, await readLock(lockPath))) continue;
+    try {
+      await fs.rename(lockPath, asidePath);
+    } catch (error) {
+      if (error.code === "ENOENT") continue;
+      throw new Error(`Could not lock book: ${error.message}`);
+    }
+    if (!sameHolder(current, await readLock(asidePath))) {
+      // Put the other session's lock back, unless it was replaced already
+      await fs.link(asidePath, lockPath).catch(() => {});
+      await fs.rm(asidePath, { force: true });
+      break;
+    }
+    await fs.rm(asidePath, { force: true });
+    display.warning(`Taking over the stale lock of ${describeHolder(current)}`);
+  }
+  throw new Error("Could not lock book: another session took the lock first");
+}
+
+/**
+ * @function releaseBookLock
+ * @async
+ * @private
+ * @description Leaves a lock this process holds, removing the file when the
+ * outermost holder is done
+ *
+ * @param {string} lockPath - Lock file path
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await releaseBookLock('/books/my-book/.book.lock');
+ */
+async function releaseBookLock(lockPath) {
+  const depth = heldLocks.get(lockPath);
+  if (depth > 1) {
+    heldLocks.set(lockPath, depth - 1);
+    return;
+  }
+  heldLocks.delete(lockPath);
+  if (heldLocks.size === 0) {
+    process.removeListener("SIGINT", exitOnSignal);
+    process.removeListener("SIGTERM", exitOnSignal);
+  }
+  await fs.rm(lockPath, { force: true });
+}
+
+/**
+ * @function withBookLock
+ * @async
+ * @description Runs a function while holding the book's lock, so no other
+ * CLI session can edit the book at the same time. The lock is released when
+ * the function settles, and on process exit.
+ *
+ * @param {string} bookPath - Path to the book directory
+ * @param {Function} task - Async function to run while the book is locked
+ * @param {Object} [options={}] - Lock options
+ * @param {boolean} [options.interactive=true] - Whether the user can be asked
+ * to take over a stale lock
+ * @param {boolean} [options.takeOverStale=false] - Take over stale locks
+ * without asking
+ *
+ * @returns {Promise<*>} The task's result
+ * @throws {Error} If the lock cannot be taken, or whatever the task throws
+ *
+ * @example
+ * await withBookLock(bookPath, () => generateWholeBook(bookState, bookPath), {
+ *   interactive: false,
+ *   takeOverStale: flags["take-over-lock"],
+ * });
+ */
+export async function withBookLock(
+  bookPath,
+  task,
+  { interactive = true, takeOverStale = false } = {}
+) {
+  const lockPath = await acquireBookLock(bookPath, {
+    interactive,
+    takeOverStale,
+  });
+  try {
+    return await task();
+  } finally {
+    await releaseBookLock(lockPath);
+  }
+}
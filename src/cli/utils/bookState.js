@@ -3,8 +3,14 @@
  * @module bookState
  * @requires fs/promises - For filesystem operations
  * @requires path - For path manipulation
- * @requires ../../../config/chapters - For book content structure
- * @exports {loadBookState, saveBookState, initializeBookState}
+ * @requires ./curricula - For recording the curriculum of older books
+ * @requires ../../exporters/exportContent - For illustration alt text
+ * @requires ../../utils/usage - For token and cost totals
+ * @requires ../../utils/schemaValidation - For checking curriculum content
+ * @requires ./bookStateSchema - For schema validation and migrations
+ * @requires ./display - For the migration notice
+ * @requires ./bookLock - For saving upgrades while no other session edits the book
+ * @exports {initializeChaptersFromLessons, loadBookState, saveBookState, initializeBookState, summarizeBookState, buildContentMarkdown, rebuildContentFile}
  *
  * @description
  * This module provides comprehensive state management for book generation,
@@ -14,27 +20,41 @@
  *
  * @functions
  * - initializeChaptersFromLessons: Chapter structure builder
+ * - recordLegacyCurriculum: Snapshots the curriculum of books created before
+ *   curricula were stored
+ * - writeFileAtomic: Crash-safe file writer
+ * - saveUpgradedState: Saves the upgrades made while loading, under the book lock
  * - loadBookState: State file loader
  * - saveBookState: State persistence handler
  * - initializeBookState: New state initializer
+ * - summarizeBookState: Progress summary builder
+ * - buildContentMarkdown: content.md renderer
+ * - rebuildContentFile: content.md writer
  *
  * @flow
  * 1. State Initialization
- *    - Load configuration
- *    - Create chapter structure
+ *    - Create the state; configureNewBook adds the chosen curriculum
+ *    - Create chapter structure from the curriculum snapshot
  *    - Set default values
  * 2. State Persistence
- *    - Validate state structure
- *    - Write to filesystem
+ *    - Validate state against config/schemas/bookState.schema.json
+ *    - Keep the previous state as book-state.json.bak
+ *    - Write to a temp file and rename it over book-state.json
+ *    - Rebuild content.md from the accepted chapters
  *    - Handle errors
  * 3. State Management
  *    - Load existing state
+ *    - Upgrade older state versions, keeping a copy of the original; the
+ *      upgrade is saved under the book lock, or kept in memory only while
+ *      the book is open in another session
  *    - Update as needed
  *    - Maintain consistency
  *
  * @error Handling
  * - Filesystem: Handle read/write errors
- * - Validation: Check state structure
+ * - Crashes: A save is either complete or not visible at all; a corrupted
+ *   state points to the .bak copy of the previous save
+ * - Validation: Reject states that do not match the schema, on load and save
  * - Recovery: Provide fallbacks
  * - Parsing: Handle JSON errors
  * - Permissions: Check access rights
@@ -42,13 +62,26 @@
 
 import fs from "fs/promises";
 import path from "path";
-import { BOOK_CONTENT } from "../../../config/chapters.js";
+import { describeImage } from "../../exporters/exportContent.js";
+import { bookUsageRecords, summarizeUsage } from "../../utils/usage.js";
+import { validateAgainstSchema } from "../../utils/schemaValidation.js";
+import {
+  BOOK_STATE_VERSION,
+  migrateBookState,
+  validateBookState,
+} from "./bookStateSchema.js";
+import { getCurriculum, snapshotCurriculum } from "./curricula.js";
+import display from "./display.js";
+import { withBookLock } from "./bookLock.js";
 
 /**
  * @function initializeChaptersFromLessons
- * @private
- * @description Creates a complete chapter structure from configured lesson data,
- * including introduction and conclusion chapters. Validates against schema.
+ * @description Creates a complete chapter structure from a curriculum's
+ * lesson data, including introduction and conclusion chapters. Validates
+ * against schema.
+ *
+ * @param {Array<Object>} lessons - Curriculum content (BOOK_CONTENT)
+ * @param {string} [source="Curriculum"] - Name used in validation errors
  *
  * @returns {Array<{
  *   id: string,
@@ -59,23 +92,33 @@ import { BOOK_CONTENT } from "../../../config/chapters.js";
  *     example: string,
  *     summary: string
  *   },
+ *   featuring?: Object,
  *   image: {
  *     status: string,
  *     prompt: string|null,
  *     url: string|null
  *   }
  * }>} Array of initialized chapter objects
- * @throws {Error} If BOOK_CONTENT is invalid per schema
+ * @throws {Error} If the lessons are invalid per schema
  *
  * @example
- * const chapters = initializeChaptersFromLessons();
+ * const chapters = initializeChaptersFromLessons(curriculum.content, curriculum.file);
  * // Returns: [
  * //   { id: 'introduction', topic: 'Introduction', ... },
  * //   { id: 'lesson1_topic1', topic: 'Economics Basics', ... },
  * //   { id: 'conclusion', topic: 'Conclusion', ... }
  * // ]
  */
-function initializeChaptersFromLessons() {
+export function initializeChaptersFromLessons(lessons, source = "Curriculum") {
+  const problems = validateAgainstSchema("chapters", lessons);
+  if (problems.length > 0) {
+    throw new Error(
+      `${source} is invalid: ${problems
+        .map(({ path: location, message }) => `${location} ${message}`)
+        .join("; ")}`
+    );
+  }
+
   const chapters = [];
 
   // Add introduction chapter
@@ -91,10 +134,8 @@ function initializeChaptersFromLessons() {
     },
   });
 
-  // TODO - check if BOOK_CONTENT is valid per config/shemas/chapters.schema.json
-
   // Add chapters from lessons
-  BOOK_CONTENT.forEach((lesson) => {
+  lessons.forEach((lesson) => {
     lesson.topics.forEach((topic) => {
       chapters.push({
         id: `${lesson.id}_${topic.key}`,
@@ -104,6 +145,7 @@ function initializeChaptersFromLessons() {
           example: topic.example,
           summary: topic.summary,
         },
+        ...(topic.featuring ? { featuring: topic.featuring } : {}),
         text: null,
         image: {
           status: "not_generated",
@@ -130,23 +172,163 @@ function initializeChaptersFromLessons() {
   return chapters;
 }
 
+/**
+ * @function writeFileAtomic
+ * @async
+ * @private
+ * @description Writes a file so that a crash or power loss leaves either the
+ * old or the new content, never a partial file: the data is written and
+ * flushed to a temp file next to the target, which is then renamed over it.
+ * With `backupPath`, the previous content is copied there first.
+ *
+ * @param {string} filePath - Target file
+ * @param {string} data - New content
+ * @param {string} [backupPath] - Where to keep the previous content
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If writing, flushing or renaming fails (the target is unchanged)
+ *
+ * @example
+ * await writeFileAtomic(statePath, JSON.stringify(state, null, 2), `${statePath}.bak`);
+ */
+async function writeFileAtomic(filePath, data, backupPath) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    const handle = await fs.open(tempPath, "w");
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    if (backupPath) {
+      try {
+        await fs.copyFile(filePath, backupPath);
+      } catch (error) {
+        // Nothing to back up on the first save
+        if (error.code !== "ENOENT") throw error;
+      }
+    }
+
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * @function recordLegacyCurriculum
+ * @async
+ * @private
+ * @description Books created before curricula were stored in the state were
+ * built from the global config/chapters.js. The first time such a book is
+ * loaded, that curriculum is snapshotted into it, provided it still contains
+ * every chapter of the book.
+ *
+ * @param {Object} state - Loaded book state
+ *
+ * @returns {Promise<boolean>} Whether a curriculum was recorded
+ *
+ * @example
+ * const recorded = await recordLegacyCurriculum(state);
+ */
+async function recordLegacyCurriculum(state) {
+  if (state.curriculum !== undefined || state.chapters.length === 0) {
+    return false;
+  }
+
+  let curriculum;
+  try {
+    curriculum = await getCurriculum();
+  } catch {
+    return false;
+  }
+  const topicIds = new Set(
+    curriculum.content.flatMap((lesson) =>
+      (lesson.topics ?? []).map((topic) => `${lesson.id}_${topic.key}`)
+    )
+  );
+  const matches = state.chapters.every(
+    (chapter) => !chapter.lessonContext || topicIds.has(chapter.id)
+  );
+  if (!matches) return false;
+
+  state.curriculum = snapshotCurriculum(curriculum);
+  return true;
+}
+
+/**
+ * @function saveUpgradedState
+ * @async
+ * @private
+ * @description Saves a state upgraded while loading. Loading does not
+ * require the book lock (status, doctor and export only read), so the lock
+ * is taken for the write. Nothing is written when the book is open in
+ * another session, or when book-state.json changed since it was read; the
+ * next load upgrades it again.
+ *
+ * @param {string} bookPath - Path to the book directory
+ * @param {string} raw - Content of book-state.json when it was read
+ * @param {Object} state - Upgraded state
+ * @param {Function} [beforeSave] - Async function run under the lock before saving
+ *
+ * @returns {Promise<boolean>} Whether the upgrade was saved
+ * @throws {Error} If the state cannot be written
+ *
+ * @example
+ * if (await saveUpgradedState(bookPath, raw, state)) display.info('Upgraded');
+ */
+async function saveUpgradedState(bookPath, raw, state, beforeSave) {
+  const statePath = path.join(bookPath, "book-state.json");
+  let locked = false;
+  try {
+    return await withBookLock(
+      bookPath,
+      async () => {
+        locked = true;
+        if ((await fs.readFile(statePath, "utf8")) !== raw) return false;
+        if (beforeSave) await beforeSave();
+        await saveBookState(bookPath, state);
+        return true;
+      },
+      { interactive: false }
+    );
+  } catch (error) {
+    // Only a lock held elsewhere is expected; write failures are real errors
+    if (locked) throw error;
+    return false;
+  }
+}
+
 /**
  * @function loadBookState
  * @async
  * @description Loads and validates book state from the filesystem.
  * Handles file reading, JSON parsing, and state structure validation.
+ * States written by an older version of the tool are migrated to the
+ * current schemaVersion and saved back; the original file is kept as
+ * book-state.v<old version>.json. Books without a recorded curriculum get a
+ * snapshot of config/chapters.js, which they were created from. Upgrades
+ * are only saved while no other session has the book open. When the
+ * state cannot be read, the error
+ * points to book-state.json.bak, the state before the last save.
  *
  * @param {string} bookPath - Absolute path to book directory
  *
  * @returns {Promise<{
+ *   schemaVersion: number,
  *   title: string,
  *   createdAt: string,
- *   openAIConfig: Object|null,
+ *   chatConfig: Object|null,
+ *   imageConfig: Object|null,
  *   storyVariables: Object,
+ *   curriculum: Object|null,
  *   chapters: Array<Object>,
  *   currentContext: string
  * }>} Parsed and validated book state
- * @throws {Error} If file is missing, corrupted, or invalid
+ * @throws {Error} If file is missing, corrupted, from a newer version or invalid
  *
  * @example
  * // Basic usage
@@ -163,25 +345,125 @@ function initializeChaptersFromLessons() {
  */
 export async function loadBookState(bookPath) {
   const statePath = path.join(bookPath, "book-state.json");
+  let raw;
+  let migration;
   try {
-    const state = JSON.parse(await fs.readFile(statePath, "utf8"));
-    return state;
+    raw = await fs.readFile(statePath, "utf8");
+    migration = migrateBookState(JSON.parse(raw));
+    validateBookState(migration.state);
   } catch (error) {
-    throw new Error(`Failed to load book state: ${error.message}`);
+    const backupPath = `${statePath}.bak`;
+    const hasBackup = await fs.access(backupPath).then(
+      () => true,
+      () => false
+    );
+    throw new Error(
+      `Failed to load book state: ${error.message}${
+        hasBackup
+          ? ` (the previous save is kept in ${path.basename(backupPath)})`
+          : ""
+      }`
+    );
+  }
+
+  const { state, fromVersion, applied } = migration;
+  const recorded = await recordLegacyCurriculum(state);
+  if (applied.length === 0 && !recorded) return state;
+
+  const backupPath = path.join(bookPath, `book-state.v${fromVersion}.json`);
+  const saved = await saveUpgradedState(bookPath, raw, state, async () => {
+    if (applied.length > 0) await fs.writeFile(backupPath, raw);
+  });
+  if (!saved) return state;
+
+  if (applied.length > 0) {
+    display.info(
+      `Upgraded book-state.json from version ${fromVersion} to ${BOOK_STATE_VERSION} (original kept in ${path.basename(backupPath)})`
+    );
+  }
+  if (recorded) {
+    display.info(
+      `Recorded curriculum "${state.curriculum.id}" (${state.curriculum.source}) in book-state.json`
+    );
   }
+  return state;
+}
+
+/**
+ * @function buildContentMarkdown
+ * @description Renders the accepted chapters as markdown, in book order, with
+ * a heading and the accepted illustration for each chapter. The output only
+ * depends on the state, so rebuilding it never duplicates or reorders
+ * chapters.
+ *
+ * @param {Object} state - Current book state
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.imageBase="images"] - Path prefix for image links,
+ * relative to where the markdown is written
+ *
+ * @returns {string} Markdown document
+ *
+ * @example
+ * buildContentMarkdown(state);
+ * // Returns: '# My Book\n\n## Introduction\n\n![...](images/chapter_introduction_image.png)\n\n...'
+ */
+export function buildContentMarkdown(state, { imageBase = "images" } = {}) {
+  const sections = [`# ${state.title}`];
+
+  state.chapters
+    .filter((chapter) => chapter.status === "accepted" && chapter.text)
+    .forEach((chapter) => {
+      sections.push(`## ${chapter.topic}`);
+      if (chapter.image?.status === "accepted" && chapter.image.localPath) {
+        const imagePath = path.posix.join(
+          imageBase,
+          path.basename(chapter.image.localPath)
+        );
+        sections.push(`![${describeImage(chapter, state)}](${imagePath})`);
+      }
+      sections.push(chapter.text.trim());
+    });
+
+  return `${sections.join("\n\n")}\n`;
+}
+
+/**
+ * @function rebuildContentFile
+ * @async
+ * @description Rewrites content.md from the book state
+ *
+ * @param {string} bookPath - Absolute path to book directory
+ * @param {Object} state - Current book state
+ *
+ * @returns {Promise<string>} Path of content.md
+ * @throws {Error} If the file cannot be written
+ *
+ * @example
+ * await rebuildContentFile('/books/my-book', state);
+ * // Returns: '/books/my-book/content.md'
+ */
+export async function rebuildContentFile(bookPath, state) {
+  const contentPath = path.join(bookPath, "content.md");
+  await writeFileAtomic(contentPath, buildContentMarkdown(state));
+  return contentPath;
 }
 
 /**
  * @function saveBookState
  * @async
- * @description Persists book state to the filesystem with proper formatting
- * and error handling. Creates parent directories if needed.
+ * @description Validates the book state against the schema, persists it to
+ * the filesystem with proper formatting and error handling, then rebuilds
+ * content.md so it always matches the state. An invalid state is never
+ * written. The write is atomic (temp file, then rename), and the state it
+ * replaces is kept as book-state.json.bak.
  *
  * @param {string} bookPath - Absolute path to book directory
  * @param {Object} state - Current book state
  * @param {string} state.title - Book title
+ * @param {number} state.schemaVersion - Schema version (BOOK_STATE_VERSION)
  * @param {string} state.createdAt - Creation timestamp
- * @param {Object|null} state.openAIConfig - OpenAI settings
+ * @param {Object|null} state.chatConfig - Chat model settings
+ * @param {Object|null} state.imageConfig - Image generation settings
  * @param {Object} state.storyVariables - Story customization
  * @param {Array<Object>} state.chapters - Chapter data
  * @param {string} state.currentContext - Current generation context
@@ -208,22 +490,41 @@ export async function loadBookState(bookPath) {
 export async function saveBookState(bookPath, state) {
   const statePath = path.join(bookPath, "book-state.json");
   try {
-    await fs.writeFile(statePath, JSON.stringify(state, null, 2));
+    validateBookState(state);
+  } catch (error) {
+    throw new Error(`Refusing to save book state: ${error.message}`);
+  }
+
+  try {
+    await writeFileAtomic(
+      statePath,
+      JSON.stringify(state, null, 2),
+      `${statePath}.bak`
+    );
   } catch (error) {
     throw new Error(`Failed to save book state: ${error.message}`);
   }
+
+  try {
+    await rebuildContentFile(bookPath, state);
+  } catch (error) {
+    throw new Error(`Failed to rebuild content.md: ${error.message}`);
+  }
 }
 
 /**
  * @function initializeBookState
  * @description Creates a new book state with default structure and values.
- * Sets up all required fields for book generation and customization.
+ * Sets up all required fields for book generation and customization. The
+ * curriculum and its chapters are added by configureNewBook.
  *
  * @param {string} title - Book title
  * @returns {{
+ *   schemaVersion: number,
  *   title: string,
  *   createdAt: string,
- *   openAIConfig: null,
+ *   chatConfig: null,
+ *   imageConfig: null,
  *   storyVariables: {
  *     characters: {
  *       protagonistName: string,
@@ -242,9 +543,10 @@ export async function saveBookState(bookPath, state) {
  *       parentsNames: Array<string>
  *     }
  *   },
+ *   curriculum: null,
  *   chapters: Array<Object>,
  *   currentContext: string
- * }} Complete book state structure
+ * }} Complete book state structure (chapters start empty)
  *
  * @example
  * // Initialize new book
@@ -258,9 +560,11 @@ export async function saveBookState(bookPath, state) {
  */
 export function initializeBookState(title) {
   return {
+    schemaVersion: BOOK_STATE_VERSION,
     title,
     createdAt: new Date().toISOString(),
-    openAIConfig: null, // Will be set during configuration
+    chatConfig: null, // Will be set during configuration
+    imageConfig: null,
     storyVariables: {
       characters: {
         protagonistName: "",
@@ -279,7 +583,60 @@ export function initializeBookState(title) {
         parentsNames: [],
       },
     }, // Default structure, will be updated during configuration
-    chapters: initializeChaptersFromLessons(),
+    curriculum: null, // Chosen during configuration, with the chapters
+    chapters: [],
     currentContext: "",
   };
 }
+
+/**
+ * @function summarizeBookState
+ * @description Builds a plain summary of a book's progress and usage,
+ * suitable for display or for machine-readable (JSON) output.
+ *
+ * @param {Object} state - Current book state
+ * @param {string} state.title - Book title
+ * @param {string} state.createdAt - Creation timestamp
+ * @param {Array<Object>} state.chapters - Chapter data
+ *
+ * @returns {{
+ *   title: string,
+ *   createdAt: string,
+ *   curriculum: string|null,
+ *   chapters: Array<{id: string, topic: string, status: string, imageStatus: string|null, usage: Object}>,
+ *   acceptedChapters: number,
+ *   totalChapters: number,
+ *   progress: number,
+ *   usage: Object
+ * }} Book progress summary (progress is a percentage with one decimal; usage
+ * totals as returned by summarizeUsage)
+ *
+ * @example
+ * const summary = summarizeBookState(state);
+ * // Returns: { title: 'My Book', acceptedChapters: 3, totalChapters: 14, progress: 21.4, ... }
+ */
+export function summarizeBookState(state) {
+  const totalChapters = state.chapters.length;
+  const acceptedChapters = state.chapters.filter(
+    (ch) => ch.status === "accepted"
+  ).length;
+
+  return {
+    title: state.title,
+    createdAt: state.createdAt,
+    curriculum: state.curriculum?.id ?? null,
+    chapters: state.chapters.map((chapter) => ({
+      id: chapter.id,
+      topic: chapter.topic,
+      status: chapter.status,
+      imageStatus: chapter.image?.status || null,
+      usage: summarizeUsage(chapter.usage),
+    })),
+    acceptedChapters,
+    totalChapters,
+    progress: totalChapters
+      ? Number(((acceptedChapters / totalChapters) * 100).toFixed(1))
+      : 0,
+    usage: summarizeUsage(bookUsageRecords(state)),
+  };
+}
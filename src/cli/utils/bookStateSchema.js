@@ -0,0 +1,151 @@
+/**
+ * @file Book state schema validation and migrations
+ * @module bookStateSchema
+ * @requires ../../utils/schemaValidation - For validating against config/schemas/bookState.schema.json
+ * @exports {BOOK_STATE_VERSION, migrateBookState, validateBookState}
+ *
+ * @description
+ * Keeps book-state.json files readable as the format evolves. Every state
+ * file carries a `schemaVersion`; files written by older versions of the
+ * tool (including the ones from before versioning, treated as version 0)
+ * are upgraded step by step by the migrations below, then checked against
+ * config/schemas/bookState.schema.json. Adding a format change means bumping
+ * BOOK_STATE_VERSION and appending one migration.
+ *
+ * @functions
+ * - migrateBookState: Upgrades a state to the current version
+ * - validateBookState: Checks a state against the schema
+ *
+ * @constants
+ * - BOOK_STATE_VERSION: Version written by this tool
+ * - MIGRATIONS: Ordered upgrade steps
+ *
+ * @flow
+ * 1. Read the state's schemaVersion (0 when missing)
+ * 2. Apply each migration above it in order
+ * 3. Validate the result against the schema
+ *
+ * @error Handling
+ * - States from a newer tool version are rejected instead of guessed at
+ * - Validation errors list the offending paths
+ */
+
+import { validateAgainstSchema } from "../../utils/schemaValidation.js";
+
+/**
+ * @constant {number}
+ * @description Schema version written by this tool
+ */
+export const BOOK_STATE_VERSION = 2;
+
+/**
+ * @constant {Array<{version: number, description: string, migrate: Function}>}
+ * @description Upgrade steps in order. Each one receives a state of the
+ * previous version and changes it in place into `version`.
+ * @private
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "rename openAIConfig to chatConfig, fill missing defaults",
+    migrate(state) {
+      if ("openAIConfig" in state) {
+        if (!state.chatConfig && state.openAIConfig) {
+          state.chatConfig = state.openAIConfig;
+        }
+        delete state.openAIConfig;
+      }
+      state.chatConfig ??= null;
+      if (state.chatConfig && !state.chatConfig.provider) {
+        state.chatConfig.provider = "openai";
+      }
+      state.imageConfig ??= null;
+      state.storyVariables ??= {};
+      state.currentContext ??= "";
+      for (const chapter of state.chapters ?? []) {
+        chapter.status ??= "not_generated";
+        chapter.text ??= null;
+        chapter.image ??= { status: "not_generated", prompt: null, url: null };
+        chapter.image.status ??= "not_generated";
+      }
+    },
+  },
+  {
+    version: 2,
+    description: "use male/female for protagonistGender, store ages as text",
+    migrate(state) {
+      const characters = state.storyVariables.characters;
+      if (!characters) return;
+      const genders = { boy: "male", girl: "female" };
+      characters.protagonistGender =
+        genders[characters.protagonistGender] ?? characters.protagonistGender;
+      if (typeof characters.protagonistAge === "number") {
+        characters.protagonistAge = String(characters.protagonistAge);
+      }
+    },
+  },
+];
+
+/**
+ * @function migrateBookState
+ * @description Upgrades a parsed book state to BOOK_STATE_VERSION. The state
+ * object is changed in place.
+ *
+ * @param {Object} state - Parsed book-state.json
+ *
+ * @returns {{state: Object, fromVersion: number, applied: string[]}} The
+ * upgraded state, the version it had and the migrations that ran
+ * @throws {Error} If the state was written by a newer version of the tool
+ *
+ * @example
+ * const { state, applied } = migrateBookState({ title: "Old", openAIConfig: {...}, chapters: [] });
+ * // state.chatConfig is the former openAIConfig, state.schemaVersion is BOOK_STATE_VERSION
+ */
+export function migrateBookState(state) {
+  if (!state || typeof state !== "object" || Array.isArray(state)) {
+    throw new Error("Book state must be a JSON object");
+  }
+
+  const fromVersion = state.schemaVersion ?? 0;
+  if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+    throw new Error(`Unknown book state version: ${state.schemaVersion}`);
+  }
+  if (fromVersion > BOOK_STATE_VERSION) {
+    throw new Error(
+      `Book state version ${fromVersion} is newer than this tool supports (${BOOK_STATE_VERSION}); update the tool to open this book`
+    );
+  }
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= fromVersion) continue;
+    migration.migrate(state);
+    state.schemaVersion = migration.version;
+    applied.push(`v${migration.version}: ${migration.description}`);
+  }
+  return { state, fromVersion, applied };
+}
+
+/**
+ * @function validateBookState
+ * @description Checks a book state against config/schemas/bookState.schema.json
+ *
+ * @param {Object} state - Book state to check
+ *
+ * @returns {void}
+ * @throws {Error} Listing each invalid path, if the state does not match
+ *
+ * @example
+ * validateBookState(state);
+ * // Throws: Invalid book state: /chapters/2/status must be equal to one of the allowed values (not_generated, generated, wip, accepted)
+ */
+export function validateBookState(state) {
+  const problems = validateAgainstSchema("bookState", state);
+  if (problems.length === 0) return;
+
+  throw new Error(
+    `Invalid book state: ${problems
+      .map(({ path, message }) => `${path} ${message}`)
+      .join("; ")}`
+  );
+}
@@ -0,0 +1,240 @@
+/**
+ * @file Book directory helpers
+ * @module books
+ * @requires fs/promises - For filesystem operations
+ * @requires path - For path manipulation
+ * @requires url - For resolving the module location
+ * @requires ./display - For consistent CLI output formatting
+ * @requires ./bookState - For book state initialization
+ * @requires ./configCheck - For checking the configuration before creating a book
+ * @requires ../commands/configureBook - For new book configuration
+ * @exports {BOOKS_DIR, ensureBooksDirExists, listBooks, toSafeBookName, getBookPath, bookExists, createBook, deleteBook}
+ *
+ * @description
+ * Shared helpers for locating, listing, creating and deleting book
+ * directories. Used by both the interactive main menu and the
+ * non-interactive subcommands.
+ *
+ * @functions
+ * - ensureBooksDirExists: Ensures the books directory exists
+ * - listBooks: Lists all existing books
+ * - toSafeBookName: Turns a display name into a directory name
+ * - getBookPath: Resolves the directory of a book
+ * - bookExists: Checks whether a book directory exists
+ * - createBook: Creates and configures a new book
+ * - deleteBook: Deletes an existing book
+ *
+ * @constants
+ * - BOOKS_DIR: string - Path to the books directory
+ *
+ * @flow
+ * 1. Resolve the books directory relative to the project root
+ * 2. Provide listing and lookup helpers
+ * 3. Create or delete book directories on request
+ *
+ * @error Handling
+ * - File system errors: Caught, displayed and reported as false/empty results
+ * - Configuration failure: Removes the partially created book
+ * - Invalid config/ files: Reported, and no book is created
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import display from "./display.js";
+import { initializeBookState, saveBookState } from "./bookState.js";
+import { checkConfigFiles, formatConfigProblem } from "./configCheck.js";
+import { configureNewBook } from "../commands/configureBook.js";
+
+/**
+ * @constant {string}
+ * @type {string}
+ * @description Path to the books directory
+ */
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const BOOKS_DIR = path.join(__dirname, "..", "..", "..", "books");
+
+/**
+ * @function ensureBooksDirExists
+ * @async
+ * @description Ensures the books directory exists, creating it if needed
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await ensureBooksDirExists();
+ */
+export async function ensureBooksDirExists() {
+  try {
+    await fs.access(BOOKS_DIR);
+  } catch {
+    await fs.mkdir(BOOKS_DIR, { recursive: true });
+  }
+}
+
+/**
+ * @function listBooks
+ * @async
+ * @description Lists all existing books in the books directory
+ *
+ * @returns {Promise<string[]>} Array of book directory names
+ *
+ * @example
+ * const books = await listBooks();
+ */
+export async function listBooks() {
+  try {
+    const books = await fs.readdir(BOOKS_DIR);
+    const filteredBooks = [];
+
+    for (const book of books) {
+      // Skip .DS_Store and hidden files
+      if (book.toLowerCase() === ".ds_store" || book.startsWith(".")) continue;
+
+      const stats = await fs.stat(path.join(BOOKS_DIR, book));
+      if (stats.isDirectory()) {
+        filteredBooks.push(book);
+      }
+    }
+
+    return filteredBooks;
+  } catch (error) {
+    display.error("Error listing books:", error);
+    return [];
+  }
+}
+
+/**
+ * @function toSafeBookName
+ * @description Transforms a book name into a safe directory name
+ *
+ * @param {string} bookName - Name entered by the user
+ *
+ * @returns {string} Lowercase, hyphenated name (empty if nothing valid remains)
+ *
+ * @example
+ * toSafeBookName("My Economics Book!");
+ * // Returns: "my-economics-book"
+ */
+export function toSafeBookName(bookName) {
+  return bookName
+    .toLowerCase() // Convert to lowercase
+    .trim() // Remove leading/trailing spaces
+    .replace(/\s+/g, "-") // Replace spaces with hyphens
+    .replace(/[^a-z0-9-]/g, ""); // Remove any characters that aren't lowercase letters, numbers, or hyphens
+}
+
+/**
+ * @function getBookPath
+ * @description Resolves the directory of a book by its name
+ *
+ * @param {string} name - Book directory name
+ *
+ * @returns {string} Absolute path to the book directory
+ *
+ * @example
+ * const bookPath = getBookPath('my-economics-book');
+ */
+export function getBookPath(name) {
+  return path.join(BOOKS_DIR, name);
+}
+
+/**
+ * @function bookExists
+ * @async
+ * @description Checks whether a book directory with a state file exists
+ *
+ * @param {string} name - Book directory name
+ *
+ * @returns {Promise<boolean>} True if the book exists
+ *
+ * @example
+ * if (!(await bookExists('my-economics-book'))) { ... }
+ */
+export async function bookExists(name) {
+  try {
+    await fs.access(path.join(getBookPath(name), "book-state.json"));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @function createBook
+ * @async
+ * @description Creates a new book with the specified name. Nothing is
+ * created while the config/ files have schema violations.
+ *
+ * @param {string} name - Name of the book to create
+ * @param {Object} [presets] - Configuration that skips the matching prompts
+ * (see configureNewBook)
+ *
+ * @returns {Promise<boolean>} Whether the book was created successfully
+ *
+ * @example
+ * const success = await createBook('my-economics-book');
+ */
+export async function createBook(name, presets) {
+  const bookDir = getBookPath(name);
+  const imagesDir = path.join(bookDir, "images");
+
+  const problems = await checkConfigFiles();
+  if (problems.length > 0) {
+    display.error(`Cannot create book ${name}, the configuration is invalid:`);
+    problems.forEach((problem) =>
+      display.listItem(formatConfigProblem(problem))
+    );
+    return false;
+  }
+
+  try {
+    // Create book directory and images subdirectory
+    await fs.mkdir(bookDir);
+    await fs.mkdir(imagesDir);
+
+    // Initialize book state (also creates content.md)
+    const initialState = initializeBookState(name);
+    await saveBookState(bookDir, initialState);
+
+    display.success(`Created new book: ${name}`);
+
+    // Configure the new book
+    const configured = await configureNewBook(bookDir, presets);
+    if (!configured) {
+      // If configuration failed, clean up the created directory
+      await fs.rm(bookDir, { recursive: true });
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    display.error(`Error creating book ${name}:`, error);
+    return false;
+  }
+}
+
+/**
+ * @function deleteBook
+ * @async
+ * @description Deletes an existing book
+ *
+ * @param {string} name - Name of the book to delete
+ *
+ * @returns {Promise<boolean>} Whether the book was deleted successfully
+ *
+ * @example
+ * const success = await deleteBook('my-economics-book');
+ */
+export async function deleteBook(name) {
+  const bookDir = getBookPath(name);
+  try {
+    await fs.rm(bookDir, { recursive: true });
+    display.success(`Deleted book: ${name}`);
+    return true;
+  } catch (error) {
+    display.error(`Error deleting book ${name}:`, error);
+    return false;
+  }
+}
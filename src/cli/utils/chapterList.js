@@ -0,0 +1,631 @@
+/**
+ * @file Chapter list editing
+ * @module chapterList
+ * @requires ../../utils/revisions - For recording merged and split texts
+ * @requires ./curricula - For snapshotting a synced curriculum
+ * @exports {insertChapter, removeChapter, moveChapter, mergeWithNext, splitParagraphs, splitChapter, diffCurriculum, syncCurriculum}
+ *
+ * @description
+ * Edits a book's chapter list after it was built from the curriculum:
+ * custom chapters can be inserted, chapters removed, moved, merged and
+ * split, and the list can be synced with a newer version of the book's
+ * curriculum. Chapters that leave the list (removed, merged into another or
+ * dropped by a sync) are archived in `bookState.removedChapters`, so their
+ * text stays recoverable and their spend still counts against the budget.
+ * Chapters keep their id for as long as they exist, so text, revisions and
+ * images stay attached to them.
+ *
+ * @functions
+ * - createChapter: Builds an empty chapter
+ * - uniqueChapterId: Makes a chapter id unique in the book
+ * - findChapterIndex: Finds a chapter's position
+ * - archiveChapter: Moves a chapter to removedChapters
+ * - recordEditedText: Records a text changed by merging or splitting
+ * - insertChapter: Adds a custom chapter
+ * - removeChapter: Removes a chapter
+ * - moveChapter: Moves a chapter before another one
+ * - mergeWithNext: Merges a chapter with the one after it
+ * - splitParagraphs: Splits a text into paragraphs
+ * - splitChapter: Splits a chapter in two
+ * - curriculumTopics: Lists the chapters a curriculum defines
+ * - diffCurriculum: Compares two versions of a curriculum
+ * - syncCurriculum: Applies a newer curriculum version to the chapter list
+ *
+ * @flow
+ * 1. The chapter menu asks what to change
+ * 2. These functions change bookState.chapters in place
+ * 3. The caller saves the book state
+ *
+ * @error Handling
+ * - Unknown chapter ids and impossible edits (merging the last chapter,
+ *   splitting at the first paragraph) throw
+ */
+
+import { recordRevision, setTextStatus } from "../../utils/revisions.js";
+import { snapshotCurriculum } from "./curricula.js";
+
+/**
+ * @function createChapter
+ * @private
+ * @description Builds an empty chapter in the shape initializeChaptersFromLessons uses
+ *
+ * @param {string} id - Chapter id
+ * @param {string} topic - Chapter topic
+ * @param {Object} [lessonContext] - Summary and example of the lesson
+ * @param {Object} [featuring] - Characters, places and interests it features
+ *
+ * @returns {Object} Chapter that has not been generated yet
+ *
+ * @example
+ * createChapter("custom_piggy_banks", "Piggy Banks", { summary: "...", example: "..." });
+ */
+function createChapter(id, topic, lessonContext, featuring) {
+  return {
+    id,
+    topic,
+    status: "not_generated",
+    ...(lessonContext ? { lessonContext } : {}),
+    ...(featuring ? { featuring } : {}),
+    text: null,
+    image: {
+      status: "not_generated",
+      prompt: null,
+      url: null,
+    },
+  };
+}
+
+/**
+ * @function uniqueChapterId
+ * @private
+ * @description Turns a base into a chapter id not used by any current or
+ * archived chapter. Ids name image and contact sheet files, so only
+ * lowercase letters, digits and underscores are kept.
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} base - Preferred id
+ *
+ * @returns {string} Unused chapter id
+ *
+ * @example
+ * uniqueChapterId(bookState, "custom_Piggy Banks!");
+ * // Returns: "custom_piggy_banks" (or "custom_piggy_banks_2" if taken)
+ */
+function uniqueChapterId(bookState, base) {
+  const safeBase =
+    base
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "chapter";
+  const taken = new Set(
+    [...bookState.chapters, ...(bookState.removedChapters ?? [])].map(
+      (chapter) => chapter.id
+    )
+  );
+  let id = safeBase;
+  for (let suffix = 2; taken.has(id); suffix++) {
+    id = `${safeBase}_${suffix}`;
+  }
+  return id;
+}
+
+/**
+ * @function findChapterIndex
+ * @private
+ * @description Finds a chapter's position in the book
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} chapterId - Chapter id
+ *
+ * @returns {number} Index in bookState.chapters
+ * @throws {Error} If the book has no such chapter
+ *
+ * @example
+ * findChapterIndex(bookState, "introduction");
+ * // Returns: 0
+ */
+function findChapterIndex(bookState, chapterId) {
+  const index = bookState.chapters.findIndex(
+    (chapter) => chapter.id === chapterId
+  );
+  if (index === -1) {
+    throw new Error(`Book has no chapter "${chapterId}"`);
+  }
+  return index;
+}
+
+/**
+ * @function archiveChapter
+ * @private
+ * @description Takes a chapter out of the book and keeps it in
+ * removedChapters
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} chapterId - Chapter to archive
+ * @param {Object} [details={}] - Extra fields stored with it (e.g. mergedInto)
+ *
+ * @returns {Object} The archived chapter
+ * @throws {Error} If the book has no such chapter
+ *
+ * @example
+ * archiveChapter(bookState, "money_coins", { mergedInto: "money_notes" });
+ */
+function archiveChapter(bookState, chapterId, details = {}) {
+  const [chapter] = bookState.chapters.splice(
+    findChapterIndex(bookState, chapterId),
+    1
+  );
+  const archived = {
+    ...chapter,
+    removedAt: new Date().toISOString(),
+    ...details,
+  };
+  bookState.removedChapters = [...(bookState.removedChapters ?? []), archived];
+  return archived;
+}
+
+/**
+ * @function recordEditedText
+ * @private
+ * @description Replaces a chapter's text with an edited one (merged or
+ * split), recorded as a work-in-progress revision so the earlier text stays
+ * in the history. A chapter left without text goes back to not generated.
+ *
+ * @param {Object} chapter - The chapter
+ * @param {string|null} text - New text
+ * @param {string} note - How the text was produced
+ *
+ * @returns {void}
+ *
+ * @example
+ * recordEditedText(chapter, `${first}\n\n${second}`, 'Merged with "Coins"');
+ */
+function recordEditedText(chapter, text, note) {
+  if (!text) {
+    chapter.text = null;
+    chapter.status = "not_generated";
+    return;
+  }
+  chapter.text = text;
+  recordRevision(chapter, {
+    text,
+    initialPrompt: null,
+    personalizationPrompt: null,
+    provider: null,
+    model: null,
+    temperature: null,
+    timestamp: new Date().toISOString(),
+    status: "wip",
+    note,
+  });
+  setTextStatus(chapter, "wip");
+}
+
+/**
+ * @function insertChapter
+ * @description Adds a chapter that is not part of the curriculum
+ *
+ * @param {Object} bookState - Current book state
+ * @param {Object} details - Chapter details
+ * @param {string} details.topic - Chapter topic
+ * @param {string} details.summary - What the chapter teaches
+ * @param {string} details.example - Example situation for the story
+ * @param {string|null} beforeId - Chapter to insert before (null: at the end)
+ *
+ * @returns {Object} The new chapter
+ * @throws {Error} If beforeId is not a chapter of the book
+ *
+ * @example
+ * insertChapter(bookState, { topic: "Piggy Banks", summary: "...", example: "..." }, "conclusion");
+ * // Returns: { id: "custom_piggy_banks", topic: "Piggy Banks", status: "not_generated", ... }
+ */
+export function insertChapter(
+  bookState,
+  { topic, summary, example },
+  beforeId
+) {
+  const chapter = createChapter(
+    uniqueChapterId(bookState, `custom_${topic}`),
+    topic,
+    { summary, example }
+  );
+  const index =
+    beforeId === null
+      ? bookState.chapters.length
+      : findChapterIndex(bookState, beforeId);
+  bookState.chapters.splice(index, 0, chapter);
+  return chapter;
+}
+
+/**
+ * @function removeChapter
+ * @description Removes a chapter from the book. It is archived in
+ * removedChapters with its text, images and usage.
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} chapterId - Chapter to remove
+ *
+ * @returns {Object} The archived chapter
+ * @throws {Error} If the book has no such chapter
+ *
+ * @example
+ * removeChapter(bookState, "money_coins");
+ */
+export function removeChapter(bookState, chapterId) {
+  return archiveChapter(bookState, chapterId);
+}
+
+/**
+ * @function moveChapter
+ * @description Moves a chapter before another one, or to the end
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} chapterId - Chapter to move
+ * @param {string|null} beforeId - Chapter to move before (null: to the end)
+ *
+ * @returns {void}
+ * @throws {Error} If either chapter does not exist
+ *
+ * @example
+ * moveChapter(bookState, "money_coins", "money_notes");
+ */
+export function moveChapter(bookState, chapterId, beforeId) {
+  // Check both chapters before changing the list
+  const from = findChapterIndex(bookState, chapterId);
+  if (beforeId !== null) findChapterIndex(bookState, beforeId);
+  if (chapterId === beforeId) return;
+
+  const [chapter] = bookState.chapters.splice(from, 1);
+  const index =
+    beforeId === null
+      ? bookState.chapters.length
+      : findChapterIndex(bookState, beforeId);
+  bookState.chapters.splice(index, 0, chapter);
+}
+
+/**
+ * @function mergeWithNext
+ * @description Merges a chapter with the chapter after it. The first
+ * chapter keeps its id, revisions and image (or takes the second one's if it
+ * has none); lesson summaries, examples, featured characters, places and
+ * interests and texts are joined. A merged text becomes work in progress.
+ * The second chapter is archived.
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} chapterId - First chapter
+ * @param {string} topic - Topic of the merged chapter
+ *
+ * @returns {{chapter: Object, merged: Object}} The merged chapter and the
+ * archived second chapter
+ * @throws {Error} If the chapter does not exist or is the last one
+ *
+ * @example
+ * mergeWithNext(bookState, "money_coins", "Coins and Notes");
+ */
+export function mergeWithNext(bookState, chapterId, topic) {
+  const index = findChapterIndex(bookState, chapterId);
+  const chapter = bookState.chapters[index];
+  const next = bookState.chapters[index + 1];
+  if (!next) {
+    throw new Error(
+      `"${chapter.topic}" is the last chapter; nothing follows to merge`
+    );
+  }
+
+  const join = (first, second, separator) =>
+    [first, second].filter(Boolean).join(separator);
+  if (chapter.lessonContext || next.lessonContext) {
+    chapter.lessonContext = {
+      summary: join(
+        chapter.lessonContext?.summary,
+        next.lessonContext?.summary,
+        " "
+      ),
+      example: join(
+        chapter.lessonContext?.example,
+        next.lessonContext?.example,
+        " "
+      ),
+    };
+  }
+  if (chapter.featuring && next.featuring) {
+    chapter.featuring = Object.fromEntries(
+      Object.keys(chapter.featuring)
+        .filter((group) => next.featuring[group])
+        .map((group) => [
+          group,
+          [...new Set([...chapter.featuring[group], ...next.featuring[group]])],
+        ])
+    );
+  } else {
+    // A chapter without featuring features everything
+    delete chapter.featuring;
+  }
+  if (next.text) {
+    recordEditedText(
+      chapter,
+      join(chapter.text, next.text, "\n\n"),
+      `Merged with "${next.topic}"`
+    );
+  }
+  if (chapter.image?.status === "not_generated" && next.image) {
+    chapter.image = next.image;
+    chapter.imageGallery = next.imageGallery;
+  }
+  chapter.topic = topic;
+
+  const merged = archiveChapter(bookState, next.id, { mergedInto: chapter.id });
+  return { chapter, merged };
+}
+
+/**
+ * @function splitParagraphs
+ * @description Splits a chapter text into paragraphs at blank lines
+ *
+ * @param {string|null} text - Chapter text
+ *
+ * @returns {string[]} Paragraphs without surrounding whitespace
+ *
+ * @example
+ * splitParagraphs("One.\n\nTwo.");
+ * // Returns: ["One.", "Two."]
+ */
+export function splitParagraphs(text) {
+  return (text ?? "")
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @function splitChapter
+ * @description Splits a chapter in two. The new second chapter follows the
+ * first; with a paragraph index, the text from that paragraph on moves to
+ * it and both texts become work in progress. The first chapter keeps its
+ * id, image and history; the second features the same characters, places
+ * and interests.
+ *
+ * @param {Object} bookState - Current book state
+ * @param {string} chapterId - Chapter to split
+ * @param {Object} parts - Topics and lesson details of both parts
+ * @param {string} parts.firstTopic - New topic of the first part
+ * @param {string} parts.topic - Topic of the second part
+ * @param {string} parts.summary - What the second part teaches
+ * @param {string} parts.example - Example situation of the second part
+ * @param {number|null} [paragraph=null] - Paragraph the second part starts
+ * at (null: the text stays with the first part)
+ *
+ * @returns {Object} The new second chapter
+ * @throws {Error} If the chapter does not exist or the paragraph is out of range
+ *
+ * @example
+ * splitChapter(bookState, "money_coins", { firstTopic: "Coins", topic: "Notes", summary: "...", example: "..." }, 4);
+ */
+export function splitChapter(
+  bookState,
+  chapterId,
+  { firstTopic, topic, summary, example },
+  paragraph = null
+) {
+  const index = findChapterIndex(bookState, chapterId);
+  const chapter = bookState.chapters[index];
+  const paragraphs = splitParagraphs(chapter.text);
+  if (paragraph !== null && (paragraph < 1 || paragraph >= paragraphs.length)) {
+    throw new Error(
+      `Cannot split "${chapter.topic}" at paragraph ${paragraph + 1}: both parts need text`
+    );
+  }
+
+  const second = createChapter(
+    uniqueChapterId(bookState, `${chapter.id}_part2`),
+    topic,
+    { summary, example },
+    chapter.featuring && structuredClone(chapter.featuring)
+  );
+  if (paragraph !== null) {
+    recordEditedText(
+      chapter,
+      paragraphs.slice(0, paragraph).join("\n\n"),
+      `Split; the rest moved to "${topic}"`
+    );
+    recordEditedText(
+      second,
+      paragraphs.slice(paragraph).join("\n\n"),
+      `Split from "${chapter.topic}"`
+    );
+  }
+  chapter.topic = firstTopic;
+  bookState.chapters.splice(index + 1, 0, second);
+  return second;
+}
+
+/**
+ * @function curriculumTopics
+ * @private
+ * @description Lists the chapters a curriculum defines, in order, with the
+ * ids initializeChaptersFromLessons gives them
+ *
+ * @param {Array<Object>} content - Curriculum content (BOOK_CONTENT)
+ *
+ * @returns {Array<{id: string, topic: string, lessonContext: Object, featuring?: Object}>} Topics
+ *
+ * @example
+ * curriculumTopics(bookState.curriculum.content)[0];
+ * // Returns: { id: "money_coins", topic: "Coins", lessonContext: { example: "...", summary: "..." } }
+ */
+function curriculumTopics(content) {
+  return content.flatMap((lesson) =>
+    (lesson.topics ?? []).map((topic) => ({
+      id: `${lesson.id}_${topic.key}`,
+      topic: topic.title,
+      lessonContext: { example: topic.example, summary: topic.summary },
+      ...(topic.featuring ? { featuring: topic.featuring } : {}),
+    }))
+  );
+}
+
+/**
+ * @function diffCurriculum
+ * @description Compares the curriculum a book was built from with a newer
+ * version of it. Topics are matched by chapter id.
+ *
+ * @param {Array<Object>} previous - Content the book's snapshot holds
+ * @param {Array<Object>} next - Current content of the curriculum file
+ *
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<Object>}}
+ * Topics only in `next`, only in `previous`, and in both with a different
+ * title, summary, example or featuring (as in `next`)
+ *
+ * @example
+ * const { added, removed, changed } = diffCurriculum(bookState.curriculum.content, curriculum.content);
+ */
+export function diffCurriculum(previous, next) {
+  const before = new Map(
+    curriculumTopics(previous).map((topic) => [topic.id, topic])
+  );
+  const after = curriculumTopics(next);
+  const afterIds = new Set(after.map((topic) => topic.id));
+
+  return {
+    added: after.filter((topic) => !before.has(topic.id)),
+    removed: [...before.values()].filter((topic) => !afterIds.has(topic.id)),
+    changed: after.filter(
+      (topic) =>
+        before.has(topic.id) &&
+        JSON.stringify([topic.topic, topic.lessonContext, topic.featuring]) !==
+          JSON.stringify([
+            before.get(topic.id).topic,
+            before.get(topic.id).lessonContext,
+            before.get(topic.id).featuring,
+          ])
+    ),
+  };
+}
+
+/**
+ * @function syncCurriculum
+ * @description Applies a newer version of the book's curriculum: chapters
+ * of added topics are inserted after the chapter of the topic before them
+ * (a chapter archived under the same id is moved back, with its text,
+ * revisions and images, and takes the topic's title and lesson context),
+ * chapters of removed topics are archived (chapters with text only with
+ * `removeWithText`), and changed topics update the chapter's topic and
+ * lesson context, and its featuring unless it was changed in the book. Text,
+ * revisions and images of matching chapters are kept.
+ * The new version becomes the book's curriculum snapshot.
+ *
+ * @param {Object} bookState - Current book state
+ * @param {Object} curriculum - Curriculum as returned by loadCurriculum
+ * @param {Object} [options={}] - Sync options
+ * @param {boolean} [options.removeWithText=false] - Also archive chapters of
+ * removed topics that have text
+ *
+ * @returns {{added: Array<Object>, restored: Array<Object>, removed: Array<Object>, kept: Array<Object>, updated: Array<Object>}}
+ * Inserted, moved back from removedChapters, archived, kept (removed topic,
+ * text preserved) and updated chapters
+ *
+ * @example
+ * const result = syncCurriculum(bookState, await getCurriculum(bookState.curriculum.id));
+ */
+export function syncCurriculum(
+  bookState,
+  curriculum,
+  { removeWithText = false } = {}
+) {
+  const diff = diffCurriculum(
+    bookState.curriculum?.content ?? [],
+    curriculum.content
+  );
+  const find = (id) => bookState.chapters.find((chapter) => chapter.id === id);
+  const previousTopics = new Map(
+    curriculumTopics(bookState.curriculum?.content ?? []).map((topic) => [
+      topic.id,
+      topic,
+    ])
+  );
+  const result = {
+    added: [],
+    restored: [],
+    removed: [],
+    kept: [],
+    updated: [],
+  };
+
+  diff.removed.forEach((topic) => {
+    const chapter = find(topic.id);
+    if (!chapter) return;
+    if (chapter.text && !removeWithText) {
+      result.kept.push(chapter);
+    } else {
+      result.removed.push(archiveChapter(bookState, chapter.id));
+    }
+  });
+
+  diff.changed.forEach((topic) => {
+    const chapter = find(topic.id);
+    if (!chapter) return;
+    chapter.topic = topic.topic;
+    chapter.lessonContext = topic.lessonContext;
+    if (
+      JSON.stringify(chapter.featuring) ===
+      JSON.stringify(previousTopics.get(topic.id).featuring)
+    ) {
+      if (topic.featuring) chapter.featuring = topic.featuring;
+      else delete chapter.featuring;
+    }
+    result.updated.push(chapter);
+  });
+
+  // Insert after the nearest earlier topic that has a chapter, else after
+  // the introduction, else before the conclusion
+  const order = curriculumTopics(curriculum.content).map((topic) => topic.id);
+  diff.added.forEach((topic) => {
+    if (find(topic.id)) return;
+
+    let index = -1;
+    for (let i = order.indexOf(topic.id) - 1; i >= 0 && index === -1; i--) {
+      index = bookState.chapters.findIndex(
+        (candidate) => candidate.id === order[i]
+      );
+    }
+    if (index === -1) {
+      index = bookState.chapters.findIndex(
+        (candidate) => candidate.id === "introduction"
+      );
+    }
+    if (index === -1) {
+      const conclusion = bookState.chapters.findIndex(
+        (candidate) => candidate.id === "conclusion"
+      );
+      index = (conclusion === -1 ? bookState.chapters.length : conclusion) - 1;
+    }
+
+    const archivedIndex = (bookState.removedChapters ?? []).findIndex(
+      (archived) => archived.id === topic.id
+    );
+    if (archivedIndex !== -1) {
+      const [archived] = bookState.removedChapters.splice(archivedIndex, 1);
+      const { removedAt, mergedInto, ...chapter } = archived;
+      chapter.topic = topic.topic;
+      chapter.lessonContext = topic.lessonContext;
+      if (!chapter.featuring && topic.featuring) {
+        chapter.featuring = topic.featuring;
+      }
+      bookState.chapters.splice(index + 1, 0, chapter);
+      result.restored.push(chapter);
+      return;
+    }
+
+    const chapter = createChapter(
+      topic.id,
+      topic.topic,
+      topic.lessonContext,
+      topic.featuring
+    );
+    bookState.chapters.splice(index + 1, 0, chapter);
+    result.added.push(chapter);
+  });
+
+  bookState.curriculum = snapshotCurriculum(curriculum);
+  return result;
+}
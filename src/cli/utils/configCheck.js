@@ -0,0 +1,294 @@
+/**
+ * @file Configuration checks
+ * @module configCheck
+ * @requires fs/promises - For reading book state files
+ * @requires path - For book state paths
+ * @requires url - For importing curriculum files
+ * @requires ../../utils/schemaValidation - For validating against config/schemas
+ * @requires ./bookStateSchema - For upgrading states before checking them
+ * @requires ./curricula - For the curriculum files to check
+ * @exports {checkConfigFiles, checkBookConfig, checkBook, formatConfigProblem}
+ *
+ * @description
+ * Validates the hand-edited files in config/ against their schemas in
+ * config/schemas, plus the rules a schema cannot express (unique chapter
+ * ids and style names). The CLI runs these checks at startup, before
+ * creating a book and in `book-cli doctor`. Every violation is reported
+ * with the file and the path inside it, instead of surfacing later as an
+ * odd prompt or a failed generation.
+ *
+ * @functions
+ * - findDuplicates: Lists values that occur more than once
+ * - checkLessons: Finds repeated category ids and topic keys
+ * - checkConfigFiles: Checks the config/ files
+ * - checkBookConfig: Checks a book's story variables and image configuration
+ * - checkBook: Checks a book's book-state.json
+ * - formatConfigProblem: Formats a violation for display
+ *
+ * @constants
+ * - CONFIG_FILES: Config files (besides curricula), their schemas and extra checks
+ *
+ * @flow
+ * 1. Import each curriculum and config file (a file that does not load is a
+ *    violation)
+ * 2. Validate its exports against the matching schema
+ * 3. Run the extra checks
+ * 4. Return all violations as { file, path, message }
+ *
+ * @error Handling
+ * - Nothing throws; every failure becomes a reported violation
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import { validateAgainstSchema } from "../../utils/schemaValidation.js";
+import { migrateBookState } from "./bookStateSchema.js";
+import { discoverCurricula } from "./curricula.js";
+
+/**
+ * @function findDuplicates
+ * @private
+ * @description Lists the values that occur more than once, with the
+ * position of each repetition
+ *
+ * @param {Array<string>} values - Values to check
+ *
+ * @returns {Array<{value: string, index: number}>} Repeated values
+ *
+ * @example
+ * findDuplicates(["a", "b", "a"]);
+ * // Returns: [{ value: "a", index: 2 }]
+ */
+function findDuplicates(values) {
+  const seen = new Set();
+  const duplicates = [];
+  values.forEach((value, index) => {
+    if (seen.has(value)) duplicates.push({ value, index });
+    seen.add(value);
+  });
+  return duplicates;
+}
+
+/**
+ * @function checkLessons
+ * @private
+ * @description Finds repeated category ids and topic keys in a curriculum,
+ * which would give two chapters the same id
+ *
+ * @param {Array<Object>} lessons - Curriculum content (BOOK_CONTENT)
+ *
+ * @returns {Array<{path: string, message: string}>} Violations
+ *
+ * @example
+ * checkLessons([{ id: "money", topics: [] }, { id: "money", topics: [] }]);
+ * // Returns: [{ path: "/1/id", message: "duplicate category id 'money'" }]
+ */
+function checkLessons(lessons) {
+  return [
+    ...findDuplicates(lessons.map((lesson) => lesson.id)).map(
+      ({ value, index }) => ({
+        path: `/${index}/id`,
+        message: `duplicate category id '${value}'`,
+      })
+    ),
+    ...lessons.flatMap((lesson, lessonIndex) =>
+      findDuplicates((lesson.topics ?? []).map((topic) => topic.key)).map(
+        ({ value, index }) => ({
+          path: `/${lessonIndex}/topics/${index}/key`,
+          message: `duplicate topic key '${value}' in category '${lesson.id}'`,
+        })
+      )
+    ),
+  ];
+}
+
+/**
+ * @constant {Array<{file: string, schema: string, load: Function, check?: Function}>}
+ * @description Config files to check besides the curricula. `load` returns
+ * the data to validate, `check` returns the violations the schema cannot find.
+ * @private
+ */
+const CONFIG_FILES = [
+  {
+    file: "config/storyVariables.js",
+    schema: "storyVariables",
+    load: async () =>
+      (await import("../../../config/storyVariables.js")).STORY_VARIABLES,
+  },
+  {
+    file: "config/imageStyles.js",
+    schema: "imageStyles",
+    load: async () => ({ ...(await import("../../../config/imageStyles.js")) }),
+    check: ({
+      DEFAULT_IMAGE_STYLE_PROMPT = [],
+      IMAGE_STYLE_PRESETS = {},
+      DEFAULT_CHAPTER_PRESETS = {},
+    }) => [
+      ...findDuplicates(
+        DEFAULT_IMAGE_STYLE_PROMPT.map((style) => style.name)
+      ).map(({ value, index }) => ({
+        path: `/DEFAULT_IMAGE_STYLE_PROMPT/${index}/name`,
+        message: `duplicate style name '${value}'`,
+      })),
+      ...Object.entries(DEFAULT_CHAPTER_PRESETS)
+        .filter(([, preset]) => !IMAGE_STYLE_PRESETS[preset])
+        .map(([type, preset]) => ({
+          path: `/DEFAULT_CHAPTER_PRESETS/${type}`,
+          message: `unknown scene preset '${preset}'`,
+        })),
+    ],
+  },
+  {
+    file: "config/openaiConfig.js",
+    schema: "openaiConfig",
+    load: async () => ({
+      ...(await import("../../../config/openaiConfig.js")),
+    }),
+  },
+];
+
+/**
+ * @function checkConfigFiles
+ * @async
+ * @description Checks every curriculum file and every file in CONFIG_FILES
+ * against its schema and extra rules
+ *
+ * @returns {Promise<Array<{file: string, path: string, message: string}>>}
+ * Violations (empty if the configuration is valid)
+ *
+ * @example
+ * const problems = await checkConfigFiles();
+ * // Returns: [{ file: "config/storyVariables.js", path: "/characters/protagonistGender",
+ * //   message: "must be equal to one of the allowed values (male, female, other)" }]
+ */
+export async function checkConfigFiles() {
+  const curricula = await discoverCurricula();
+  const problems =
+    curricula.length === 0
+      ? [
+          {
+            file: "config/chapters.js",
+            path: "/",
+            message:
+              "is missing and config/curricula/ has no curriculum either (run npm run cp:config)",
+          },
+        ]
+      : [];
+
+  const files = [
+    ...curricula.map((entry) => ({
+      file: entry.file,
+      schema: "chapters",
+      load: async () =>
+        (await import(pathToFileURL(entry.path).href)).BOOK_CONTENT,
+      check: checkLessons,
+    })),
+    ...CONFIG_FILES,
+  ];
+  for (const { file, schema, load, check } of files) {
+    let data;
+    try {
+      data = await load();
+    } catch (error) {
+      problems.push({
+        file,
+        path: "/",
+        message: `cannot be loaded: ${error.message}`,
+      });
+      continue;
+    }
+
+    const violations = validateAgainstSchema(schema, data);
+    // Extra rules assume the basic shape the schema checks for
+    if (violations.length === 0 && check) violations.push(...check(data));
+    problems.push(...violations.map((violation) => ({ file, ...violation })));
+  }
+  return problems;
+}
+
+/**
+ * @function checkBookConfig
+ * @description Checks the story variables and image configuration chosen
+ * for a book against their schemas
+ *
+ * @param {Object} config - Book configuration
+ * @param {Object} config.storyVariables - Story variables
+ * @param {Object} config.imageConfig - Image generation configuration
+ * @param {string} [file="book configuration"] - Name to report violations under
+ *
+ * @returns {Array<{file: string, path: string, message: string}>} Violations
+ *
+ * @example
+ * checkBookConfig({ storyVariables, imageConfig: { provider: "openai" } });
+ * // Returns: [{ file: "book configuration", path: "/imageConfig", message: "must have required property 'openai'" }, ...]
+ */
+export function checkBookConfig(
+  { storyVariables, imageConfig },
+  file = "book configuration"
+) {
+  return [
+    ["storyVariables", storyVariables],
+    ["imageConfig", imageConfig],
+  ].flatMap(([key, data]) =>
+    validateAgainstSchema(
+      key === "storyVariables" ? "storyVariables" : "imageGeneratorConfig",
+      data
+    ).map((violation) => ({
+      file,
+      path: `/${key}${violation.path === "/" ? "" : violation.path}`,
+      message: violation.message,
+    }))
+  );
+}
+
+/**
+ * @function checkBook
+ * @async
+ * @description Checks a book's book-state.json without changing it: the
+ * state is upgraded in memory, validated against the book state schema and,
+ * once the book is configured, its story variables and image configuration
+ * are checked too
+ *
+ * @param {string} bookPath - Absolute path to book directory
+ *
+ * @returns {Promise<Array<{file: string, path: string, message: string}>>} Violations
+ *
+ * @example
+ * const problems = await checkBook('/books/my-book');
+ */
+export async function checkBook(bookPath) {
+  const statePath = path.join(bookPath, "book-state.json");
+  const file = path.relative(process.cwd(), statePath);
+
+  let state;
+  try {
+    ({ state } = migrateBookState(
+      JSON.parse(await fs.readFile(statePath, "utf8"))
+    ));
+  } catch (error) {
+    return [{ file, path: "/", message: error.message }];
+  }
+
+  const problems = validateAgainstSchema("bookState", state).map(
+    (violation) => ({ file, ...violation })
+  );
+  if (state.imageConfig) problems.push(...checkBookConfig(state, file));
+  return problems;
+}
+
+/**
+ * @function formatConfigProblem
+ * @description Formats a violation as one line
+ *
+ * @param {{file: string, path: string, message: string}} problem - Violation
+ *
+ * @returns {string} "file: path message"
+ *
+ * @example
+ * formatConfigProblem({ file: "config/chapters.js", path: "/0/order", message: "must be integer" });
+ * // Returns: "config/chapters.js: /0/order must be integer"
+ */
+export function formatConfigProblem({ file, path: location, message }) {
+  return `${file}: ${location} ${message}`;
+}
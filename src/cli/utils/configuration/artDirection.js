@@ -0,0 +1,203 @@
+/**
+ * @file Art direction configuration utilities
+ * @module artDirectionConfiguration
+ * @requires inquirer
+ * @requires ../../../../config/imageStyles - For the styles, palettes, line qualities and presets
+ * @requires ../../../artDirection - For the current art direction and chapter types
+ * @exports {configureArtDirection, configureChapterArt}
+ *
+ * @description Lets the user set a book's art direction (the style, palette
+ * and line quality of every illustration and the scene composition of each
+ * chapter type) and a chapter's override of its style and composition.
+ *
+ * @functions
+ * - styleChoices: Lists the styles for a menu
+ * - presetChoices: Lists the scene composition presets for a menu
+ * - configureArtDirection: Asks for the book's art direction
+ * - configureChapterArt: Asks for a chapter's style and composition
+ *
+ * @flow
+ * 1. Ask for the style, palette and line quality of the book
+ * 2. Ask for the scene composition of each chapter type
+ * 3. For a chapter, ask whether to follow the book or override it
+ *
+ * @error Handling
+ * - Unknown stored values: Replaced by the defaults of resolveArtDirection
+ */
+
+import inquirer from "inquirer";
+import {
+  DEFAULT_IMAGE_STYLE_PROMPT,
+  IMAGE_STYLE_PRESETS,
+  COLOR_PALETTES,
+  LINE_QUALITIES,
+} from "../../../../config/imageStyles.js";
+import { getChapterType, resolveArtDirection } from "../../../artDirection.js";
+
+/**
+ * @function styleChoices
+ * @private
+ * @description Lists the illustration styles for a menu
+ *
+ * @returns {Array<{name: string, value: string}>} Menu choices
+ *
+ * @example
+ * styleChoices()[0];
+ * // Returns: { name: "storybook - Classic children's book illustration, consistent...", value: "storybook" }
+ */
+function styleChoices() {
+  return DEFAULT_IMAGE_STYLE_PROMPT.map((style) => ({
+    name: `${style.name} - ${style.prompt.slice(0, 60)}...`,
+    value: style.name,
+  }));
+}
+
+/**
+ * @function presetChoices
+ * @private
+ * @description Lists the scene composition presets for a menu
+ *
+ * @returns {Array<{name: string, value: string}>} Menu choices
+ *
+ * @example
+ * presetChoices()[0].value;
+ * // Returns: "emotionalCloseUp"
+ */
+function presetChoices() {
+  return Object.entries(IMAGE_STYLE_PRESETS).map(([key, value]) => ({
+    name: `${value.name}: ${value.description}`,
+    value: key,
+  }));
+}
+
+/**
+ * @function configureArtDirection
+ * @async
+ * @description Asks for a book's art direction, starting from the current one
+ *
+ * @param {Object|null} [imageConfig] - The book's current image configuration
+ *
+ * @returns {Promise<Object>} Art direction fields of the image configuration
+ * @property {string} imageStyle - Style of every illustration
+ * @property {string} palette - COLOR_PALETTES key
+ * @property {string} lineQuality - LINE_QUALITIES key
+ * @property {Object} chapterPresets - IMAGE_STYLE_PRESETS key per chapter type
+ *
+ * @example
+ * Object.assign(bookState.imageConfig, await configureArtDirection(bookState.imageConfig));
+ * // Adds: { imageStyle: "watercolor", palette: "pastel", lineQuality: "soft",
+ * //   chapterPresets: { introduction: "characterIntroduction", chapter: "emotionalCloseUp", conclusion: "celebrationScene" } }
+ */
+export async function configureArtDirection(imageConfig) {
+  const current = resolveArtDirection(imageConfig);
+
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "imageStyle",
+      message: "Select the illustration style of the whole book:",
+      choices: styleChoices(),
+      default: current.style,
+      pageSize: 12,
+    },
+    {
+      type: "list",
+      name: "palette",
+      message: "Select the color palette:",
+      choices: Object.entries(COLOR_PALETTES).map(([key, value]) => ({
+        name: value.name,
+        value: key,
+      })),
+      default: current.palette,
+    },
+    {
+      type: "list",
+      name: "lineQuality",
+      message: "Select the line quality:",
+      choices: Object.entries(LINE_QUALITIES).map(([key, value]) => ({
+        name: value.name,
+        value: key,
+      })),
+      default: current.lineQuality,
+    },
+    ...Object.keys(current.chapterPresets).map((type) => ({
+      type: "list",
+      name: `preset_${type}`,
+      message: `Scene composition for the ${type === "chapter" ? "other chapters" : type}:`,
+      choices: presetChoices(),
+      default: current.chapterPresets[type],
+      pageSize: 12,
+    })),
+  ]);
+
+  return {
+    imageStyle: answers.imageStyle,
+    palette: answers.palette,
+    lineQuality: answers.lineQuality,
+    chapterPresets: Object.fromEntries(
+      Object.keys(current.chapterPresets).map((type) => [
+        type,
+        answers[`preset_${type}`],
+      ])
+    ),
+  };
+}
+
+/**
+ * @function configureChapterArt
+ * @async
+ * @description Asks for the style and scene composition of a chapter's
+ * illustrations, each either following the book's art direction or
+ * overriding it
+ *
+ * @param {Object} chapter - The chapter
+ * @param {Object|null} imageConfig - The book's image configuration
+ *
+ * @returns {Promise<Object|null>} Override ({style?, preset?}), or null to
+ * follow the book's art direction
+ *
+ * @example
+ * chapter.artOverride = await configureChapterArt(chapter, bookState.imageConfig);
+ * // Returns: { preset: "nightScene" }
+ */
+export async function configureChapterArt(chapter, imageConfig) {
+  const book = resolveArtDirection(imageConfig);
+  const bookPreset = book.chapterPresets[getChapterType(chapter)];
+  const override = chapter.artOverride ?? {};
+
+  const { style, preset } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "style",
+      message: "Illustration style of this chapter:",
+      choices: [
+        { name: `Book's style (${book.style})`, value: "book" },
+        new inquirer.Separator(),
+        ...styleChoices(),
+      ],
+      default: override.style ?? "book",
+      pageSize: 12,
+    },
+    {
+      type: "list",
+      name: "preset",
+      message: "Scene composition of this chapter:",
+      choices: [
+        {
+          name: `Book's composition for this chapter type (${IMAGE_STYLE_PRESETS[bookPreset].name})`,
+          value: "book",
+        },
+        new inquirer.Separator(),
+        ...presetChoices(),
+      ],
+      default: override.preset ?? "book",
+      pageSize: 12,
+    },
+  ]);
+
+  const chosen = {
+    ...(style !== "book" ? { style } : {}),
+    ...(preset !== "book" ? { preset } : {}),
+  };
+  return Object.keys(chosen).length > 0 ? chosen : null;
+}
@@ -0,0 +1,155 @@
+/**
+ * @file Unattended generation rules configuration utilities
+ * @module batchConfiguration
+ * @requires inquirer
+ * @exports configureBatchRules
+ *
+ * @description Handles the auto-accept rules used by the unattended
+ * whole-book generation pipeline
+ *
+ * @functions
+ * - configureBatchRules: Shows current rules and optionally customizes them
+ *
+ * @constants
+ * - Imported from config/imageStyles.js
+ *
+ * @flow
+ * 1. Show the current rules
+ * 2. Optionally customize them
+ * 3. Return the rules to store in batchConfig
+ *
+ * @error Handling
+ * - Input validation for word limits
+ */
+
+import inquirer from "inquirer";
+import display from "../display.js";
+import {
+  DEFAULT_IMAGE_STYLE_PROMPT,
+  IMAGE_STYLE_PRESETS,
+} from "../../../../config/imageStyles.js";
+
+/**
+ * @function configureBatchRules
+ * @async
+ * @description Displays the current auto-accept rules and lets the user
+ * customize them
+ *
+ * @param {Object} currentRules - Effective rules (see DEFAULT_BATCH_RULES)
+ *
+ * @returns {Promise<Object>} The rules to use and store in batchConfig
+ *
+ * @example
+ * const rules = await configureBatchRules(resolveBatchRules(bookState));
+ * // Returns: { autoAcceptText: true, minWords: 150, ..., style: null, preset: null }
+ */
+export async function configureBatchRules(currentRules) {
+  display.title("Unattended generation rules:");
+  display.listItem(
+    display.withExplanation(
+      `accept text: ${currentRules.autoAcceptText}`,
+      `${currentRules.minWords}-${currentRules.maxWords} words, no banned phrases`
+    )
+  );
+  display.listItem(`generate images: ${currentRules.generateImages}`);
+  display.listItem(`scene selection: ${currentRules.useSceneSelection}`);
+  display.listItem(`accept images: ${currentRules.autoAcceptImages}`);
+  display.listItem(`style: ${currentRules.style ?? "art direction"}`);
+  display.listItem(`preset: ${currentRules.preset ?? "art direction"}`);
+  display.listItem(`stop on error: ${currentRules.stopOnError}`);
+  display.blank();
+
+  const { customizeRules } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "customizeRules",
+      message: "Would you like to customize these rules?",
+      default: false,
+    },
+  ]);
+
+  if (!customizeRules) return currentRules;
+
+  const answers = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "autoAcceptText",
+      message: "Accept generated text automatically when it passes the checks?",
+      default: currentRules.autoAcceptText,
+    },
+    {
+      type: "number",
+      name: "minWords",
+      message: "Minimum words for accepted text:",
+      default: currentRules.minWords,
+      validate: (input) =>
+        input >= 0 ? true : "Minimum words cannot be negative",
+    },
+    {
+      type: "number",
+      name: "maxWords",
+      message: "Maximum words for accepted text:",
+      default: currentRules.maxWords,
+      validate: (input, answers) =>
+        input >= answers.minWords
+          ? true
+          : "Maximum words must be at least the minimum",
+    },
+    {
+      type: "confirm",
+      name: "generateImages",
+      message: "Generate an illustration for each accepted chapter?",
+      default: currentRules.generateImages,
+    },
+    {
+      type: "confirm",
+      name: "useSceneSelection",
+      message: "Let the chat model pick the scene to illustrate?",
+      default: currentRules.useSceneSelection,
+      when: (answers) => answers.generateImages,
+    },
+    {
+      type: "confirm",
+      name: "autoAcceptImages",
+      message: "Accept generated images automatically?",
+      default: currentRules.autoAcceptImages,
+      when: (answers) => answers.generateImages,
+    },
+    {
+      type: "list",
+      name: "style",
+      message: "Choose a visual style:",
+      choices: [
+        { name: "Book's art direction (chapter overrides apply)", value: null },
+        ...DEFAULT_IMAGE_STYLE_PROMPT.map((s) => s.name),
+      ],
+      default: currentRules.style,
+      when: (answers) => answers.generateImages,
+    },
+    {
+      type: "list",
+      name: "preset",
+      message: "Choose a scene composition:",
+      choices: [
+        {
+          name: "Book's art direction (per chapter type, chapter overrides apply)",
+          value: null,
+        },
+        ...Object.entries(IMAGE_STYLE_PRESETS).map(([key, value]) => ({
+          name: `${value.name}: ${value.description}`,
+          value: key,
+        })),
+      ],
+      default: currentRules.preset,
+      when: (answers) => answers.generateImages,
+    },
+    {
+      type: "confirm",
+      name: "stopOnError",
+      message: "Stop the whole run at the first failed chapter?",
+      default: currentRules.stopOnError,
+    },
+  ]);
+
+  return { ...currentRules, ...answers };
+}
@@ -0,0 +1,122 @@
+/**
+ * @file Book budget configuration utilities
+ * @module budgetConfiguration
+ * @requires inquirer
+ * @exports configureBudget
+ *
+ * @description Handles the spend ceiling and per-chapter attempt limits of a
+ * book
+ *
+ * @functions
+ * - configureBudget: Shows the current budget and optionally changes it
+ *
+ * @constants
+ * - Imported from config/pricingConfig.js
+ *
+ * @flow
+ * 1. Show the current budget and what has been spent
+ * 2. Optionally change it
+ * 3. Return the budget to store in the book state
+ *
+ * @error Handling
+ * - Input validation for amounts and attempt counts
+ */
+
+import inquirer from "inquirer";
+import display from "../display.js";
+import { formatCost } from "../../../utils/usage.js";
+import { PRICING_CURRENCY } from "../../../../config/pricingConfig.js";
+
+/**
+ * @function configureBudget
+ * @async
+ * @description Displays the book's budget and lets the user change it. Empty
+ * answers remove a limit.
+ *
+ * @param {Object} currentBudget - Effective budget (see DEFAULT_BUDGET)
+ * @param {number} spent - Amount spent on the book so far
+ *
+ * @returns {Promise<Object>} The budget to store in the book state
+ *
+ * @example
+ * const budget = await configureBudget(resolveBudget(bookState), 1.25);
+ * // Returns: { limit: 10, warnAt: 0.8, maxTextAttempts: 3, maxImageAttempts: 5 }
+ */
+export async function configureBudget(currentBudget, spent) {
+  const show = (value) => (value == null ? "none" : value);
+  display.title("Budget:");
+  display.listItem(
+    display.withExplanation(
+      `limit: ${currentBudget.limit == null ? "none" : formatCost(currentBudget.limit)}`,
+      `${formatCost(spent)} spent`
+    )
+  );
+  display.listItem(`warn at: ${Math.round(currentBudget.warnAt * 100)}%`);
+  display.listItem(
+    `text attempts per chapter: ${show(currentBudget.maxTextAttempts)}`
+  );
+  display.listItem(
+    `image attempts per chapter: ${show(currentBudget.maxImageAttempts)}`
+  );
+  display.blank();
+
+  const { customizeBudget } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "customizeBudget",
+      message: "Would you like to change the budget?",
+      default: false,
+    },
+  ]);
+
+  if (!customizeBudget) return currentBudget;
+
+  const optionalNumber = (input, { integer = false } = {}) => {
+    if (input.trim() === "") return true;
+    const value = Number(input);
+    if (!(value > 0)) return "Enter a positive number, or leave empty for none";
+    if (integer && !Number.isInteger(value)) return "Enter a whole number";
+    return true;
+  };
+  const toLimit = (input) => (input.trim() === "" ? null : Number(input));
+
+  const answers = await inquirer.prompt([
+    {
+      type: "input",
+      name: "limit",
+      message: `Spend ceiling in ${PRICING_CURRENCY} (empty for none):`,
+      default: currentBudget.limit ?? "",
+      validate: (input) => optionalNumber(String(input)),
+    },
+    {
+      type: "number",
+      name: "warnAt",
+      message: "Warn when this percentage of the budget is used:",
+      default: Math.round(currentBudget.warnAt * 100),
+      validate: (input) =>
+        input > 0 && input <= 100 ? true : "Enter a percentage from 1 to 100",
+      when: (answers) => String(answers.limit).trim() !== "",
+    },
+    {
+      type: "input",
+      name: "maxTextAttempts",
+      message: "Text attempts per chapter (empty for no limit):",
+      default: currentBudget.maxTextAttempts ?? "",
+      validate: (input) => optionalNumber(String(input), { integer: true }),
+    },
+    {
+      type: "input",
+      name: "maxImageAttempts",
+      message: "Image attempts per chapter (empty for no limit):",
+      default: currentBudget.maxImageAttempts ?? "",
+      validate: (input) => optionalNumber(String(input), { integer: true }),
+    },
+  ]);
+
+  return {
+    limit: toLimit(String(answers.limit)),
+    warnAt: answers.warnAt ? answers.warnAt / 100 : currentBudget.warnAt,
+    maxTextAttempts: toLimit(String(answers.maxTextAttempts)),
+    maxImageAttempts: toLimit(String(answers.maxImageAttempts)),
+  };
+}
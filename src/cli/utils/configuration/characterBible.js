@@ -0,0 +1,237 @@
+/**
+ * @file Character bible configuration utilities
+ * @module characterBibleConfiguration
+ * @requires inquirer
+ * @requires ../display - For consistent CLI output formatting
+ * @exports configureCharacterBible
+ *
+ * @description Lets the user describe how each character of a book looks:
+ * appearance, clothing, signature props, and other names the story uses for
+ * them. Characters that are not in the story variables can be added and
+ * removed. Image prompts describe the characters found in each scene.
+ *
+ * @functions
+ * - splitList: Parses a comma-separated answer
+ * - describeEntry: Formats a character for the list
+ * - editCharacter: Asks for one character's details
+ * - configureCharacterBible: Edits the bible until the user is done
+ *
+ * @flow
+ * 1. List the characters of the bible
+ * 2. Edit, add or remove the chosen character
+ * 3. Return the bible when the user is done
+ *
+ * @error Handling
+ * - Characters from the story variables cannot be removed or renamed here
+ */
+
+import inquirer from "inquirer";
+import display from "../display.js";
+
+/**
+ * @function splitList
+ * @private
+ * @description Parses a comma-separated answer
+ *
+ * @param {string} answer - User input
+ *
+ * @returns {string[]} Trimmed, non-empty items
+ *
+ * @example
+ * splitList("skateboard, slingshot");
+ * // Returns: ["skateboard", "slingshot"]
+ */
+function splitList(answer) {
+  return answer
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @function describeEntry
+ * @private
+ * @description Formats a character for the list
+ *
+ * @param {Object} entry - Bible entry
+ *
+ * @returns {string} Name, role and whether a look is described
+ *
+ * @example
+ * describeEntry({ name: "Lisa", role: "sibling", appearance: "" });
+ * // Returns: "Lisa (sibling) - no description yet"
+ */
+function describeEntry(entry) {
+  const described = entry.appearance || entry.clothing || entry.props?.length;
+  return `${entry.name} (${entry.role})${described ? "" : " - no description yet"}`;
+}
+
+/**
+ * @function editCharacter
+ * @async
+ * @private
+ * @description Asks for one character's details. Name, role and age are
+ * only asked for characters added by hand; the others follow the story
+ * variables.
+ *
+ * @param {Object} entry - Bible entry to edit
+ *
+ * @returns {Promise<Object>} Updated entry
+ *
+ * @example
+ * bible[index] = await editCharacter(bible[index]);
+ */
+async function editCharacter(entry) {
+  const custom = entry.id.startsWith("custom-");
+  const answers = await inquirer.prompt([
+    ...(custom
+      ? [
+          {
+            type: "input",
+            name: "name",
+            message: "Name:",
+            default: entry.name,
+            validate: (input) => input.trim() !== "" || "Name is required",
+          },
+          {
+            type: "input",
+            name: "role",
+            message: "Role (e.g. neighbor, shopkeeper):",
+            default: entry.role,
+            validate: (input) => input.trim() !== "" || "Role is required",
+          },
+          {
+            type: "input",
+            name: "age",
+            message: "Age (leave empty if unknown):",
+            default: entry.age ?? "",
+          },
+        ]
+      : []),
+    {
+      type: "input",
+      name: "appearance",
+      message: "Appearance (hair, build, features):",
+      default: entry.appearance,
+    },
+    {
+      type: "input",
+      name: "clothing",
+      message: "Clothing:",
+      default: entry.clothing,
+    },
+    {
+      type: "input",
+      name: "props",
+      message: "Signature props (comma-separated):",
+      default: (entry.props ?? []).join(", "),
+    },
+    {
+      type: "input",
+      name: "aliases",
+      message: "Other names the story uses (comma-separated, e.g. Mom):",
+      default: (entry.aliases ?? []).join(", "),
+    },
+  ]);
+
+  return {
+    ...entry,
+    ...(custom
+      ? {
+          name: answers.name.trim(),
+          role: answers.role.trim(),
+          age: answers.age.trim() || null,
+        }
+      : {}),
+    appearance: answers.appearance.trim(),
+    clothing: answers.clothing.trim(),
+    props: splitList(answers.props),
+    aliases: splitList(answers.aliases),
+  };
+}
+
+/**
+ * @function configureCharacterBible
+ * @async
+ * @description Lets the user edit the character bible until they are done
+ *
+ * @param {Array<Object>} bible - Current bible entries
+ *
+ * @returns {Promise<Array<Object>>} Updated bible entries
+ *
+ * @example
+ * bookState.characterBible = await configureCharacterBible(getCharacterBible(bookState));
+ */
+export async function configureCharacterBible(bible) {
+  let entries = [...bible];
+
+  while (true) {
+    const { choice } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "choice",
+        message: "Character bible:",
+        pageSize: 20,
+        choices: [
+          ...entries.map((entry, index) => ({
+            name: describeEntry(entry),
+            value: index,
+          })),
+          new inquirer.Separator(),
+          { name: "Add a Character", value: "add" },
+          {
+            name: "Remove a Character Added by Hand",
+            value: "remove",
+            disabled: entries.some((entry) => entry.id.startsWith("custom-"))
+              ? false
+              : "None added",
+          },
+          { name: "Done", value: "done" },
+        ],
+      },
+    ]);
+
+    if (choice === "done") return entries;
+
+    if (choice === "add") {
+      const next =
+        Math.max(
+          0,
+          ...entries
+            .filter((entry) => entry.id.startsWith("custom-"))
+            .map((entry) => Number(entry.id.slice("custom-".length)) || 0)
+        ) + 1;
+      const entry = await editCharacter({
+        id: `custom-${next}`,
+        name: "",
+        role: "",
+        age: null,
+        appearance: "",
+        clothing: "",
+        props: [],
+        aliases: [],
+      });
+      entries = [...entries, entry];
+      display.success(`${entry.name} added.`);
+      continue;
+    }
+
+    if (choice === "remove") {
+      const { id } = await inquirer.prompt([
+        {
+          type: "list",
+          name: "id",
+          message: "Remove which character?",
+          choices: entries
+            .filter((entry) => entry.id.startsWith("custom-"))
+            .map((entry) => ({ name: describeEntry(entry), value: entry.id })),
+        },
+      ]);
+      entries = entries.filter((entry) => entry.id !== id);
+      continue;
+    }
+
+    entries[choice] = await editCharacter(entries[choice]);
+    display.success(`${entries[choice].name} updated.`);
+  }
+}
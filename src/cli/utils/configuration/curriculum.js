@@ -0,0 +1,62 @@
+/**
+ * @file Curriculum selection utilities
+ * @module curriculumConfiguration
+ * @requires inquirer
+ * @requires ../curricula - For the available curricula
+ * @exports configureCurriculum
+ *
+ * @description Lets the user choose which curriculum a new book teaches
+ *
+ * @functions
+ * - configureCurriculum: Asks for a curriculum, or returns the only one
+ *
+ * @flow
+ * 1. Load every curriculum from the registry
+ * 2. Use it directly if there is only one, otherwise ask
+ * 3. Return the chosen curriculum
+ *
+ * @error Handling
+ * - No curricula: Throws, pointing to config/chapters.js and config/curricula/
+ */
+
+import inquirer from "inquirer";
+import { listCurricula } from "../curricula.js";
+
+/**
+ * @function configureCurriculum
+ * @async
+ * @description Asks which curriculum the book should teach. When only one
+ * curriculum exists it is used without asking.
+ *
+ * @returns {Promise<Object>} Chosen curriculum (see loadCurriculum)
+ * @throws {Error} If no curriculum is available or one cannot be loaded
+ *
+ * @example
+ * const curriculum = await configureCurriculum();
+ * // Returns: { id: 'economics', title: 'Economics', content: [...], ... }
+ */
+export async function configureCurriculum() {
+  const curricula = await listCurricula();
+  if (curricula.length === 0) {
+    throw new Error(
+      "No curriculum found: add config/chapters.js (npm run cp:config) or a file in config/curricula/"
+    );
+  }
+  if (curricula.length === 1) return curricula[0];
+
+  const { curriculumId } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "curriculumId",
+      message: "Choose the curriculum for this book:",
+      choices: curricula.map((curriculum) => ({
+        name: `${curriculum.title} (${curriculum.content.reduce(
+          (count, lesson) => count + lesson.topics.length,
+          0
+        )} topics)${curriculum.description ? `: ${curriculum.description}` : ""}`,
+        value: curriculum.id,
+      })),
+    },
+  ]);
+  return curricula.find((curriculum) => curriculum.id === curriculumId);
+}
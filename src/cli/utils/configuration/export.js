@@ -0,0 +1,111 @@
+/**
+ * @file Export layout configuration utilities
+ * @module exportConfiguration
+ * @requires inquirer
+ * @exports {configurePdfExport, configureEpubExport}
+ *
+ * @description Handles the layout chosen when a book is exported to PDF
+ * or EPUB
+ *
+ * @functions
+ * - configurePdfExport: Prompts for trim size and margin
+ * - configureEpubExport: Prompts for layout, language and author
+ *
+ * @constants
+ * - Imported from config/exportConfig.js
+ *
+ * @flow
+ * 1. Ask for the format-specific options
+ * 2. Return them to store in exportConfig.pdf or exportConfig.epub
+ *
+ * @error Handling
+ * - Input validation for margins and language tags
+ */
+
+import inquirer from "inquirer";
+import {
+  PDF_TRIM_SIZES,
+  EPUB_LAYOUTS,
+} from "../../../../config/exportConfig.js";
+
+/**
+ * @function configurePdfExport
+ * @async
+ * @description Prompts for the PDF trim size and margin
+ *
+ * @param {Object} currentOptions - Current layout (see DEFAULT_PDF_OPTIONS)
+ *
+ * @returns {Promise<{trimSize: string, margin: number}>} Chosen layout
+ *
+ * @example
+ * const layout = await configurePdfExport(resolvePdfOptions(bookState));
+ * // Returns: { trimSize: "8x10", margin: 0.75 }
+ */
+export async function configurePdfExport(currentOptions) {
+  return inquirer.prompt([
+    {
+      type: "list",
+      name: "trimSize",
+      message: "Choose the page size:",
+      choices: Object.entries(PDF_TRIM_SIZES).map(([key, value]) => ({
+        name: value.name,
+        value: key,
+      })),
+      default: currentOptions.trimSize,
+    },
+    {
+      type: "number",
+      name: "margin",
+      message: "Page margin in inches:",
+      default: currentOptions.margin,
+      validate: (input, answers) => {
+        const size = PDF_TRIM_SIZES[answers.trimSize];
+        const maxMargin = Math.min(size.width, size.height) / 4 / 72;
+        return input >= 0 && input <= maxMargin
+          ? true
+          : `Enter a margin between 0 and ${maxMargin.toFixed(2)} inches`;
+      },
+    },
+  ]);
+}
+
+/**
+ * @function configureEpubExport
+ * @async
+ * @description Prompts for the EPUB layout, language and author
+ *
+ * @param {Object} currentOptions - Current options (see DEFAULT_EPUB_OPTIONS)
+ *
+ * @returns {Promise<{layout: string, language: string, author: string}>} Chosen options
+ *
+ * @example
+ * const options = await configureEpubExport(resolveEpubOptions(bookState));
+ * // Returns: { layout: "fixed", language: "en", author: "The Simpsons" }
+ */
+export async function configureEpubExport(currentOptions) {
+  return inquirer.prompt([
+    {
+      type: "list",
+      name: "layout",
+      message: "Choose the EPUB layout:",
+      choices: EPUB_LAYOUTS,
+      default: currentOptions.layout,
+    },
+    {
+      type: "input",
+      name: "language",
+      message: "Book language (e.g. en, es, en-GB):",
+      default: currentOptions.language,
+      validate: (input) =>
+        /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]+)*$/.test(input)
+          ? true
+          : "Enter a language tag such as en or es",
+    },
+    {
+      type: "input",
+      name: "author",
+      message: "Author shown in reading apps (optional):",
+      default: currentOptions.author,
+    },
+  ]);
+}
@@ -0,0 +1,196 @@
+/**
+ * @file Chapter featuring configuration utilities
+ * @module featuringConfiguration
+ * @requires inquirer
+ * @requires ../../../../config/featuringConfig - For the roles and sections a chapter can feature
+ * @exports {describeFeaturing, configureFeaturing}
+ *
+ * @description Lets the user choose which secondary characters, places and
+ * interests of the story variables a chapter features. Prompts for the
+ * chapter only include what it features, so for example the pet does not
+ * appear in every chapter.
+ *
+ * @functions
+ * - formatLabel: Turns a story variable key into a label
+ * - formatValue: Formats a story variable value for display
+ * - describeFeaturing: Summarizes what a chapter features
+ * - configureFeaturing: Asks which characters, places and interests to feature
+ *
+ * @flow
+ * 1. List the character roles, places and interests that have a value
+ * 2. Check the ones the chapter features (all of a group it does not limit)
+ * 3. Return the chosen featuring
+ *
+ * @error Handling
+ * - Empty story variables: Left out of the choices
+ */
+
+import inquirer from "inquirer";
+import {
+  FEATURED_CHARACTERS,
+  FEATURED_SECTIONS,
+  ALWAYS_FEATURED,
+} from "../../../../config/featuringConfig.js";
+
+/**
+ * @function formatLabel
+ * @private
+ * @description Turns a story variable key into a label
+ *
+ * @param {string} key - Story variable key
+ *
+ * @returns {string} Label
+ *
+ * @example
+ * formatLabel("homeStreetName");
+ * // Returns: "Home street name"
+ */
+function formatLabel(key) {
+  const words = key.replace(/([A-Z])/g, " $1").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * @function formatValue
+ * @private
+ * @description Formats a story variable value for display; siblings are
+ * [name, age] pairs
+ *
+ * @param {*} value - Story variable value
+ *
+ * @returns {string} Value as text, empty when there is none
+ *
+ * @example
+ * formatValue([["Lisa", "8"], ["Maggie", "1"]]);
+ * // Returns: "Lisa (8), Maggie (1)"
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value
+      .map((item) =>
+        Array.isArray(item) ? `${item[0]} (${item[1]})` : String(item)
+      )
+      .filter(Boolean)
+      .join(", ");
+  }
+  return value == null ? "" : String(value);
+}
+
+/**
+ * @function describeFeaturing
+ * @description Summarizes the secondary characters, places and interests a
+ * chapter features
+ *
+ * @param {Object} [featuring] - The chapter's featuring
+ *
+ * @returns {string} One group per clause, or a note that it features everything
+ *
+ * @example
+ * describeFeaturing({ characters: ["pet"], places: [] });
+ * // Returns: "Characters: Pet; Places: none; Interests: all"
+ */
+export function describeFeaturing(featuring) {
+  if (!featuring) return "All characters, places and interests";
+
+  const groups = {
+    characters: {
+      label: "Characters",
+      name: (role) => FEATURED_CHARACTERS[role]?.label ?? role,
+    },
+    ...Object.fromEntries(
+      Object.entries(FEATURED_SECTIONS).map(([section, label]) => [
+        section,
+        { label, name: formatLabel },
+      ])
+    ),
+  };
+
+  return Object.entries(groups)
+    .map(([group, { label, name }]) => {
+      const chosen = featuring[group];
+      if (!chosen) return `${label}: all`;
+      return `${label}: ${chosen.length ? chosen.map(name).join(", ") : "none"}`;
+    })
+    .join("; ");
+}
+
+/**
+ * @function configureFeaturing
+ * @async
+ * @description Asks which secondary characters, places and interests a
+ * chapter features. Story variables without a value are not offered.
+ *
+ * @param {Object} storyVariables - The book's story variables
+ * @param {Object} [featuring] - The chapter's current featuring
+ *
+ * @returns {Promise<Object>} New featuring, with every group chosen
+ *
+ * @example
+ * chapter.featuring = await configureFeaturing(bookState.storyVariables, chapter.featuring);
+ * // Returns: { characters: ["friends"], places: ["parkName"], interests: [] }
+ */
+export async function configureFeaturing(storyVariables, featuring) {
+  const isChecked = (group, key) =>
+    !featuring?.[group] || featuring[group].includes(key);
+
+  const characters = storyVariables.characters ?? {};
+  const choices = [
+    new inquirer.Separator("Characters"),
+    ...Object.entries(FEATURED_CHARACTERS)
+      .map(([role, { label, variables }]) => ({
+        role,
+        label,
+        value: variables
+          .map((variable) => formatValue(characters[variable]))
+          .filter(Boolean)
+          .join(", "),
+      }))
+      .filter(({ value }) => value)
+      .map(({ role, label, value }) => ({
+        name: `${label}: ${value}`,
+        value: `characters.${role}`,
+        checked: isChecked("characters", role),
+      })),
+  ];
+
+  Object.entries(FEATURED_SECTIONS).forEach(([section, label]) => {
+    choices.push(new inquirer.Separator(label));
+    Object.entries(storyVariables[section] ?? {})
+      .filter(
+        ([key, value]) =>
+          !(ALWAYS_FEATURED[section] ?? []).includes(key) && formatValue(value)
+      )
+      .forEach(([key, value]) =>
+        choices.push({
+          name: `${formatLabel(key)}: ${formatValue(value)}`,
+          value: `${section}.${key}`,
+          checked: isChecked(section, key),
+        })
+      );
+  });
+
+  const { featured } = await inquirer.prompt([
+    {
+      type: "checkbox",
+      name: "featured",
+      message:
+        "What does this chapter feature? (the protagonist, family and city are always included)",
+      choices,
+      pageSize: 20,
+    },
+  ]);
+
+  const chosen = (group) =>
+    featured
+      .filter((value) => value.startsWith(`${group}.`))
+      .map((value) => value.slice(group.length + 1));
+  return {
+    characters: chosen("characters"),
+    ...Object.fromEntries(
+      Object.keys(FEATURED_SECTIONS).map((section) => [
+        section,
+        chosen(section),
+      ])
+    ),
+  };
+}
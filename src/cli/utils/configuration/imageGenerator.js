@@ -2,6 +2,7 @@
  * @file Image generator configuration utilities
  * @module imageGeneratorConfiguration
  * @requires inquirer
+ * @requires ./artDirection - For the book's art direction
  * @exports configureImageGenerator
  *
  * @description Handles image generation configuration prompts and validation
@@ -10,16 +11,15 @@
  * - configureImageGenerator: Prompts for image provider and settings
  *
  * @constants
- * - Imported from config/imageGeneratorConfig.js and config/imageStyles.js
+ * - Imported from config/imageGeneratorConfig.js
  *
  * @flow
  * 1. Prompt for provider selection
  * 2. Provider-specific configuration
- * 3. Style selection
+ * 3. Art direction (style, palette, line quality, presets per chapter type)
  *
  * @error Handling
  * - Input validation for provider-specific parameters
- * - Fallback to default style if not selected
  */
 
 import inquirer from "inquirer";
@@ -30,7 +30,7 @@ import {
   MYSTIC_MODELS,
   MYSTIC_ENGINES,
 } from "../../../../config/imageGeneratorConfig.js";
-import { DEFAULT_IMAGE_STYLE_PROMPT } from "../../../../config/imageStyles.js";
+import { configureArtDirection } from "./artDirection.js";
 
 /**
  * @function configureImageGenerator
@@ -38,10 +38,13 @@ import { DEFAULT_IMAGE_STYLE_PROMPT } from "../../../../config/imageStyles.js";
  * @description Prompts the user to select image generation provider and settings
  *
  * @returns {Promise<Object>} The selected image generation configuration
- * @property {string} provider - Selected provider (openai/mystic)
+ * @property {string} provider - Selected provider (openai/mystic/mock)
  * @property {Object} openai - OpenAI-specific settings (if selected)
  * @property {Object} mystic - Mystic-specific settings (if selected)
- * @property {string} imageStyle - Selected illustration style
+ * @property {string} imageStyle - Illustration style of the whole book
+ * @property {string} palette - Color palette of the whole book
+ * @property {string} lineQuality - Line quality of the whole book
+ * @property {Object} chapterPresets - Scene composition per chapter type
  *
  * @example
  * const imageConfig = await configureImageGenerator();
@@ -51,7 +54,10 @@ import { DEFAULT_IMAGE_STYLE_PROMPT } from "../../../../config/imageStyles.js";
  * //     model: "dall-e-3",
  * //     size: "1024x1024"
  * //   },
- * //   imageStyle: "watercolor"
+ * //   imageStyle: "watercolor",
+ * //   palette: "pastel",
+ * //   lineQuality: "style",
+ * //   chapterPresets: { introduction: "characterIntroduction", chapter: "emotionalCloseUp", conclusion: "celebrationScene" }
  * // }
  * // Or:
  * // {
@@ -62,8 +68,13 @@ import { DEFAULT_IMAGE_STYLE_PROMPT } from "../../../../config/imageStyles.js";
  * //     resolution: "1k",
  * //     creative_detailing: 33
  * //   },
- * //   imageStyle: "watercolor"
+ * //   imageStyle: "watercolor",
+ * //   palette: "pastel",
+ * //   lineQuality: "style",
+ * //   chapterPresets: { introduction: "characterIntroduction", chapter: "emotionalCloseUp", conclusion: "celebrationScene" }
  * // }
+ * // Or, for offline testing:
+ * // { provider: "mock", imageStyle: "watercolor", palette: "pastel", ... }
  */
 export async function configureImageGenerator() {
   // First, select the provider
@@ -84,7 +95,7 @@ export async function configureImageGenerator() {
       {
         type: "list",
         name: "model",
-        message: "Select the DALL-E model to use:",
+        message: "Select the OpenAI image model to use:",
         choices: OPENAI_IMAGE_MODELS,
       },
     ]);
@@ -94,7 +105,7 @@ export async function configureImageGenerator() {
       model,
       size: selectedModel.defaultSize,
     };
-  } else {
+  } else if (provider === "mystic") {
     // Configure Mystic settings
     const { model, engine, resolution, creative_detailing } =
       await inquirer.prompt([
@@ -147,20 +158,7 @@ export async function configureImageGenerator() {
     };
   }
 
-  // Select illustration style
-  const { imageStyle } = await inquirer.prompt([
-    {
-      type: "list",
-      name: "imageStyle",
-      message: "Select the default illustration style:",
-      choices: DEFAULT_IMAGE_STYLE_PROMPT.map((style) => ({
-        name: `${style.name} - ${style.prompt.slice(0, 60)}...`,
-        value: style.name,
-      })),
-      default: "storybook",
-    },
-  ]);
-
-  config.imageStyle = imageStyle;
+  // Set the art direction every illustration of the book follows
+  Object.assign(config, await configureArtDirection());
   return config;
 }
@@ -1,36 +1,123 @@
 /**
- * @file OpenAI chat configuration utilities
+ * @file Chat model configuration utilities
  * @module openaiChatConfiguration
  * @requires inquirer
  * @exports configureOpenAI
  *
- * @description Handles OpenAI chat model configuration prompts and validation
+ * @description Handles chat provider and model configuration prompts and validation
  *
  * @functions
- * - configureOpenAI: Prompts for chat model and parameter settings
+ * - configureOpenAI: Prompts for chat provider, model and parameter settings
+ * - selectCompatibleModel: Prompts for an OpenAI-compatible server and model
  *
  * @constants
- * - Imported from config/openaiConfig.js
+ * - Imported from config/imageGeneratorConfig.js and config/chatProviderConfig.js
  *
  * @flow
- * 1. Prompt for chat model selection
- * 2. Show default parameters
- * 3. Optionally customize parameters
+ * 1. Prompt for chat provider
+ * 2. Prompt for chat model selection (and server URL for local servers)
+ * 3. Show default parameters
+ * 4. Optionally customize parameters
  *
  * @error Handling
- * - Input validation for temperature range
+ * - Input validation for temperature range and server URL
+ * - Unreachable servers: Falls back to typing the model name
  */
 
 import inquirer from "inquirer";
 import display from "../display.js";
 import { OPENAI_CHAT_MODELS } from "../../../../config/imageGeneratorConfig.js";
+import {
+  CHAT_PROVIDERS,
+  LOCAL_CHAT_SERVERS,
+  OPENAI_COMPATIBLE_DEFAULTS,
+  MOCK_CHAT_CONFIG,
+} from "../../../../config/chatProviderConfig.js";
+import { listCompatibleModels } from "../../../chatGenerator.js";
+
+/**
+ * @function selectCompatibleModel
+ * @async
+ * @private
+ * @description Prompts for the URL of an OpenAI-compatible server and one of
+ * the models it serves. If the server cannot be reached, the model name is
+ * typed instead so a book can be configured before the server is started.
+ *
+ * @returns {Promise<{baseUrl: string, chatModel: string}>} Server URL and model
+ *
+ * @example
+ * const { baseUrl, chatModel } = await selectCompatibleModel();
+ * // Returns: { baseUrl: "http://localhost:11434/v1", chatModel: "llama3.1:8b" }
+ */
+async function selectCompatibleModel() {
+  const { server } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "server",
+      message: "Select the server that runs the model:",
+      choices: [
+        ...LOCAL_CHAT_SERVERS.map((s) => ({
+          name: `${s.name} (${s.value})`,
+          value: s.value,
+        })),
+        { name: "Other (enter URL)", value: "custom" },
+      ],
+    },
+  ]);
+
+  let baseUrl = server;
+  if (server === "custom") {
+    ({ baseUrl } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "baseUrl",
+        message: "Server URL of the OpenAI-compatible API:",
+        default: OPENAI_COMPATIBLE_DEFAULTS.baseUrl,
+        validate: (input) =>
+          /^https?:\/\/\S+$/.test(input)
+            ? true
+            : "Enter a URL such as http://localhost:11434/v1",
+      },
+    ]));
+  }
+
+  display.progress(`Looking for models at ${baseUrl}...`);
+  const models = await listCompatibleModels(baseUrl);
+  if (models.length === 0) {
+    display.warning(
+      "Could not list models from the server. Enter the model name manually."
+    );
+  }
+
+  const { chatModel } = await inquirer.prompt([
+    models.length > 0
+      ? {
+          type: "list",
+          name: "chatModel",
+          message: "Select the model to use for generating text:",
+          choices: models,
+        }
+      : {
+          type: "input",
+          name: "chatModel",
+          message: "Model name (e.g. llama3.1:8b):",
+          validate: (input) =>
+            input.trim() ? true : "A model name is required",
+          filter: (input) => input.trim(),
+        },
+  ]);
+
+  return { baseUrl, chatModel };
+}
 
 /**
  * @function configureOpenAI
  * @async
- * @description Prompts the user to select OpenAI chat model settings
+ * @description Prompts the user to select the chat provider and model settings
  *
- * @returns {Promise<Object>} The selected OpenAI chat configuration
+ * @returns {Promise<Object>} The selected chat configuration
+ * @property {string} provider - Chat provider ('openai', 'openai-compatible' or 'mock')
+ * @property {string} [baseUrl] - Server URL of an OpenAI-compatible provider
  * @property {string} chatModel - Selected chat model ID
  * @property {number} temperature - Temperature setting for text generation
  * @property {number} top_p - Top P setting for text generation
@@ -40,6 +127,7 @@ import { OPENAI_CHAT_MODELS } from "../../../../config/imageGeneratorConfig.js";
  * @example
  * const chatConfig = await configureOpenAI();
  * // Returns: {
+ * //   provider: "openai",
  * //   chatModel: "gpt-4",
  * //   temperature: 0.7,
  * //   top_p: 1.0,
@@ -48,22 +136,46 @@ import { OPENAI_CHAT_MODELS } from "../../../../config/imageGeneratorConfig.js";
  * // }
  */
 export async function configureOpenAI() {
-  // First, select the chat model
-  const { chatModel } = await inquirer.prompt([
+  // First, select where the text is generated
+  const { provider } = await inquirer.prompt([
     {
       type: "list",
-      name: "chatModel",
-      message: "Select the chat model to use for generating text:",
-      choices: OPENAI_CHAT_MODELS,
+      name: "provider",
+      message: "Select the chat provider:",
+      choices: CHAT_PROVIDERS,
     },
   ]);
 
-  // Get the selected model's defaults
-  const selectedModel = OPENAI_CHAT_MODELS.find((m) => m.value === chatModel);
-  const modelDefaults = selectedModel.defaults;
+  // The mock provider has no models or parameters to choose
+  if (provider === "mock") {
+    return { ...MOCK_CHAT_CONFIG };
+  }
+
+  // Then select the chat model and get its defaults
+  let chatModel;
+  let baseUrl;
+  let modelName;
+  let modelDefaults;
+  if (provider === "openai-compatible") {
+    ({ baseUrl, chatModel } = await selectCompatibleModel());
+    modelName = chatModel;
+    modelDefaults = OPENAI_COMPATIBLE_DEFAULTS.defaults;
+  } else {
+    ({ chatModel } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "chatModel",
+        message: "Select the chat model to use for generating text:",
+        choices: OPENAI_CHAT_MODELS,
+      },
+    ]));
+    const selectedModel = OPENAI_CHAT_MODELS.find((m) => m.value === chatModel);
+    modelName = selectedModel.name;
+    modelDefaults = selectedModel.defaults;
+  }
 
   // Display current default parameters
-  display.title(`Default generation parameters for ${selectedModel.name}:`);
+  display.title(`Default generation parameters for ${modelName}:`);
   display.listItem(
     display.withExplanation(
       `temperature: ${modelDefaults.temperature}`,
@@ -151,6 +263,8 @@ export async function configureOpenAI() {
   }
 
   return {
+    provider,
+    ...(baseUrl && { baseUrl }),
     chatModel,
     ...generationParams,
   };
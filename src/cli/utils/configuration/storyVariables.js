@@ -104,6 +104,8 @@ function generateQuestionForValue(key, currentValue, sectionName) {
       validate: (input) =>
         input > 0 && input < 18 ? true : "Age must be between 1 and 17",
       default: currentValue ? parseInt(currentValue) : undefined,
+      // Stored as text, like the ages in config/storyVariables.js
+      filter: (input) => String(input),
     };
   }
 
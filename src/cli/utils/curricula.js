@@ -0,0 +1,200 @@
+/**
+ * @file Curriculum registry
+ * @module curricula
+ * @requires fs/promises - For listing curriculum files
+ * @requires path - For path manipulation
+ * @requires url - For importing curriculum modules
+ * @requires ../../../config/curriculumConfig - For the curricula locations
+ * @exports {discoverCurricula, loadCurriculum, listCurricula, getCurriculum, snapshotCurriculum}
+ *
+ * @description
+ * Finds the curricula a book can be written from: the global
+ * config/chapters.js (the "default" curriculum) and every file in
+ * config/curricula/. A book stores the id and a snapshot of the curriculum
+ * it was created with, so later edits to these files never change an
+ * existing book.
+ *
+ * @functions
+ * - discoverCurricula: Lists the curriculum files
+ * - loadCurriculum: Imports a curriculum file
+ * - listCurricula: Loads every curriculum
+ * - getCurriculum: Loads a curriculum by id
+ * - snapshotCurriculum: Builds the copy stored in book-state.json
+ *
+ * @constants
+ * - CONFIG_DIR: Absolute path of config/
+ *
+ * @flow
+ * 1. List config/chapters.js and config/curricula/*.js
+ * 2. Import a file and read its BOOK_CONTENT and CURRICULUM exports
+ * 3. Snapshot the chosen curriculum into the book state
+ *
+ * @error Handling
+ * - Unknown ids throw, listing the available curricula
+ * - Files without a BOOK_CONTENT array throw; `book-cli doctor` reports
+ *   schema violations in detail
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import {
+  CURRICULA_DIR,
+  DEFAULT_CURRICULUM_FILE,
+  DEFAULT_CURRICULUM_ID,
+} from "../../../config/curriculumConfig.js";
+
+/**
+ * @constant {string}
+ * @description Absolute path of the config/ folder
+ * @private
+ */
+const CONFIG_DIR = fileURLToPath(new URL("../../../config/", import.meta.url));
+
+/**
+ * @function discoverCurricula
+ * @async
+ * @description Lists the curriculum files: config/chapters.js first (when it
+ * exists), then config/curricula/*.js by name
+ *
+ * @returns {Promise<Array<{id: string, file: string, path: string}>>} Curricula
+ * with their display path (relative to the project) and absolute path
+ *
+ * @example
+ * await discoverCurricula();
+ * // Returns: [
+ * //   { id: 'default', file: 'config/chapters.js', path: '/work/config/chapters.js' },
+ * //   { id: 'economics', file: 'config/curricula/economics.js', path: '/work/config/curricula/economics.js' }
+ * // ]
+ */
+export async function discoverCurricula() {
+  const curricula = [];
+
+  const defaultPath = path.join(CONFIG_DIR, DEFAULT_CURRICULUM_FILE);
+  try {
+    await fs.access(defaultPath);
+    curricula.push({
+      id: DEFAULT_CURRICULUM_ID,
+      file: `config/${DEFAULT_CURRICULUM_FILE}`,
+      path: defaultPath,
+    });
+  } catch {
+    // Optional: books can use the curricula folder only
+  }
+
+  let names = [];
+  try {
+    names = await fs.readdir(path.join(CONFIG_DIR, CURRICULA_DIR));
+  } catch {
+    // No curricula folder
+  }
+  names
+    .filter((name) => name.endsWith(".js"))
+    .sort()
+    .forEach((name) =>
+      curricula.push({
+        id: path.basename(name, ".js"),
+        file: `config/${CURRICULA_DIR}/${name}`,
+        path: path.join(CONFIG_DIR, CURRICULA_DIR, name),
+      })
+    );
+
+  return curricula;
+}
+
+/**
+ * @function loadCurriculum
+ * @async
+ * @description Imports a curriculum file
+ *
+ * @param {{id: string, file: string, path: string}} entry - Entry from discoverCurricula
+ *
+ * @returns {Promise<{id: string, title: string, description: string, file: string, content: Array<Object>}>}
+ * The curriculum; `content` is its BOOK_CONTENT
+ * @throws {Error} If the file cannot be imported or has no BOOK_CONTENT array
+ *
+ * @example
+ * const curriculum = await loadCurriculum(entry);
+ * // Returns: { id: 'economics', title: 'Economics', content: [...], ... }
+ */
+export async function loadCurriculum(entry) {
+  const module = await import(pathToFileURL(entry.path).href);
+  if (!Array.isArray(module.BOOK_CONTENT)) {
+    throw new Error(`${entry.file} does not export a BOOK_CONTENT array`);
+  }
+  return {
+    id: entry.id,
+    title: module.CURRICULUM?.title || entry.id,
+    description: module.CURRICULUM?.description || "",
+    file: entry.file,
+    content: module.BOOK_CONTENT,
+  };
+}
+
+/**
+ * @function listCurricula
+ * @async
+ * @description Loads every curriculum
+ *
+ * @returns {Promise<Array<Object>>} Curricula as returned by loadCurriculum
+ * @throws {Error} If a curriculum file cannot be loaded
+ *
+ * @example
+ * const curricula = await listCurricula();
+ */
+export async function listCurricula() {
+  const curricula = [];
+  for (const entry of await discoverCurricula()) {
+    curricula.push(await loadCurriculum(entry));
+  }
+  return curricula;
+}
+
+/**
+ * @function getCurriculum
+ * @async
+ * @description Loads a curriculum by id
+ *
+ * @param {string} [id=DEFAULT_CURRICULUM_ID] - Curriculum id
+ *
+ * @returns {Promise<Object>} Curriculum as returned by loadCurriculum
+ * @throws {Error} If there is no curriculum with this id
+ *
+ * @example
+ * const curriculum = await getCurriculum('economics');
+ */
+export async function getCurriculum(id = DEFAULT_CURRICULUM_ID) {
+  const entries = await discoverCurricula();
+  const entry = entries.find((candidate) => candidate.id === id);
+  if (!entry) {
+    throw new Error(
+      `Unknown curriculum "${id}" (available: ${
+        entries.map((candidate) => candidate.id).join(", ") || "none"
+      })`
+    );
+  }
+  return loadCurriculum(entry);
+}
+
+/**
+ * @function snapshotCurriculum
+ * @description Builds the copy of a curriculum stored in book-state.json.
+ * The book keeps using this copy even if the curriculum file changes.
+ *
+ * @param {Object} curriculum - Curriculum as returned by loadCurriculum
+ *
+ * @returns {{id: string, title: string, source: string, recordedAt: string, content: Array<Object>}}
+ * Curriculum snapshot
+ *
+ * @example
+ * bookState.curriculum = snapshotCurriculum(await getCurriculum('economics'));
+ */
+export function snapshotCurriculum(curriculum) {
+  return {
+    id: curriculum.id,
+    title: curriculum.title,
+    source: curriculum.file,
+    recordedAt: new Date().toISOString(),
+    content: structuredClone(curriculum.content),
+  };
+}
@@ -13,6 +13,25 @@ const SYMBOLS = {
   progress: "...", // Using ellipsis for progress
 };
 
+/**
+ * @type {boolean}
+ * When enabled, human-readable output is sent to stderr so stdout only
+ * carries the machine-readable JSON result.
+ */
+let jsonMode = false;
+
+/**
+ * Writes a human-readable line to stdout, or to stderr in JSON mode.
+ * @param {...any} args - Values to print.
+ */
+function out(...args) {
+  if (jsonMode) {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
+
 /**
  * Display utility functions for CLI output.
  * Provides consistent formatting for headers, statuses, and specific data types.
@@ -25,7 +44,7 @@ const display = {
    * @memberof display
    */
   header(text) {
-    console.log(`\n${chalk.blue.bold(text)}\n`);
+    out(`\n${chalk.blue.bold(text)}\n`);
   },
 
   /**
@@ -34,7 +53,7 @@ const display = {
    * @memberof display
    */
   title(text) {
-    console.log(chalk.cyan.bold(text));
+    out(chalk.cyan.bold(text));
   },
 
   /**
@@ -54,7 +73,7 @@ const display = {
    * @memberof display
    */
   success(message) {
-    console.log(`${chalk.green(SYMBOLS.success)} ${message}`);
+    out(`${chalk.green(SYMBOLS.success)} ${message}`);
   },
 
   /**
@@ -78,7 +97,7 @@ const display = {
    * @memberof display
    */
   warning(message) {
-    console.log(`${chalk.yellow(SYMBOLS.warning)} ${message}`);
+    out(`${chalk.yellow(SYMBOLS.warning)} ${message}`);
   },
 
   /**
@@ -87,7 +106,7 @@ const display = {
    * @memberof display
    */
   info(message) {
-    console.log(`${chalk.blue(SYMBOLS.info)} ${message}`);
+    out(`${chalk.blue(SYMBOLS.info)} ${message}`);
   },
 
   /**
@@ -96,7 +115,7 @@ const display = {
    * @memberof display
    */
   progress(message) {
-    console.log(`${chalk.blue(SYMBOLS.progress)} ${message}`);
+    out(`${chalk.blue(SYMBOLS.progress)} ${message}`);
   },
 
   /**
@@ -126,12 +145,48 @@ const display = {
     return formatter(status);
   },
 
+  /**
+   * Displays plain, unformatted text such as prompts or generated content.
+   * @param {...any} args - Values to print.
+   * @memberof display
+   */
+  text(...args) {
+    out(...args);
+  },
+
+  /**
+   * Enables or disables JSON mode for non-interactive commands.
+   * @param {boolean} enabled - Whether JSON mode is active.
+   * @memberof display
+   */
+  setJsonMode(enabled) {
+    jsonMode = Boolean(enabled);
+  },
+
+  /**
+   * Whether JSON mode is currently active.
+   * @returns {boolean} True if JSON mode is enabled.
+   * @memberof display
+   */
+  isJsonMode() {
+    return jsonMode;
+  },
+
+  /**
+   * Writes a machine-readable result to stdout as pretty-printed JSON.
+   * @param {Object} data - The result to serialize.
+   * @memberof display
+   */
+  json(data) {
+    console.log(JSON.stringify(data, null, 2));
+  },
+
   /**
    * Prints a blank line for spacing.
    * @memberof display
    */
   blank() {
-    console.log("");
+    out("");
   },
 
   /**
@@ -140,7 +195,7 @@ const display = {
    * @memberof display
    */
   listItem(item) {
-    console.log(`  ${chalk.gray(SYMBOLS.bullet)} ${item}`);
+    out(`  ${chalk.gray(SYMBOLS.bullet)} ${item}`);
   },
 
   /**
@@ -157,6 +212,25 @@ const display = {
     return `${mainText} ${chalk.gray(`(${explanation})`)}`;
   },
 
+  /**
+   * Displays a word-level diff: removed words in red and struck through,
+   * added words in green. Without colors, [-removed-] and {+added+} markers
+   * are used instead.
+   * @param {Array<{type: 'same'|'removed'|'added', value: string}>} parts - Parts from diffWords.
+   * @memberof display
+   */
+  diff(parts) {
+    const plain = chalk.level === 0;
+    const format = {
+      same: (value) => value,
+      removed: (value) =>
+        plain ? `[-${value.trimEnd()}-] ` : chalk.red.strikethrough(value),
+      added: (value) =>
+        plain ? `{+${value.trimEnd()}+} ` : chalk.green.underline(value),
+    };
+    out(parts.map(({ type, value }) => format[type](value)).join(""));
+  },
+
   /**
    * Formats a chapter name with its status.
    * @param {string} topic - The chapter topic/name.
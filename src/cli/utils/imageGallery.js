@@ -0,0 +1,234 @@
+/**
+ * @file Image attempt gallery helpers
+ * @module imageGallery
+ * @requires fs/promises - For checking attempt files and writing contact sheets
+ * @requires path - For path manipulation
+ * @requires url - For linking images from the contact sheet
+ * @requires child_process - For opening files in the system viewer
+ * @requires ../../utils/imageAttempts - For the chapter's attempts
+ * @requires ../../exporters/exportContent - For HTML escaping
+ * @exports {listImageAttempts, writeContactSheet, openInViewer}
+ *
+ * @description
+ * Supports choosing among all images generated for a chapter: lists the
+ * attempts with whether their file still exists, writes an HTML contact
+ * sheet showing them side by side, and opens an image or sheet in the
+ * operating system's default viewer.
+ *
+ * @functions
+ * - listImageAttempts: Lists attempts with their resolved file
+ * - renderContactSheet: Builds the contact sheet HTML
+ * - writeContactSheet: Writes a chapter's contact sheet
+ * - openInViewer: Opens a file with the system viewer
+ *
+ * @constants
+ * - CONTACT_SHEET_DIR: Folder inside the book for contact sheets
+ * - VIEWER_COMMANDS: Open command per platform
+ *
+ * @flow
+ * 1. Resolve each attempt's file in the book folder (files may have been removed)
+ * 2. Write contact-sheets/<chapter>.html in the book folder
+ * 3. Open the sheet or an attempt in the system viewer
+ *
+ * @error Handling
+ * - Missing attempt files are listed as missing instead of throwing
+ * - A viewer that cannot be started rejects with the file path in the message
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import { spawn } from "child_process";
+import {
+  getImageAttempts,
+  resolveImageAttemptPath,
+} from "../../utils/imageAttempts.js";
+import { escapeXml } from "../../exporters/exportContent.js";
+
+/**
+ * @constant {string}
+ * @description Folder inside the book directory for contact sheets
+ * @private
+ */
+const CONTACT_SHEET_DIR = "contact-sheets";
+
+/**
+ * @constant {Object<string, {command: string, args: string[]}>}
+ * @description Command opening a file with its default application, per
+ * platform. Other platforms use xdg-open.
+ * @private
+ */
+const VIEWER_COMMANDS = {
+  darwin: { command: "open", args: [] },
+  win32: { command: "cmd", args: ["/c", "start", ""] },
+};
+
+/**
+ * @function listImageAttempts
+ * @async
+ * @description Lists the chapter's image attempts with their absolute file
+ * path, or null when the file no longer exists
+ *
+ * @param {Object} chapter - The chapter
+ * @param {string} bookPath - Path to the book directory
+ *
+ * @returns {Promise<Array<{attempt: Object, file: string|null}>>} Attempts, oldest first
+ *
+ * @example
+ * const attempts = await listImageAttempts(chapter, '/books/my-book');
+ * // Returns: [{ attempt: { number: 1, ... }, file: '/books/my-book/images/attempts/introduction_attempt1_....png' }]
+ */
+export async function listImageAttempts(chapter, bookPath) {
+  return Promise.all(
+    getImageAttempts(chapter).map(async (attempt) => {
+      const file = resolveImageAttemptPath(bookPath, attempt.path);
+      try {
+        await fs.access(file);
+        return { attempt, file };
+      } catch {
+        return { attempt, file: null };
+      }
+    })
+  );
+}
+
+/**
+ * @function renderContactSheet
+ * @private
+ * @description Builds a contact sheet page showing every attempt with its
+ * number, style, preset, scene and prompt
+ *
+ * @param {Object} chapter - The chapter
+ * @param {string} bookTitle - Book title
+ * @param {Array<{attempt: Object, file: string|null}>} attempts - Listed attempts
+ *
+ * @returns {string} HTML document
+ *
+ * @example
+ * renderContactSheet(chapter, 'My Book', await listImageAttempts(chapter));
+ */
+function renderContactSheet(chapter, bookTitle, attempts) {
+  const figures = attempts
+    .map(({ attempt, file }) => {
+      const current = chapter.image?.attempt === attempt.number;
+      const badge = current
+        ? chapter.image.status === "accepted"
+          ? " (accepted)"
+          : " (current)"
+        : "";
+      const picture = file
+        ? `<a href="${pathToFileURL(file).href}"><img src="${pathToFileURL(file).href}" alt="Attempt ${attempt.number}"></a>`
+        : `<div class="missing">File no longer exists</div>`;
+      const details = [attempt.style, attempt.preset]
+        .filter(Boolean)
+        .map(escapeXml)
+        .join(" · ");
+      return `      <figure${current ? ' class="current"' : ""}>
+        ${picture}
+        <figcaption>
+          <strong>#${attempt.number}${badge}</strong> ${details}
+          ${attempt.sceneSummary ? `<p>${escapeXml(attempt.sceneSummary)}</p>` : ""}
+          <details><summary>Prompt</summary><p>${escapeXml(attempt.prompt || "")}</p></details>
+        </figcaption>
+      </figure>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeXml(`${bookTitle}: ${chapter.topic} image attempts`)}</title>
+    <style>
+      body { font-family: sans-serif; margin: 2rem; background: #f6f6f6; }
+      main { display: grid; grid-template-columns: repeat(auto-fill, minmax(280px, 1fr)); gap: 1.5rem; }
+      figure { margin: 0; padding: 0.75rem; background: #fff; border: 3px solid transparent; border-radius: 6px; }
+      figure.current { border-color: #3a7d44; }
+      img { width: 100%; height: auto; display: block; }
+      .missing { aspect-ratio: 1; display: flex; align-items: center; justify-content: center; background: #eee; color: #888; }
+      figcaption { margin-top: 0.5rem; font-size: 0.9rem; }
+      details p { white-space: pre-wrap; color: #555; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeXml(chapter.topic)}</h1>
+    <p>${attempts.length} image attempt${attempts.length === 1 ? "" : "s"}. Accept one from the chapter menu in <code>book-cli open</code>.</p>
+    <main>
+${figures}
+    </main>
+  </body>
+</html>
+`;
+}
+
+/**
+ * @function writeContactSheet
+ * @async
+ * @description Writes an HTML contact sheet of the chapter's image attempts
+ * to the book's contact-sheets folder
+ *
+ * @param {Object} chapter - The chapter
+ * @param {Object} bookState - Current book state
+ * @param {string} bookPath - Path to book directory
+ *
+ * @returns {Promise<string>} Path of the written sheet
+ * @throws {Error} If the sheet cannot be written
+ *
+ * @example
+ * const sheetPath = await writeContactSheet(chapter, bookState, '/books/my-book');
+ * // Returns: '/books/my-book/contact-sheets/introduction.html'
+ */
+export async function writeContactSheet(chapter, bookState, bookPath) {
+  const sheetDir = path.join(bookPath, CONTACT_SHEET_DIR);
+  await fs.mkdir(sheetDir, { recursive: true });
+
+  const sheetPath = path.join(sheetDir, `${chapter.id}.html`);
+  await fs.writeFile(
+    sheetPath,
+    renderContactSheet(
+      chapter,
+      bookState.title,
+      await listImageAttempts(chapter, bookPath)
+    )
+  );
+  return sheetPath;
+}
+
+/**
+ * @function openInViewer
+ * @async
+ * @description Opens a file with the operating system's default application
+ * without waiting for it to close
+ *
+ * @param {string} filePath - File to open
+ *
+ * @returns {Promise<void>} Resolves once the viewer has started
+ * @throws {Error} If the open command cannot be started
+ *
+ * @example
+ * await openInViewer('/books/my-book/contact-sheets/introduction.html');
+ */
+export function openInViewer(filePath) {
+  const { command, args } = VIEWER_COMMANDS[process.platform] ?? {
+    command: "xdg-open",
+    args: [],
+  };
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, [...args, filePath], {
+      detached: true,
+      stdio: "ignore",
+    });
+    child.once("spawn", () => {
+      child.unref();
+      resolve();
+    });
+    child.once("error", (error) =>
+      reject(
+        new Error(
+          `Could not open ${filePath} with ${command}: ${error.message}`
+        )
+      )
+    );
+  });
+}
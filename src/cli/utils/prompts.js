@@ -0,0 +1,80 @@
+/**
+ * @file Prompt helper with support for preset answers
+ * @module prompts
+ * @requires inquirer - For interactive CLI prompts
+ * @exports ask
+ *
+ * @description
+ * Thin wrapper around inquirer that lets callers supply answers up front.
+ * Interactive menus use it exactly like `inquirer.prompt`, while the
+ * non-interactive CLI passes an automation object so the same workflow can
+ * run from shell scripts and cron without a TTY.
+ *
+ * @functions
+ * - ask: Answers questions from presets or falls back to inquirer
+ *
+ * @constants
+ * - None
+ *
+ * @flow
+ * 1. Look up each question name in the preset answers
+ * 2. Use the preset value when present
+ * 3. Prompt interactively for the rest, unless automation forbids it
+ *
+ * @error Handling
+ * - Missing answer in non-interactive mode: Throws with the question name
+ */
+
+import inquirer from "inquirer";
+
+/**
+ * @function ask
+ * @async
+ * @description Resolves a list of inquirer questions, using preset answers
+ * from the automation object where available. Questions without a preset
+ * answer are prompted interactively, or rejected when the automation object
+ * is marked as non-interactive.
+ *
+ * @param {Array<Object>} questions - Inquirer question objects (each needs a `name`)
+ * @param {Object} [automation] - Optional automation settings
+ * @param {Object} [automation.answers] - Preset answers keyed by question name
+ * @param {boolean} [automation.interactive=true] - Whether prompting is allowed
+ *
+ * @returns {Promise<Object>} Answers keyed by question name
+ * @throws {Error} If a question has no preset answer in non-interactive mode
+ *
+ * @example
+ * // Interactive (same as inquirer.prompt)
+ * const { action } = await ask([{ type: "list", name: "action", choices }]);
+ *
+ * @example
+ * // Non-interactive
+ * const { action } = await ask(
+ *   [{ type: "list", name: "action", choices }],
+ *   { answers: { action: "use" }, interactive: false }
+ * );
+ * // Returns: { action: "use" }
+ */
+export async function ask(questions, automation) {
+  const answers = {};
+  const pending = [];
+
+  for (const question of questions) {
+    const preset = automation?.answers?.[question.name];
+    if (preset !== undefined) {
+      answers[question.name] = preset;
+    } else if (automation?.interactive === false) {
+      throw new Error(
+        `No answer provided for "${question.name}" in non-interactive mode`
+      );
+    } else {
+      pending.push(question);
+    }
+  }
+
+  if (pending.length > 0) {
+    Object.assign(answers, await inquirer.prompt(pending, answers));
+  }
+
+  return answers;
+}
@@ -0,0 +1,555 @@
+/**
+ * @file EPUB 3 exporter
+ * @module epubExporter
+ * @requires fs/promises - For reading images and writing the package
+ * @requires crypto - For the stable book identifier
+ * @requires jszip - For packaging the EPUB container
+ * @requires ./exportContent - For the exportable chapter list
+ * @requires ../../config/exportConfig - For layouts and defaults
+ * @exports {resolveEpubOptions, exportEpub}
+ *
+ * @description
+ * Packages the accepted chapters of a book as an EPUB 3 file for e-readers
+ * and tablets. Two renditions are supported:
+ * - reflowable: one document per chapter, text adapts to the screen
+ * - fixed: picture-book pages with the illustration on its own page and the
+ *   text split over pages of a fixed viewport
+ *
+ * The navigation document groups chapters by the categories of the book's
+ * curriculum (the snapshot stored in book-state.json).
+ *
+ * @functions
+ * - resolveEpubOptions: Merges and validates EPUB options
+ * - paginateParagraphs: Splits paragraphs into fixed-layout pages
+ * - renderDocument: Wraps a body in an XHTML content document
+ * - buildPages: Builds the content documents of all chapters
+ * - buildNavigation: Builds the nav document grouped by category
+ * - buildPackageDocument: Builds content.opf
+ * - exportEpub: Main EPUB export entry point
+ *
+ * @constants
+ * - STYLESHEET: string - Shared CSS for both renditions
+ * - CONTAINER_XML: string - META-INF/container.xml
+ *
+ * @flow
+ * 1. Resolve options and collect accepted chapters
+ * 2. Build title, chapter and navigation documents
+ * 3. Build the package document (metadata, manifest, spine)
+ * 4. Zip everything with the uncompressed mimetype first
+ *
+ * @error Handling
+ * - Invalid layout or language: Throws "Invalid export option"
+ * - No accepted chapters: Throws before writing anything
+ * - Unreadable images: Propagated to the caller
+ */
+
+import fs from "fs/promises";
+import crypto from "crypto";
+import JSZip from "jszip";
+import {
+  collectExportChapters,
+  escapeXml,
+  getImageMediaType,
+} from "./exportContent.js";
+import {
+  EPUB_LAYOUTS,
+  DEFAULT_EPUB_OPTIONS,
+} from "../../config/exportConfig.js";
+
+/**
+ * @constant
+ * @type {string}
+ * @description Shared CSS. Fixed-layout rules only apply to `body.fixed`.
+ * @readonly
+ */
+const STYLESHEET = `
+body { font-family: Georgia, serif; line-height: 1.5; margin: 0 5%; }
+h1 { font-family: Helvetica, Arial, sans-serif; text-align: center; }
+.title-page { text-align: center; padding-top: 30%; }
+.title-page p { font-size: 1.3em; }
+figure { margin: 1em 0; text-align: center; }
+figure img { max-width: 100%; max-height: 70vh; }
+nav ol { list-style: none; }
+body.fixed { margin: 0; overflow: hidden; }
+body.fixed .page { box-sizing: border-box; width: 100%; height: 100%; padding: 6%; }
+body.fixed .image-page { padding: 0; display: flex; align-items: center; justify-content: center; }
+body.fixed .image-page img { max-width: 100%; max-height: 100%; }
+body.fixed .text-page { font-size: 34px; }
+`.trim();
+
+/**
+ * @constant
+ * @type {string}
+ * @description OCF container file pointing to the package document
+ * @readonly
+ */
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`;
+
+/**
+ * @function resolveEpubOptions
+ * @description Merges the default options with the book's exportConfig.epub
+ * and the options for this export (later sources win), then validates them
+ *
+ * @param {Object} bookState - Current book state
+ * @param {Object} [overrides={}] - Options for this export only
+ * @param {string} [overrides.layout] - "reflowable" or "fixed"
+ * @param {string} [overrides.language] - BCP 47 language tag
+ * @param {string} [overrides.author] - Author name
+ *
+ * @returns {Object} EPUB options (see DEFAULT_EPUB_OPTIONS)
+ * @throws {Error} If the layout is unknown or the language is empty
+ *
+ * @example
+ * resolveEpubOptions(bookState, { layout: "fixed" });
+ * // Returns: { layout: "fixed", language: "en", author: "", viewport: {...}, wordsPerPage: 120 }
+ */
+export function resolveEpubOptions(bookState, overrides = {}) {
+  const definedOverrides = Object.fromEntries(
+    Object.entries(overrides).filter(([, value]) => value !== undefined)
+  );
+  const options = {
+    ...DEFAULT_EPUB_OPTIONS,
+    ...(bookState.exportConfig?.epub || {}),
+    ...definedOverrides,
+  };
+
+  const layouts = EPUB_LAYOUTS.map((layout) => layout.value);
+  if (!layouts.includes(options.layout)) {
+    throw new Error(
+      `Invalid export option: unknown EPUB layout "${options.layout}" (supported: ${layouts.join(", ")})`
+    );
+  }
+  if (!/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]+)*$/.test(options.language || "")) {
+    throw new Error(
+      `Invalid export option: "${options.language}" is not a language tag (e.g. en, es, en-GB)`
+    );
+  }
+
+  return options;
+}
+
+/**
+ * @function paginateParagraphs
+ * @private
+ * @description Splits paragraphs into fixed-layout pages of at most
+ * `wordsPerPage` words. Paragraphs longer than a page are split by sentence.
+ *
+ * @param {Array<{text: string, heading: boolean}>} paragraphs - Chapter paragraphs
+ * @param {number} wordsPerPage - Maximum words per page
+ *
+ * @returns {Array<Array<{text: string, heading: boolean}>>} Pages of paragraphs
+ *
+ * @example
+ * paginateParagraphs(chapter.paragraphs, 120);
+ * // Returns: [[{ text: '...', heading: false }], [...]]
+ */
+function paginateParagraphs(paragraphs, wordsPerPage) {
+  const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+  const pieces = paragraphs.flatMap((paragraph) => {
+    if (countWords(paragraph.text) <= wordsPerPage) return [paragraph];
+
+    const sentences = paragraph.text.match(/[^.!?]+[.!?]*["')\]]*\s*/g) || [];
+    const chunks = [""];
+    for (const sentence of sentences) {
+      const current = chunks[chunks.length - 1];
+      if (current && countWords(current + sentence) > wordsPerPage) {
+        chunks.push(sentence);
+      } else {
+        chunks[chunks.length - 1] = current + sentence;
+      }
+    }
+    return chunks.map((text) => ({ text: text.trim(), heading: false }));
+  });
+
+  const pages = [[]];
+  let words = 0;
+  for (const piece of pieces) {
+    const count = countWords(piece.text);
+    const page = pages[pages.length - 1];
+    // Headings stay on the page of the text that follows them
+    const afterHeading = page[page.length - 1]?.heading;
+    if (words > 0 && words + count > wordsPerPage && !afterHeading) {
+      pages.push([]);
+      words = 0;
+    }
+    pages[pages.length - 1].push(piece);
+    words += count;
+  }
+  return pages;
+}
+
+/**
+ * @function renderDocument
+ * @private
+ * @description Wraps a body in an XHTML content document
+ *
+ * @param {Object} params - Document parameters
+ * @param {string} params.title - Document title
+ * @param {string} params.body - Body markup (already escaped)
+ * @param {Object} params.options - Resolved EPUB options
+ * @param {string} [params.stylesheet="styles.css"] - Stylesheet href relative to the document
+ *
+ * @returns {string} XHTML document
+ *
+ * @example
+ * renderDocument({ title: 'Introduction', body: '<h1>Introduction</h1>', options });
+ */
+function renderDocument({ title, body, options, stylesheet = "styles.css" }) {
+  const fixed = options.layout === "fixed";
+  const viewport = fixed
+    ? `\n    <meta name="viewport" content="width=${options.viewport.width}, height=${options.viewport.height}"/>`
+    : "";
+  const language = escapeXml(options.language);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+  <head>
+    <meta charset="UTF-8"/>
+    <title>${escapeXml(title)}</title>${viewport}
+    <link rel="stylesheet" type="text/css" href="${stylesheet}"/>
+  </head>
+  <body${fixed ? ' class="fixed"' : ""}>
+${body}
+  </body>
+</html>
+`;
+}
+
+/**
+ * @function buildPages
+ * @private
+ * @description Builds the title page and the content documents of every
+ * chapter for the chosen layout
+ *
+ * @param {Array<Object>} chapters - Chapters from collectExportChapters
+ * @param {Object<string, {href: string}>} images - Packaged images by chapter id
+ * @param {Object} bookState - Current book state
+ * @param {Object} options - Resolved EPUB options
+ *
+ * @returns {Array<{id: string, href: string, content: string, chapterId?: string}>}
+ * Content documents in reading order
+ *
+ * @example
+ * const pages = buildPages(chapters, images, bookState, options);
+ */
+function buildPages(chapters, images, bookState, options) {
+  const protagonist = bookState.storyVariables?.characters?.protagonistName;
+  const fixed = options.layout === "fixed";
+  const paragraphMarkup = (paragraph) =>
+    paragraph.heading
+      ? `    <h2>${escapeXml(paragraph.text)}</h2>`
+      : `    <p>${escapeXml(paragraph.text)}</p>`;
+
+  const pages = [
+    {
+      id: "title-page",
+      href: "title.xhtml",
+      content: renderDocument({
+        title: bookState.title,
+        options,
+        body: [
+          `    <section class="title-page page" epub:type="titlepage">`,
+          `    <h1>${escapeXml(bookState.title)}</h1>`,
+          protagonist ? `    <p>Starring ${escapeXml(protagonist)}</p>` : "",
+          `    </section>`,
+        ]
+          .filter(Boolean)
+          .join("\n"),
+      }),
+    },
+  ];
+
+  for (const chapter of chapters) {
+    const image = images[chapter.id];
+    const imageMarkup = image
+      ? `<img src="${image.href}" alt="${escapeXml(chapter.imageAlt)}"/>`
+      : "";
+
+    if (!fixed) {
+      pages.push({
+        id: `chapter-${chapter.id}`,
+        href: `text/${chapter.id}.xhtml`,
+        chapterId: chapter.id,
+        content: renderDocument({
+          title: chapter.topic,
+          options,
+          stylesheet: "../styles.css",
+          body: [
+            `    <section epub:type="chapter">`,
+            `    <h1>${escapeXml(chapter.topic)}</h1>`,
+            imageMarkup
+              ? `    <figure>${imageMarkup.replace("images/", "../images/")}</figure>`
+              : "",
+            ...chapter.paragraphs.map(paragraphMarkup),
+            `    </section>`,
+          ]
+            .filter(Boolean)
+            .join("\n"),
+        }),
+      });
+      continue;
+    }
+
+    if (image) {
+      pages.push({
+        id: `chapter-${chapter.id}-image`,
+        href: `text/${chapter.id}-image.xhtml`,
+        chapterId: chapter.id,
+        content: renderDocument({
+          title: chapter.topic,
+          options,
+          stylesheet: "../styles.css",
+          body: `    <div class="page image-page">${imageMarkup.replace("images/", "../images/")}</div>`,
+        }),
+      });
+    }
+
+    paginateParagraphs(chapter.paragraphs, options.wordsPerPage).forEach(
+      (pageParagraphs, index) => {
+        pages.push({
+          id: `chapter-${chapter.id}-${index + 1}`,
+          href: `text/${chapter.id}-${index + 1}.xhtml`,
+          chapterId: chapter.id,
+          content: renderDocument({
+            title: chapter.topic,
+            options,
+            stylesheet: "../styles.css",
+            body: [
+              `    <section class="page text-page" epub:type="chapter">`,
+              index === 0 ? `    <h1>${escapeXml(chapter.topic)}</h1>` : "",
+              ...pageParagraphs.map(paragraphMarkup),
+              `    </section>`,
+            ]
+              .filter(Boolean)
+              .join("\n"),
+          }),
+        });
+      }
+    );
+  }
+
+  return pages;
+}
+
+/**
+ * @function buildNavigation
+ * @private
+ * @description Builds the navigation document. Chapters that belong to a
+ * category of the book's curriculum are grouped under it; the introduction
+ * and conclusion stay at the top level.
+ *
+ * @param {Array<Object>} chapters - Chapters from collectExportChapters
+ * @param {Array<Object>} pages - Content documents from buildPages
+ * @param {Array<Object>} categories - Categories of the book's curriculum
+ * @param {Object} options - Resolved EPUB options
+ *
+ * @returns {string} nav.xhtml document
+ *
+ * @example
+ * const nav = buildNavigation(chapters, pages, bookState.curriculum?.content ?? [], options);
+ */
+function buildNavigation(chapters, pages, categories, options) {
+  const firstPageOf = (chapterId) =>
+    pages.find((page) => page.chapterId === chapterId).href;
+  const link = (chapter) =>
+    `<a href="${firstPageOf(chapter.id)}">${escapeXml(chapter.topic)}</a>`;
+
+  const items = [];
+  for (const chapter of chapters) {
+    const category = categories.find((lesson) =>
+      chapter.id.startsWith(`${lesson.id}_`)
+    );
+    const last = items[items.length - 1];
+    if (!category) {
+      items.push({ chapter });
+    } else if (last?.category === category) {
+      last.chapters.push(chapter);
+    } else {
+      items.push({ category, chapters: [chapter] });
+    }
+  }
+
+  const list = items
+    .map((item) => {
+      if (!item.category) return `        <li>${link(item.chapter)}</li>`;
+      return [
+        `        <li><a href="${firstPageOf(item.chapters[0].id)}">${escapeXml(item.category.title)}</a>`,
+        `          <ol>`,
+        ...item.chapters.map(
+          (chapter) => `            <li>${link(chapter)}</li>`
+        ),
+        `          </ol>`,
+        `        </li>`,
+      ].join("\n");
+    })
+    .join("\n");
+
+  return renderDocument({
+    title: "Contents",
+    // The navigation document is never shown as a fixed page
+    options: { ...options, layout: "reflowable" },
+    body: `    <nav epub:type="toc" id="toc">
+      <h1>Contents</h1>
+      <ol>
+${list}
+      </ol>
+    </nav>
+    <nav epub:type="landmarks" hidden="hidden">
+      <ol>
+        <li><a epub:type="titlepage" href="title.xhtml">Title Page</a></li>
+        <li><a epub:type="bodymatter" href="${firstPageOf(chapters[0].id)}">Start of Content</a></li>
+      </ol>
+    </nav>`,
+  });
+}
+
+/**
+ * @function buildPackageDocument
+ * @private
+ * @description Builds the package document with metadata, manifest and spine
+ *
+ * @param {Object} bookState - Current book state
+ * @param {Array<Object>} pages - Content documents from buildPages
+ * @param {Array<{id: string, href: string, mediaType: string}>} imageItems - Packaged images
+ * @param {Object} options - Resolved EPUB options
+ *
+ * @returns {string} content.opf document
+ *
+ * @example
+ * const opf = buildPackageDocument(bookState, pages, imageItems, options);
+ */
+function buildPackageDocument(bookState, pages, imageItems, options) {
+  // Stable identifier so re-exports are recognised as the same book
+  const hash = crypto
+    .createHash("md5")
+    .update(`${bookState.title}|${bookState.createdAt}`)
+    .digest("hex");
+  const uuid = `${hash.slice(0, 8)}-${hash.slice(8, 12)}-${hash.slice(12, 16)}-${hash.slice(16, 20)}-${hash.slice(20, 32)}`;
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+  const protagonist = bookState.storyVariables?.characters?.protagonistName;
+  const fixed = options.layout === "fixed";
+
+  const metadata = [
+    `    <dc:identifier id="book-id">urn:uuid:${uuid}</dc:identifier>`,
+    `    <dc:title>${escapeXml(bookState.title)}</dc:title>`,
+    `    <dc:language>${escapeXml(options.language)}</dc:language>`,
+    options.author
+      ? `    <dc:creator id="creator">${escapeXml(options.author)}</dc:creator>`
+      : "",
+    protagonist ? `    <dc:subject>${escapeXml(protagonist)}</dc:subject>` : "",
+    bookState.createdAt
+      ? `    <dc:date>${escapeXml(bookState.createdAt)}</dc:date>`
+      : "",
+    `    <meta property="dcterms:modified">${modified}</meta>`,
+    fixed ? `    <meta property="rendition:layout">pre-paginated</meta>` : "",
+    fixed ? `    <meta property="rendition:spread">none</meta>` : "",
+    imageItems.length > 0
+      ? `    <meta name="cover" content="${imageItems[0].id}"/>`
+      : "",
+  ].filter(Boolean);
+
+  const manifest = [
+    `    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>`,
+    `    <item id="css" href="styles.css" media-type="text/css"/>`,
+    ...pages.map(
+      (page) =>
+        `    <item id="${page.id}" href="${page.href}" media-type="application/xhtml+xml"/>`
+    ),
+    ...imageItems.map(
+      (image, index) =>
+        `    <item id="${image.id}" href="${image.href}" media-type="${image.mediaType}"${index === 0 ? ' properties="cover-image"' : ""}/>`
+    ),
+  ];
+
+  const spine = pages.map((page) => `    <itemref idref="${page.id}"/>`);
+  if (!fixed) spine.splice(1, 0, `    <itemref idref="nav"/>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(options.language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadata.join("\n")}
+  </metadata>
+  <manifest>
+${manifest.join("\n")}
+  </manifest>
+  <spine>
+${spine.join("\n")}
+  </spine>
+</package>
+`;
+}
+
+/**
+ * @function exportEpub
+ * @async
+ * @description Exports the accepted chapters of a book as an EPUB 3 file
+ *
+ * @param {string} bookPath - Path to the book directory
+ * @param {Object} bookState - Current book state
+ * @param {string} outputPath - Destination file
+ * @param {Object} [overrides={}] - Options for this export (see resolveEpubOptions)
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If options are invalid, no chapter is accepted, or writing fails
+ *
+ * @example
+ * await exportEpub('/books/my-book', bookState, '/books/my-book/exports/my-book.epub', {
+ *   layout: 'fixed',
+ *   author: 'The Simpson Family'
+ * });
+ */
+export async function exportEpub(bookPath, bookState, outputPath, overrides) {
+  const options = resolveEpubOptions(bookState, overrides);
+  const chapters = await collectExportChapters(bookPath, bookState);
+  if (chapters.length === 0) {
+    throw new Error("No accepted chapters to export");
+  }
+
+  const zip = new JSZip();
+  // The mimetype must be the first entry and stored uncompressed
+  zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
+  zip.file("META-INF/container.xml", CONTAINER_XML);
+
+  const images = {};
+  const imageItems = [];
+  for (const chapter of chapters) {
+    if (!chapter.imagePath) continue;
+    const data = await fs.readFile(chapter.imagePath);
+    const { mediaType, extension } = getImageMediaType(data);
+    const href = `images/${chapter.id}.${extension}`;
+    zip.file(`OEBPS/${href}`, data);
+    images[chapter.id] = { href };
+    imageItems.push({ id: `image-${chapter.id}`, href, mediaType });
+  }
+
+  const pages = buildPages(chapters, images, bookState, options);
+  pages.forEach((page) => zip.file(`OEBPS/${page.href}`, page.content));
+  zip.file(
+    "OEBPS/nav.xhtml",
+    buildNavigation(
+      chapters,
+      pages,
+      bookState.curriculum?.content ?? [],
+      options
+    )
+  );
+  zip.file("OEBPS/styles.css", STYLESHEET);
+  zip.file(
+    "OEBPS/content.opf",
+    buildPackageDocument(bookState, pages, imageItems, options)
+  );
+
+  const buffer = await zip.generateAsync({
+    type: "nodebuffer",
+    mimeType: "application/epub+zip",
+    compression: "DEFLATE",
+  });
+  await fs.writeFile(outputPath, buffer);
+}
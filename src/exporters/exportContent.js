@@ -0,0 +1,203 @@
+/**
+ * @file Shared content helpers for book exporters
+ * @module exportContent
+ * @requires fs/promises - For checking image files
+ * @requires path - For path manipulation
+ * @exports {collectExportChapters, toParagraphs, describeImage, escapeXml, getImageMediaType}
+ *
+ * @description
+ * Turns the chapters in book-state.json into the plain structure every
+ * exporter lays out: accepted text split into paragraphs and the accepted
+ * illustration with a text description, if its file is still on disk.
+ *
+ * @functions
+ * - resolveImagePath: Finds the accepted image file of a chapter
+ * - toParagraphs: Splits chapter markdown into plain paragraphs
+ * - describeImage: Builds alt text for a chapter illustration
+ * - collectExportChapters: Builds the exportable chapter list
+ * - escapeXml: Escapes text for HTML/XHTML/XML
+ * - getImageMediaType: Detects an image's media type
+ *
+ * @flow
+ * 1. Keep only accepted chapters with text
+ * 2. Locate each chapter's accepted image
+ * 3. Split text into paragraphs without markdown markup
+ *
+ * @error Handling
+ * - Missing image files: The chapter is exported without illustration
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * @function resolveImagePath
+ * @async
+ * @private
+ * @description Finds the accepted image of a chapter. Falls back to the
+ * book's images folder when the stored path is stale (e.g. the book folder
+ * was moved).
+ *
+ * @param {string} bookPath - Path to the book directory
+ * @param {Object} chapter - Chapter from the book state
+ *
+ * @returns {Promise<string|null>} Absolute image path, or null if there is none
+ *
+ * @example
+ * await resolveImagePath('/books/my-book', chapter);
+ * // Returns: '/books/my-book/images/chapter_introduction_image.png'
+ */
+async function resolveImagePath(bookPath, chapter) {
+  const image = chapter.image;
+  if (image?.status !== "accepted" || !image.localPath) return null;
+
+  const candidates = [
+    path.resolve(bookPath, image.localPath),
+    path.join(bookPath, "images", path.basename(image.localPath)),
+  ];
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      // Try the next location
+    }
+  }
+  return null;
+}
+
+/**
+ * @function toParagraphs
+ * @description Splits chapter text into paragraphs and removes markdown
+ * markup (headings, emphasis, quotes) that print layouts cannot show
+ *
+ * @param {string} text - Chapter text as stored in the book state
+ *
+ * @returns {Array<{text: string, heading: boolean}>} Paragraphs in order
+ *
+ * @example
+ * toParagraphs("## A new day\n\nBart woke up **early**.");
+ * // Returns: [
+ * //   { text: "A new day", heading: true },
+ * //   { text: "Bart woke up early.", heading: false }
+ * // ]
+ */
+export function toParagraphs(text) {
+  return (text || "")
+    .split(/\n\s*\n/)
+    .map((block) => {
+      const heading = /^\s*#{1,6}\s/.test(block);
+      const plain = block
+        .split("\n")
+        .map((line) => line.replace(/^\s*(#{1,6}|>)\s*/, "").trim())
+        .join(" ")
+        .replace(/(\*\*|__)(.+?)\1/g, "$2")
+        .replace(/(\*|_)(\S.*?)\1/g, "$2")
+        .trim();
+      return { text: plain, heading };
+    })
+    .filter((paragraph) => paragraph.text);
+}
+
+/**
+ * @function describeImage
+ * @description Builds alt text for a chapter illustration from the scene it
+ * shows, falling back to the protagonist and chapter topic
+ *
+ * @param {Object} chapter - Chapter from the book state
+ * @param {Object} bookState - Current book state
+ *
+ * @returns {string} Alt text
+ *
+ * @example
+ * describeImage({ topic: "Saving Money", image: {} }, bookState);
+ * // Returns: 'Illustration of Bart Simpson for "Saving Money"'
+ */
+export function describeImage(chapter, bookState) {
+  if (chapter.image?.sceneSummary) return chapter.image.sceneSummary;
+
+  const protagonist = bookState.storyVariables?.characters?.protagonistName;
+  return protagonist
+    ? `Illustration of ${protagonist} for "${chapter.topic}"`
+    : `Illustration for "${chapter.topic}"`;
+}
+
+/**
+ * @function collectExportChapters
+ * @async
+ * @description Builds the list of chapters to export: accepted chapters with
+ * text, in book order, with their paragraphs and illustration
+ *
+ * @param {string} bookPath - Path to the book directory
+ * @param {Object} bookState - Current book state
+ *
+ * @returns {Promise<Array<{
+ *   id: string,
+ *   topic: string,
+ *   paragraphs: Array<{text: string, heading: boolean}>,
+ *   imagePath: string|null,
+ *   imageAlt: string
+ * }>>} Exportable chapters
+ *
+ * @example
+ * const chapters = await collectExportChapters('/books/my-book', bookState);
+ * // Returns: [{ id: 'introduction', topic: 'Introduction', paragraphs: [...], imagePath: '...' }]
+ */
+export async function collectExportChapters(bookPath, bookState) {
+  const chapters = [];
+  for (const chapter of bookState.chapters) {
+    if (chapter.status !== "accepted" || !chapter.text) continue;
+    chapters.push({
+      id: chapter.id,
+      topic: chapter.topic,
+      paragraphs: toParagraphs(chapter.text),
+      imagePath: await resolveImagePath(bookPath, chapter),
+      imageAlt: describeImage(chapter, bookState),
+    });
+  }
+  return chapters;
+}
+
+/**
+ * @function escapeXml
+ * @description Escapes text for use in HTML/XHTML/XML content and attributes
+ *
+ * @param {string} text - Raw text
+ *
+ * @returns {string} Escaped text
+ *
+ * @example
+ * escapeXml('Bart & "Lisa"');
+ * // Returns: 'Bart &amp; &quot;Lisa&quot;'
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * @function getImageMediaType
+ * @description Detects an image's media type and extension from its first
+ * bytes (providers do not always return PNGs)
+ *
+ * @param {Buffer} data - Image contents
+ *
+ * @returns {{mediaType: string, extension: string}} Media type and extension
+ *
+ * @example
+ * getImageMediaType(await fs.readFile('image.png'));
+ * // Returns: { mediaType: 'image/png', extension: 'png' }
+ */
+export function getImageMediaType(data) {
+  if (data[0] === 0xff && data[1] === 0xd8) {
+    return { mediaType: "image/jpeg", extension: "jpg" };
+  }
+  if (data.toString("ascii", 8, 12) === "WEBP") {
+    return { mediaType: "image/webp", extension: "webp" };
+  }
+  return { mediaType: "image/png", extension: "png" };
+}
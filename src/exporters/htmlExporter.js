@@ -0,0 +1,410 @@
+/**
+ * @file Static HTML picture-book site exporter
+ * @module htmlExporter
+ * @requires fs/promises - For writing the site and copying images
+ * @requires path - For path manipulation
+ * @requires ./exportContent - For the exportable chapter list
+ * @requires ../../config/exportConfig - For themes and defaults
+ * @exports {resolveHtmlOptions, exportHtml}
+ *
+ * @description
+ * Builds a self-contained static site from book-state.json: a cover page
+ * with the contents and one page per accepted chapter, with keyboard and
+ * swipe navigation between pages. Images are copied next to the pages and
+ * all links are relative, so the folder can be opened from disk or hosted
+ * anywhere. Colors and fonts follow the book's illustration style.
+ *
+ * @functions
+ * - resolveHtmlOptions: Merges and validates site options
+ * - buildStylesheet: Builds style.css from a theme
+ * - renderPage: Wraps page content in an HTML document
+ * - renderIndexPage: Builds the cover and contents page
+ * - renderChapterPage: Builds a chapter page
+ * - exportHtml: Main HTML export entry point
+ *
+ * @constants
+ * - READER_SCRIPT: string - Keyboard and swipe navigation
+ *
+ * @flow
+ * 1. Resolve options and the theme for the illustration style
+ * 2. Copy accepted images into the site's images folder
+ * 3. Write the index, chapter pages, stylesheet and script
+ *
+ * @error Handling
+ * - Invalid language: Throws "Invalid export option"
+ * - No accepted chapters: Throws before writing anything
+ * - File system errors: Propagated to the caller
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import {
+  collectExportChapters,
+  escapeXml,
+  getImageMediaType,
+} from "./exportContent.js";
+import {
+  HTML_THEMES,
+  HTML_STYLE_THEMES,
+  DEFAULT_HTML_OPTIONS,
+} from "../../config/exportConfig.js";
+
+/**
+ * @constant
+ * @type {string}
+ * @description Keyboard (arrows, Page Up/Down, Escape) and swipe navigation.
+ * Reads the targets from the page's rel=prev/next/index links.
+ * @readonly
+ */
+const READER_SCRIPT = `(function () {
+  function go(rel) {
+    var link = document.querySelector('link[rel="' + rel + '"]');
+    if (link) window.location.href = link.getAttribute("href");
+  }
+
+  document.addEventListener("keydown", function (event) {
+    if (event.altKey || event.ctrlKey || event.metaKey) return;
+    if (event.key === "ArrowRight" || event.key === "PageDown") go("next");
+    if (event.key === "ArrowLeft" || event.key === "PageUp") go("prev");
+    if (event.key === "Escape" || event.key === "Home") go("index");
+  });
+
+  var startX = null;
+  var startY = null;
+  document.addEventListener(
+    "touchstart",
+    function (event) {
+      if (event.touches.length !== 1) return;
+      startX = event.touches[0].clientX;
+      startY = event.touches[0].clientY;
+    },
+    { passive: true }
+  );
+  document.addEventListener(
+    "touchend",
+    function (event) {
+      if (startX === null) return;
+      var dx = event.changedTouches[0].clientX - startX;
+      var dy = event.changedTouches[0].clientY - startY;
+      startX = null;
+      // Horizontal swipes only, so scrolling the text still works
+      if (Math.abs(dx) > 60 && Math.abs(dx) > Math.abs(dy) * 1.5) {
+        go(dx < 0 ? "next" : "prev");
+      }
+    },
+    { passive: true }
+  );
+})();
+`;
+
+/**
+ * @function resolveHtmlOptions
+ * @description Merges the default options with the book's exportConfig.html
+ * and the options for this export (later sources win), then validates them.
+ * The style falls back to the book's illustration style.
+ *
+ * @param {Object} bookState - Current book state
+ * @param {Object} [overrides={}] - Options for this export only
+ * @param {string} [overrides.language] - BCP 47 language tag
+ * @param {string} [overrides.style] - Illustration style for the theme
+ *
+ * @returns {{language: string, style: string, theme: Object}} Site options
+ * with the resolved theme
+ * @throws {Error} If the language is not a language tag
+ *
+ * @example
+ * resolveHtmlOptions({ imageConfig: { imageStyle: "watercolor" } });
+ * // Returns: { language: "en", style: "watercolor", theme: { background: "#f7f4ef", ... } }
+ */
+export function resolveHtmlOptions(bookState, overrides = {}) {
+  const definedOverrides = Object.fromEntries(
+    Object.entries(overrides).filter(([, value]) => value !== undefined)
+  );
+  const options = {
+    ...DEFAULT_HTML_OPTIONS,
+    ...(bookState.exportConfig?.html || {}),
+    ...definedOverrides,
+  };
+
+  if (!/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]+)*$/.test(options.language || "")) {
+    throw new Error(
+      `Invalid export option: "${options.language}" is not a language tag (e.g. en, es, en-GB)`
+    );
+  }
+
+  options.style =
+    options.style || bookState.imageConfig?.imageStyle || "storybook";
+  options.theme = HTML_THEMES[HTML_STYLE_THEMES[options.style] || "classic"];
+  return options;
+}
+
+/**
+ * @function buildStylesheet
+ * @private
+ * @description Builds the site's stylesheet from a theme
+ *
+ * @param {Object} theme - Entry of HTML_THEMES
+ *
+ * @returns {string} CSS
+ *
+ * @example
+ * buildStylesheet(HTML_THEMES.classic);
+ */
+function buildStylesheet(theme) {
+  return `:root {
+  --background: ${theme.background};
+  --text: ${theme.text};
+  --accent: ${theme.accent};
+  --heading-font: ${theme.headingFont};
+  --body-font: ${theme.bodyFont};
+}
+* { box-sizing: border-box; }
+body {
+  margin: 0;
+  background: var(--background);
+  color: var(--text);
+  font-family: var(--body-font);
+  font-size: 1.25rem;
+  line-height: 1.6;
+}
+h1, h2 { font-family: var(--heading-font); color: var(--accent); line-height: 1.2; }
+a { color: var(--accent); }
+.site-header {
+  display: flex;
+  justify-content: space-between;
+  padding: 0.75rem 1.25rem;
+  font-family: var(--heading-font);
+  font-size: 1rem;
+}
+.site-header a { text-decoration: none; }
+main { max-width: 44rem; margin: 0 auto; padding: 0 1.25rem 6rem; }
+.cover { text-align: center; padding-top: 12vh; }
+.cover h1 { font-size: 3rem; margin-bottom: 0.5rem; }
+.cover .starring { font-size: 1.5rem; margin-top: 0; }
+.contents { text-align: left; margin: 3rem auto 0; max-width: 28rem; }
+.contents ol { padding-left: 1.5rem; }
+.contents li { margin: 0.4rem 0; }
+.start {
+  display: inline-block;
+  margin-top: 2rem;
+  padding: 0.75rem 2rem;
+  border-radius: 2rem;
+  background: var(--accent);
+  color: var(--background);
+  font-family: var(--heading-font);
+  text-decoration: none;
+}
+.chapter h1 { text-align: center; font-size: 2.25rem; }
+figure { margin: 1.5rem 0; text-align: center; }
+figure img { max-width: 100%; max-height: 70vh; border-radius: 0.75rem; }
+.pager {
+  position: fixed;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  display: flex;
+  justify-content: space-between;
+  padding: 0.75rem 1.25rem;
+  background: var(--background);
+  font-family: var(--heading-font);
+}
+.pager a { text-decoration: none; }
+.hint { text-align: center; font-size: 0.9rem; opacity: 0.7; }
+`;
+}
+
+/**
+ * @function renderPage
+ * @private
+ * @description Wraps page content in an HTML document with the navigation
+ * links read by the reader script
+ *
+ * @param {Object} params - Page parameters
+ * @param {string} params.title - Document title (unescaped)
+ * @param {string} params.body - Body markup (already escaped)
+ * @param {string} params.language - Language tag
+ * @param {{prev?: string, next?: string}} params.links - Neighbouring pages
+ *
+ * @returns {string} HTML document
+ *
+ * @example
+ * renderPage({ title: 'My Book', body: '<main>...</main>', language: 'en', links: { next: 'introduction.html' } });
+ */
+function renderPage({ title, body, language, links }) {
+  const linkTags = [
+    `    <link rel="index" href="index.html">`,
+    links.prev ? `    <link rel="prev" href="${links.prev}">` : "",
+    links.next ? `    <link rel="next" href="${links.next}">` : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="${escapeXml(language)}">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeXml(title)}</title>
+    <link rel="stylesheet" href="style.css">
+${linkTags}
+  </head>
+  <body>
+${body}
+    <script src="reader.js"></script>
+  </body>
+</html>
+`;
+}
+
+/**
+ * @function renderIndexPage
+ * @private
+ * @description Builds the cover page with the title, protagonist and contents
+ *
+ * @param {Object} bookState - Current book state
+ * @param {Array<Object>} chapters - Chapters from collectExportChapters
+ * @param {Object} options - Resolved site options
+ *
+ * @returns {string} index.html document
+ *
+ * @example
+ * const html = renderIndexPage(bookState, chapters, options);
+ */
+function renderIndexPage(bookState, chapters, options) {
+  const protagonist = bookState.storyVariables?.characters?.protagonistName;
+  const contents = chapters
+    .map(
+      (chapter) =>
+        `          <li><a href="${chapter.id}.html">${escapeXml(chapter.topic)}</a></li>`
+    )
+    .join("\n");
+
+  return renderPage({
+    title: bookState.title,
+    language: options.language,
+    links: { next: `${chapters[0].id}.html` },
+    body: `    <main class="cover">
+      <h1>${escapeXml(bookState.title)}</h1>
+${protagonist ? `      <p class="starring">Starring ${escapeXml(protagonist)}</p>\n` : ""}      <a class="start" href="${chapters[0].id}.html">Start reading</a>
+      <p class="hint">Use the arrow keys or swipe to turn the pages.</p>
+      <nav class="contents">
+        <h2>Contents</h2>
+        <ol>
+${contents}
+        </ol>
+      </nav>
+    </main>`,
+  });
+}
+
+/**
+ * @function renderChapterPage
+ * @private
+ * @description Builds a chapter page with its illustration, text and links
+ * to the neighbouring pages
+ *
+ * @param {Object} bookState - Current book state
+ * @param {Array<Object>} chapters - Chapters from collectExportChapters
+ * @param {number} index - Position of the chapter in `chapters`
+ * @param {string|null} imageHref - Relative image path, or null
+ * @param {Object} options - Resolved site options
+ *
+ * @returns {string} Chapter HTML document
+ *
+ * @example
+ * const html = renderChapterPage(bookState, chapters, 0, 'images/introduction.png', options);
+ */
+function renderChapterPage(bookState, chapters, index, imageHref, options) {
+  const chapter = chapters[index];
+  const prev = index > 0 ? `${chapters[index - 1].id}.html` : "index.html";
+  const next =
+    index < chapters.length - 1 ? `${chapters[index + 1].id}.html` : null;
+
+  const figure = imageHref
+    ? `      <figure><img src="${imageHref}" alt="${escapeXml(chapter.imageAlt)}"></figure>\n`
+    : "";
+  const paragraphs = chapter.paragraphs
+    .map((paragraph) =>
+      paragraph.heading
+        ? `      <h2>${escapeXml(paragraph.text)}</h2>`
+        : `      <p>${escapeXml(paragraph.text)}</p>`
+    )
+    .join("\n");
+
+  return renderPage({
+    title: `${chapter.topic} - ${bookState.title}`,
+    language: options.language,
+    links: { prev, next },
+    body: `    <header class="site-header">
+      <a href="index.html">${escapeXml(bookState.title)}</a>
+      <span>${index + 1} / ${chapters.length}</span>
+    </header>
+    <main class="chapter">
+      <h1>${escapeXml(chapter.topic)}</h1>
+${figure}${paragraphs}
+    </main>
+    <nav class="pager">
+      <a href="${prev}" rel="prev">&larr; Previous</a>
+      ${next ? `<a href="${next}" rel="next">Next &rarr;</a>` : `<a href="index.html">The End</a>`}
+    </nav>`,
+  });
+}
+
+/**
+ * @function exportHtml
+ * @async
+ * @description Exports the accepted chapters of a book as a static site
+ *
+ * @param {string} bookPath - Path to the book directory
+ * @param {Object} bookState - Current book state
+ * @param {string} outputDir - Destination folder (created if missing)
+ * @param {Object} [overrides={}] - Options for this export (see resolveHtmlOptions)
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If options are invalid, no chapter is accepted, or writing fails
+ *
+ * @example
+ * await exportHtml('/books/my-book', bookState, '/books/my-book/exports/my-book-html');
+ * // Open /books/my-book/exports/my-book-html/index.html in a browser
+ */
+export async function exportHtml(bookPath, bookState, outputDir, overrides) {
+  const options = resolveHtmlOptions(bookState, overrides);
+  const chapters = await collectExportChapters(bookPath, bookState);
+  if (chapters.length === 0) {
+    throw new Error("No accepted chapters to export");
+  }
+
+  await fs.mkdir(path.join(outputDir, "images"), { recursive: true });
+
+  const imageHrefs = {};
+  for (const chapter of chapters) {
+    if (!chapter.imagePath) continue;
+    const data = await fs.readFile(chapter.imagePath);
+    const { extension } = getImageMediaType(data);
+    imageHrefs[chapter.id] = `images/${chapter.id}.${extension}`;
+    await fs.writeFile(path.join(outputDir, imageHrefs[chapter.id]), data);
+  }
+
+  await fs.writeFile(
+    path.join(outputDir, "index.html"),
+    renderIndexPage(bookState, chapters, options)
+  );
+  for (let index = 0; index < chapters.length; index++) {
+    const chapter = chapters[index];
+    await fs.writeFile(
+      path.join(outputDir, `${chapter.id}.html`),
+      renderChapterPage(
+        bookState,
+        chapters,
+        index,
+        imageHrefs[chapter.id] || null,
+        options
+      )
+    );
+  }
+  await fs.writeFile(
+    path.join(outputDir, "style.css"),
+    buildStylesheet(options.theme)
+  );
+  await fs.writeFile(path.join(outputDir, "reader.js"), READER_SCRIPT);
+}
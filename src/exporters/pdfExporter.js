@@ -0,0 +1,427 @@
+/**
+ * @file PDF picture-book exporter
+ * @module pdfExporter
+ * @requires fs - For the output stream
+ * @requires fs/promises - For checking illustrations and removing failed output
+ * @requires stream/promises - For waiting on the output stream
+ * @requires pdfkit - For PDF generation
+ * @requires ./exportContent - For the exportable chapter list and image types
+ * @requires ../../config/exportConfig - For trim sizes, fonts and defaults
+ * @exports {resolvePdfOptions, exportPdf}
+ *
+ * @description
+ * Lays out the accepted chapters of a book into a paginated, printable PDF:
+ * a title page, a table of contents with page numbers and links, and one
+ * chapter per section with its illustration above the text.
+ *
+ * @functions
+ * - resolvePdfOptions: Merges and validates layout options
+ * - checkIllustrations: Rejects illustrations PDFKit cannot embed
+ * - renderTitlePage: Draws the title page
+ * - renderChapter: Draws a chapter (heading, illustration, text)
+ * - renderTableOfContents: Fills the reserved contents pages
+ * - renderPageNumbers: Adds page numbers to chapter pages
+ * - renderDocument: Draws every page
+ * - exportPdf: Main PDF export entry point
+ *
+ * @flow
+ * 1. Resolve layout options (defaults, book exportConfig, run options) and
+ *    check the illustrations, before the output file is opened
+ * 2. Draw the title page and reserve pages for the contents
+ * 3. Draw every accepted chapter, recording its first page
+ * 4. Fill in the contents and page numbers
+ * 5. Write the file
+ *
+ * @error Handling
+ * - Invalid trim size or margin: Throws "Invalid export option"
+ * - No accepted chapters: Throws before writing anything
+ * - Illustrations other than PNG and JPEG (e.g. WebP): Throws naming the
+ *   chapter, before anything is written
+ * - Unreadable illustrations: Throws naming the chapter; the partly written
+ *   file is removed
+ */
+
+import { createWriteStream } from "fs";
+import fs from "fs/promises";
+import { finished } from "stream/promises";
+import PDFDocument from "pdfkit";
+import { collectExportChapters, getImageMediaType } from "./exportContent.js";
+import {
+  PDF_TRIM_SIZES,
+  PDF_FONTS,
+  DEFAULT_PDF_OPTIONS,
+} from "../../config/exportConfig.js";
+
+const POINTS_PER_INCH = 72;
+
+// Image types PDFKit can embed
+const PDF_IMAGE_TYPES = ["image/png", "image/jpeg"];
+
+/**
+ * @function resolvePdfOptions
+ * @description Merges the default layout with the book's exportConfig.pdf and
+ * the options for this export (later sources win), then validates it
+ *
+ * @param {Object} bookState - Current book state
+ * @param {Object} [overrides={}] - Options for this export only
+ * @param {string} [overrides.trimSize] - Key of PDF_TRIM_SIZES
+ * @param {number} [overrides.margin] - Margin in inches
+ *
+ * @returns {{trimSize: string, margin: number, fontSize: number, imageMaxHeight: number}} Layout options
+ * @throws {Error} If the trim size is unknown or the margin does not fit the page
+ *
+ * @example
+ * resolvePdfOptions(bookState, { trimSize: "8x10" });
+ * // Returns: { trimSize: "8x10", margin: 0.5, fontSize: 14, imageMaxHeight: 0.6 }
+ */
+export function resolvePdfOptions(bookState, overrides = {}) {
+  const definedOverrides = Object.fromEntries(
+    Object.entries(overrides).filter(([, value]) => value !== undefined)
+  );
+  const options = {
+    ...DEFAULT_PDF_OPTIONS,
+    ...(bookState.exportConfig?.pdf || {}),
+    ...definedOverrides,
+  };
+
+  const size = PDF_TRIM_SIZES[options.trimSize];
+  if (!size) {
+    throw new Error(
+      `Invalid export option: unknown trim size "${options.trimSize}" (supported: ${Object.keys(PDF_TRIM_SIZES).join(", ")})`
+    );
+  }
+
+  options.margin = Number(options.margin);
+  const maxMargin = Math.min(size.width, size.height) / 4 / POINTS_PER_INCH;
+  if (!(options.margin >= 0 && options.margin <= maxMargin)) {
+    throw new Error(
+      `Invalid export option: margin must be between 0 and ${maxMargin.toFixed(2)} inches for ${options.trimSize}`
+    );
+  }
+
+  return options;
+}
+
+/**
+ * @function checkIllustrations
+ * @async
+ * @private
+ * @description Checks that every illustration is a PNG or JPEG, the only
+ * formats PDFKit can embed, so an export fails before its file is opened
+ *
+ * @param {Array<Object>} chapters - Chapters from collectExportChapters
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If an illustration has another format
+ *
+ * @example
+ * await checkIllustrations(chapters);
+ */
+async function checkIllustrations(chapters) {
+  for (const chapter of chapters) {
+    if (!chapter.imagePath) continue;
+    const { mediaType } = getImageMediaType(
+      await fs.readFile(chapter.imagePath)
+    );
+    if (!PDF_IMAGE_TYPES.includes(mediaType)) {
+      throw new Error(
+        `Cannot add the illustration of ${chapter.id} to a PDF: it is ${mediaType}, and PDF export supports PNG and JPEG only. Regenerate or convert it, or export another format.`
+      );
+    }
+  }
+}
+
+/**
+ * @function renderTitlePage
+ * @private
+ * @description Draws the title and protagonist, vertically centered
+ *
+ * @param {PDFDocument} doc - Document positioned on an empty page
+ * @param {Object} bookState - Current book state
+ *
+ * @returns {void}
+ *
+ * @example
+ * renderTitlePage(doc, bookState);
+ */
+function renderTitlePage(doc, bookState) {
+  const { margins } = doc.page;
+  const width = doc.page.width - margins.left - margins.right;
+  const protagonist = bookState.storyVariables?.characters?.protagonistName;
+
+  doc.y = doc.page.height * 0.35;
+  doc
+    .font(PDF_FONTS.title)
+    .fontSize(32)
+    .text(bookState.title, margins.left, doc.y, { width, align: "center" });
+
+  if (protagonist) {
+    doc
+      .moveDown(1)
+      .font(PDF_FONTS.caption)
+      .fontSize(18)
+      .text(`Starring ${protagonist}`, { width, align: "center" });
+  }
+}
+
+/**
+ * @function renderChapter
+ * @private
+ * @description Draws a chapter starting on the current page: heading,
+ * illustration and flowing text (continues on new pages as needed)
+ *
+ * @param {PDFDocument} doc - Document positioned on an empty page
+ * @param {Object} chapter - Chapter from collectExportChapters
+ * @param {Object} options - Resolved layout options
+ *
+ * @returns {void}
+ * @throws {Error} If the illustration cannot be read
+ *
+ * @example
+ * renderChapter(doc, chapter, options);
+ */
+function renderChapter(doc, chapter, options) {
+  const { margins } = doc.page;
+  const width = doc.page.width - margins.left - margins.right;
+  const height = doc.page.height - margins.top - margins.bottom;
+
+  doc.addNamedDestination(chapter.id);
+  doc
+    .font(PDF_FONTS.heading)
+    .fontSize(options.fontSize * 1.6)
+    .text(chapter.topic, { width, align: "center" })
+    .moveDown(0.5);
+
+  if (chapter.imagePath) {
+    try {
+      doc.image(chapter.imagePath, margins.left, doc.y, {
+        fit: [width, height * options.imageMaxHeight],
+        align: "center",
+      });
+    } catch (error) {
+      throw new Error(
+        `Failed to add the illustration of ${chapter.id}: ${error.message}`
+      );
+    }
+    // doc.image advances doc.y by the fitted image height
+    doc.moveDown(0.5);
+  }
+
+  chapter.paragraphs.forEach((paragraph) => {
+    doc
+      .font(paragraph.heading ? PDF_FONTS.heading : PDF_FONTS.body)
+      .fontSize(options.fontSize)
+      .text(paragraph.text, margins.left, doc.y, {
+        width,
+        lineGap: options.fontSize * 0.3,
+        paragraphGap: options.fontSize * 0.6,
+      });
+  });
+}
+
+/**
+ * @function renderTableOfContents
+ * @private
+ * @description Fills the reserved contents pages with chapter titles, page
+ * numbers and links to each chapter
+ *
+ * @param {PDFDocument} doc - Document with buffered pages
+ * @param {number} firstPage - Index of the first reserved contents page
+ * @param {number} entriesPerPage - Entries that fit on one contents page
+ * @param {Array<{id: string, topic: string, page: number}>} entries - Chapters with their page numbers
+ * @param {Object} options - Resolved layout options
+ *
+ * @returns {void}
+ *
+ * @example
+ * renderTableOfContents(doc, 1, 20, [{ id: 'introduction', topic: 'Introduction', page: 3 }], options);
+ */
+function renderTableOfContents(
+  doc,
+  firstPage,
+  entriesPerPage,
+  entries,
+  options
+) {
+  const lineHeight = options.fontSize * 1.8;
+
+  entries.forEach((entry, index) => {
+    const pageOffset = Math.floor(index / entriesPerPage);
+    const row = index % entriesPerPage;
+    doc.switchToPage(firstPage + pageOffset);
+
+    const { margins } = doc.page;
+    const width = doc.page.width - margins.left - margins.right;
+    if (row === 0) {
+      doc
+        .font(PDF_FONTS.heading)
+        .fontSize(options.fontSize * 1.6)
+        .text("Contents", margins.left, margins.top, {
+          width,
+          align: "center",
+        });
+    }
+
+    const y = margins.top + options.fontSize * 3.5 + row * lineHeight;
+    doc
+      .font(PDF_FONTS.body)
+      .fontSize(options.fontSize)
+      .text(entry.topic, margins.left, y, {
+        width: width - options.fontSize * 3,
+        lineBreak: false,
+        ellipsis: true,
+        goTo: entry.id,
+      })
+      .text(String(entry.page), margins.left, y, {
+        width,
+        align: "right",
+        goTo: entry.id,
+      });
+  });
+}
+
+/**
+ * @function renderPageNumbers
+ * @private
+ * @description Writes the page number at the bottom of every page from
+ * `fromPage` on
+ *
+ * @param {PDFDocument} doc - Document with buffered pages
+ * @param {number} fromPage - Index of the first numbered page
+ *
+ * @returns {void}
+ *
+ * @example
+ * renderPageNumbers(doc, 2);
+ */
+function renderPageNumbers(doc, fromPage) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let index = Math.max(start, fromPage); index < start + count; index++) {
+    doc.switchToPage(index);
+    const { margins } = doc.page;
+    const bottomMargin = margins.bottom;
+    // Writing inside the bottom margin would otherwise add a new page
+    margins.bottom = 0;
+    doc
+      .font(PDF_FONTS.caption)
+      .fontSize(10)
+      .text(
+        String(index + 1),
+        margins.left,
+        doc.page.height - bottomMargin / 2 - 5,
+        {
+          width: doc.page.width - margins.left - margins.right,
+          align: "center",
+          lineBreak: false,
+        }
+      );
+    margins.bottom = bottomMargin;
+  }
+}
+
+/**
+ * @function renderDocument
+ * @private
+ * @description Draws the title page, contents, chapters and page numbers
+ *
+ * @param {PDFDocument} doc - Empty document
+ * @param {Object} bookState - Current book state
+ * @param {Array<Object>} chapters - Chapters from collectExportChapters
+ * @param {Object} options - Resolved layout options
+ *
+ * @returns {void}
+ * @throws {Error} If an illustration cannot be read
+ *
+ * @example
+ * renderDocument(doc, bookState, chapters, options);
+ */
+function renderDocument(doc, bookState, chapters, options) {
+  const size = PDF_TRIM_SIZES[options.trimSize];
+  const margin = options.margin * POINTS_PER_INCH;
+
+  doc.addPage();
+  renderTitlePage(doc, bookState);
+
+  // Reserve the contents pages; page numbers are known after the chapters
+  const contentHeight = size.height - margin * 2;
+  const entriesPerPage = Math.max(
+    1,
+    Math.floor(
+      (contentHeight - options.fontSize * 3.5) / (options.fontSize * 1.8)
+    )
+  );
+  const tocFirstPage = doc.bufferedPageRange().count;
+  const tocPages = Math.ceil(chapters.length / entriesPerPage);
+  for (let i = 0; i < tocPages; i++) doc.addPage();
+
+  const entries = [];
+  for (const chapter of chapters) {
+    doc.addPage();
+    entries.push({
+      id: chapter.id,
+      topic: chapter.topic,
+      page: doc.bufferedPageRange().count,
+    });
+    doc.outline.addItem(chapter.topic);
+    renderChapter(doc, chapter, options);
+  }
+
+  renderTableOfContents(doc, tocFirstPage, entriesPerPage, entries, options);
+  renderPageNumbers(doc, tocFirstPage + tocPages);
+}
+
+/**
+ * @function exportPdf
+ * @async
+ * @description Exports the accepted chapters of a book as a printable PDF
+ *
+ * @param {string} bookPath - Path to the book directory
+ * @param {Object} bookState - Current book state
+ * @param {string} outputPath - Destination file
+ * @param {Object} [overrides={}] - Layout options for this export (see resolvePdfOptions)
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If options are invalid, no chapter is accepted, or writing fails
+ *
+ * @example
+ * await exportPdf('/books/my-book', bookState, '/books/my-book/exports/my-book.pdf', {
+ *   trimSize: '8x10',
+ *   margin: 0.75
+ * });
+ */
+export async function exportPdf(bookPath, bookState, outputPath, overrides) {
+  const options = resolvePdfOptions(bookState, overrides);
+  const chapters = await collectExportChapters(bookPath, bookState);
+  if (chapters.length === 0) {
+    throw new Error("No accepted chapters to export");
+  }
+  await checkIllustrations(chapters);
+
+  const size = PDF_TRIM_SIZES[options.trimSize];
+  const margin = options.margin * POINTS_PER_INCH;
+  const doc = new PDFDocument({
+    size: [size.width, size.height],
+    margin,
+    autoFirstPage: false,
+    bufferPages: true,
+    info: {
+      Title: bookState.title,
+      Subject: bookState.storyVariables?.characters?.protagonistName || "",
+      CreationDate: new Date(),
+    },
+  });
+  const stream = createWriteStream(outputPath);
+  doc.pipe(stream);
+
+  try {
+    renderDocument(doc, bookState, chapters, options);
+  } catch (error) {
+    // Leave no half-written file behind
+    stream.destroy();
+    await fs.rm(outputPath, { force: true });
+    throw error;
+  }
+
+  doc.end();
+  await finished(stream);
+}
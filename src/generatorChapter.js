@@ -1,60 +1,46 @@
 /**
- * @file Chapter generation implementation using OpenAI GPT models
+ * @file Chapter generation implementation using chat models
  * @module generatorChapter
  * @requires dotenv - For environment variable management
- * @requires openai - OpenAI API client
+ * @requires ./chatGenerator - Chat provider registry
  * @requires ./promptBuilder - For generating and personalizing prompts
  * @requires ./utils/logger - For request/response logging
  * @exports generateChapter
  *
  * @description
  * This module provides functionality for generating children's book chapters about economics
- * using OpenAI's GPT models. It handles prompt construction, API communication, and content
- * generation with support for personalization and context awareness.
+ * using the book's chat provider (OpenAI or an OpenAI-compatible local server). It handles
+ * prompt construction, API communication, and content generation with support for
+ * personalization and context awareness.
  *
  * @functions
  * - generateChapter: Generates chapter content with topic, subtopics, and story variables
  *
- * @constants
- * - openai: OpenAI - Configured API client instance
- *
  * @flow
  * 1. Load environment configuration
- * 2. Initialize OpenAI client with API key
- * 3. Build chapter prompt with topic and variables
- * 4. Send prompt to OpenAI API
- * 5. Log request/response details
- * 6. Process and return generated content
+ * 2. Build chapter prompt with topic and variables
+ * 3. Send prompt to the configured chat provider
+ * 4. Log request/response details
+ * 5. Process and return generated content
  *
  * @error Handling
  * - API errors: Logged and re-thrown with context
- * - Authentication: Validates API key before requests
- * - Rate limits: Handled by OpenAI client
+ * - Provider: Unknown providers rejected by the chat registry
+ * - Rate limits: Retried with backoff by the chat registry
  * - Token limits: Managed through max_tokens parameter
  */
 
 import dotenv from "dotenv";
-import OpenAI from "openai";
+import { generateChatCompletion } from "./chatGenerator.js";
 import {
   buildChapterPrompt,
   personalizeChapterContent,
 } from "./promptBuilder.js";
 import { logRequest, logResponse, logError } from "./utils/logger.js";
+import { DEFAULT_CHAT_CONFIG } from "../config/chatProviderConfig.js";
 
 dotenv.config();
 
-/**
- * @constant
- * @type {OpenAI}
- * @description OpenAI client instance configured with API key from environment.
- * Used for all API communications in this module.
- * @readonly
- * @private
- */
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 /**
  * @function generateChapter
  * @async
@@ -70,8 +56,15 @@ const openai = new OpenAI({
  * @param {string} storyVariables.setting - Story setting/location
  * @param {Object} storyVariables.characters - Supporting characters
  * @param {string} [previousContext=""] - Previous content or personalization prompt
- * @param {string} [model="gpt-4"] - GPT model to use
- * @param {number} [temperature=0.7] - Creativity level (0.0-1.0)
+ * @param {Object} [chatConfig=DEFAULT_CHAT_CONFIG] - Book chat configuration
+ * @param {string} [chatConfig.provider="openai"] - Chat provider
+ * @param {string} chatConfig.chatModel - Model to use
+ * @param {number} [chatConfig.temperature=0.7] - Creativity level (0.0-2.0)
+ * @param {Object} [options={}] - Call options
+ * @param {string} [options.prompt] - Complete prompt to send (e.g. the
+ * reviewed chapter prompt) instead of one built from topic and subtopics
+ * @param {boolean} [options.reuseCached=false] - Reuse a cached response for the same prompt
+ * @param {Function} [options.onUsage] - Receives the tokens used (see usage.trackUsage)
  *
  * @returns {Promise<string>} Generated chapter content
  * @throws {Error} If API call fails or invalid parameters provided
@@ -100,8 +93,7 @@ const openai = new OpenAI({
  *   [],
  *   storyVars,
  *   "Please review and adapt...", // Personalization prompt
- *   "gpt-4",
- *   0.5
+ *   { provider: "openai-compatible", chatModel: "llama3.1", temperature: 0.5 }
  * );
  */
 async function generateChapter(
@@ -109,18 +101,22 @@ async function generateChapter(
   subtopics,
   storyVariables,
   previousContext = "",
-  model = "gpt-4",
-  temperature = 0.7
+  chatConfig = DEFAULT_CHAT_CONFIG,
+  options = {}
 ) {
+  const model = chatConfig.chatModel;
+  const temperature = chatConfig.temperature ?? 0.7;
+
   // If previousContext is a complete prompt (for personalization step), use it directly
-  const fullPrompt = previousContext.includes("Please review and adapt")
+  const personalizing = previousContext.includes("Please review and adapt");
+  const fullPrompt = personalizing
     ? previousContext
-    : buildChapterPrompt(topic, subtopics, storyVariables);
+    : options.prompt || buildChapterPrompt(topic, subtopics, storyVariables);
 
   const messages = [
     {
       role: "system",
-      content: previousContext.includes("Please review and adapt")
+      content: personalizing
         ? "You are an expert editor specializing in children's literature. Your task is to naturally incorporate character and story details while preserving the educational content and narrative flow."
         : "You are a successful children's book author writing. Use a friendly and engaging tone, practical examples that children can relate to, and maintain consistency with the provided characters and situations throughout the story.",
     },
@@ -131,6 +127,7 @@ async function generateChapter(
   ];
 
   const requestDetails = {
+    provider: chatConfig.provider || "openai",
     model,
     messages,
     max_tokens: 4000,
@@ -140,17 +137,26 @@ async function generateChapter(
   try {
     logRequest("chat", requestDetails);
 
-    const response = await openai.chat.completions.create(requestDetails);
+    const response = await generateChatCompletion(
+      chatConfig,
+      {
+        messages,
+        max_tokens: requestDetails.max_tokens,
+        temperature,
+      },
+      { ...options, kind: personalizing ? "personalization" : "generation" }
+    );
 
     const responseDetails = {
+      provider: requestDetails.provider,
       model,
       temperature,
-      content: response.choices[0].message.content,
+      content: response.content,
       usage: response.usage,
     };
     logResponse("chat", responseDetails);
 
-    return response.choices[0].message.content.trim();
+    return response.content.trim();
   } catch (error) {
     logError("chat", error, requestDetails);
     throw error;
@@ -4,34 +4,58 @@
  * @requires axios - For HTTP requests and image downloads
  * @requires fs/promises - For file system operations
  * @requires path - For path manipulation
+ * @requires crypto - For prompt hashes of mock images
  * @requires openai - OpenAI API client
- * @exports {generateImage}
+ * @requires ./utils/placeholderImage - For mock placeholder images
+ * @requires ./utils/cassette - For recording and replaying calls
+ * @requires ./utils/responseCache - For reusing earlier images
+ * @requires ./utils/retry - For retries and concurrency limits
+ * @requires ./utils/logger - For logging Mystic task progress
+ * @requires ./utils/usage - For usage records of generated images
+ * @requires ../config/imageGeneratorConfig - For model capabilities
+ * @requires ../config/retryConfig - For the failures a task creation may retry
+ * @exports {generateImage, supportsImageReferences}
  *
  * @description
  * This module provides a unified interface for generating images using multiple providers.
- * Currently supports OpenAI DALL-E and Freepik Mystic, with a consistent API for both.
- * Handles the complete workflow from generation to file saving.
+ * Currently supports OpenAI DALL-E, GPT Image and Freepik Mystic, with a consistent API for
+ * all of them, plus an offline mock provider for testing. Handles the complete workflow from
+ * generation to file saving. Every call goes through the record/replay cassette,
+ * which stores the downloaded image with the recording, and the (opt-in)
+ * response cache. Providers that support reference images (GPT Image and the
+ * mock) draw from the reference files passed with the request, such as
+ * character reference sheets; the others ignore them.
  *
  * @functions
  * - generateImage: Main entry point for image generation
- * - generateWithOpenAI: DALL-E specific implementation
+ * - supportsImageReferences: Whether a configuration can use reference images
+ * - hashFile: Short content hash of a reference image
+ * - generateWithOpenAI: DALL-E and GPT Image implementation
  * - generateWithMystic: Mystic specific implementation
+ * - generateWithMock: Offline placeholder implementation
  * - checkMysticTaskStatus: Mystic task monitoring
  * - downloadImage: Universal image download utility
  *
  * @flow
  * 1. Validate provider configuration
- * 2. Route request to appropriate provider
- * 3. Initialize provider-specific client
- * 4. Submit generation request
- * 5. Monitor generation progress
- * 6. Download and save result
- * 7. Return local file path
+ * 2. Replay a recorded image, if the cassette is in replay mode
+ * 3. Reuse a cached image, if requested and the cache is enabled
+ * 4. Route request to appropriate provider
+ * 5. Initialize provider-specific client
+ * 6. Submit generation request
+ * 7. Report the image for usage accounting as soon as the provider accepted
+ *    the paid request, so a failed poll or download still counts
+ * 8. Monitor generation progress
+ * 9. Download and save result
+ * 10. Cache, record and return local file path
  *
  * @error Handling
  * - Configuration: Validates before generation
  * - API: Handles provider-specific errors
- * - Network: Retries on temporary failures
+ * - Network: Rate limits, 5xx and network blips are retried with backoff,
+ *   including Mystic status polls and image downloads
+ * - Mystic: A FAILED task is fatal and is not retried; task creation is only
+ *   retried on 429 and refused connections, so it never pays for two tasks
  * - Filesystem: Ensures directories exist
  * - Resources: Cleans up on failures
  */
@@ -39,7 +63,19 @@
 import axios from "axios";
 import fs from "fs/promises";
 import path from "path";
-import OpenAI from "openai";
+import crypto from "crypto";
+import OpenAI, { toFile } from "openai";
+import { writePlaceholderPng } from "./utils/placeholderImage.js";
+import {
+  MOCK_IMAGE_SIZE,
+  OPENAI_IMAGE_MODELS,
+} from "../config/imageGeneratorConfig.js";
+import { describeImageCall } from "./utils/usage.js";
+import { withCassette } from "./utils/cassette.js";
+import { withResponseCache } from "./utils/responseCache.js";
+import { withRetry } from "./utils/retry.js";
+import { logResponse } from "./utils/logger.js";
+import { CREATE_REQUEST_RETRY } from "../config/retryConfig.js";
 
 /**
  * @function generateImage
@@ -48,7 +84,7 @@ import OpenAI from "openai";
  * Routes the request to the appropriate provider based on configuration.
  *
  * @param {Object} config - Provider configuration
- * @param {string} config.provider - Provider name ('openai' or 'mystic')
+ * @param {string} config.provider - Provider name ('openai', 'mystic' or 'mock')
  * @param {Object} [config.openai] - OpenAI specific settings
  * @param {string} [config.openai.model] - DALL-E model version
  * @param {string} [config.openai.size] - Image dimensions
@@ -60,6 +96,15 @@ import OpenAI from "openai";
  *
  * @param {string} prompt - Image generation prompt
  * @param {string} outputPath - Local path to save the image
+ * @param {Object} [context={}] - What the image is for
+ * @param {string} [context.chapterId] - Chapter the image illustrates (drawn on mock images)
+ * @param {string} [context.style] - Illustration style (part of the cache key)
+ * @param {string[]} [context.references=[]] - Reference image files to draw
+ * from, used by providers that support them (see supportsImageReferences)
+ * @param {boolean} [context.reuseCached=false] - Reuse a cached image for the same request
+ * @param {Function} [context.onUsage] - Receives each image a provider was
+ * paid for (not cached or replayed ones), once the paid request succeeded,
+ * even if polling or downloading fails afterwards
  *
  * @returns {Promise<string>} Path to the saved image file
  * @throws {Error} If configuration is invalid or generation fails
@@ -85,32 +130,133 @@ import OpenAI from "openai";
  *   }
  * }, 'A friendly robot teaching math', './images/robot.png');
  */
-export async function generateImage(config, prompt, outputPath) {
+export async function generateImage(config, prompt, outputPath, context = {}) {
   if (!config?.provider) {
     throw new Error("No image provider configured");
   }
 
+  const references = supportsImageReferences(config)
+    ? (context.references ?? [])
+    : [];
+
+  // Called by the providers once the paid request succeeded
+  const onBilled = () => context.onUsage?.(describeImageCall(config));
+
+  let perform;
   switch (config.provider) {
     case "openai":
-      return generateWithOpenAI(config.openai, prompt, outputPath);
+      perform = () =>
+        generateWithOpenAI(
+          config.openai,
+          prompt,
+          outputPath,
+          references,
+          onBilled
+        );
+      break;
     case "mystic":
-      return generateWithMystic(config.mystic, prompt, outputPath);
+      perform = () =>
+        generateWithMystic(config.mystic, prompt, outputPath, onBilled);
+      break;
+    case "mock":
+      perform = async () => {
+        const result = await generateWithMock(
+          prompt,
+          outputPath,
+          context.chapterId,
+          references
+        );
+        onBilled();
+        return result;
+      };
+      break;
     default:
       throw new Error(`Unknown provider: ${config.provider}`);
   }
+
+  const cacheRequest = {
+    provider: config.provider,
+    settings: config[config.provider] ?? null,
+    style: context.style ?? null,
+    prompt,
+    ...(references.length > 0 && {
+      references: await Promise.all(references.map(hashFile)),
+    }),
+    ...(config.provider === "mock" && { chapterId: context.chapterId }),
+  };
+  return withCassette(
+    "image",
+    cacheRequest,
+    () =>
+      withResponseCache("image", cacheRequest, perform, {
+        reuse: context.reuseCached,
+        outputPath,
+      }),
+    { outputPath }
+  );
+}
+
+/**
+ * @function supportsImageReferences
+ * @description Tells whether an image configuration can draw from reference
+ * images. Prompts for other configurations have to describe the characters
+ * in words.
+ *
+ * @param {Object} config - Provider configuration
+ *
+ * @returns {boolean} True for GPT Image and the mock provider
+ *
+ * @example
+ * supportsImageReferences({ provider: "openai", openai: { model: "gpt-image-1" } });
+ * // Returns: true
+ */
+export function supportsImageReferences(config) {
+  if (config?.provider === "mock") return true;
+  if (config?.provider !== "openai") return false;
+  return Boolean(
+    OPENAI_IMAGE_MODELS.find((m) => m.value === config.openai?.model)
+      ?.supportsReferences
+  );
+}
+
+/**
+ * @function hashFile
+ * @async
+ * @private
+ * @description Hashes a reference image, so a redrawn reference sheet does
+ * not replay or reuse images made from the old one
+ *
+ * @param {string} filePath - Image file
+ *
+ * @returns {Promise<string>} First 16 hex characters of the SHA-256
+ * @throws {Error} If the file cannot be read
+ *
+ * @example
+ * await hashFile("books/my-book/images/characters/protagonist.png");
+ * // Returns: "9f86d081884c7d65"
+ */
+async function hashFile(filePath) {
+  return crypto
+    .createHash("sha256")
+    .update(await fs.readFile(filePath))
+    .digest("hex")
+    .slice(0, 16);
 }
 
 /**
  * @function generateWithOpenAI
  * @async
- * @description Generates images using OpenAI's DALL-E models.
- * Handles API communication and result processing.
+ * @description Generates images using OpenAI's DALL-E and GPT Image models.
+ * With reference images, GPT Image edits them into a new illustration
+ * instead. GPT Image returns the image itself rather than a URL.
  *
  * @param {Object} config - OpenAI configuration
- * @param {string} config.model - DALL-E model version
+ * @param {string} config.model - Image model
  * @param {string} config.size - Image dimensions
  * @param {string} prompt - Image description
  * @param {string} outputPath - Save location
+ * @param {string[]} [references=[]] - Reference image files (GPT Image only)
+ * @param {Function} [onBilled] - Called once the generation request succeeded
  *
  * @returns {Promise<string>} Path to saved image
  * @throws {Error} If API call fails or image download fails
@@ -121,21 +267,53 @@ export async function generateImage(config, prompt, outputPath) {
  *   size: '1024x1024'
  * }, 'A cute robot reading a book', './images/robot.png');
  */
-async function generateWithOpenAI(config, prompt, outputPath) {
+async function generateWithOpenAI(
+  config,
+  prompt,
+  outputPath,
+  references = [],
+  onBilled
+) {
   const openai = new OpenAI({
     apiKey: process.env.OPENAI_API_KEY,
+    maxRetries: 0,
   });
+  const quality = OPENAI_IMAGE_MODELS.find(
+    (m) => m.value === config.model
+  )?.quality;
 
   try {
-    const response = await openai.images.generate({
+    const images = await Promise.all(
+      references.map(async (reference) =>
+        toFile(await fs.readFile(reference), path.basename(reference), {
+          type: "image/png",
+        })
+      )
+    );
+    const request = {
       model: config.model,
       prompt: prompt,
       n: 1,
       size: config.size,
-    });
+      ...(quality && { quality }),
+    };
+    const response = await withRetry(
+      "openai",
+      () =>
+        images.length > 0
+          ? openai.images.edit({ ...request, image: images })
+          : openai.images.generate(request),
+      { label: "image generation" }
+    );
+    onBilled?.();
 
-    const imageUrl = response.data[0].url;
-    await downloadImage(imageUrl, outputPath);
+    const [image] = response.data;
+    if (image.b64_json) {
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      await fs.writeFile(outputPath, Buffer.from(image.b64_json, "base64"));
+    } else {
+      await downloadImage(image.url, outputPath);
+    }
     return outputPath;
   } catch (error) {
     throw new Error(`OpenAI generation failed: ${error.message}`);
@@ -155,6 +333,7 @@ async function generateWithOpenAI(config, prompt, outputPath) {
  * @param {number} [config.creative_detailing=33] - Creativity level (0-100)
  * @param {string} prompt - Image description
  * @param {string} outputPath - Save location
+ * @param {Function} [onBilled] - Called once the task was created
  *
  * @returns {Promise<string>} Path to saved image
  * @throws {Error} If API key missing, task fails, or download fails
@@ -167,7 +346,7 @@ async function generateWithOpenAI(config, prompt, outputPath) {
  *   creative_detailing: 50
  * }, 'A magical classroom in space', './images/classroom.png');
  */
-async function generateWithMystic(config, prompt, outputPath) {
+async function generateWithMystic(config, prompt, outputPath, onBilled) {
   const API_KEY = process.env.FREEPIK_API_KEY;
   if (!API_KEY) {
     throw new Error("FREEPIK_API_KEY not found in environment");
@@ -177,30 +356,37 @@ async function generateWithMystic(config, prompt, outputPath) {
 
   try {
     // Create generation task
-    const response = await axios.post(
-      API_URL,
-      {
-        prompt: prompt,
-        resolution: config.resolution || "1k",
-        aspect_ratio: "square_1_1",
-        model: config.model,
-        engine: config.engine,
-        creative_detailing: config.creative_detailing || 33,
-        fixed_generation: false,
-        filter_nsfw: true,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          "x-freepik-api-key": API_KEY,
-          Accept: "application/json",
-        },
-      }
+    const response = await withRetry(
+      "mystic",
+      () =>
+        axios.post(
+          API_URL,
+          {
+            prompt: prompt,
+            resolution: config.resolution || "1k",
+            aspect_ratio: "square_1_1",
+            model: config.model,
+            engine: config.engine,
+            creative_detailing: config.creative_detailing || 33,
+            fixed_generation: false,
+            filter_nsfw: true,
+          },
+          {
+            headers: {
+              "Content-Type": "application/json",
+              "x-freepik-api-key": API_KEY,
+              Accept: "application/json",
+            },
+          }
+        ),
+      // A repeated POST after a timeout or 5xx could pay for a second task
+      { label: "task creation", retryOn: CREATE_REQUEST_RETRY }
     );
 
     if (!response.data?.data?.task_id) {
       throw new Error("No task ID in Mystic response");
     }
+    onBilled?.();
 
     // Wait for task completion
     const imageUrl = await checkMysticTaskStatus(
@@ -217,11 +403,69 @@ async function generateWithMystic(config, prompt, outputPath) {
   }
 }
 
+/**
+ * @function generateWithMock
+ * @async
+ * @description Writes a placeholder image instead of calling a provider. The
+ * image shows the chapter id and a hash of the prompt, so the same prompt
+ * always produces the same file and prompt changes are visible, plus the
+ * number of reference images it was given.
+ *
+ * @param {string} prompt - Image description
+ * @param {string} outputPath - Save location
+ * @param {string} [chapterId] - Chapter shown on the image (defaults to the file name)
+ * @param {string[]} [references=[]] - Reference image files
+ *
+ * @returns {Promise<string>} Path to saved image
+ * @throws {Error} If the file cannot be written
+ *
+ * @example
+ * const imagePath = await generateWithMock(
+ *   'A friendly robot teaching math',
+ *   './images/robot.png',
+ *   'introduction'
+ * );
+ */
+async function generateWithMock(
+  prompt,
+  outputPath,
+  chapterId,
+  references = []
+) {
+  const promptHash = crypto
+    .createHash("sha256")
+    .update(prompt)
+    .digest("hex")
+    .slice(0, 8);
+  const label =
+    chapterId || path.basename(outputPath, path.extname(outputPath));
+
+  try {
+    await writePlaceholderPng(outputPath, {
+      lines: [
+        "MOCK IMAGE",
+        "",
+        label,
+        "",
+        `#${promptHash}`,
+        ...(references.length > 0 ? [`REFERENCES: ${references.length}`] : []),
+      ],
+      seed: promptHash,
+      size: MOCK_IMAGE_SIZE,
+      metadata: { Title: label, Comment: `prompt sha256 ${promptHash}` },
+    });
+    return outputPath;
+  } catch (error) {
+    throw new Error(`Mock generation failed: ${error.message}`);
+  }
+}
+
 /**
  * @function checkMysticTaskStatus
  * @async
  * @description Monitors the status of a Mystic image generation task.
- * Implements polling with configurable retry logic.
+ * Implements polling with configurable retry logic. Transient poll failures
+ * are retried by the shared retry layer; a FAILED task ends polling at once.
  *
  * @param {string} apiKey - Freepik API key
  * @param {string} apiUrl - Mystic API endpoint
@@ -230,7 +474,7 @@ async function generateWithMystic(config, prompt, outputPath) {
  * @param {number} [interval=5000] - Milliseconds between polls
  *
  * @returns {Promise<string>} URL of the generated image
- * @throws {Error} If task fails or timeout reached
+ * @throws {Error} If task fails, a poll fails permanently or timeout reached
  *
  * @example
  * const imageUrl = await checkMysticTaskStatus(
@@ -249,27 +493,33 @@ async function checkMysticTaskStatus(
   interval = 5000
 ) {
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    let response;
     try {
-      const response = await axios.get(`${apiUrl}/${taskId}`, {
-        headers: {
-          "Content-Type": "application/json",
-          "x-freepik-api-key": apiKey,
-        },
-      });
-
-      const status = response.data.data.status;
-      console.log(`Task ${taskId} status: ${status}`);
-
-      if (status === "COMPLETED" && response.data.data.generated?.length > 0) {
-        return response.data.data.generated[0];
-      } else if (status === "FAILED") {
-        throw new Error(`Task failed: ${JSON.stringify(response.data)}`);
-      }
-
-      await new Promise((resolve) => setTimeout(resolve, interval));
+      response = await withRetry(
+        "mystic",
+        () =>
+          axios.get(`${apiUrl}/${taskId}`, {
+            headers: {
+              "Content-Type": "application/json",
+              "x-freepik-api-key": apiKey,
+            },
+          }),
+        { label: "task status" }
+      );
     } catch (error) {
       throw new Error(`Error checking task status: ${error.message}`);
     }
+
+    const status = response.data.data.status;
+    logResponse("mystic", { taskId, status, attempt: attempt + 1 });
+
+    if (status === "COMPLETED" && response.data.data.generated?.length > 0) {
+      return response.data.data.generated[0];
+    } else if (status === "FAILED") {
+      throw new Error(`Task failed: ${JSON.stringify(response.data)}`);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, interval));
   }
   throw new Error(`Timeout after ${maxAttempts} attempts`);
 }
@@ -278,7 +528,7 @@ async function checkMysticTaskStatus(
  * @function downloadImage
  * @async
  * @description Downloads an image from a URL and saves it to the filesystem.
- * Creates necessary directories and handles various download scenarios.
+ * Creates necessary directories and retries transient download failures.
  *
  * @param {string} url - Source image URL
  * @param {string} outputPath - Destination file path
@@ -294,7 +544,11 @@ async function checkMysticTaskStatus(
  */
 async function downloadImage(url, outputPath) {
   try {
-    const response = await axios.get(url, { responseType: "arraybuffer" });
+    const response = await withRetry(
+      "download",
+      () => axios.get(url, { responseType: "arraybuffer" }),
+      { label: "image download" }
+    );
     await fs.mkdir(path.dirname(outputPath), { recursive: true });
     await fs.writeFile(outputPath, response.data);
   } catch (error) {
@@ -1,20 +1,24 @@
 /**
  * @file Two-phase prompt builder for educational chapter generation
  * @module promptBuilder
- * @requires none
- * @exports {buildChapterPrompt, personalizeChapterContent}
+ * @requires ../config/featuringConfig - For the characters, places and interests a chapter can feature
+ * @exports {buildChapterPrompt, personalizeChapterContent, selectFeaturedVariables, characterRelevance}
  *
  * @description
  * This module implements a sophisticated two-phase approach to generating educational
  * book chapters. The first phase creates content with minimal context for creative
  * freedom, while the second phase naturally incorporates story-specific details.
  * This separation ensures both educational quality and narrative consistency.
+ * A chapter's `featuring` setting limits both phases to the secondary
+ * characters, places and interests it declares.
  *
  * @functions
  * - buildCharacterContext: Character narrative builder with relevance control
  * - buildLocationContext: Location/setting narrative builder
  * - buildFamilyContext: Family dynamics narrative builder
  * - buildPreviousChaptersContext: Story continuity builder
+ * - selectFeaturedVariables: Story variables limited to a chapter's featuring
+ * - characterRelevance: Character relevance flags from a chapter's featuring
  * - buildChapterPrompt: Initial generation prompt builder
  * - personalizeChapterContent: Content personalization processor
  *
@@ -31,6 +35,7 @@
  *    - Structure learning objectives
  *    - Format examples and activities
  * 3. Personalization
+ *    - Keep the featured story variables
  *    - Clean story variables
  *    - Build character contexts
  *    - Integrate location details
@@ -39,22 +44,30 @@
  *
  * @error Handling
  * - Story Variables: Recursive cleaning of null/empty values
- * - Gender Values: Default to 'boy' pronouns if invalid
+ * - Gender Values: Default to neutral pronouns if unknown
  * - Data Structures: Remove empty arrays/objects
  * - Required Fields: Fallback values for critical data
  * - Context Building: Skip invalid combinations
  */
 
+import {
+  FEATURED_CHARACTERS,
+  FEATURED_SECTIONS,
+  ALWAYS_FEATURED,
+} from "../config/featuringConfig.js";
+
 /**
  * @constant
- * @type {{boy: {subject: string, object: string, possessive: string}, girl: {subject: string, object: string, possessive: string}}}
- * @description Maps gender identifiers to their corresponding pronoun sets.
+ * @type {Object<string, {subject: string, object: string, possessive: string, has: string}>}
+ * @description Maps the protagonistGender values of the story variables
+ * schema ('male', 'female', 'other') to their pronoun sets.
  * Used for maintaining consistent character references throughout the narrative.
  * @readonly
  */
 const PRONOUNS = {
-  boy: { subject: "he", object: "him", possessive: "his" },
-  girl: { subject: "she", object: "her", possessive: "her" },
+  male: { subject: "he", object: "him", possessive: "his", has: "has" },
+  female: { subject: "she", object: "her", possessive: "her", has: "has" },
+  other: { subject: "they", object: "them", possessive: "their", has: "have" },
 };
 
 /**
@@ -65,7 +78,7 @@ const PRONOUNS = {
  * @param {Object} characters - Character details object
  * @param {string} characters.protagonistName - Main character's name
  * @param {number} characters.protagonistAge - Main character's age
- * @param {string} characters.protagonistGender - Main character's gender ('boy' or 'girl')
+ * @param {string} characters.protagonistGender - Main character's gender ('male', 'female' or 'other')
  * @param {string[]} characters.friendsNames - Array of friends' names
  * @param {Array<Array<string,number>>} characters.siblingsNamesAges - Array of [name, age] pairs for siblings
  * @param {string} [characters.petName] - Pet's name if exists
@@ -81,7 +94,7 @@ const PRONOUNS = {
  * const characterContext = buildCharacterContext({
  *   protagonistName: "John",
  *   protagonistAge: 8,
- *   protagonistGender: "boy",
+ *   protagonistGender: "male",
  *   friendsNames: ["Anna", "Luis"],
  *   siblingsNamesAges: [["Maria", 10]],
  *   petName: "Max",
@@ -103,18 +116,22 @@ const buildCharacterContext = (characters, relevance = {}) => {
     petType,
   } = characters;
 
-  const { subject: pronoun, possessive } =
-    PRONOUNS[protagonistGender] || PRONOUNS.boy;
+  const {
+    subject: pronoun,
+    object,
+    possessive,
+    has,
+  } = PRONOUNS[protagonistGender] || PRONOUNS.other;
 
   let context = `Our story's protagonist is ${protagonistName}, a ${protagonistAge}-year-old child.`;
 
-  if (relevance.includeFriends && friendsNames.length > 0) {
+  if (relevance.includeFriends && friendsNames?.length > 0) {
     context += ` ${
       pronoun.charAt(0).toUpperCase() + pronoun.slice(1)
-    } has good friends named ${friendsNames.join(", ")}.`;
+    } ${has} good friends named ${friendsNames.join(", ")}.`;
   }
 
-  if (relevance.includeSiblings && siblingsNamesAges.length > 0) {
+  if (relevance.includeSiblings && siblingsNamesAges?.length > 0) {
     const siblingDescriptions = siblingsNamesAges
       .map(([name, age]) => `${name} who is ${age} years old`)
       .join(", ");
@@ -126,9 +143,7 @@ const buildCharacterContext = (characters, relevance = {}) => {
   if (relevance.includePet && petName && petType) {
     context += ` ${
       possessive.charAt(0).toUpperCase() + possessive.slice(1)
-    } pet ${petName}, a ${petType}, accompanies ${
-      characters.protagonistGender === "boy" ? "him" : "her"
-    } on adventures.`;
+    } pet ${petName}, a ${petType}, accompanies ${object} on adventures.`;
   }
 
   return context.trim();
@@ -206,14 +221,91 @@ const buildPreviousChaptersContext = (previousChapters) => {
   const summaries = previousChapters
     .map(
       (chapter) =>
-        `In "${chapter.title}", ${chapter.summary}. ` +
-        `Characters involved: ${chapter.characters.join(", ")}.`
+        `In "${chapter.title}": ${chapter.summary.replace(/\.$/, "")}.` +
+        (chapter.characters?.length
+          ? ` Characters involved: ${chapter.characters.join(", ")}.`
+          : "")
     )
     .join("\n");
 
   return `Previously in the story:\n${summaries}\n`;
 };
 
+/**
+ * @function selectFeaturedVariables
+ * @description Limits the story variables to what a chapter features.
+ * Secondary characters of roles that are not featured are left out, and so
+ * are places and interests that are not featured (except the entries every
+ * chapter keeps, like the city). A group the featuring does not mention
+ * keeps all of its entries, and without a featuring nothing is left out.
+ *
+ * @param {Object} [storyVariables={}] - The book's story variables
+ * @param {Object} [featuring] - The chapter's featuring
+ * @param {string[]} [featuring.characters] - Featured roles (friends, siblings, pet)
+ * @param {string[]} [featuring.places] - Featured keys of storyVariables.places
+ * @param {string[]} [featuring.interests] - Featured keys of storyVariables.interests
+ *
+ * @returns {Object} Story variables of the chapter
+ *
+ * @example
+ * selectFeaturedVariables(storyVariables, { characters: ["friends"], places: ["parkName"] });
+ * // Returns the story variables without siblings, pet and places other than the city and park
+ */
+const selectFeaturedVariables = (storyVariables = {}, featuring) => {
+  if (!featuring) return storyVariables;
+
+  const selected = { ...storyVariables };
+  if (featuring.characters && storyVariables.characters) {
+    const leftOut = new Set(
+      Object.entries(FEATURED_CHARACTERS)
+        .filter(([role]) => !featuring.characters.includes(role))
+        .flatMap(([, { variables }]) => variables)
+    );
+    selected.characters = Object.fromEntries(
+      Object.entries(storyVariables.characters).filter(
+        ([key]) => !leftOut.has(key)
+      )
+    );
+  }
+
+  Object.keys(FEATURED_SECTIONS).forEach((section) => {
+    if (!featuring[section] || !storyVariables[section]) return;
+    const kept = new Set([
+      ...(ALWAYS_FEATURED[section] ?? []),
+      ...featuring[section],
+    ]);
+    selected[section] = Object.fromEntries(
+      Object.entries(storyVariables[section]).filter(([key]) => kept.has(key))
+    );
+  });
+
+  return selected;
+};
+
+/**
+ * @function characterRelevance
+ * @description Turns the characters a chapter features into the relevance
+ * flags of buildCharacterContext
+ *
+ * @param {Object} [featuring] - The chapter's featuring
+ * @param {string[]} [featuring.characters] - Featured roles (friends, siblings, pet)
+ *
+ * @returns {Object} Relevance flags, empty when the chapter does not choose
+ * its characters
+ *
+ * @example
+ * characterRelevance({ characters: ["pet"] });
+ * // Returns: { includeFriends: false, includeSiblings: false, includePet: true }
+ */
+const characterRelevance = (featuring) => {
+  if (!featuring?.characters) return {};
+  return {
+    includeFriends: featuring.characters.includes("friends"),
+    includeSiblings: featuring.characters.includes("siblings"),
+    includePet: featuring.characters.includes("pet"),
+  };
+};
+
 /**
  * @function buildChapterPrompt
  * @description Combines all contexts and instructions to create a complete chapter prompt
@@ -250,7 +342,9 @@ const buildPreviousChaptersContext = (previousChapters) => {
  * @param {string} [storyVariables.characters.protagonistName] - Main character name
  * @param {number} [storyVariables.characters.protagonistAge] - Main character age
  * @param {Array<Object>} [previousChapters=[]] - Prior chapter summaries
- * @param {Object} [characterRelevance={}] - Character inclusion flags
+ * @param {Object} [characterRelevance={}] - Character inclusion flags (see
+ * characterRelevance); when any is set, the featured characters are named
+ * and no others are added
  *
  * @returns {string} Complete generation prompt
  * @throws {Error} If topic or subtopics are invalid
@@ -276,6 +370,14 @@ function buildChapterPrompt(
 ) {
   const previousContext = buildPreviousChaptersContext(previousChapters);
   const { protagonistName, protagonistAge } = storyVariables?.characters || {};
+  const choosesCharacters = Object.keys(characterRelevance).length > 0;
+  const featuredCharacters =
+    choosesCharacters && storyVariables?.characters
+      ? `\n    - Characters: ${buildCharacterContext(
+          storyVariables.characters,
+          characterRelevance
+        )}`
+      : "";
 
   return `
     ${previousContext}
@@ -286,11 +388,15 @@ function buildChapterPrompt(
     Essential Context:
     - Protagonist: ${protagonistName || "the protagonist"}, age ${
       protagonistAge || "young"
-    }
+    }${featuredCharacters}
 
     Specific Instructions:
     - Use situations and examples that children might experience in daily life
-    - Include interactions with other characters when relevant to the topic
+    - ${
+      choosesCharacters
+        ? "Only include the secondary characters named above"
+        : "Include interactions with other characters when relevant to the topic"
+    }
     - Maintain a friendly and educational tone
     - Use analogies and examples appropriate for ${protagonistAge || "young"} children
     - Include small practical activities or exercises that children can do
@@ -311,6 +417,8 @@ function buildChapterPrompt(
  * @param {Object} [storyVariables.characters] - Character details
  * @param {Object} [storyVariables.places] - Setting information
  * @param {Object} [storyVariables.familyAndEmotions] - Family dynamics
+ * @param {Object} [featuring] - The chapter's featuring (see
+ * selectFeaturedVariables); only featured details are offered
  *
  * @returns {string} Personalized chapter content
  * @throws {Error} If content is empty or invalid
@@ -330,7 +438,7 @@ function buildChapterPrompt(
  *   }
  * );
  */
-function personalizeChapterContent(content, storyVariables = {}) {
+function personalizeChapterContent(content, storyVariables = {}, featuring) {
   // Clean up story variables by removing empty/null values recursively
   const cleanObject = (obj) => {
     if (!obj || typeof obj !== "object") return obj;
@@ -356,7 +464,9 @@ function personalizeChapterContent(content, storyVariables = {}) {
     return Object.keys(cleaned).length ? cleaned : undefined;
   };
 
-  const context = cleanObject(storyVariables);
+  const context = cleanObject(
+    selectFeaturedVariables(storyVariables, featuring)
+  );
 
   return `
     Please review and adapt the following text to naturally incorporate relevant details from the provided context.
@@ -374,8 +484,17 @@ function personalizeChapterContent(content, storyVariables = {}) {
     - Weave in context details naturally where they enhance the story
     - Make minimal changes necessary to incorporate relevant details
     - Maintain the original tone and flow
-    - Ensure any added details feel organic to the narrative
+    - Ensure any added details feel organic to the narrative${
+      featuring
+        ? "\n    - Do not add characters, places or interests that are not in the context"
+        : ""
+    }
   `.trim();
 }
 
-export { buildChapterPrompt, personalizeChapterContent };
+export {
+  buildChapterPrompt,
+  personalizeChapterContent,
+  selectFeaturedVariables,
+  characterRelevance,
+};
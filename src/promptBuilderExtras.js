@@ -2,7 +2,7 @@
  * @file Additional prompt builders for special content
  * @module promptBuilderExtras
  * @exports buildIntroductionPrompt, buildConceptsPrompt, buildTriviaPrompt
- * @requires ../config/chapters
+ * @requires none
  *
  * @description This module provides additional prompt builders for generating
  * book introductions, concept definitions, and trivia facts.
@@ -25,8 +25,6 @@
  * - Missing story variables: Uses conditional rendering to handle missing data
  */
 
-import { BOOK_CONTENT } from "../config/chapters.js";
-
 /**
  * @function buildIntroductionPrompt
  * @description Creates a prompt for generating the book's introduction
@@ -35,12 +33,14 @@ import { BOOK_CONTENT } from "../config/chapters.js";
  * @param {Object} storyVariables.characters - Character details
  * @param {Object} storyVariables.places - Location details
  * @param {Object} storyVariables.familyAndEmotions - Family details
+ * @param {Array<Object>} [categories=[]] - Categories of the book's
+ * curriculum ({ title, description })
  * @returns {string} Complete prompt for introduction generation
  *
  * @example
- * const prompt = buildIntroductionPrompt(storyVariables);
+ * const prompt = buildIntroductionPrompt(storyVariables, bookState.curriculum.content);
  */
-function buildIntroductionPrompt(storyVariables = {}) {
+function buildIntroductionPrompt(storyVariables = {}, categories = []) {
   // Extract only essential character details for initial generation
   const { protagonistName, protagonistAge } = storyVariables?.characters || {};
 
@@ -53,9 +53,13 @@ function buildIntroductionPrompt(storyVariables = {}) {
     }
 
     This book will cover the following areas:
-    ${BOOK_CONTENT.map(
-      (category) => `- ${category.title}: ${category.description}`
-    ).join("\n")}
+    ${categories
+      .map((category) =>
+        category.description
+          ? `- ${category.title}: ${category.description}`
+          : `- ${category.title}`
+      )
+      .join("\n")}
 
     Specific Instructions:
     - Create an inviting and warm welcome to the book
@@ -1,31 +1,28 @@
 /**
  * @file Scene selection for image generation
  * @module sceneSelector
- * @requires openai
+ * @requires ./chatGenerator - Chat provider registry
  * @exports selectSceneForImage
  *
- * @description This module uses ChatGPT to analyze chapter text and select
- * the most visually interesting scene for image generation.
+ * @description This module uses the book's chat model to analyze chapter text
+ * and select the most visually interesting scene for image generation.
  *
  * @functions
  * - selectSceneForImage: Analyzes text and returns a scene description
  *
  * @flow
- * 1. Send chapter text to ChatGPT
+ * 1. Send chapter text to the chat provider
  * 2. Get scene selection and summary
  * 3. Return formatted scene description
  *
  * @error Handling
- * - API errors: Passed through to caller
+ * - API errors: Passed through to caller after the registry's retries
  * - Empty text: Returns null
  */
 
-import OpenAI from "openai";
+import { generateChatCompletion } from "./chatGenerator.js";
 import { logRequest, logResponse, logError } from "./utils/logger.js";
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import { DEFAULT_CHAT_CONFIG } from "../config/chatProviderConfig.js";
 
 /**
  * @function selectSceneForImage
@@ -34,9 +31,12 @@ const openai = new OpenAI({
  *
  * @param {string} chapterText - The full chapter text to analyze
  * @param {string} topic - The chapter's topic
- * @param {Object} [config] - Optional configuration
- * @param {string} [config.model="gpt-4"] - GPT model to use
- * @param {number} [config.temperature=0.7] - Temperature for generation
+ * @param {Object} [chatConfig=DEFAULT_CHAT_CONFIG] - Book chat configuration
+ * @param {string} [chatConfig.provider="openai"] - Chat provider
+ * @param {string} chatConfig.chatModel - Model to use
+ * @param {number} [chatConfig.temperature=0.7] - Temperature for generation
+ * @param {Object} [options={}] - Call options
+ * @param {Function} [options.onUsage] - Receives the tokens used (see usage.trackUsage)
  *
  * @returns {Promise<Object>} Selected scene information
  * @property {string} scene - The selected scene description
@@ -47,13 +47,14 @@ const openai = new OpenAI({
  * const scene = await selectSceneForImage(
  *   chapterText,
  *   "Saving Money",
- *   { model: "gpt-4", temperature: 0.7 }
+ *   bookState.chatConfig
  * );
  */
 async function selectSceneForImage(
   chapterText,
   topic,
-  config = { model: "gpt-4", temperature: 0.7 }
+  chatConfig = DEFAULT_CHAT_CONFIG,
+  options = {}
 ) {
   if (!chapterText) return null;
 
@@ -76,18 +77,27 @@ ${chapterText}`,
   ];
 
   const requestDetails = {
-    model: config.model,
+    provider: chatConfig.provider || "openai",
+    model: chatConfig.chatModel,
     messages,
-    temperature: config.temperature,
+    temperature: chatConfig.temperature ?? 0.7,
     max_tokens: 1000,
   };
 
   try {
     logRequest("scene-selection", requestDetails);
 
-    const response = await openai.chat.completions.create(requestDetails);
+    const response = await generateChatCompletion(
+      chatConfig,
+      {
+        messages,
+        temperature: requestDetails.temperature,
+        max_tokens: requestDetails.max_tokens,
+      },
+      { kind: "scene-selection", onUsage: options.onUsage }
+    );
 
-    const content = response.choices[0].message.content;
+    const content = response.content;
 
     // Parse the response to extract scene and summary
     const lines = content.split("\n").filter((line) => line.trim());
@@ -95,8 +105,9 @@ ${chapterText}`,
     const summary = lines[lines.length - 1];
 
     const responseDetails = {
-      model: config.model,
-      temperature: config.temperature,
+      provider: requestDetails.provider,
+      model: requestDetails.model,
+      temperature: requestDetails.temperature,
       content,
       usage: response.usage,
     };
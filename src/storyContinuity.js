@@ -0,0 +1,219 @@
+/**
+ * @file Story continuity between chapters
+ * @module storyContinuity
+ * @requires ./chatGenerator - Chat provider registry
+ * @requires ./utils/logger - For request/response logging
+ * @requires ../config/chatProviderConfig - For the default chat configuration
+ * @requires ../config/continuityConfig - For the prompt window and summary length
+ * @exports {summarizeChapterForContinuity, selectPreviousChapters, buildStorySoFar}
+ *
+ * @description This module keeps the chapters of a book telling one story.
+ * The book's chat model summarizes each accepted chapter and lists its
+ * characters; later chapter prompts include these summaries for the
+ * chapters before them, within a token budget, so the model can refer back
+ * to what already happened.
+ *
+ * @functions
+ * - summarizeChapterForContinuity: Summarizes a chapter and lists its characters
+ * - estimateTokens: Rough token count of a text
+ * - selectPreviousChapters: Picks the summaries that fit in a chapter prompt
+ * - buildStorySoFar: Joins all summaries into the book's story so far
+ *
+ * @flow
+ * 1. A chapter is accepted
+ * 2. Its text is summarized and its characters listed
+ * 3. The next chapter prompt includes the latest summaries that fit the budget
+ *
+ * @error Handling
+ * - API errors: Passed through to caller after the registry's retries
+ * - Answers without the expected labels: The whole answer becomes the summary
+ */
+
+import { generateChatCompletion } from "./chatGenerator.js";
+import { logRequest, logResponse, logError } from "./utils/logger.js";
+import { DEFAULT_CHAT_CONFIG } from "../config/chatProviderConfig.js";
+import {
+  STORY_CONTEXT_TOKENS,
+  SUMMARY_MAX_TOKENS,
+} from "../config/continuityConfig.js";
+
+/**
+ * @function summarizeChapterForContinuity
+ * @async
+ * @description Asks the book's chat model for a short summary of a chapter
+ * and the characters that appear in it
+ *
+ * @param {string} chapterText - The full chapter text
+ * @param {string} topic - The chapter's topic
+ * @param {Object} [chatConfig=DEFAULT_CHAT_CONFIG] - Book chat configuration
+ * @param {Object} [options={}] - Call options
+ * @param {Function} [options.onUsage] - Receives the tokens used (see usage.trackUsage)
+ *
+ * @returns {Promise<{summary: string, characters: string[]}>} Summary and
+ * character names
+ * @throws {Error} If the API call fails
+ *
+ * @example
+ * const { summary, characters } = await summarizeChapterForContinuity(
+ *   chapter.text,
+ *   chapter.topic,
+ *   bookState.chatConfig
+ * );
+ * // Returns: { summary: "Bart opened a lemonade stand ...", characters: ["Bart", "Anna"] }
+ */
+async function summarizeChapterForContinuity(
+  chapterText,
+  topic,
+  chatConfig = DEFAULT_CHAT_CONFIG,
+  options = {}
+) {
+  const messages = [
+    {
+      role: "system",
+      content:
+        "You are a story editor keeping notes on a children's book so that later chapters stay consistent with earlier ones.",
+    },
+    {
+      role: "user",
+      content: `Summarize the chapter "${topic}" so later chapters can continue the story.
+Answer with exactly two lines:
+SUMMARY: what happens in the chapter and what the characters learn, in 2-3 sentences
+CHARACTERS: the names of everyone who appears, separated by commas
+
+Chapter text:
+${chapterText}`,
+    },
+  ];
+
+  const requestDetails = {
+    provider: chatConfig.provider || "openai",
+    model: chatConfig.chatModel,
+    messages,
+    temperature: 0.3,
+    max_tokens: SUMMARY_MAX_TOKENS,
+  };
+
+  try {
+    logRequest("story-summary", requestDetails);
+
+    const response = await generateChatCompletion(
+      chatConfig,
+      {
+        messages,
+        temperature: requestDetails.temperature,
+        max_tokens: requestDetails.max_tokens,
+      },
+      { kind: "story-summary", onUsage: options.onUsage }
+    );
+
+    const content = response.content.trim();
+    const summary = content.match(/^\s*SUMMARY:\s*(.+)$/im)?.[1]?.trim();
+    const characters = (content.match(/^\s*CHARACTERS:\s*(.*)$/im)?.[1] ?? "")
+      .split(",")
+      .map((name) => name.trim().replace(/\.$/, ""))
+      .filter(Boolean);
+
+    logResponse("story-summary", {
+      provider: requestDetails.provider,
+      model: requestDetails.model,
+      temperature: requestDetails.temperature,
+      content,
+      usage: response.usage,
+    });
+
+    return { summary: summary || content, characters };
+  } catch (error) {
+    logError("story-summary", error, requestDetails);
+    throw error;
+  }
+}
+
+/**
+ * @function estimateTokens
+ * @private
+ * @description Estimates the tokens of a text, at roughly four characters
+ * per token like the OpenAI tokenizers
+ *
+ * @param {string} text - Text to measure
+ *
+ * @returns {number} Estimated tokens
+ *
+ * @example
+ * estimateTokens("Bart opened a lemonade stand.");
+ * // Returns: 8
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * @function selectPreviousChapters
+ * @description Picks the accepted, summarized chapters before a chapter,
+ * nearest first, until their summaries use up the token budget. The nearest
+ * one is always included. Returned in book order, in the shape
+ * buildChapterPrompt expects.
+ *
+ * @param {Array<Object>} chapters - Chapters in book order
+ * @param {string} chapterId - Chapter the prompt is for
+ * @param {number} [tokenBudget=STORY_CONTEXT_TOKENS] - Estimated tokens available
+ *
+ * @returns {Array<{title: string, summary: string, characters: string[]}>}
+ * Previous chapters for the prompt
+ *
+ * @example
+ * selectPreviousChapters(bookState.chapters, "money_saving");
+ * // Returns: [{ title: "Introduction", summary: "Bart ...", characters: ["Bart"] }, ...]
+ */
+function selectPreviousChapters(
+  chapters,
+  chapterId,
+  tokenBudget = STORY_CONTEXT_TOKENS
+) {
+  const index = chapters.findIndex((chapter) => chapter.id === chapterId);
+  const candidates = chapters
+    .slice(0, index === -1 ? chapters.length : index)
+    .filter((chapter) => chapter.status === "accepted" && chapter.storySummary);
+
+  const selected = [];
+  let used = 0;
+  for (const chapter of candidates.reverse()) {
+    const entry = {
+      title: chapter.topic,
+      summary: chapter.storySummary.summary,
+      characters: chapter.storySummary.characters ?? [],
+    };
+    const tokens = estimateTokens(
+      `${entry.title} ${entry.summary} ${entry.characters.join(", ")}`
+    );
+    if (selected.length > 0 && used + tokens > tokenBudget) break;
+    selected.unshift(entry);
+    used += tokens;
+  }
+  return selected;
+}
+
+/**
+ * @function buildStorySoFar
+ * @description Joins the summaries of all accepted chapters into the story
+ * so far, stored as the book's currentContext
+ *
+ * @param {Array<Object>} chapters - Chapters in book order
+ *
+ * @returns {string} One line per summarized chapter
+ *
+ * @example
+ * bookState.currentContext = buildStorySoFar(bookState.chapters);
+ * // Returns: "Introduction: Bart ...\nSaving Money: Bart ..."
+ */
+function buildStorySoFar(chapters) {
+  return chapters
+    .filter((chapter) => chapter.status === "accepted" && chapter.storySummary)
+    .map((chapter) => `${chapter.topic}: ${chapter.storySummary.summary}`)
+    .join("\n");
+}
+
+export {
+  summarizeChapterForContinuity,
+  selectPreviousChapters,
+  buildStorySoFar,
+};
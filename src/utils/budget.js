@@ -0,0 +1,216 @@
+/**
+ * @file Book budget checks
+ * @module budget
+ * @requires ./usage - For pricing and recorded usage
+ * @requires ../../config/budgetConfig - For budget defaults and estimates
+ * @exports {resolveBudget, estimateAttemptCost, checkBudget}
+ *
+ * @description
+ * Decides whether a text, image or character sheet attempt, or the story
+ * summary of an earlier chapter, may run within the book's budget.
+ * The cost of the attempt is estimated from what the same steps cost so far
+ * in this book, or from token estimates and the price table when nothing is
+ * recorded yet. An attempt is refused when it would take the book past its
+ * spend ceiling or the chapter past its attempt limit; callers decide whether
+ * to ask for (or accept) an override.
+ *
+ * @functions
+ * - resolveBudget: Merges the book's budget with the defaults
+ * - estimateStepCost: Estimates one call of a step
+ * - estimateAttemptCost: Estimates a text or image attempt
+ * - checkBudget: Checks an attempt against the budget and attempt limits
+ *
+ * @constants
+ * - ATTEMPT_STEPS: Calls made by each kind of attempt
+ *
+ * @flow
+ * 1. Add up what the book has spent
+ * 2. Estimate the attempt
+ * 3. Compare with the attempt limit, the ceiling and the warning threshold
+ *
+ * @error Handling
+ * - Unpriced models: With a spend ceiling, an attempt whose cost cannot be
+ *   estimated is refused (callers may override), and calls recorded without
+ *   a cost are named in a warning, since the spend leaves them out
+ */
+
+import {
+  priceUsage,
+  describeImageCall,
+  bookUsageRecords,
+  summarizeUsage,
+  formatCost,
+} from "./usage.js";
+import { DEFAULT_BUDGET, ESTIMATED_TOKENS } from "../../config/budgetConfig.js";
+
+/**
+ * @constant {Object<string, string[]>}
+ * @description Calls made by a text attempt (including the story summary
+ * made once the text is accepted), an image attempt, a character sheet
+ * attempt and a story summary caught up before a chapter
+ * @private
+ */
+const ATTEMPT_STEPS = {
+  text: ["generation", "personalization", "story-summary"],
+  image: ["scene-selection", "image"],
+  sheet: ["character-look", "character-sheet"],
+  summary: ["story-summary"],
+};
+
+/**
+ * @function resolveBudget
+ * @description Merges the book's budget settings with the defaults
+ *
+ * @param {Object} bookState - The current book state
+ *
+ * @returns {Object} Effective budget (see DEFAULT_BUDGET)
+ *
+ * @example
+ * resolveBudget({ budget: { limit: 5 } });
+ * // Returns: { limit: 5, warnAt: 0.8, maxTextAttempts: null, maxImageAttempts: null }
+ */
+export function resolveBudget(bookState) {
+  return { ...DEFAULT_BUDGET, ...bookState.budget };
+}
+
+/**
+ * @function estimateStepCost
+ * @private
+ * @description Estimates one call of a step: the average priced cost of the
+ * step in this book, or the price of the token estimate (or of one image)
+ *
+ * @param {Object} bookState - The current book state
+ * @param {string} step - 'generation', 'personalization', 'story-summary',
+ * 'scene-selection', 'image', 'character-look' or 'character-sheet'
+ *
+ * @returns {number|null} Estimated cost, or null when the model is not priced
+ *
+ * @example
+ * estimateStepCost(bookState, "generation");
+ * // Returns: 0.068
+ */
+function estimateStepCost(bookState, step) {
+  const recorded = bookUsageRecords(bookState).filter(
+    (record) => record.step === step && record.cost != null
+  );
+  if (recorded.length > 0) {
+    return (
+      recorded.reduce((sum, record) => sum + record.cost, 0) / recorded.length
+    );
+  }
+
+  if (step === "image" || step === "character-sheet") {
+    return bookState.imageConfig?.provider
+      ? priceUsage(describeImageCall(bookState.imageConfig))
+      : 0;
+  }
+  return priceUsage({
+    provider: bookState.chatConfig?.provider || "openai",
+    model: bookState.chatConfig?.chatModel,
+    promptTokens: ESTIMATED_TOKENS[step].prompt,
+    completionTokens: ESTIMATED_TOKENS[step].completion,
+  });
+}
+
+/**
+ * @function estimateAttemptCost
+ * @description Estimates what a text attempt (draft, personalization and
+ * story summary), an image attempt (scene selection and image), a character
+ * sheet attempt (look and sheet) or a story summary will cost
+ *
+ * @param {Object} bookState - The current book state
+ * @param {string} kind - 'text', 'image', 'sheet' or 'summary'
+ *
+ * @returns {number|null} Estimated cost in PRICING_CURRENCY, or null when a
+ * step uses a model missing from the price table
+ *
+ * @example
+ * estimateAttemptCost(bookState, "image");
+ * // Returns: 0.041
+ */
+export function estimateAttemptCost(bookState, kind) {
+  const costs = ATTEMPT_STEPS[kind].map((step) =>
+    estimateStepCost(bookState, step)
+  );
+  if (costs.includes(null)) return null;
+  return costs.reduce((sum, cost) => sum + cost, 0);
+}
+
+/**
+ * @function checkBudget
+ * @description Checks whether a text or image attempt for a chapter fits the
+ * book's budget and the chapter's attempt limit. Character sheet attempts
+ * are made for the book and story summaries are not attempts, so only the
+ * budget applies to them. With a spend ceiling, an attempt that cannot be
+ * priced is refused, since the budget cannot tell whether it fits.
+ *
+ * @param {Object} bookState - The current book state
+ * @param {Object|null} chapter - Chapter the attempt is for (null for 'sheet')
+ * @param {string} kind - 'text', 'image', 'sheet' or 'summary'
+ *
+ * @returns {{
+ *   allowed: boolean,
+ *   reason: string|null,
+ *   warning: string|null,
+ *   spent: number,
+ *   estimate: number|null,
+ *   limit: number|null
+ * }} Verdict; `reason` explains a refusal, `warning` a nearly spent budget
+ * or calls left out of the spend
+ *
+ * @example
+ * const verdict = checkBudget(bookState, chapter, "text");
+ * if (!verdict.allowed) throw new Error(verdict.reason);
+ */
+export function checkBudget(bookState, chapter, kind) {
+  const budget = resolveBudget(bookState);
+  const { cost: spent, unpricedCalls } = summarizeUsage(
+    bookUsageRecords(bookState)
+  );
+  const estimate = estimateAttemptCost(bookState, kind);
+  const verdict = {
+    allowed: true,
+    reason: null,
+    warning: null,
+    spent,
+    estimate,
+    limit: budget.limit,
+  };
+
+  const attempts =
+    kind === "text" ? chapter.textAttempts || 0 : chapter?.image?.attempts || 0;
+  const maxAttempts = {
+    text: budget.maxTextAttempts,
+    image: budget.maxImageAttempts,
+  }[kind];
+  if (chapter && maxAttempts != null && attempts >= maxAttempts) {
+    verdict.allowed = false;
+    verdict.reason = `Chapter "${chapter.id}" has used all ${maxAttempts} ${kind} attempts`;
+    return verdict;
+  }
+
+  if (budget.limit == null) return verdict;
+
+  if (estimate === null) {
+    verdict.allowed = false;
+    verdict.reason = `Budget cannot be checked: the next ${kind} attempt uses a model missing from config/pricingConfig.js`;
+    return verdict;
+  }
+
+  const summary = `${formatCost(spent)} of ${formatCost(budget.limit)} spent, next ${kind} attempt about ${formatCost(estimate)}`;
+  if (spent + estimate > budget.limit) {
+    verdict.allowed = false;
+    verdict.reason = `Budget exceeded: ${summary}`;
+  } else if (spent + estimate >= budget.limit * budget.warnAt) {
+    verdict.warning = `Budget nearly used: ${summary}`;
+  }
+  if (unpricedCalls > 0) {
+    verdict.warning = [
+      verdict.warning,
+      `${unpricedCalls} unpriced call(s) are not counted in the spend`,
+    ]
+      .filter(Boolean)
+      .join("; ");
+  }
+  return verdict;
+}
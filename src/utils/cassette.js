@@ -0,0 +1,231 @@
+/**
+ * @file Record/replay cassette for model calls
+ * @module cassette
+ * @requires crypto - For request hashes
+ * @requires fs/promises - For reading and writing recordings
+ * @requires path - For path manipulation
+ * @exports {setCassetteMode, setCassetteBook, getCassetteMode, hashRequest, withCassette}
+ *
+ * @description
+ * Wraps chat and image provider calls so they can be recorded and replayed.
+ * In record mode every request/response pair is stored in the book folder,
+ * keyed by a hash of the request; generated images are copied next to it.
+ * In replay mode the stored responses are served back without any network
+ * access, which reproduces a book (or a bug report) exactly.
+ *
+ * @functions
+ * - setCassetteMode: Selects off/record/replay for this process
+ * - setCassetteBook: Selects the book whose cassette is used
+ * - getCassetteMode: Returns the active mode
+ * - hashRequest: Stable hash of a request
+ * - withCassette: Records or replays one provider call
+ *
+ * @constants
+ * - cassette: Active mode and cassette directory
+ *
+ * @flow
+ * 1. Hash the request (object keys sorted, so order does not matter)
+ * 2. Replay: return the stored response, copying images to the output path
+ * 3. Record: call the provider, then store the response and image
+ * 4. Off: call the provider
+ *
+ * @error Handling
+ * - Unknown modes are rejected when set
+ * - Replay of an unrecorded request throws with the request hash
+ * - Record mode without a book calls the provider without recording
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { CASSETTE_MODES, CASSETTE_DIR } from "../../config/cassetteConfig.js";
+
+/**
+ * @constant {{mode: string, directory: string|null}}
+ * @description Active mode and cassette directory for this process
+ * @private
+ */
+const cassette = {
+  mode: "off",
+  directory: null,
+};
+
+/**
+ * @function setCassetteMode
+ * @description Selects the cassette mode for this process
+ *
+ * @param {string} [mode="off"] - 'off', 'record' or 'replay'
+ *
+ * @returns {void}
+ * @throws {Error} If the mode is unknown
+ *
+ * @example
+ * setCassetteMode("replay");
+ */
+export function setCassetteMode(mode = "off") {
+  if (!CASSETTE_MODES.some((m) => m.value === mode)) {
+    throw new Error(
+      `Unknown cassette mode: ${mode} (use ${CASSETTE_MODES.map((m) => m.value).join(", ")})`
+    );
+  }
+  cassette.mode = mode;
+}
+
+/**
+ * @function setCassetteBook
+ * @description Selects the book whose cassette records and replays calls
+ *
+ * @param {string} bookPath - Path to the book directory
+ *
+ * @returns {void}
+ *
+ * @example
+ * setCassetteBook('/books/my-book');
+ */
+export function setCassetteBook(bookPath) {
+  cassette.directory = path.join(bookPath, CASSETTE_DIR);
+}
+
+/**
+ * @function getCassetteMode
+ * @description Returns the active cassette mode
+ *
+ * @returns {string} 'off', 'record' or 'replay'
+ *
+ * @example
+ * getCassetteMode();
+ * // Returns: "off"
+ */
+export function getCassetteMode() {
+  return cassette.mode;
+}
+
+/**
+ * @function stableStringify
+ * @private
+ * @description Serializes a value to JSON with object keys sorted
+ *
+ * @param {*} value - Value to serialize
+ *
+ * @returns {string} JSON text
+ *
+ * @example
+ * stableStringify({ b: 1, a: 2 });
+ * // Returns: '{"a":2,"b":1}'
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * @function hashRequest
+ * @description Hashes a request so identical requests share a key regardless
+ * of property order
+ *
+ * @param {string} kind - Call kind ('chat' or 'image')
+ * @param {Object} request - Everything that determines the response
+ *
+ * @returns {string} Hex SHA-256 hash
+ *
+ * @example
+ * hashRequest("chat", { model: "gpt-4", messages });
+ * // Returns: "3f2a..."
+ */
+export function hashRequest(kind, request) {
+  return crypto
+    .createHash("sha256")
+    .update(`${kind}\n${stableStringify(request)}`)
+    .digest("hex");
+}
+
+/**
+ * @function withCassette
+ * @async
+ * @description Records or replays one provider call according to the active
+ * mode. Image calls pass `outputPath`: the generated file is stored with the
+ * recording and copied back to `outputPath` on replay.
+ *
+ * @param {string} kind - Call kind ('chat' or 'image')
+ * @param {Object} request - Everything that determines the response (not output paths)
+ * @param {Function} perform - Makes the real call and resolves to its response
+ * @param {Object} [options={}] - Image options
+ * @param {string} [options.outputPath] - Where the call writes its image
+ *
+ * @returns {Promise<*>} The provider (or recorded) response
+ * @throws {Error} If replaying a request that was never recorded
+ *
+ * @example
+ * const response = await withCassette("chat", { model, messages }, () =>
+ *   completeWithOpenAI(body)
+ * );
+ */
+export async function withCassette(kind, request, perform, options = {}) {
+  if (cassette.mode === "off" || !cassette.directory) {
+    if (cassette.mode === "replay") {
+      throw new Error("Cassette replay needs a book to replay from");
+    }
+    return perform();
+  }
+
+  const key = hashRequest(kind, request);
+  const directory = path.join(cassette.directory, kind);
+  const recordPath = path.join(directory, `${key}.json`);
+
+  if (cassette.mode === "replay") {
+    let recording;
+    try {
+      recording = JSON.parse(await fs.readFile(recordPath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      throw new Error(
+        `No recorded ${kind} response for this request (cassette ${key.slice(0, 12)})`
+      );
+    }
+    if (recording.file && options.outputPath) {
+      await fs.mkdir(path.dirname(options.outputPath), { recursive: true });
+      await fs.copyFile(
+        path.join(directory, recording.file),
+        options.outputPath
+      );
+      return options.outputPath;
+    }
+    return recording.response;
+  }
+
+  // Record mode
+  const response = await perform();
+  await fs.mkdir(directory, { recursive: true });
+
+  let file;
+  if (options.outputPath) {
+    file = `${key}${path.extname(options.outputPath) || ".png"}`;
+    await fs.copyFile(options.outputPath, path.join(directory, file));
+  }
+
+  await fs.writeFile(
+    recordPath,
+    JSON.stringify(
+      {
+        kind,
+        key,
+        recordedAt: new Date().toISOString(),
+        request,
+        response: file ? null : response,
+        ...(file && { file }),
+      },
+      null,
+      2
+    )
+  );
+  return response;
+}
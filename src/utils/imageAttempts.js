@@ -0,0 +1,173 @@
+/**
+ * @file Chapter image attempts
+ * @module imageAttempts
+ * @requires path - For resolving attempt files
+ * @exports {IMAGE_ATTEMPTS_DIR, getImageAttempts, resolveImageAttemptPath, recordImageAttempt, selectImageAttempt}
+ *
+ * @description
+ * Keeps every image generated for a chapter in `chapter.imageGallery`, so a
+ * regenerate no longer orphans the earlier attempts. Each attempt stores its
+ * file, prompt, style, preset and scene. The files live in the book's
+ * `images/attempts/` folder and are stored relative to the book, so they
+ * survive running the CLI from another directory and cleaning tmp/.
+ * `chapter.image` remains the current attempt (the one exports and
+ * acceptance use), and `chapter.image.attempt` tells which gallery entry it is.
+ *
+ * @functions
+ * - getImageAttempts: Returns the attempts, recording a legacy image as the first
+ * - resolveImageAttemptPath: Absolute path of an attempt file
+ * - recordImageAttempt: Appends an attempt and makes it current
+ * - selectImageAttempt: Makes any attempt the current image again
+ *
+ * @constants
+ * - IMAGE_ATTEMPTS_DIR: Folder of the attempts, relative to the book
+ *
+ * @flow
+ * 1. renderChapterImage records every generated image as an attempt
+ * 2. The image gallery lists the attempts and writes a contact sheet
+ * 3. Selecting an attempt copies it into `chapter.image` for acceptance
+ *
+ * @error Handling
+ * - Unknown attempt numbers throw
+ */
+
+import path from "path";
+
+/**
+ * @constant {string}
+ * @description Folder of the image attempts, relative to the book folder
+ */
+export const IMAGE_ATTEMPTS_DIR = "images/attempts";
+
+/**
+ * @function getImageAttempts
+ * @description Returns the chapter's image attempts. Chapters illustrated
+ * before attempts were kept get their current image recorded first.
+ *
+ * @param {Object} chapter - The chapter
+ *
+ * @returns {Array<Object>} Attempts, oldest first
+ *
+ * @example
+ * getImageAttempts(chapter).map((attempt) => attempt.number);
+ * // Returns: [1, 2, 3]
+ */
+export function getImageAttempts(chapter) {
+  if (!chapter.imageGallery) {
+    chapter.imageGallery = [];
+    const image = chapter.image;
+    if (image?.tempPath) {
+      chapter.imageGallery.push({
+        number: image.attempts || 1,
+        path: image.tempPath,
+        prompt: image.prompt ?? null,
+        style: image.style ?? null,
+        preset: image.preset ?? null,
+        sceneSummary: image.sceneSummary ?? null,
+        timestamp: image.timestamp ?? null,
+      });
+      image.attempt = image.attempts || 1;
+    }
+  }
+  return chapter.imageGallery;
+}
+
+/**
+ * @function resolveImageAttemptPath
+ * @description Returns the absolute path of an attempt file. Attempts are
+ * stored relative to the book; books illustrated before that store
+ * `tmp/...` paths relative to the directory the CLI ran in.
+ *
+ * @param {string} bookPath - Path to the book directory
+ * @param {string} attemptPath - Stored attempt path
+ *
+ * @returns {string} Absolute file path
+ *
+ * @example
+ * resolveImageAttemptPath('/books/my-book', 'images/attempts/introduction_attempt1_1714572000000.png');
+ * // Returns: '/books/my-book/images/attempts/introduction_attempt1_1714572000000.png'
+ */
+export function resolveImageAttemptPath(bookPath, attemptPath) {
+  if (/^tmp[\\/]/.test(attemptPath)) return path.resolve(attemptPath);
+  return path.resolve(bookPath, attemptPath);
+}
+
+/**
+ * @function recordImageAttempt
+ * @description Appends an attempt to the chapter's gallery and makes it the
+ * current, not yet accepted image
+ *
+ * @param {Object} chapter - The chapter
+ * @param {Object} attempt - Attempt fields
+ * @param {number} attempt.number - Attempt number (counts every attempt)
+ * @param {string} attempt.path - Generated image file, relative to the book
+ * @param {string} attempt.prompt - Final image prompt
+ * @param {string} attempt.style - Visual style name
+ * @param {string} attempt.preset - Scene composition preset key
+ * @param {string|null} attempt.sceneSummary - Illustrated scene
+ * @param {string[]} [attempt.references] - Characters whose reference sheets were used
+ * @param {string} attempt.timestamp - When the image was generated
+ *
+ * @returns {Object} The stored attempt
+ *
+ * @example
+ * recordImageAttempt(chapter, { number: 2, path: "images/attempts/...png", prompt, style, preset, sceneSummary: null, timestamp });
+ */
+export function recordImageAttempt(chapter, attempt) {
+  const gallery = getImageAttempts(chapter);
+  const stored = { ...attempt };
+  gallery.push(stored);
+
+  chapter.image = {
+    status: "generated",
+    prompt: stored.prompt,
+    tempPath: stored.path,
+    attempts: stored.number,
+    attempt: stored.number,
+    style: stored.style,
+    preset: stored.preset,
+    sceneSummary: stored.sceneSummary,
+    timestamp: stored.timestamp,
+  };
+  return stored;
+}
+
+/**
+ * @function selectImageAttempt
+ * @description Makes an attempt the chapter's current image, ready to be
+ * accepted. The attempt counter is kept, so the budget still counts every
+ * generated image.
+ *
+ * @param {Object} chapter - The chapter
+ * @param {number} number - Attempt to select
+ *
+ * @returns {Object} The selected attempt
+ * @throws {Error} If the chapter has no such attempt
+ *
+ * @example
+ * selectImageAttempt(chapter, 2);
+ * await acceptChapterImage(chapter, bookPath);
+ */
+export function selectImageAttempt(chapter, number) {
+  const attempt = getImageAttempts(chapter).find(
+    (candidate) => candidate.number === number
+  );
+  if (!attempt) {
+    throw new Error(`Chapter "${chapter.id}" has no image attempt ${number}`);
+  }
+  if (chapter.image?.attempt === number) return attempt;
+
+  chapter.image = {
+    ...chapter.image,
+    status: "generated",
+    prompt: attempt.prompt,
+    tempPath: attempt.path,
+    localPath: null,
+    attempt: number,
+    style: attempt.style,
+    preset: attempt.preset,
+    sceneSummary: attempt.sceneSummary,
+    timestamp: attempt.timestamp,
+  };
+  return attempt;
+}
@@ -11,6 +11,7 @@
  * - logRequest: Log API request details
  * - logResponse: Log API response details
  * - logError: Log API error details
+ * - logRetry: Log a retried API request
  *
  * @constants
  * - logger: Winston logger instance configured for JSON logging
@@ -103,4 +104,21 @@ function logError(service, error, requestDetails) {
   });
 }
 
-export { logRequest, logResponse, logError };
+/**
+ * @function logRetry
+ * @description Log a failed API request that is about to be retried
+ * @param {string} service - The provider that failed ('openai', 'mystic', ...)
+ * @param {Object} details - Attempt, delay and failure reason
+ */
+function logRetry(service, details) {
+  logger.warn({
+    type: "retry",
+    service,
+    details: {
+      timestamp: new Date().toISOString(),
+      ...details,
+    },
+  });
+}
+
+export { logRequest, logResponse, logError, logRetry };
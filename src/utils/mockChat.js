@@ -0,0 +1,237 @@
+/**
+ * @file Mock chat provider
+ * @module mockChat
+ * @requires crypto - For deterministic variations
+ * @exports {MOCK_REQUEST_KINDS, completeWithMock}
+ *
+ * @description
+ * Answers chat requests without any model, for tests and onboarding without
+ * API keys or network. Callers name the kind of request they make (see
+ * generateChatCompletion's `kind` option), and each kind has its own
+ * template: chapters, personalizations, scene selections, continuity
+ * summaries and character looks. Templates fill in details found in the
+ * prompt, so the same prompt always gives the same text; a prompt that no
+ * longer contains them still gets an answer of the right kind.
+ *
+ * @functions
+ * - completeWithMock: Answers a request of a given kind
+ * - mockChapter: Chapter from a chapter prompt
+ * - mockPersonalization: Original text with a personalized closing line
+ * - mockScene: Scene selection answer
+ * - mockStorySummary: Continuity summary
+ * - mockCharacterLook: One-sentence character look
+ *
+ * @constants
+ * - MOCK_REQUEST_KINDS: Template of each request kind
+ *
+ * @flow
+ * 1. Pick the template of the request kind
+ * 2. Fill it in from the last user message
+ * 3. Estimate the token usage
+ *
+ * @error Handling
+ * - Unknown request kinds: Throws, so a new kind cannot silently get a chapter
+ */
+
+import crypto from "crypto";
+
+/**
+ * @constant {Object<string, Function>}
+ * @description Template of each request kind, given the last user message
+ * and a byte of its hash. The kinds match the usage steps of the calls.
+ */
+export const MOCK_REQUEST_KINDS = {
+  generation: (prompt, variant) => mockChapter(prompt, variant),
+  personalization: (prompt) => mockPersonalization(prompt),
+  "scene-selection": (prompt) =>
+    mockScene(prompt.match(/chapter about "(.+?)"/)?.[1] ?? "the topic"),
+  "story-summary": (prompt) =>
+    mockStorySummary(
+      prompt.match(/chapter "(.+?)"/)?.[1] ?? "the chapter",
+      prompt
+    ),
+  "character-look": (prompt) => mockCharacterLook(prompt),
+};
+
+/**
+ * @function completeWithMock
+ * @async
+ * @description Answers a chat request with the template of its kind
+ *
+ * @param {Object} body - Request body (model, messages, max_tokens, temperature)
+ * @param {string} [kind="generation"] - MOCK_REQUEST_KINDS key
+ *
+ * @returns {Promise<{content: string, usage: Object}>} Templated text and estimated token usage
+ * @throws {Error} If the request kind is unknown
+ *
+ * @example
+ * const { content } = await completeWithMock({ model: 'mock', messages }, 'scene-selection');
+ */
+export async function completeWithMock(body, kind = "generation") {
+  const template = MOCK_REQUEST_KINDS[kind];
+  if (!template) {
+    throw new Error(`Unknown mock request kind: ${kind}`);
+  }
+
+  const prompt = body.messages.filter((m) => m.role === "user").at(-1).content;
+  const hash = crypto.createHash("sha256").update(prompt).digest();
+  const content = template(prompt, hash[0]);
+
+  // Roughly four characters per token, like the OpenAI tokenizers
+  const promptTokens = Math.ceil(
+    body.messages.reduce((sum, m) => sum + m.content.length, 0) / 4
+  );
+  const completionTokens = Math.ceil(content.length / 4);
+  return {
+    content,
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    },
+  };
+}
+
+/**
+ * @function mockChapter
+ * @private
+ * @description Builds a mock chapter from the topic, protagonist and concepts
+ * named in a chapter prompt
+ *
+ * @param {string} prompt - Chapter prompt
+ * @param {number} variant - Byte of the prompt hash that picks the activity
+ *
+ * @returns {string} Chapter markdown
+ *
+ * @example
+ * mockChapter("Please write an educational chapter about Saving ...", 3);
+ */
+function mockChapter(prompt, variant) {
+  const topic =
+    prompt.match(/chapter about (.+?) that covers/)?.[1]?.trim() ||
+    "Introduction";
+  const concepts = prompt
+    .match(/covers the following concepts: (.*?)\.\s*$/m)?.[1]
+    ?.trim();
+  const protagonist =
+    prompt.match(/- Protagonist: (.+?), age/)?.[1] || "Our hero";
+  const subject = topic.toLowerCase();
+  const activities = [
+    "draw a picture of one thing they learned and explain it to someone at home",
+    "make a short list of three questions about the topic and ask a grown-up",
+    "find one example of the idea at home, at school or on the way to the park",
+    "play a guessing game with a friend using the new words from today",
+  ];
+
+  return [
+    `${protagonist} woke up with a question that would not go away. Everyone kept talking about ${subject}, but what did it really mean? ${protagonist} decided that today was the day to find out, one small step at a time.`,
+    concepts
+      ? `At school, the teacher drew a big circle on the board and wrote the words ${concepts}. ${protagonist} listened carefully, asked two questions and wrote the answers down in a bright yellow notebook.`
+      : `${protagonist} looked around and noticed that the world was full of little puzzles. Some were about friends, some were about family and some were about the choices people make every single day.`,
+    `On the way home, ${protagonist} spotted ${subject} everywhere: in the shop window, at the bus stop and even in the kitchen. Things that had seemed boring the day before suddenly looked like clues in an exciting mystery.`,
+    `Try it yourself: ${activities[variant % activities.length]}.`,
+    `That night, ${protagonist} smiled before falling asleep. Learning something new felt like finding a hidden door, and tomorrow there would be another one to open.`,
+  ].join("\n\n");
+}
+
+/**
+ * @function mockPersonalization
+ * @private
+ * @description Returns the original text of a personalization prompt with a
+ * closing line that uses the story context
+ *
+ * @param {string} prompt - Personalization prompt
+ *
+ * @returns {string} Personalized chapter markdown
+ *
+ * @example
+ * mockPersonalization("Please review and adapt ... Original Text: ...");
+ */
+function mockPersonalization(prompt) {
+  const original =
+    prompt.match(/Original Text:\s*([\s\S]*?)\s*Available Context/)?.[1] ?? "";
+  const text = original
+    .split("\n")
+    .map((line) => line.trim())
+    .join("\n");
+
+  let context = {};
+  try {
+    context = JSON.parse(
+      prompt.match(/Available Context[^\n]*\n\s*(\{[\s\S]*\})/)?.[1] ?? "{}"
+    );
+  } catch {
+    // Keep the text without a personalized closing line
+  }
+
+  const friend = context.characters?.friendsNames?.[0];
+  const city = context.places?.cityName;
+  if (!friend && !city) return text;
+  return `${text}\n\nBack in ${city || "town"}, there was only one thing left to do: tell ${friend || "a friend"} all about it.`;
+}
+
+/**
+ * @function mockScene
+ * @private
+ * @description Builds a mock scene selection answer: the scene on the first
+ * line, a description, and the image summary on the last line
+ *
+ * @param {string} topic - Chapter topic
+ *
+ * @returns {string} Scene selection answer
+ *
+ * @example
+ * mockScene("Saving Money");
+ */
+function mockScene(topic) {
+  const subject = topic.toLowerCase();
+  return [
+    `Scene: The moment the main character finally understands ${subject}.`,
+    `The child stands in a sunny kitchen, eyes wide, holding a yellow notebook. Morning light falls across the table where the clues about ${subject} are spread out.`,
+    `A smiling child holding a yellow notebook in a bright, sunny kitchen, discovering ${subject}`,
+  ].join("\n\n");
+}
+
+/**
+ * @function mockStorySummary
+ * @private
+ * @description Builds a mock continuity summary. The mock chapters start
+ * with the protagonist's name, which becomes the character list.
+ *
+ * @param {string} topic - Chapter topic
+ * @param {string} prompt - Summary prompt, ending with the chapter text
+ *
+ * @returns {string} SUMMARY and CHARACTERS lines
+ *
+ * @example
+ * mockStorySummary("Saving Money", prompt);
+ * // Returns: "SUMMARY: Bart discovers saving money ...\nCHARACTERS: Bart"
+ */
+function mockStorySummary(topic, prompt) {
+  const name =
+    prompt.match(/Chapter text:\s*([A-Z][\w-]*)/)?.[1] || "The protagonist";
+  return [
+    `SUMMARY: ${name} discovers ${topic.toLowerCase()} at school, at home and on the way home, and shares it with the family.`,
+    `CHARACTERS: ${name}`,
+  ].join("\n");
+}
+
+/**
+ * @function mockCharacterLook
+ * @private
+ * @description Builds a mock character look from the details in the notes
+ * at the end of the prompt, or a plain look when the notes describe nothing
+ *
+ * @param {string} prompt - Look prompt, ending with the character notes
+ *
+ * @returns {string} One sentence
+ *
+ * @example
+ * mockCharacterLook(prompt);
+ * // Returns: "spiky hair; wearing a red cap."
+ */
+function mockCharacterLook(prompt) {
+  const notes = prompt.split("Character notes:").at(-1).trim();
+  const details = notes.split(": ").slice(1).join(": ");
+  return details || "A friendly round face, wearing a yellow t-shirt.";
+}
@@ -0,0 +1,264 @@
+/**
+ * @file Placeholder PNG writer
+ * @module placeholderImage
+ * @requires fs/promises - For writing the image file
+ * @requires path - For path manipulation
+ * @requires zlib - For PNG image data compression
+ * @exports writePlaceholderPng
+ *
+ * @description
+ * Writes deterministic placeholder illustrations without any image library:
+ * a solid background derived from a seed with a few lines of text drawn in a
+ * built-in 5x7 pixel font. Used by the mock image provider so books can be
+ * generated and exported without network access.
+ *
+ * @functions
+ * - writePlaceholderPng: Draws and saves a placeholder PNG
+ * - drawText: Draws one line of text into the pixel buffer
+ * - encodePng: Encodes RGB pixels as PNG
+ * - crc32: PNG chunk checksum
+ *
+ * @constants
+ * - FONT: 5x7 pixel glyphs for A-Z, 0-9 and some punctuation
+ *
+ * @flow
+ * 1. Fill the canvas with a color derived from the seed
+ * 2. Draw each line of text centered
+ * 3. Encode as PNG with tEXt metadata
+ * 4. Write the file
+ *
+ * @error Handling
+ * - Unknown characters are drawn as "?"
+ * - Filesystem errors are passed to the caller
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+
+/**
+ * @constant {Object<string, string>}
+ * @description 5x7 pixel glyphs, one 5-bit row per space-separated group
+ * @private
+ */
+const FONT = {
+  A: "01110 10001 10001 11111 10001 10001 10001",
+  B: "11110 10001 10001 11110 10001 10001 11110",
+  C: "01110 10001 10000 10000 10000 10001 01110",
+  D: "11110 10001 10001 10001 10001 10001 11110",
+  E: "11111 10000 10000 11110 10000 10000 11111",
+  F: "11111 10000 10000 11110 10000 10000 10000",
+  G: "01110 10001 10000 10111 10001 10001 01111",
+  H: "10001 10001 10001 11111 10001 10001 10001",
+  I: "01110 00100 00100 00100 00100 00100 01110",
+  J: "00111 00010 00010 00010 00010 10010 01100",
+  K: "10001 10010 10100 11000 10100 10010 10001",
+  L: "10000 10000 10000 10000 10000 10000 11111",
+  M: "10001 11011 10101 10101 10001 10001 10001",
+  N: "10001 10001 11001 10101 10011 10001 10001",
+  O: "01110 10001 10001 10001 10001 10001 01110",
+  P: "11110 10001 10001 11110 10000 10000 10000",
+  Q: "01110 10001 10001 10001 10101 10010 01101",
+  R: "11110 10001 10001 11110 10100 10010 10001",
+  S: "01111 10000 10000 01110 00001 00001 11110",
+  T: "11111 00100 00100 00100 00100 00100 00100",
+  U: "10001 10001 10001 10001 10001 10001 01110",
+  V: "10001 10001 10001 10001 10001 01010 00100",
+  W: "10001 10001 10001 10101 10101 10101 01010",
+  X: "10001 10001 01010 00100 01010 10001 10001",
+  Y: "10001 10001 01010 00100 00100 00100 00100",
+  Z: "11111 00001 00010 00100 01000 10000 11111",
+  0: "01110 10001 10011 10101 11001 10001 01110",
+  1: "00100 01100 00100 00100 00100 00100 01110",
+  2: "01110 10001 00001 00010 00100 01000 11111",
+  3: "11111 00010 00100 00010 00001 10001 01110",
+  4: "00010 00110 01010 10010 11111 00010 00010",
+  5: "11111 10000 11110 00001 00001 10001 01110",
+  6: "00110 01000 10000 11110 10001 10001 01110",
+  7: "11111 00001 00010 00100 01000 01000 01000",
+  8: "01110 10001 10001 01110 10001 10001 01110",
+  9: "01110 10001 10001 01111 00001 00010 01100",
+  _: "00000 00000 00000 00000 00000 00000 11111",
+  "-": "00000 00000 00000 11111 00000 00000 00000",
+  ".": "00000 00000 00000 00000 00000 01100 01100",
+  ":": "00000 01100 01100 00000 01100 01100 00000",
+  "#": "01010 01010 11111 01010 11111 01010 01010",
+  "?": "01110 10001 00001 00010 00100 00000 00100",
+  " ": "00000 00000 00000 00000 00000 00000 00000",
+};
+
+/**
+ * @function crc32
+ * @private
+ * @description Computes the CRC-32 checksum used by PNG chunks
+ *
+ * @param {Buffer} data - Chunk type and data
+ *
+ * @returns {number} Unsigned CRC-32
+ *
+ * @example
+ * crc32(Buffer.from("IEND"));
+ * // Returns: 2923585666
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @function encodePng
+ * @private
+ * @description Encodes 8-bit RGB pixels as a PNG file
+ *
+ * @param {number} size - Width and height in pixels
+ * @param {Buffer} pixels - RGB pixels, row by row
+ * @param {Object<string, string>} metadata - tEXt chunks (keyword → text)
+ *
+ * @returns {Buffer} PNG file contents
+ *
+ * @example
+ * encodePng(2, Buffer.alloc(12), { Title: "introduction" });
+ */
+function encodePng(size, pixels, metadata) {
+  const chunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const checksum = Buffer.alloc(4);
+    checksum.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, checksum]);
+  };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // color type: RGB
+
+  // Each row starts with filter type 0 (none)
+  const rowLength = size * 3;
+  const raw = Buffer.alloc((rowLength + 1) * size);
+  for (let y = 0; y < size; y++) {
+    pixels.copy(
+      raw,
+      y * (rowLength + 1) + 1,
+      y * rowLength,
+      (y + 1) * rowLength
+    );
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    ...Object.entries(metadata).map(([keyword, text]) =>
+      chunk("tEXt", Buffer.from(`${keyword}\0${text}`, "latin1"))
+    ),
+    chunk("IDAT", zlib.deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * @function drawText
+ * @private
+ * @description Draws one line of text into the pixel buffer with the
+ * built-in font
+ *
+ * @param {Buffer} pixels - RGB pixels
+ * @param {number} size - Canvas width and height
+ * @param {string} text - Text to draw (drawn uppercase)
+ * @param {number} x - Left edge in pixels
+ * @param {number} y - Top edge in pixels
+ * @param {number} scale - Pixels per font dot
+ * @param {number[]} color - RGB text color
+ *
+ * @returns {void}
+ *
+ * @example
+ * drawText(pixels, 512, "introduction", 16, 16, 4, [0, 0, 0]);
+ */
+function drawText(pixels, size, text, x, y, scale, color) {
+  [...text.toUpperCase()].forEach((character, index) => {
+    const rows = (FONT[character] ?? FONT["?"]).split(" ");
+    const left = x + index * 6 * scale;
+    rows.forEach((row, rowIndex) => {
+      [...row].forEach((dot, column) => {
+        if (dot !== "1") return;
+        for (let dy = 0; dy < scale; dy++) {
+          for (let dx = 0; dx < scale; dx++) {
+            const px = left + column * scale + dx;
+            const py = y + rowIndex * scale + dy;
+            if (px < 0 || py < 0 || px >= size || py >= size) continue;
+            pixels.set(color, (py * size + px) * 3);
+          }
+        }
+      });
+    });
+  });
+}
+
+/**
+ * @function writePlaceholderPng
+ * @async
+ * @description Writes a square placeholder PNG with a background color
+ * derived from the seed and the given lines of text centered on it. Long
+ * lines are wrapped to the canvas width.
+ *
+ * @param {string} outputPath - Save location
+ * @param {Object} options - Drawing options
+ * @param {string[]} options.lines - Text lines to draw
+ * @param {string} options.seed - Hex string the background color is derived from
+ * @param {number} [options.size=512] - Width and height in pixels
+ * @param {Object<string, string>} [options.metadata={}] - PNG tEXt chunks
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If the file cannot be written
+ *
+ * @example
+ * await writePlaceholderPng('./tmp/intro.png', {
+ *   lines: ['MOCK', 'introduction', '#1a2b3c4d'],
+ *   seed: '1a2b3c4d',
+ * });
+ */
+export async function writePlaceholderPng(
+  outputPath,
+  { lines, seed, size = 512, metadata = {} }
+) {
+  // Light pastel background so the dark text stays readable
+  const background = [0, 2, 4].map(
+    (offset) => 160 + (parseInt(seed.slice(offset, offset + 2), 16) % 96)
+  );
+  const pixels = Buffer.alloc(size * size * 3);
+  for (let i = 0; i < size * size; i++) pixels.set(background, i * 3);
+
+  const scale = Math.max(1, Math.floor(size / 128));
+  const charWidth = 6 * scale;
+  const lineHeight = 10 * scale;
+  const maxChars = Math.floor((size - 2 * charWidth) / charWidth);
+  const wrapped = lines.flatMap(
+    (line) => line.match(new RegExp(`.{1,${maxChars}}`, "g")) ?? [""]
+  );
+
+  const top = Math.floor((size - wrapped.length * lineHeight) / 2);
+  wrapped.forEach((line, index) => {
+    const left = Math.floor((size - line.length * charWidth + scale) / 2);
+    drawText(
+      pixels,
+      size,
+      line,
+      left,
+      top + index * lineHeight,
+      scale,
+      [40, 40, 40]
+    );
+  });
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, encodePng(size, pixels, metadata));
+}
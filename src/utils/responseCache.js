@@ -0,0 +1,285 @@
+/**
+ * @file Content-addressed cache for chat completions and images
+ * @module responseCache
+ * @requires fs/promises - For reading and writing cache entries
+ * @requires path - For path manipulation
+ * @requires url - For resolving the project root
+ * @requires ./cassette - For request hashes
+ * @exports {configureResponseCache, isResponseCacheEnabled, withResponseCache, clearResponseCache, getResponseCacheStats}
+ *
+ * @description
+ * Stores the latest response for every chat and image request, keyed by a
+ * hash of everything that determines it (prompt, model, temperature, size,
+ * style). Callers can then ask to reuse the cached result instead of paying
+ * for a new call. The cache is opt-in and entries expire after a TTL.
+ *
+ * @functions
+ * - configureResponseCache: Enables the cache and sets its TTL
+ * - isResponseCacheEnabled: Whether the cache is in use
+ * - readEntry: Reads a non-expired entry
+ * - withResponseCache: Reuses or stores the response of one provider call
+ * - listEntryFiles: Lists all entry files
+ * - clearResponseCache: Removes all (or only expired) entries
+ * - getResponseCacheStats: Counts entries and their size
+ *
+ * @constants
+ * - CACHE_DIR: Absolute path of the cache folder
+ * - settings: Whether the cache is enabled and its TTL
+ *
+ * @flow
+ * 1. Hash the request
+ * 2. When reuse is requested, return a fresh cached entry if there is one
+ * 3. Otherwise call the provider and store the response (and image)
+ *
+ * @error Handling
+ * - Unreadable or expired entries are treated as missing
+ * - Cache write failures are ignored so generation is never lost
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { hashRequest } from "./cassette.js";
+import { CACHE_DIR_NAME, CACHE_TTL_HOURS } from "../../config/cacheConfig.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * @constant {string}
+ * @description Absolute path of the cache folder in the project root
+ * @private
+ */
+const CACHE_DIR = path.join(__dirname, "..", "..", CACHE_DIR_NAME);
+
+/**
+ * @constant {{enabled: boolean, ttlHours: number}}
+ * @description Cache settings for this process
+ * @private
+ */
+const settings = {
+  enabled: false,
+  ttlHours: CACHE_TTL_HOURS,
+};
+
+/**
+ * @function configureResponseCache
+ * @description Enables or disables the cache and sets its time to live
+ *
+ * @param {Object} options - Cache options
+ * @param {boolean} options.enabled - Whether to use the cache
+ * @param {number} [options.ttlHours=CACHE_TTL_HOURS] - Hours an entry stays valid
+ *
+ * @returns {void}
+ * @throws {Error} If the TTL is not a positive number
+ *
+ * @example
+ * configureResponseCache({ enabled: true, ttlHours: 24 });
+ */
+export function configureResponseCache({
+  enabled,
+  ttlHours = CACHE_TTL_HOURS,
+}) {
+  if (!(Number(ttlHours) > 0)) {
+    throw new Error("Cache TTL must be a positive number of hours");
+  }
+  settings.enabled = Boolean(enabled);
+  settings.ttlHours = Number(ttlHours);
+}
+
+/**
+ * @function isResponseCacheEnabled
+ * @description Whether responses are being cached
+ *
+ * @returns {boolean} True when the cache is enabled
+ *
+ * @example
+ * if (isResponseCacheEnabled()) choices.push(reuseChoice);
+ */
+export function isResponseCacheEnabled() {
+  return settings.enabled;
+}
+
+/**
+ * @function readEntry
+ * @async
+ * @private
+ * @description Reads a cache entry, ignoring missing, unreadable and expired ones
+ *
+ * @param {string} entryPath - Entry JSON file
+ *
+ * @returns {Promise<Object|null>} The entry, or null
+ *
+ * @example
+ * const entry = await readEntry('/project/.response-cache/chat/3f2a.json');
+ */
+async function readEntry(entryPath) {
+  try {
+    const entry = JSON.parse(await fs.readFile(entryPath, "utf8"));
+    const age = Date.now() - Date.parse(entry.createdAt);
+    return age <= settings.ttlHours * 3600 * 1000 ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @function withResponseCache
+ * @async
+ * @description Runs one provider call through the cache. With `reuse`, a
+ * fresh cached response for the same request is returned without calling
+ * the provider; otherwise the provider is called and its response replaces
+ * the cached one. Image calls pass `outputPath` so the file is cached too.
+ *
+ * @param {string} kind - Call kind ('chat' or 'image')
+ * @param {Object} request - Everything that determines the response (not output paths)
+ * @param {Function} perform - Makes the real call and resolves to its response
+ * @param {Object} [options={}] - Call options
+ * @param {boolean} [options.reuse=false] - Return a cached response if there is one
+ * @param {string} [options.outputPath] - Where the call writes its image
+ *
+ * @returns {Promise<*>} The provider (or cached) response
+ *
+ * @example
+ * const response = await withResponseCache("chat", request, perform, { reuse: true });
+ */
+export async function withResponseCache(kind, request, perform, options = {}) {
+  if (!settings.enabled) return perform();
+
+  const key = hashRequest(kind, request);
+  const directory = path.join(CACHE_DIR, kind);
+  const entryPath = path.join(directory, `${key}.json`);
+
+  if (options.reuse) {
+    const entry = await readEntry(entryPath);
+    if (entry?.file && options.outputPath) {
+      try {
+        await fs.mkdir(path.dirname(options.outputPath), { recursive: true });
+        await fs.copyFile(path.join(directory, entry.file), options.outputPath);
+        return options.outputPath;
+      } catch {
+        // Cached image is gone, generate a new one
+      }
+    } else if (entry && !entry.file) {
+      return entry.response;
+    }
+  }
+
+  const response = await perform();
+
+  try {
+    await fs.mkdir(directory, { recursive: true });
+    let file;
+    if (options.outputPath) {
+      file = `${key}${path.extname(options.outputPath) || ".png"}`;
+      await fs.copyFile(options.outputPath, path.join(directory, file));
+    }
+    await fs.writeFile(
+      entryPath,
+      JSON.stringify({
+        kind,
+        key,
+        createdAt: new Date().toISOString(),
+        request,
+        response: file ? null : response,
+        ...(file && { file }),
+      })
+    );
+  } catch {
+    // A cache that cannot be written only costs a future call
+  }
+  return response;
+}
+
+/**
+ * @function listEntryFiles
+ * @async
+ * @private
+ * @description Lists the entry files of every kind in the cache folder
+ *
+ * @returns {Promise<string[]>} Absolute paths of entry JSON files
+ *
+ * @example
+ * const files = await listEntryFiles();
+ */
+async function listEntryFiles() {
+  let kinds;
+  try {
+    kinds = await fs.readdir(CACHE_DIR);
+  } catch {
+    return [];
+  }
+
+  const files = [];
+  for (const kind of kinds) {
+    const directory = path.join(CACHE_DIR, kind);
+    const names = await fs.readdir(directory).catch(() => []);
+    for (const name of names) {
+      if (name.endsWith(".json")) files.push(path.join(directory, name));
+    }
+  }
+  return files;
+}
+
+/**
+ * @function clearResponseCache
+ * @async
+ * @description Removes cached responses and their images
+ *
+ * @param {Object} [options={}] - Clear options
+ * @param {boolean} [options.expiredOnly=false] - Only remove entries past their TTL
+ *
+ * @returns {Promise<{removed: number}>} Number of entries removed
+ *
+ * @example
+ * const { removed } = await clearResponseCache({ expiredOnly: true });
+ */
+export async function clearResponseCache({ expiredOnly = false } = {}) {
+  if (!expiredOnly) {
+    const removed = (await listEntryFiles()).length;
+    await fs.rm(CACHE_DIR, { recursive: true, force: true });
+    return { removed };
+  }
+
+  let removed = 0;
+  for (const entryPath of await listEntryFiles()) {
+    if (await readEntry(entryPath)) continue;
+
+    const base = path.basename(entryPath, ".json");
+    const directory = path.dirname(entryPath);
+    for (const name of await fs.readdir(directory)) {
+      if (name.startsWith(`${base}.`)) {
+        await fs.rm(path.join(directory, name), { force: true });
+      }
+    }
+    removed++;
+  }
+  return { removed };
+}
+
+/**
+ * @function getResponseCacheStats
+ * @async
+ * @description Counts cached entries, expired entries and disk usage
+ *
+ * @returns {Promise<{directory: string, entries: number, expired: number, bytes: number}>} Cache statistics
+ *
+ * @example
+ * await getResponseCacheStats();
+ * // Returns: { directory: '/project/.response-cache', entries: 12, expired: 2, bytes: 5242880 }
+ */
+export async function getResponseCacheStats() {
+  const stats = { directory: CACHE_DIR, entries: 0, expired: 0, bytes: 0 };
+  for (const entryPath of await listEntryFiles()) {
+    stats.entries++;
+    if (!(await readEntry(entryPath))) stats.expired++;
+
+    const base = path.basename(entryPath, ".json");
+    const directory = path.dirname(entryPath);
+    for (const name of await fs.readdir(directory)) {
+      if (name.startsWith(`${base}.`)) {
+        stats.bytes += (await fs.stat(path.join(directory, name))).size;
+      }
+    }
+  }
+  return stats;
+}
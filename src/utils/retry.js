@@ -0,0 +1,237 @@
+/**
+ * @file Retry, backoff and concurrency limits for provider requests
+ * @module retry
+ * @requires ./logger - For logging retried requests
+ * @exports {classifyError, withRetry}
+ *
+ * @description
+ * Shared resilience layer for chat and image providers. Each provider request
+ * waits for a free slot of its provider's concurrency limit, and transient
+ * failures (rate limits, server errors, network blips) are retried with
+ * exponential backoff and jitter, honouring the server's Retry-After header.
+ * Fatal failures (bad requests, authentication, exhausted quotas) are thrown
+ * on the first attempt, so one 429 does not throw away a half-finished
+ * chapter while a wrong API key still fails fast.
+ *
+ * @functions
+ * - classifyError: Decides whether a failure is worth retrying
+ * - parseRetryAfter: Reads Retry-After / retry-after-ms headers
+ * - acquireSlot: Waits for a free slot of a provider's concurrency limit
+ * - withRetry: Runs one provider request with limits and retries
+ *
+ * @constants
+ * - limiters: Active request count and waiting queue per provider
+ *
+ * @flow
+ * 1. Wait for a free slot of the provider
+ * 2. Run the request and release the slot
+ * 3. On a retryable failure, wait (Retry-After or backoff) and try again
+ * 4. Throw the last error when the failure is fatal or attempts run out
+ *
+ * @error Handling
+ * - The original provider error is thrown, with `attempts` and `retryable` set
+ *   and the attempt count appended to its message when it was retried
+ * - Retry-After waits longer than the policy allows fail instead of waiting
+ */
+
+import { logRetry } from "./logger.js";
+import {
+  RETRY_POLICY,
+  PROVIDER_CONCURRENCY,
+  RETRYABLE_STATUS_CODES,
+  RETRYABLE_NETWORK_CODES,
+} from "../../config/retryConfig.js";
+
+/**
+ * @constant {Map<string, {active: number, queue: Function[]}>}
+ * @description Active request count and waiting requests per provider
+ * @private
+ */
+const limiters = new Map();
+
+/**
+ * @function parseRetryAfter
+ * @private
+ * @description Reads how long the server asks us to wait, from
+ * `retry-after-ms` (OpenAI) or `retry-after` (seconds or an HTTP date)
+ *
+ * @param {Object|Headers} [headers] - Response headers
+ *
+ * @returns {number|null} Milliseconds to wait, or null if not given
+ *
+ * @example
+ * parseRetryAfter({ "retry-after": "20" });
+ * // Returns: 20000
+ */
+function parseRetryAfter(headers) {
+  if (!headers) return null;
+  const read = (name) =>
+    typeof headers.get === "function" ? headers.get(name) : headers[name];
+
+  const milliseconds = Number(read("retry-after-ms"));
+  if (milliseconds > 0) return milliseconds;
+
+  const value = read("retry-after");
+  if (value == null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * @function classifyError
+ * @description Decides whether a provider failure is transient. Works with
+ * axios errors and OpenAI SDK errors.
+ *
+ * @param {Error} error - Failure thrown by a provider request
+ * @param {Object} [retryOn] - Statuses and network codes to retry instead of
+ * the defaults (see CREATE_REQUEST_RETRY); OpenAI SDK connection errors are
+ * then not retried either
+ * @param {number[]} retryOn.statusCodes - HTTP statuses to retry
+ * @param {string[]} retryOn.networkCodes - Network error codes to retry
+ *
+ * @returns {{retryable: boolean, reason: string, retryAfterMs: number|null}}
+ * Classification, a short reason and the server's requested wait
+ *
+ * @example
+ * classifyError(rateLimitError);
+ * // Returns: { retryable: true, reason: "HTTP 429", retryAfterMs: 20000 }
+ */
+export function classifyError(error, retryOn) {
+  const statusCodes = retryOn?.statusCodes ?? RETRYABLE_STATUS_CODES;
+  const networkCodes = retryOn?.networkCodes ?? RETRYABLE_NETWORK_CODES;
+
+  const status = error?.status ?? error?.response?.status;
+  const headers = error?.headers ?? error?.response?.headers;
+
+  if (status) {
+    const reason = `HTTP ${status}`;
+    // OpenAI reports an empty balance as a 429 that no wait will fix
+    if (error.code === "insufficient_quota") {
+      return {
+        retryable: false,
+        reason: "quota exhausted",
+        retryAfterMs: null,
+      };
+    }
+    return {
+      retryable: statusCodes.includes(status),
+      reason,
+      retryAfterMs: parseRetryAfter(headers),
+    };
+  }
+
+  const code = error?.code ?? error?.cause?.code;
+  if (networkCodes.includes(code)) {
+    return { retryable: true, reason: code, retryAfterMs: null };
+  }
+  // OpenAI SDK connection failures and timeouts carry no status or code
+  if (!retryOn && /^APIConnection/.test(error?.constructor?.name ?? "")) {
+    return { retryable: true, reason: "connection error", retryAfterMs: null };
+  }
+  return { retryable: false, reason: code || "error", retryAfterMs: null };
+}
+
+/**
+ * @function acquireSlot
+ * @async
+ * @private
+ * @description Waits until the provider has fewer requests in flight than its
+ * concurrency limit and takes a slot. Waiting requests are served in order.
+ *
+ * @param {string} provider - Provider name
+ *
+ * @returns {Promise<Function>} Releases the slot
+ *
+ * @example
+ * const release = await acquireSlot("openai");
+ * try { await request(); } finally { release(); }
+ */
+async function acquireSlot(provider) {
+  const limit = PROVIDER_CONCURRENCY[provider] ?? Infinity;
+  if (!limiters.has(provider)) limiters.set(provider, { active: 0, queue: [] });
+  const limiter = limiters.get(provider);
+
+  if (limiter.active < limit) {
+    limiter.active++;
+  } else {
+    // The releasing request hands its slot over, so the count stays the same
+    await new Promise((resolve) => limiter.queue.push(resolve));
+  }
+
+  return () => {
+    const next = limiter.queue.shift();
+    if (next) next();
+    else limiter.active--;
+  };
+}
+
+/**
+ * @function withRetry
+ * @async
+ * @description Runs one provider request within the provider's concurrency
+ * limit, retrying transient failures with exponential backoff and jitter.
+ * Only wrap the raw network call: errors thrown by the operation itself are
+ * classified, so wrapping them first would hide their status.
+ *
+ * @param {string} provider - Provider name ('openai', 'openai-compatible', 'mystic')
+ * @param {Function} operation - Makes the request and resolves to its response
+ * @param {Object} [options={}] - Retry options
+ * @param {string} [options.label] - What is being requested, for the log
+ * @param {Object} [options.policy=RETRY_POLICY] - Attempts and delays
+ * @param {Object} [options.retryOn] - Failures to retry instead of the
+ * transient ones; pass CREATE_REQUEST_RETRY for requests that start paid work
+ *
+ * @returns {Promise<*>} The operation's response
+ * @throws {Error} The last failure, with `attempts` and `retryable` set
+ *
+ * @example
+ * const response = await withRetry(
+ *   "openai",
+ *   () => openai.chat.completions.create(body),
+ *   { label: "chat completion" }
+ * );
+ */
+export async function withRetry(provider, operation, options = {}) {
+  const policy = { ...RETRY_POLICY, ...options.policy };
+
+  for (let attempt = 1; ; attempt++) {
+    let delay;
+    const release = await acquireSlot(provider);
+    try {
+      return await operation();
+    } catch (error) {
+      const { retryable, reason, retryAfterMs } = classifyError(
+        error,
+        options.retryOn
+      );
+      const waitTooLong = retryAfterMs > policy.maxRetryAfterMs;
+      if (!retryable || waitTooLong || attempt >= policy.maxAttempts) {
+        error.attempts = attempt;
+        error.retryable = retryable;
+        if (attempt > 1) error.message += ` (after ${attempt} attempts)`;
+        throw error;
+      }
+
+      // Exponential backoff with jitter, unless the server said how long
+      const backoff = Math.min(
+        policy.maxDelayMs,
+        policy.baseDelayMs * 2 ** (attempt - 1)
+      );
+      delay = retryAfterMs ?? backoff / 2 + Math.random() * (backoff / 2);
+      logRetry(provider, {
+        label: options.label,
+        attempt,
+        reason,
+        message: error.message,
+        delayMs: Math.round(delay),
+      });
+    } finally {
+      release();
+    }
+
+    // Waiting does not hold a slot, so other requests can use it meanwhile
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
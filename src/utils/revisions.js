@@ -0,0 +1,267 @@
+/**
+ * @file Chapter text revisions
+ * @module revisions
+ * @requires none
+ * @exports {getRevisions, recordRevision, setTextStatus, restoreRevision, diffWords}
+ *
+ * @description
+ * Keeps every text generated for a chapter in `chapter.revisions`, so a
+ * regenerate never loses an earlier draft. Each revision stores the text,
+ * both prompts, the provider, model and temperature, when it was written and
+ * its review status. The list is append-only: revisions are never removed or
+ * edited, only the status of the current one follows the chapter's status.
+ * Restoring an old revision appends a copy of it, so the history shows what
+ * was current at every point.
+ *
+ * @functions
+ * - getRevisions: Returns the revisions, recording legacy text as the first
+ * - recordRevision: Appends a revision and makes it current
+ * - setTextStatus: Sets the chapter status and the current revision's status
+ * - restoreRevision: Makes an earlier revision current again
+ * - tokenize: Splits text into words with their trailing whitespace
+ * - diffWords: Word-level diff of two texts
+ *
+ * @flow
+ * 1. recordGeneratedText appends a revision for every generated text
+ * 2. Status changes of the text are mirrored on the current revision
+ * 3. The chapter menu lists, compares and restores revisions
+ *
+ * @error Handling
+ * - Unknown revision numbers throw
+ */
+
+/**
+ * @function getRevisions
+ * @description Returns the chapter's revisions. Chapters generated before
+ * revisions were kept get their current text recorded as revision 1 first.
+ *
+ * @param {Object} chapter - The chapter
+ *
+ * @returns {Array<Object>} Revisions, oldest first
+ *
+ * @example
+ * getRevisions(chapter).map((revision) => revision.number);
+ * // Returns: [1, 2, 3]
+ */
+export function getRevisions(chapter) {
+  if (!chapter.revisions) {
+    chapter.revisions = [];
+    if (chapter.text) {
+      const config = chapter.generationConfig ?? {};
+      chapter.revisions.push({
+        number: 1,
+        text: chapter.text,
+        initialPrompt: config.initialPrompt ?? null,
+        personalizationPrompt: config.personalizationPrompt ?? null,
+        provider: config.provider ?? null,
+        model: config.model ?? null,
+        temperature: config.temperature ?? null,
+        timestamp: config.timestamp ?? null,
+        status: chapter.status,
+      });
+      chapter.currentRevision = 1;
+    }
+  }
+  return chapter.revisions;
+}
+
+/**
+ * @function recordRevision
+ * @description Appends a revision to the chapter and makes it current
+ *
+ * @param {Object} chapter - The chapter
+ * @param {Object} revision - Revision fields
+ * @param {string} revision.text - Chapter text
+ * @param {string} revision.initialPrompt - First-phase prompt
+ * @param {string} revision.personalizationPrompt - Second-phase prompt
+ * @param {string} revision.provider - Chat provider
+ * @param {string} revision.model - Chat model
+ * @param {number} revision.temperature - Sampling temperature
+ * @param {string} revision.timestamp - When the text was written
+ * @param {string} revision.status - Review status of the text
+ * @param {number} [revision.restoredFrom] - Revision this one copies
+ *
+ * @returns {Object} The stored revision, with its number
+ *
+ * @example
+ * recordRevision(chapter, { text, ...chapter.generationConfig, status: "generated" });
+ * // Returns: { number: 3, text: "...", status: "generated", ... }
+ */
+export function recordRevision(chapter, revision) {
+  const revisions = getRevisions(chapter);
+  const stored = { number: revisions.length + 1, ...revision };
+  revisions.push(stored);
+  chapter.currentRevision = stored.number;
+  return stored;
+}
+
+/**
+ * @function setTextStatus
+ * @description Sets the chapter's status and mirrors it on the current
+ * revision
+ *
+ * @param {Object} chapter - The chapter
+ * @param {string} status - 'generated', 'wip' or 'accepted'
+ *
+ * @returns {void}
+ *
+ * @example
+ * setTextStatus(chapter, "accepted");
+ */
+export function setTextStatus(chapter, status) {
+  chapter.status = status;
+  const current = getRevisions(chapter).find(
+    (revision) => revision.number === chapter.currentRevision
+  );
+  if (current) current.status = status;
+}
+
+/**
+ * @function restoreRevision
+ * @description Makes an earlier revision current again: its text and
+ * generation settings become the chapter's, and a copy of it is appended
+ * as a new work-in-progress revision
+ *
+ * @param {Object} chapter - The chapter
+ * @param {number} number - Revision to restore
+ *
+ * @returns {Object} The appended copy
+ * @throws {Error} If the chapter has no such revision
+ *
+ * @example
+ * restoreRevision(chapter, 2);
+ * // Returns: { number: 5, restoredFrom: 2, status: "wip", ... }
+ */
+export function restoreRevision(chapter, number) {
+  const source = getRevisions(chapter).find(
+    (revision) => revision.number === number
+  );
+  if (!source) {
+    throw new Error(`Chapter "${chapter.id}" has no revision ${number}`);
+  }
+
+  const settings = {
+    initialPrompt: source.initialPrompt,
+    personalizationPrompt: source.personalizationPrompt,
+    provider: source.provider,
+    model: source.model,
+    temperature: source.temperature,
+  };
+  chapter.text = source.text;
+  chapter.generationConfig = { ...settings, timestamp: source.timestamp };
+  chapter.status = "wip";
+
+  return recordRevision(chapter, {
+    text: source.text,
+    ...settings,
+    timestamp: new Date().toISOString(),
+    status: "wip",
+    restoredFrom: source.number,
+  });
+}
+
+/**
+ * @function tokenize
+ * @private
+ * @description Splits text into words, each with the whitespace after it
+ *
+ * @param {string} text - Text to split
+ *
+ * @returns {string[]} Tokens
+ *
+ * @example
+ * tokenize("Hello  big world");
+ * // Returns: ["Hello  ", "big ", "world"]
+ */
+function tokenize(text) {
+  return text.match(/\S+\s*/g) ?? [];
+}
+
+/**
+ * @function diffWords
+ * @description Word-level diff of two texts (longest common subsequence).
+ * Whitespace changes alone are not reported.
+ *
+ * @param {string} before - Older text
+ * @param {string} after - Newer text
+ *
+ * @returns {Array<{type: string, value: string}>} Consecutive parts of type
+ * 'same', 'removed' or 'added'
+ *
+ * @example
+ * diffWords("Bart saves money", "Bart spends money");
+ * // Returns: [{ type: "same", value: "Bart " }, { type: "removed", value: "saves " },
+ * //   { type: "added", value: "spends " }, { type: "same", value: "money" }]
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const word = (token) => token.trimEnd();
+
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (
+    start < a.length &&
+    start < b.length &&
+    word(a[start]) === word(b[start])
+  ) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (
+    endA > start &&
+    endB > start &&
+    word(a[endA - 1]) === word(b[endB - 1])
+  ) {
+    endA--;
+    endB--;
+  }
+
+  // lengths[i * width + j]: LCS length of a[start + i..endA) and b[start + j..endB)
+  const rows = endA - start + 1;
+  const width = endB - start + 1;
+  const lengths = new Uint32Array(rows * width);
+  for (let i = rows - 2; i >= 0; i--) {
+    for (let j = width - 2; j >= 0; j--) {
+      lengths[i * width + j] =
+        word(a[start + i]) === word(b[start + j])
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, value) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.value += value;
+    else parts.push({ type, value });
+  };
+
+  b.slice(0, start).forEach((token) => push("same", token));
+  let i = 0;
+  let j = 0;
+  while (i < rows - 1 || j < width - 1) {
+    if (
+      i < rows - 1 &&
+      j < width - 1 &&
+      word(a[start + i]) === word(b[start + j])
+    ) {
+      push("same", b[start + j]);
+      i++;
+      j++;
+    } else if (
+      i < rows - 1 &&
+      (j === width - 1 ||
+        lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])
+    ) {
+      push("removed", a[start + i]);
+      i++;
+    } else {
+      push("added", b[start + j]);
+      j++;
+    }
+  }
+  b.slice(endB).forEach((token) => push("same", token));
+  return parts;
+}
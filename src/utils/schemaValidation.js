@@ -0,0 +1,91 @@
+/**
+ * @file JSON schema validation helpers
+ * @module schemaValidation
+ * @requires ajv - For JSON schema validation
+ * @requires fs - For reading schema files
+ * @exports {getSchemaValidator, validateAgainstSchema}
+ *
+ * @description
+ * Compiles the schemas in config/schemas with ajv (once per schema) and
+ * turns ajv's errors into one readable violation per offending path, so
+ * every caller reports problems the same way.
+ *
+ * @functions
+ * - getSchemaValidator: Compiled validator of a schema in config/schemas
+ * - validateAgainstSchema: Validates data and lists its violations
+ *
+ * @flow
+ * 1. Read and compile config/schemas/<name>.schema.json on first use
+ * 2. Validate the data, collecting all errors
+ * 3. Describe each error with its path and the allowed values
+ *
+ * @error Handling
+ * - Missing or malformed schema files throw when first used
+ */
+
+import Ajv from "ajv";
+import { readFileSync } from "fs";
+
+const ajv = new Ajv({ allErrors: true });
+const validators = new Map();
+
+/**
+ * @function getSchemaValidator
+ * @description Returns the compiled validator of a schema in config/schemas
+ *
+ * @param {string} name - Schema name without the `.schema.json` suffix
+ *
+ * @returns {Function} ajv validate function
+ * @throws {Error} If the schema file cannot be read or compiled
+ *
+ * @example
+ * const validate = getSchemaValidator("chapters");
+ * validate(BOOK_CONTENT); // true or false, errors in validate.errors
+ */
+export function getSchemaValidator(name) {
+  if (!validators.has(name)) {
+    const schema = JSON.parse(
+      readFileSync(
+        new URL(`../../config/schemas/${name}.schema.json`, import.meta.url),
+        "utf8"
+      )
+    );
+    validators.set(name, ajv.compile(schema));
+  }
+  return validators.get(name);
+}
+
+/**
+ * @function validateAgainstSchema
+ * @description Validates data against a schema in config/schemas
+ *
+ * @param {string} name - Schema name without the `.schema.json` suffix
+ * @param {*} data - Data to validate
+ *
+ * @returns {Array<{path: string, message: string}>} Violations (empty if valid)
+ *
+ * @example
+ * validateAgainstSchema("storyVariables", { characters: { protagonistGender: "boy" } });
+ * // Returns: [{ path: "/", message: "must have required property 'places'" },
+ * //   { path: "/characters/protagonistGender", message: "must be equal to one of the allowed values (male, female, other)" }, ...]
+ */
+export function validateAgainstSchema(name, data) {
+  const validate = getSchemaValidator(name);
+  if (validate(data)) return [];
+
+  // "must match then schema" only repeats the errors of the `then` branch
+  return validate.errors
+    .filter((error) => error.keyword !== "if")
+    .map((error) => {
+      const allowed = error.params?.allowedValues
+        ? ` (${error.params.allowedValues.join(", ")})`
+        : "";
+      const extra = error.params?.additionalProperty
+        ? ` '${error.params.additionalProperty}'`
+        : "";
+      return {
+        path: error.instancePath || "/",
+        message: `${error.message}${extra}${allowed}`,
+      };
+    });
+}
@@ -0,0 +1,224 @@
+/**
+ * @file Token, image and cost accounting
+ * @module usage
+ * @requires ../../config/pricingConfig - For the price table
+ * @requires ../../config/imageGeneratorConfig - For the mock image size
+ * @exports {priceUsage, describeImageCall, trackUsage, bookUsageRecords, summarizeUsage, formatCost}
+ *
+ * @description
+ * Records what every provider call consumed (prompt and completion tokens,
+ * or images) on the chapter it was made for, tagged with the step
+ * (generation, personalization, story-summary, scene-selection, image) and
+ * the attempt number. Book-level calls (character-look and character-sheet)
+ * are recorded on the character's reference sheet record. Each record is priced from the rate table when it is made, so the
+ * stored costs stay what was billed even if the table changes later.
+ * Responses reused from the cache or replayed from a cassette are not
+ * recorded, because no provider was paid for them.
+ *
+ * @functions
+ * - priceUsage: Prices one usage record
+ * - describeImageCall: Usage record of one image from an image configuration
+ * - trackUsage: Creates a callback that records usage on a chapter
+ * - bookUsageRecords: Collects the usage records of a whole book
+ * - summarizeUsage: Adds up usage records, in total and by model
+ * - formatCost: Formats an amount in the pricing currency
+ *
+ * @flow
+ * 1. A caller passes trackUsage(chapter, step, attempt) as `onUsage`
+ * 2. The chat or image registry calls it after each real provider call
+ * 3. The record is priced and appended to chapter.usage
+ * 4. Status displays add the records up with summarizeUsage
+ *
+ * @error Handling
+ * - Models missing from the price table get a null cost and count as unpriced
+ */
+
+import {
+  PRICING_CURRENCY,
+  CHAT_PRICING,
+  IMAGE_PRICING,
+} from "../../config/pricingConfig.js";
+import { MOCK_IMAGE_SIZE } from "../../config/imageGeneratorConfig.js";
+
+/**
+ * @function priceUsage
+ * @description Prices one usage record from the rate table
+ *
+ * @param {Object} record - Usage record
+ * @param {string} record.provider - Provider name
+ * @param {string} record.model - Model identifier
+ * @param {number} [record.promptTokens] - Prompt tokens (chat)
+ * @param {number} [record.completionTokens] - Completion tokens (chat)
+ * @param {number} [record.images] - Generated images (image)
+ * @param {string} [record.size] - Image size or resolution (image)
+ *
+ * @returns {number|null} Cost in PRICING_CURRENCY, or null if the model is not priced
+ *
+ * @example
+ * priceUsage({ provider: "openai", model: "gpt-4", promptTokens: 1000, completionTokens: 500 });
+ * // Returns: 0.06
+ */
+export function priceUsage(record) {
+  if (record.images) {
+    const models = IMAGE_PRICING[record.provider] ?? {};
+    const sizes = models[record.model] ?? models["*"] ?? {};
+    const price = sizes[record.size] ?? sizes["*"];
+    return price === undefined ? null : price * record.images;
+  }
+
+  const models = CHAT_PRICING[record.provider] ?? {};
+  const price = models[record.model] ?? models["*"];
+  if (!price) return null;
+  return (
+    ((record.promptTokens ?? 0) * price.prompt +
+      (record.completionTokens ?? 0) * price.completion) /
+    1_000_000
+  );
+}
+
+/**
+ * @function describeImageCall
+ * @description Builds the usage record of one image generated with a book's
+ * image configuration
+ *
+ * @param {Object} imageConfig - Book image configuration
+ * @param {string} imageConfig.provider - Provider ('openai', 'mystic' or 'mock')
+ *
+ * @returns {{provider: string, model: string, size: string, images: number}} Usage record
+ *
+ * @example
+ * describeImageCall({ provider: "openai", openai: { model: "dall-e-3", size: "1024x1024" } });
+ * // Returns: { provider: "openai", model: "dall-e-3", size: "1024x1024", images: 1 }
+ */
+export function describeImageCall(imageConfig) {
+  const settings = imageConfig[imageConfig.provider] ?? {};
+  return {
+    provider: imageConfig.provider,
+    model: settings.model ?? imageConfig.provider,
+    size:
+      settings.size ??
+      settings.resolution ??
+      (imageConfig.provider === "mystic"
+        ? "1k"
+        : `${MOCK_IMAGE_SIZE}x${MOCK_IMAGE_SIZE}`),
+    images: 1,
+  };
+}
+
+/**
+ * @function trackUsage
+ * @description Creates an `onUsage` callback for the chat and image
+ * registries that records each call on the chapter
+ *
+ * @param {Object} chapter - Chapter (or character sheet record) the calls are made for
+ * @param {string} step - 'generation', 'personalization', 'story-summary',
+ * 'scene-selection', 'image', 'character-look' or 'character-sheet'
+ * @param {number} attempt - Text, image or sheet attempt number
+ *
+ * @returns {Function} Callback receiving a usage record
+ *
+ * @example
+ * await selectSceneForImage(chapter.text, chapter.topic, chatConfig, {
+ *   onUsage: trackUsage(chapter, "scene-selection", 2),
+ * });
+ */
+export function trackUsage(chapter, step, attempt) {
+  return (record) => {
+    if (!chapter.usage) chapter.usage = [];
+    chapter.usage.push({
+      step,
+      attempt,
+      ...record,
+      cost: priceUsage(record),
+      timestamp: new Date().toISOString(),
+    });
+  };
+}
+
+/**
+ * @function bookUsageRecords
+ * @description Collects the usage records of every chapter of a book,
+ * including chapters taken out of it, since their calls were paid for too,
+ * and of the character reference sheets
+ *
+ * @param {Object} bookState - The book state
+ *
+ * @returns {Array<Object>} Usage records
+ *
+ * @example
+ * summarizeUsage(bookUsageRecords(bookState)).cost;
+ * // Returns: 0.43
+ */
+export function bookUsageRecords(bookState) {
+  return [
+    ...bookState.chapters,
+    ...(bookState.removedChapters ?? []),
+    ...Object.values(bookState.characterSheets ?? {}),
+  ].flatMap((record) => record.usage ?? []);
+}
+
+/**
+ * @function summarizeUsage
+ * @description Adds up usage records, in total and per provider/model
+ *
+ * @param {Array<Object>} [records=[]] - Usage records (chapter.usage)
+ *
+ * @returns {{
+ *   promptTokens: number,
+ *   completionTokens: number,
+ *   images: number,
+ *   cost: number,
+ *   unpricedCalls: number,
+ *   byModel: Object<string, {promptTokens: number, completionTokens: number, images: number, cost: number}>
+ * }} Totals (cost excludes unpriced calls)
+ *
+ * @example
+ * summarizeUsage(bookUsageRecords(bookState));
+ * // Returns: { promptTokens: 5400, completionTokens: 3200, images: 2, cost: 0.43, unpricedCalls: 0, byModel: {...} }
+ */
+export function summarizeUsage(records = []) {
+  const empty = () => ({
+    promptTokens: 0,
+    completionTokens: 0,
+    images: 0,
+    cost: 0,
+  });
+  const totals = { ...empty(), unpricedCalls: 0, byModel: {} };
+
+  for (const record of records) {
+    const key = `${record.provider}/${record.model}`;
+    totals.byModel[key] ??= empty();
+    for (const target of [totals, totals.byModel[key]]) {
+      target.promptTokens += record.promptTokens ?? 0;
+      target.completionTokens += record.completionTokens ?? 0;
+      target.images += record.images ?? 0;
+      target.cost += record.cost ?? 0;
+    }
+    if (record.cost === null || record.cost === undefined) {
+      totals.unpricedCalls++;
+    }
+  }
+  return totals;
+}
+
+/**
+ * @function formatCost
+ * @description Formats an amount in the pricing currency, keeping enough
+ * decimals for single calls that cost fractions of a cent
+ *
+ * @param {number} amount - Amount in PRICING_CURRENCY
+ *
+ * @returns {string} Formatted amount
+ *
+ * @example
+ * formatCost(0.0421);
+ * // Returns: "$0.0421"
+ */
+export function formatCost(amount) {
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: PRICING_CURRENCY,
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 4,
+  }).format(amount);
+}